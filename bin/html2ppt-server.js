@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * html2ppt HTTP 服务入口
+ * 启动本地转换服务，供其他工具通过 REST 接口调用
+ */
+
+import { ConversionServer } from '../src/node/ConversionServer.js';
+import { SERVER_USAGE, parseServerArgs } from '../src/node/cliOptions.js';
+
+async function main() {
+  let args;
+  try {
+    args = parseServerArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(SERVER_USAGE);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    console.log(SERVER_USAGE);
+    return;
+  }
+
+  const { help, ...serverOptions } = args;
+  const server = new ConversionServer(serverOptions);
+
+  const address = await server.listen();
+  console.log(`html2ppt 服务已启动: http://${args.host}:${address.port}`);
+
+  const shutdown = async () => {
+    console.log('正在关闭服务...');
+    await server.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * html2ppt 命令行入口
+ * 在无头浏览器中运行转换流程，批量将 HTML 文件转换为 .pptx
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { HeadlessConverter } from '../src/node/HeadlessConverter.js';
+import { CLI_USAGE, parseCliArgs, expandInputs, getOutputPath, findOutputConflicts } from '../src/node/cliOptions.js';
+
+async function main() {
+  let args;
+  try {
+    args = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(CLI_USAGE);
+    return 1;
+  }
+
+  if (args.help) {
+    console.log(CLI_USAGE);
+    return 0;
+  }
+
+  const inputs = expandInputs(args.inputs);
+  if (inputs.length === 0) {
+    console.error('没有找到需要转换的 HTML 文件');
+    console.error(CLI_USAGE);
+    return 1;
+  }
+
+  // 同名文件会写到同一个 .pptx（和 .report.json），转换前报错而不是互相覆盖
+  const conflicts = findOutputConflicts(inputs, args.outDir);
+  if (conflicts.length > 0) {
+    conflicts.forEach(({ output, inputs: sources }) => {
+      console.error(`多个输入文件会输出到 ${path.relative(process.cwd(), output)}:`);
+      sources.forEach(source => console.error(`    ${path.relative(process.cwd(), source)}`));
+    });
+    console.error('请重命名输入文件或分多次转换到不同的输出目录');
+    return 1;
+  }
+
+  if (args.outDir) {
+    await fs.mkdir(path.resolve(args.outDir), { recursive: true });
+  }
+
+  const converter = new HeadlessConverter({
+    browser: args.browser,
+    verbose: args.verbose,
+    // 页面只能读取输入文件所在目录的资源
+    assetDirs: [...new Set(inputs.map(input => path.dirname(path.resolve(input))))]
+  });
+  const convertOptions = {
+    aspectRatio: args.aspectRatio,
+    preserveAnimations: args.preserveAnimations,
+    captureMode: args.captureMode,
+    headingMode: args.headingMode,
+    fontStrategy: args.fontStrategy,
+    offCanvas: args.offCanvas
+  };
+  if (args.fontMap) convertOptions.fontMap = args.fontMap;
+  if (args.title) convertOptions.title = args.title;
+  if (args.author) convertOptions.author = args.author;
+  if (args.transition) convertOptions.transition = args.transition;
+  if (args.paginateTables) convertOptions.paginateTables = true;
+  if (args.tableMaxRows) convertOptions.tableMaxRows = args.tableMaxRows;
+
+  let failed = 0;
+  try {
+    await converter.start();
+
+    for (const [index, input] of inputs.entries()) {
+      const output = getOutputPath(input, args.outDir);
+      const label = `[${index + 1}/${inputs.length}]`;
+
+      try {
+        const { buffer, report } = await converter.convertFile(input, convertOptions);
+        await fs.writeFile(output, buffer);
+        console.log(`${label} ${path.relative(process.cwd(), input)} -> ${path.relative(process.cwd(), output)}`);
+        report.lines.forEach(line => console.log(`    ${line}`));
+        if (args.report) {
+          await fs.writeFile(output.replace(/\.pptx$/, '.report.json'), JSON.stringify(report, null, 2));
+        }
+      } catch (error) {
+        failed++;
+        console.error(`${label} 转换失败 ${input}: ${error.message}`);
+      }
+    }
+  } finally {
+    await converter.close();
+  }
+
+  if (failed > 0) {
+    console.error(`${failed}/${inputs.length} 个文件转换失败`);
+    return 1;
+  }
+  return 0;
+}
+
+main().then(
+  code => process.exit(code),
+  error => {
+    console.error(error.message);
+    process.exit(1);
+  }
+);
@@ -62,8 +62,8 @@ export class AnimationConverter {
 
     const animations = [];
 
-    // 可能有多个动画，用逗号分隔
-    const animationParts = animation.split(',').map(a => a.trim());
+    // 可能有多个动画，用逗号分隔（忽略 cubic-bezier() 等函数内的逗号）
+    const animationParts = animation.split(/,(?![^(]*\))/).map(a => a.trim());
 
     for (const part of animationParts) {
       const anim = this.parseSingleAnimation(part);
@@ -82,9 +82,10 @@ export class AnimationConverter {
    */
   parseSingleAnimation(animation) {
     // animation: name duration timing-function delay iteration-count direction fill-mode play-state
-    const parts = animation.split(/\s+/);
+    // cubic-bezier(...) / steps(...) 作为整体处理
+    const parts = animation.match(/[^\s(]+(\([^)]*\))?/g);
 
-    if (parts.length === 0) return null;
+    if (!parts || parts.length === 0) return null;
 
     const animData = {
       name: null,
@@ -113,13 +114,16 @@ export class AnimationConverter {
         }
       } else if (this.easingMap[part]) {
         animData.easing = this.easingMap[part];
+      } else if (part.includes('(')) {
+        // 自定义时间函数，近似为缓入缓出
+        animData.easing = 'easeInOut';
       } else if (part === 'infinite') {
         animData.iterations = -1;
       } else if (!isNaN(parseInt(part))) {
         animData.iterations = parseInt(part);
       } else if (['normal', 'reverse', 'alternate', 'alternate-reverse'].includes(part)) {
         animData.direction = part;
-      } else if (!animData.name && !['forwards', 'backwards', 'both', 'running', 'paused'].includes(part)) {
+      } else if (!animData.name && !['none', 'forwards', 'backwards', 'both', 'running', 'paused'].includes(part)) {
         animData.name = part;
       }
     }
@@ -264,7 +268,9 @@ export class AnimationConverter {
     const config = {
       type: pptAnim.type,
       delay: (animData.delay || 0) / 1000, // 转换为秒
-      duration: animData.duration / 1000 || 1
+      duration: animData.duration / 1000 || 1,
+      easing: animData.easing || 'easeInOut',
+      iterations: animData.iterations || 1
     };
 
     if (pptAnim.direction) {
@@ -307,10 +313,20 @@ export class AnimationConverter {
       'blinds': 'blinds',
       'checkerboard': 'checkerboard',
       'circle': 'circle',
-      'dissolve': 'dissolve'
+      'dissolve': 'dissolve',
+      // reveal.js / Swiper 特有效果，近似为推进
+      'convex': 'push',
+      'concave': 'push',
+      'coverflow': 'push',
+      'cards': 'push',
+      'creative': 'push',
+      'flip': 'cube'
     };
 
     const lower = (transitionStyle || '').toLowerCase();
+    if (lower === 'none') {
+      return 'none';
+    }
     for (const [key, value] of Object.entries(transitionMap)) {
       if (lower.includes(key)) {
         return value;
@@ -320,6 +336,25 @@ export class AnimationConverter {
     return 'fade'; // 默认淡入淡出
   }
 
+  /**
+   * 获取幻灯片切换速度
+   * @param {string|number} speed - 速度关键词 (fast/slow/default) 或时长 (秒)
+   * @returns {string} PPT 切换速度 (fast, med, slow)
+   */
+  getTransitionSpeed(speed) {
+    if (typeof speed === 'number' && speed > 0) {
+      if (speed <= 0.5) return 'fast';
+      if (speed >= 1) return 'slow';
+      return 'med';
+    }
+
+    const lower = String(speed || '').toLowerCase();
+    if (lower === 'fast' || lower === 'slow') {
+      return lower;
+    }
+    return 'med';
+  }
+
   /**
    * 分析元素样式推断动画
    * @param {Object} styles - 元素样式
@@ -0,0 +1,157 @@
+/**
+ * 动画终态捕获
+ * 生成的演示文稿常以 opacity: 0 / translateY(20px) 作为初始状态，再通过 CSS 动画、过渡或
+ * IntersectionObserver 触发的类名切换显示元素。提取前把这些效果推进到终态，快照记录的是静止布局；
+ * 元素的 animation / transition 计算样式不受影响，仍可转换为 PPT 动画
+ */
+
+export class AnimationSettler {
+  // 捕获模式：final 推进到终态后提取，timed 按固定等待时间直接快照
+  static CAPTURE_MODES = ['final', 'timed'];
+
+  /**
+   * @param {Object} options - 配置
+   * @param {number} options.maxPasses - 最多推进的轮数（动画结束后脚本可能切换类名并触发新的过渡）
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxPasses: 3,
+      ...options
+    };
+  }
+
+  /**
+   * 在页面脚本执行前安装：IntersectionObserver 立即报告所有目标进入视口
+   * 渲染用的 iframe 位于屏幕之外，原生实现永远不会触发“滚动到可见”的效果
+   * @param {Window} win - 渲染 iframe 的 window
+   */
+  install(win) {
+    if (!win) return;
+    win.IntersectionObserver = this.createRevealObserver(win);
+  }
+
+  /**
+   * 创建总是报告目标可见的 IntersectionObserver 替代实现
+   * @param {Window} win - 渲染 iframe 的 window
+   * @returns {Function} IntersectionObserver 构造函数
+   */
+  createRevealObserver(win) {
+    return class RevealObserver {
+      constructor(callback, options = {}) {
+        this.callback = callback;
+        this.root = options.root || null;
+        this.rootMargin = options.rootMargin || '0px';
+        this.thresholds = [].concat(options.threshold ?? 0);
+        this.targets = new Set();
+      }
+
+      observe(target) {
+        if (this.targets.has(target)) return;
+        this.targets.add(target);
+
+        // 与原生实现一样异步回调
+        win.setTimeout(() => {
+          if (!this.targets.has(target)) return;
+
+          const rect = target.getBoundingClientRect();
+          try {
+            this.callback([{
+              target,
+              isIntersecting: true,
+              intersectionRatio: 1,
+              boundingClientRect: rect,
+              intersectionRect: rect,
+              rootBounds: null,
+              time: win.performance ? win.performance.now() : Date.now()
+            }], this);
+          } catch (error) {
+            console.warn('IntersectionObserver callback failed:', error);
+          }
+        }, 0);
+      }
+
+      unobserve(target) {
+        this.targets.delete(target);
+      }
+
+      disconnect() {
+        this.targets.clear();
+      }
+
+      takeRecords() {
+        return [];
+      }
+    };
+  }
+
+  /**
+   * 将文档中所有进行中的动画和过渡推进到终态
+   * 有限次数的动画直接结束（保留 fill-mode 的终态），无限循环的动画取消以显示元素的静止样式
+   * @param {Document} doc - 渲染后的文档
+   * @returns {Promise<Object>} {finished, cancelled} 处理的动画数量
+   */
+  async settle(doc) {
+    const result = { finished: 0, cancelled: 0 };
+    const win = doc.defaultView;
+    if (!win || typeof doc.getAnimations !== 'function') return result;
+
+    // 依赖滚动位置的显示效果（scroll 事件中检查元素位置）
+    win.dispatchEvent(new win.Event('scroll'));
+
+    for (let pass = 0; pass < this.options.maxPasses; pass++) {
+      // 等待一帧，让类名切换产生的过渡开始运行
+      await this.nextFrame(win);
+
+      const animations = doc.getAnimations().filter(animation => animation.playState !== 'finished');
+      if (animations.length === 0) break;
+
+      for (const animation of animations) {
+        try {
+          if (this.isInfinite(animation)) {
+            animation.cancel();
+            result.cancelled++;
+          } else {
+            animation.finish();
+            result.finished++;
+          }
+        } catch (error) {
+          // playbackRate 为 0 等无法结束的动画保持原状
+          console.warn('Failed to settle animation:', error.message || error);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {Animation} animation - Web Animations API 动画
+   * @returns {boolean} 是否无限循环
+   */
+  isInfinite(animation) {
+    const timing = animation.effect?.getComputedTiming?.();
+    return !timing || timing.endTime === Infinity;
+  }
+
+  /**
+   * 等待下一帧
+   * @param {Window} win - 渲染 iframe 的 window
+   * @returns {Promise<void>}
+   */
+  nextFrame(win) {
+    return new Promise(resolve => {
+      if (typeof win.requestAnimationFrame !== 'function') {
+        setTimeout(resolve, 16);
+        return;
+      }
+      // 隐藏的 iframe 可能不触发 requestAnimationFrame，用定时器兜底
+      const timer = setTimeout(resolve, 50);
+      win.requestAnimationFrame(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  }
+}
+
+export default AnimationSettler;
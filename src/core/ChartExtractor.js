@@ -0,0 +1,332 @@
+/**
+ * 图表提取器
+ * 从渲染后页面中的 Chart.js / ECharts 实例以及 <table data-chart="..."> 标记中读取图表数据，
+ * 转换为统一的图表描述，供 PptGenerator 生成可编辑的原生图表
+ */
+
+import { StyleConverter } from './StyleConverter.js';
+
+/**
+ * @typedef {Object} ChartData
+ * @property {string} type - 图表类型: bar | line | pie | doughnut
+ * @property {string} barDir - 柱状图方向: col（垂直）| bar（水平）
+ * @property {string} title - 图表标题
+ * @property {Array<string>} labels - 分类标签
+ * @property {Array<Object>} series - 数据系列 [{name, values, color}]
+ * @property {Array<string>} pointColors - 饼图/环形图各扇区颜色（6位 hex，无 #）
+ * @property {string} xTitle - 分类轴标题
+ * @property {string} yTitle - 数值轴标题
+ * @property {boolean} stacked - 是否堆叠
+ * @property {boolean} showLegend - 是否显示图例
+ * @property {string} source - 数据来源: chartjs | echarts | table
+ */
+
+export class ChartExtractor {
+  // 可以生成原生图表的类型
+  static SUPPORTED_TYPES = ['bar', 'line', 'pie', 'doughnut'];
+
+  constructor() {
+    this.styleConverter = new StyleConverter();
+  }
+
+  /**
+   * 检测 DOM 元素上的图表库实例
+   * @param {Element} element - DOM 元素（Chart.js 为 canvas，ECharts 为容器）
+   * @param {Window} win - 元素所在的窗口
+   * @returns {ChartData|null} 图表数据，不是图表或类型不支持时返回 null
+   */
+  extractFromElement(element, win) {
+    if (!element || !win) return null;
+
+    try {
+      if (element.tagName?.toLowerCase() === 'canvas' && win.Chart) {
+        const chart = this.findChartJsInstance(element, win.Chart);
+        if (chart) return this.fromChartJs(chart);
+      }
+
+      if (win.echarts && typeof win.echarts.getInstanceByDom === 'function') {
+        const instance = win.echarts.getInstanceByDom(element);
+        if (instance) return this.fromECharts(instance.getOption());
+      }
+    } catch (error) {
+      console.warn('Failed to read chart data:', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * 查找 canvas 对应的 Chart.js 实例
+   * @param {HTMLCanvasElement} canvas - canvas 元素
+   * @param {Function} Chart - 页面中的 Chart 构造函数
+   * @returns {Object|null} Chart.js 实例
+   */
+  findChartJsInstance(canvas, Chart) {
+    // Chart.js v3+
+    if (typeof Chart.getChart === 'function') {
+      return Chart.getChart(canvas) || null;
+    }
+
+    // Chart.js v2：Chart.instances 为 {id: chart}
+    const instances = Object.values(Chart.instances || {});
+    return instances.find(chart => (chart.canvas || chart.chart?.canvas) === canvas) || null;
+  }
+
+  /**
+   * 读取 Chart.js 实例的配置
+   * @param {Object} chart - Chart.js 实例
+   * @returns {ChartData|null} 图表数据
+   */
+  fromChartJs(chart) {
+    const config = chart.config || {};
+    const options = chart.options || config.options || {};
+    const data = chart.data || config.data || {};
+    let type = config.type;
+    let barDir = 'col';
+
+    // v2 的 horizontalBar 和 v3 的 indexAxis: 'y'
+    if (type === 'horizontalBar') {
+      type = 'bar';
+      barDir = 'bar';
+    } else if (type === 'bar' && options.indexAxis === 'y') {
+      barDir = 'bar';
+    }
+
+    if (!ChartExtractor.SUPPORTED_TYPES.includes(type)) return null;
+
+    const datasets = data.datasets || [];
+    if (datasets.length === 0) return null;
+
+    const isPie = type === 'pie' || type === 'doughnut';
+    const series = datasets.map((dataset, index) => ({
+      name: dataset.label || `Series ${index + 1}`,
+      values: (dataset.data || []).map(value => this.toNumber(value?.y ?? value)),
+      color: this.toHexColor(type === 'line' ? dataset.borderColor : dataset.backgroundColor)
+    }));
+
+    const labels = (data.labels || series[0].values.map((_, index) => String(index + 1))).map(String);
+
+    // 分类轴/数值轴（v3: scales.x / scales.y，v2: scales.xAxes[0] / scales.yAxes[0]）
+    const scales = options.scales || {};
+    const xScale = scales.x || scales.xAxes?.[0] || {};
+    const yScale = scales.y || scales.yAxes?.[0] || {};
+    const xTitle = this.getChartJsAxisTitle(xScale);
+    const yTitle = this.getChartJsAxisTitle(yScale);
+    const [catTitle, valTitle] = barDir === 'bar' ? [yTitle, xTitle] : [xTitle, yTitle];
+
+    const title = options.plugins?.title || options.title || {};
+    const legend = options.plugins?.legend || options.legend || {};
+
+    return {
+      type,
+      barDir,
+      title: title.display !== false ? this.toText(title.text) : '',
+      labels,
+      series: isPie ? series.slice(0, 1) : series,
+      pointColors: isPie ? this.toHexColorList(datasets[0].backgroundColor) : [],
+      xTitle: isPie ? '' : catTitle,
+      yTitle: isPie ? '' : valTitle,
+      stacked: !isPie && !!(xScale.stacked || yScale.stacked),
+      showLegend: legend.display !== false,
+      source: 'chartjs'
+    };
+  }
+
+  /**
+   * 读取 Chart.js 坐标轴标题
+   * @param {Object} scale - 坐标轴配置
+   * @returns {string} 标题
+   */
+  getChartJsAxisTitle(scale) {
+    // v3: title.text，v2: scaleLabel.labelString
+    const title = scale.title || scale.scaleLabel;
+    if (!title || title.display === false) return '';
+    return this.toText(title.text ?? title.labelString);
+  }
+
+  /**
+   * 读取 ECharts 实例的 option（getOption() 返回的各组件均为数组）
+   * @param {Object} option - ECharts option
+   * @returns {ChartData|null} 图表数据
+   */
+  fromECharts(option) {
+    if (!option) return null;
+
+    const seriesList = this.toArray(option.series)
+      .filter(series => ['bar', 'line', 'pie'].includes(series.type));
+    if (seriesList.length === 0) return null;
+
+    const palette = this.toArray(option.color).map(color => this.toHexColor(color));
+    const title = this.toText(this.toArray(option.title)[0]?.text);
+    const showLegend = this.toArray(option.legend).some(legend => legend.show !== false);
+
+    // 饼图：取第一个系列，radius 内半径非零时视为环形图
+    const pie = seriesList.find(series => series.type === 'pie');
+    if (pie) {
+      const items = this.toArray(pie.data).map((item, index) => ({
+        name: this.toText(item?.name) || String(index + 1),
+        value: this.toNumber(item?.value ?? item),
+        color: this.toHexColor(item?.itemStyle?.color) || palette[index % palette.length] || null
+      }));
+      const innerRadius = Array.isArray(pie.radius) ? parseFloat(pie.radius[0]) : 0;
+
+      return {
+        type: innerRadius > 0 ? 'doughnut' : 'pie',
+        barDir: 'col',
+        title,
+        labels: items.map(item => item.name),
+        series: [{ name: this.toText(pie.name) || title || 'Series 1', values: items.map(item => item.value), color: null }],
+        pointColors: items.map(item => item.color),
+        xTitle: '',
+        yTitle: '',
+        stacked: false,
+        showLegend,
+        source: 'echarts'
+      };
+    }
+
+    // 柱状图/折线图：category 轴为分类轴，另一轴为数值轴
+    const xAxis = this.toArray(option.xAxis)[0] || {};
+    const yAxis = this.toArray(option.yAxis)[0] || {};
+    const horizontal = yAxis.type === 'category' && xAxis.type !== 'category';
+    const categoryAxis = horizontal ? yAxis : xAxis;
+    const valueAxis = horizontal ? xAxis : yAxis;
+
+    // 混合图表以第一个系列的类型为准
+    const type = seriesList[0].type;
+    const sameType = seriesList.filter(series => series.type === type);
+    const series = sameType.map((item, index) => ({
+      name: this.toText(item.name) || `Series ${index + 1}`,
+      values: this.toArray(item.data).map(value => this.toNumber(value?.value ?? value)),
+      color: this.toHexColor(item.itemStyle?.color || item.lineStyle?.color) ||
+        palette[seriesList.indexOf(item) % palette.length] || null
+    }));
+
+    const labels = categoryAxis.data
+      ? categoryAxis.data.map(label => this.toText(label?.value ?? label))
+      : series[0].values.map((_, index) => String(index + 1));
+
+    return {
+      type,
+      barDir: horizontal ? 'bar' : 'col',
+      title,
+      labels,
+      series,
+      pointColors: [],
+      xTitle: this.toText(categoryAxis.name),
+      yTitle: this.toText(valueAxis.name),
+      stacked: sameType.some(item => item.stack),
+      showLegend,
+      source: 'echarts'
+    };
+  }
+
+  /**
+   * 读取 <table data-chart="bar"> 标记的数据
+   * 第一行为表头（第一格为分类轴标题，其余为系列名），之后每行第一格为分类标签，其余为数值
+   * 可选属性: data-chart-title、data-chart-x-title、data-chart-y-title、
+   * data-chart-colors（逗号分隔）、data-chart-stacked、data-chart-dir（bar 为水平柱状图）
+   * @param {HTMLTableElement} table - 表格元素
+   * @returns {ChartData|null} 图表数据
+   */
+  extractFromTable(table) {
+    const type = (table.getAttribute('data-chart') || '').trim().toLowerCase();
+    if (!ChartExtractor.SUPPORTED_TYPES.includes(type)) {
+      if (type) console.warn(`Unsupported data-chart type: "${type}"`);
+      return null;
+    }
+
+    const rows = Array.from(table.querySelectorAll('tr'))
+      .map(tr => Array.from(tr.querySelectorAll('th, td')).map(cell => cell.textContent.trim()))
+      .filter(cells => cells.length > 1);
+    if (rows.length < 2) return null;
+
+    const [header, ...body] = rows;
+    const isPie = type === 'pie' || type === 'doughnut';
+    const colors = (table.getAttribute('data-chart-colors') || '')
+      .split(/,(?![^(]*\))/)
+      .map(color => this.toHexColor(color.trim()))
+      .filter(Boolean);
+
+    const seriesCount = isPie ? 1 : header.length - 1;
+    const series = [];
+    for (let i = 0; i < seriesCount; i++) {
+      series.push({
+        name: header[i + 1] || `Series ${i + 1}`,
+        values: body.map(cells => this.toNumber(cells[i + 1])),
+        color: isPie ? null : colors[i] || null
+      });
+    }
+
+    return {
+      type,
+      barDir: table.getAttribute('data-chart-dir') === 'bar' ? 'bar' : 'col',
+      title: table.getAttribute('data-chart-title') || table.querySelector('caption')?.textContent.trim() || '',
+      labels: body.map(cells => cells[0]),
+      series,
+      pointColors: isPie ? body.map((_, index) => colors[index] || null) : [],
+      xTitle: isPie ? '' : table.getAttribute('data-chart-x-title') || header[0] || '',
+      yTitle: isPie ? '' : table.getAttribute('data-chart-y-title') || '',
+      stacked: !isPie && table.hasAttribute('data-chart-stacked'),
+      showLegend: isPie || seriesCount > 1,
+      source: 'table'
+    };
+  }
+
+  /**
+   * 转换数值（支持 "1,234"、"45%"、"$12" 等格式）
+   * @param {*} value - 原始值
+   * @returns {number} 数值，无法解析时为 0
+   */
+  toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : 0;
+    if (typeof value !== 'string') return 0;
+
+    const number = parseFloat(value.replace(/[^\d.eE+-]/g, ''));
+    return Number.isFinite(number) ? number : 0;
+  }
+
+  /**
+   * 转换颜色为 6 位 hex（数组取第一个，渐变等对象取不到时返回 null）
+   * @param {string|Array|Object} color - 颜色
+   * @returns {string|null} 6位 hex 颜色值 (无 #)
+   */
+  toHexColor(color) {
+    if (Array.isArray(color)) return this.toHexColor(color[0]);
+    if (typeof color !== 'string') return null;
+
+    const hex = this.styleConverter.convertColor(color.trim());
+    return hex && /^[0-9A-F]{6}$/i.test(hex) ? hex.toUpperCase() : null;
+  }
+
+  /**
+   * 转换颜色列表
+   * @param {string|Array} colors - 颜色或颜色数组
+   * @returns {Array<string|null>} 颜色列表
+   */
+  toHexColorList(colors) {
+    return this.toArray(colors).map(color => this.toHexColor(color));
+  }
+
+  /**
+   * 转换文本（Chart.js 标题可以是多行数组）
+   * @param {string|Array} text - 文本
+   * @returns {string} 文本
+   */
+  toText(text) {
+    if (Array.isArray(text)) return text.join(' ');
+    return text === undefined || text === null ? '' : String(text);
+  }
+
+  /**
+   * 将单个值或数组统一为数组
+   * @param {*} value - 值
+   * @returns {Array} 数组
+   */
+  toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+}
+
+export default ChartExtractor;
@@ -0,0 +1,925 @@
+/**
+ * CSS 颜色解析器
+ * 支持 CSS Color 4/5 的颜色语法：hex、148 个命名颜色、rgb()/hsl()/hwb()、lab()/lch()、oklab()/oklch()、
+ * color()、color-mix()、transparent 和 currentColor。
+ * 超出 sRGB 色域的颜色按 CSS Color 4 的色域映射算法（在 OKLCH 中降低色度）转换为 sRGB
+ */
+
+export class ColorParser {
+  // CSS 命名颜色 -> hex（不含 transparent 和 currentColor）
+  static NAMED_COLORS = {
+    aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4',
+    azure: 'f0ffff', beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000',
+    blanchedalmond: 'ffebcd', blue: '0000ff', blueviolet: '8a2be2', brown: 'a52a2a',
+    burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00', chocolate: 'd2691e',
+    coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+    cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b',
+    darkgray: 'a9a9a9', darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b',
+    darkmagenta: '8b008b', darkolivegreen: '556b2f', darkorange: 'ff8c00', darkorchid: '9932cc',
+    darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f', darkslateblue: '483d8b',
+    darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+    deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+    dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22',
+    fuchsia: 'ff00ff', gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700',
+    goldenrod: 'daa520', gray: '808080', green: '008000', greenyellow: 'adff2f',
+    grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+    indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+    lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6',
+    lightcoral: 'f08080', lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3',
+    lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a',
+    lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+    lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32',
+    linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa',
+    mediumblue: '0000cd', mediumorchid: 'ba55d3', mediumpurple: '9370db', mediumseagreen: '3cb371',
+    mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc', mediumvioletred: 'c71585',
+    midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+    navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000',
+    olivedrab: '6b8e23', orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6',
+    palegoldenrod: 'eee8aa', palegreen: '98fb98', paleturquoise: 'afeeee', palevioletred: 'db7093',
+    papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f', pink: 'ffc0cb',
+    plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+    red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513',
+    salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee',
+    sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd',
+    slategray: '708090', slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f',
+    steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+    tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3',
+    white: 'ffffff', whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+  };
+
+  // color() 支持的 RGB 色彩空间：传递函数和白点
+  static RGB_SPACES = {
+    'srgb': { transfer: 'srgb', white: 'D65' },
+    'srgb-linear': { transfer: 'linear', white: 'D65' },
+    'display-p3': { transfer: 'srgb', white: 'D65' },
+    'a98-rgb': { transfer: 'a98', white: 'D65' },
+    'prophoto-rgb': { transfer: 'prophoto', white: 'D50' },
+    'rec2020': { transfer: 'rec2020', white: 'D65' }
+  };
+
+  // 线性 RGB -> XYZ 矩阵（CSS Color 4 示例代码）
+  static TO_XYZ = {
+    'srgb': [
+      [506752 / 1228815, 87881 / 245763, 12673 / 70218],
+      [87098 / 409605, 175762 / 245763, 12673 / 175545],
+      [7918 / 409605, 87881 / 737289, 1001167 / 1053270]
+    ],
+    'display-p3': [
+      [608311 / 1250200, 189793 / 714400, 198249 / 1000160],
+      [35783 / 156275, 247089 / 357200, 198249 / 2500400],
+      [0, 32229 / 714400, 5220557 / 5000800]
+    ],
+    'a98-rgb': [
+      [573536 / 994567, 263643 / 1420810, 187206 / 994567],
+      [591459 / 1989134, 6239551 / 9945670, 374412 / 4972835],
+      [53769 / 1989134, 351524 / 4972835, 4929758 / 4972835]
+    ],
+    'prophoto-rgb': [
+      [0.7977666449006423, 0.13518129740053308, 0.0313477341283922],
+      [0.2880748288194013, 0.711835234241873, 0.00008993693872564],
+      [0, 0, 0.8251046025104602]
+    ],
+    'rec2020': [
+      [63426534 / 99577255, 20160776 / 139408157, 47086771 / 278816314],
+      [26158966 / 99577255, 472592308 / 697040785, 8267143 / 139408157],
+      [0, 19567812 / 697040785, 295819943 / 278816314]
+    ]
+  };
+
+  // XYZ -> 线性 RGB 矩阵
+  static FROM_XYZ = {
+    'srgb': [
+      [12831 / 3959, -329 / 214, -1974 / 3959],
+      [-851781 / 878810, 1648619 / 878810, 36519 / 878810],
+      [705 / 12673, -2585 / 12673, 705 / 667]
+    ],
+    'display-p3': [
+      [446124 / 178915, -333277 / 357830, -72051 / 178915],
+      [-14852 / 17905, 63121 / 35810, 423 / 17905],
+      [11844 / 330415, -50337 / 660830, 316169 / 330415]
+    ],
+    'a98-rgb': [
+      [1829569 / 896150, -506331 / 896150, -308931 / 896150],
+      [-851781 / 878810, 1648619 / 878810, 36519 / 878810],
+      [16779 / 1248040, -147721 / 1248040, 1266979 / 1248040]
+    ],
+    'prophoto-rgb': [
+      [1.3457868816471583, -0.25557208737979464, -0.05110186497554526],
+      [-0.5446307051249019, 1.5082477428451468, 0.02052744743642139],
+      [0, 0, 1.2119675456389452]
+    ],
+    'rec2020': [
+      [30757411 / 17917100, -6372589 / 17917100, -4539589 / 17917100],
+      [-19765991 / 29648200, 47925759 / 29648200, 467509 / 29648200],
+      [792561 / 44930125, -1921689 / 44930125, 42328811 / 44930125]
+    ]
+  };
+
+  // Bradford 白点转换
+  static D65_TO_D50 = [
+    [1.0479297925449969, 0.022946870601609652, -0.05019226628920524],
+    [0.02962780877005599, 0.9904344267538799, -0.017073799063418826],
+    [-0.009243040646204504, 0.015055191490298152, 0.7518742814281371]
+  ];
+
+  static D50_TO_D65 = [
+    [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+    [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+    [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+  ];
+
+  // OKLab 矩阵（XYZ D65 <-> LMS <-> OKLab）
+  static XYZ_TO_LMS = [
+    [0.819022437996703, 0.3619062600528904, -0.1288737815209879],
+    [0.0329836539323885, 0.9292868615863434, 0.0361446663506424],
+    [0.0481771893596242, 0.2642395317527308, 0.6335478284694309]
+  ];
+
+  static LMS_TO_OKLAB = [
+    [0.210454268309314, 0.7936177747023054, -0.0040720430116193],
+    [1.9779985324311684, -2.42859224204858, 0.450593709617411],
+    [0.0259040424655478, 0.7827717124575296, -0.8086757549788491]
+  ];
+
+  static OKLAB_TO_LMS = [
+    [1, 0.3963377773761749, 0.2158037573099136],
+    [1, -0.1055613458156586, -0.0638541728258133],
+    [1, -0.0894841775298119, -1.2914855480194092]
+  ];
+
+  static LMS_TO_XYZ = [
+    [1.2268798758459243, -0.5578149944602171, 0.2813910456659647],
+    [-0.0405757452148008, 1.112286803280317, -0.0717110580655164],
+    [-0.0763729366746601, -0.4214933324022432, 1.5869240198367816]
+  ];
+
+  // Lab 使用的 D50 白点
+  static D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+  // 颜色函数的分量：数字、百分比、角度或 none
+  static COMPONENT_PATTERN = /^(?:none|[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?(?:%|deg|rad|grad|turn)?)$/;
+
+  // 极坐标色彩空间中色相分量的位置
+  static HUE_INDEX = { hsl: 0, hwb: 0, lch: 2, oklch: 2 };
+
+  /**
+   * 解析 CSS 颜色
+   * @param {string} value - CSS 颜色值
+   * @param {string} currentColor - currentColor 对应的颜色（可选）
+   * @returns {Object|null} {space, coords: [3], alpha}，无法识别时返回 null
+   */
+  parse(value, currentColor = null) {
+    if (typeof value !== 'string') return null;
+
+    const color = value.trim().toLowerCase();
+    if (!color) return null;
+
+    if (color === 'transparent') {
+      return { space: 'srgb', coords: [0, 0, 0], alpha: 0 };
+    }
+    if (color === 'currentcolor') {
+      return currentColor && currentColor.trim().toLowerCase() !== 'currentcolor'
+        ? this.parse(currentColor)
+        : null;
+    }
+    if (color.startsWith('#')) {
+      return this.parseHex(color.slice(1));
+    }
+    if (ColorParser.NAMED_COLORS[color]) {
+      return this.parseHex(ColorParser.NAMED_COLORS[color]);
+    }
+
+    const match = color.match(/^([a-z-]+)\(([\s\S]*)\)$/);
+    if (!match) return null;
+    return this.parseFunction(match[1], match[2].trim(), currentColor);
+  }
+
+  /**
+   * 解析并转换为 sRGB（超出色域时进行色域映射）
+   * @param {string} value - CSS 颜色值
+   * @param {string} currentColor - currentColor 对应的颜色（可选）
+   * @returns {Object|null} {r, g, b, alpha}，r/g/b 为 0-255 整数
+   */
+  toRgb(value, currentColor = null) {
+    const color = this.parse(value, currentColor);
+    if (!color) return null;
+
+    const [r, g, b] = this.toSrgb(color).map(channel => Math.round(channel * 255));
+    return { r, g, b, alpha: color.alpha };
+  }
+
+  /**
+   * 转换为 PPT 使用的 hex 颜色（不含 alpha）
+   * @param {string} value - CSS 颜色值
+   * @param {string} currentColor - currentColor 对应的颜色（可选）
+   * @returns {string|null} 6 位大写 hex（无 #）
+   */
+  toHex(value, currentColor = null) {
+    const rgb = this.toRgb(value, currentColor);
+    return rgb ? this.formatHex(rgb) : null;
+  }
+
+  /**
+   * 转换为 CSS hex 颜色（半透明时带 alpha）
+   * @param {string} value - CSS 颜色值
+   * @param {string} currentColor - currentColor 对应的颜色（可选）
+   * @returns {string|null} #rrggbb 或 #rrggbbaa
+   */
+  toCssHex(value, currentColor = null) {
+    const rgb = this.toRgb(value, currentColor);
+    return rgb ? this.formatCssHex(rgb) : null;
+  }
+
+  /**
+   * 读取颜色的 alpha
+   * @param {string} value - CSS 颜色值
+   * @param {string} currentColor - currentColor 对应的颜色（可选）
+   * @returns {number|null} alpha (0-1)，无法识别时返回 null
+   */
+  getAlpha(value, currentColor = null) {
+    const color = this.parse(value, currentColor);
+    return color ? color.alpha : null;
+  }
+
+  /**
+   * @param {Object} rgb - {r, g, b}
+   * @returns {string} 6 位大写 hex（无 #）
+   */
+  formatHex({ r, g, b }) {
+    return [r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase();
+  }
+
+  /**
+   * @param {Object} rgb - {r, g, b, alpha}
+   * @returns {string} #rrggbb 或 #rrggbbaa
+   */
+  formatCssHex({ r, g, b, alpha }) {
+    const hex = `#${this.formatHex({ r, g, b }).toLowerCase()}`;
+    if (alpha >= 1) return hex;
+    return hex + Math.round(alpha * 255).toString(16).padStart(2, '0');
+  }
+
+  /**
+   * 解析 hex 颜色（3 / 4 / 6 / 8 位）
+   * @param {string} hex - 不含 # 的 hex
+   * @returns {Object|null} sRGB 颜色
+   */
+  parseHex(hex) {
+    if (!/^(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(hex)) return null;
+
+    const full = hex.length <= 4 ? [...hex].map(c => c + c).join('') : hex;
+    const channels = full.match(/../g).map(pair => parseInt(pair, 16) / 255);
+    return {
+      space: 'srgb',
+      coords: channels.slice(0, 3),
+      alpha: channels.length === 4 ? channels[3] : 1
+    };
+  }
+
+  /**
+   * 解析颜色函数
+   * @param {string} name - 函数名
+   * @param {string} body - 括号内的参数
+   * @param {string} currentColor - currentColor 对应的颜色
+   * @returns {Object|null} 颜色
+   */
+  parseFunction(name, body, currentColor) {
+    if (name === 'color-mix') {
+      return this.parseColorMix(body, currentColor);
+    }
+
+    const args = this.parseArguments(body, /^(?:rgba?|hsla?)$/.test(name));
+    if (!args) return null;
+
+    const channels = name === 'color' ? args.components.slice(1) : args.components;
+    if (!channels.every(token => ColorParser.COMPONENT_PATTERN.test(token))) return null;
+
+    if (name === 'color') {
+      const space = args.components[0];
+      if (channels.length !== 3) return null;
+
+      const target = space === 'xyz' ? 'xyz-d65' : space;
+      if (!ColorParser.RGB_SPACES[target] && target !== 'xyz-d65' && target !== 'xyz-d50') return null;
+      return { space: target, coords: channels.map(c => this.parseNumber(c, 1)), alpha: args.alpha };
+    }
+
+    const { components } = args;
+    if (components.length !== 3) return null;
+
+    switch (name) {
+      case 'rgb':
+      case 'rgba': {
+        // 旧式 rgb() 的分量在解析时截断到 0-255
+        const coords = components.map(c => {
+          const value = this.parseNumber(c, 255) / 255;
+          return Number.isNaN(value) ? value : Math.max(0, Math.min(value, 1));
+        });
+        return { space: 'srgb', coords, alpha: args.alpha };
+      }
+      case 'hsl':
+      case 'hsla':
+      case 'hwb': {
+        const coords = [
+          this.parseHue(components[0]),
+          this.parseNumber(components[1], 100),
+          this.parseNumber(components[2], 100)
+        ];
+        return { space: name.slice(0, 3), coords, alpha: args.alpha };
+      }
+      case 'lab':
+        return {
+          space: 'lab',
+          coords: [
+            this.clampLightness(this.parseNumber(components[0], 100), 100),
+            this.parseNumber(components[1], 125),
+            this.parseNumber(components[2], 125)
+          ],
+          alpha: args.alpha
+        };
+      case 'lch':
+        return {
+          space: 'lch',
+          coords: [
+            this.clampLightness(this.parseNumber(components[0], 100), 100),
+            Math.max(0, this.parseNumber(components[1], 150)),
+            this.parseHue(components[2])
+          ],
+          alpha: args.alpha
+        };
+      case 'oklab':
+        return {
+          space: 'oklab',
+          coords: [
+            this.clampLightness(this.parseNumber(components[0], 1), 1),
+            this.parseNumber(components[1], 0.4),
+            this.parseNumber(components[2], 0.4)
+          ],
+          alpha: args.alpha
+        };
+      case 'oklch':
+        return {
+          space: 'oklch',
+          coords: [
+            this.clampLightness(this.parseNumber(components[0], 1), 1),
+            Math.max(0, this.parseNumber(components[1], 0.4)),
+            this.parseHue(components[2])
+          ],
+          alpha: args.alpha
+        };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 拆分函数参数：现代语法以空格分隔并用 "/" 引出 alpha，旧语法以逗号分隔
+   * @param {string} body - 括号内的参数
+   * @param {boolean} allowLegacy - 是否允许逗号语法
+   * @returns {Object|null} {components: Array<string>, alpha}
+   */
+  parseArguments(body, allowLegacy) {
+    let components;
+    let alphaToken;
+
+    if (body.includes(',')) {
+      if (!allowLegacy) return null;
+      components = body.split(',').map(part => part.trim());
+      if (components.length === 4) alphaToken = components.pop();
+    } else {
+      const [main, alpha, extra] = body.split('/');
+      if (extra !== undefined) return null;
+      components = main.trim().split(/\s+/).filter(Boolean);
+      alphaToken = alpha?.trim();
+    }
+
+    const alpha = alphaToken === undefined ? 1 : this.parseNumber(alphaToken, 1);
+    if (Number.isNaN(alpha) && alphaToken !== 'none') return null;
+    return { components, alpha: Number.isNaN(alpha) ? 0 : Math.max(0, Math.min(alpha, 1)) };
+  }
+
+  /**
+   * 解析数值分量，百分比按参考范围换算，none 表示缺失分量
+   * @param {string} token - 分量
+   * @param {number} range - 100% 对应的值
+   * @returns {number} 数值，none 或无法解析时为 NaN
+   */
+  parseNumber(token, range) {
+    if (!token || token === 'none') return NaN;
+    if (!/^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?%?$/.test(token)) return NaN;
+
+    const value = parseFloat(token);
+    return token.endsWith('%') ? value / 100 * range : value;
+  }
+
+  /**
+   * 解析色相（deg / rad / grad / turn 或无单位数字）
+   * @param {string} token - 色相
+   * @returns {number} 角度，none 时为 NaN
+   */
+  parseHue(token) {
+    const match = (token || '').match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|rad|grad|turn)?$/);
+    if (!match) return NaN;
+
+    const value = parseFloat(match[1]);
+    const factor = { rad: 180 / Math.PI, grad: 0.9, turn: 360 }[match[2]] || 1;
+    return value * factor;
+  }
+
+  /**
+   * 限制亮度下限（lab / lch / oklab / oklch 的亮度在解析时截断到 [0, max]）
+   * @param {number} value - 亮度
+   * @param {number} max - 亮度上限
+   * @returns {number} 截断后的亮度（缺失分量保持 NaN）
+   */
+  clampLightness(value, max) {
+    return Number.isNaN(value) ? value : Math.max(0, Math.min(value, max));
+  }
+
+  /**
+   * 解析 color-mix(in <space> [<hue-method> hue], <color> [<p>], <color> [<p>])
+   * @param {string} body - 括号内的参数
+   * @param {string} currentColor - currentColor 对应的颜色
+   * @returns {Object|null} 混合后的颜色
+   */
+  parseColorMix(body, currentColor) {
+    const parts = this.splitTopLevel(body, ',');
+    let space = 'oklab';
+    let hueMethod = 'shorter';
+
+    if (parts.length === 3) {
+      const method = parts.shift().match(/^in\s+([a-z0-9-]+)(?:\s+(shorter|longer|increasing|decreasing)\s+hue)?$/);
+      if (!method) return null;
+      space = method[1] === 'xyz' ? 'xyz-d65' : method[1];
+      hueMethod = method[2] || 'shorter';
+    }
+    if (parts.length !== 2 || !this.isSupportedSpace(space)) return null;
+
+    const items = parts.map(part => {
+      const tokens = this.splitTopLevel(part, ' ');
+      const percentIndex = tokens.findIndex(token => /^[\d.]+%$/.test(token));
+      const percent = percentIndex >= 0 ? parseFloat(tokens.splice(percentIndex, 1)[0]) : null;
+      return { color: this.parse(tokens.join(' '), currentColor), percent };
+    });
+    if (items.some(item => !item.color)) return null;
+
+    // 百分比归一化：缺省时互补，总和不为 100 时按比例缩放，总和小于 100 时作为 alpha 乘数
+    let [p1, p2] = items.map(item => item.percent);
+    if (p1 === null && p2 === null) [p1, p2] = [50, 50];
+    else if (p1 === null) p1 = 100 - p2;
+    else if (p2 === null) p2 = 100 - p1;
+    const sum = p1 + p2;
+    if (sum <= 0) return null;
+
+    return this.mix(items[0].color, items[1].color, p2 / sum, space, hueMethod, Math.min(sum, 100) / 100);
+  }
+
+  /**
+   * 在指定色彩空间中按预乘 alpha 插值两个颜色
+   * @param {Object} color1 - 颜色 1
+   * @param {Object} color2 - 颜色 2
+   * @param {number} amount - 颜色 2 的比例 (0-1)
+   * @param {string} space - 插值色彩空间
+   * @param {string} hueMethod - 色相插值方式
+   * @param {number} alphaMultiplier - alpha 乘数
+   * @returns {Object} 混合后的颜色
+   */
+  mix(color1, color2, amount, space, hueMethod = 'shorter', alphaMultiplier = 1) {
+    const hueIndex = ColorParser.HUE_INDEX[space];
+    const a = this.convert(color1, space);
+    const b = this.convert(color2, space);
+
+    // 缺失分量（如非彩色的色相）取另一个颜色的值
+    for (let i = 0; i < 3; i++) {
+      if (Number.isNaN(a[i])) a[i] = Number.isNaN(b[i]) ? 0 : b[i];
+      if (Number.isNaN(b[i])) b[i] = a[i];
+    }
+    if (hueIndex !== undefined) {
+      [a[hueIndex], b[hueIndex]] = this.fixupHues(a[hueIndex], b[hueIndex], hueMethod);
+    }
+
+    const alpha = color1.alpha * (1 - amount) + color2.alpha * amount;
+    const coords = a.map((value, i) => {
+      if (i === hueIndex) return value * (1 - amount) + b[i] * amount;
+      const mixed = value * color1.alpha * (1 - amount) + b[i] * color2.alpha * amount;
+      return alpha > 0 ? mixed / alpha : 0;
+    });
+
+    return { space, coords, alpha: alpha * alphaMultiplier };
+  }
+
+  /**
+   * 按色相插值方式调整两个色相
+   * @param {number} h1 - 色相 1
+   * @param {number} h2 - 色相 2
+   * @param {string} method - shorter / longer / increasing / decreasing
+   * @returns {Array<number>} 调整后的色相
+   */
+  fixupHues(h1, h2, method) {
+    h1 = this.normalizeHue(h1);
+    h2 = this.normalizeHue(h2);
+    const diff = h2 - h1;
+
+    if (method === 'shorter') {
+      if (diff > 180) h1 += 360;
+      else if (diff < -180) h2 += 360;
+    } else if (method === 'longer') {
+      if (diff > 0 && diff < 180) h1 += 360;
+      else if (diff > -180 && diff <= 0) h2 += 360;
+    } else if (method === 'increasing') {
+      if (diff < 0) h2 += 360;
+    } else if (method === 'decreasing') {
+      if (diff > 0) h1 += 360;
+    }
+    return [h1, h2];
+  }
+
+  /**
+   * @param {string} space - 色彩空间名
+   * @returns {boolean} 是否为支持的色彩空间
+   */
+  isSupportedSpace(space) {
+    return !!ColorParser.RGB_SPACES[space] ||
+      ['xyz-d65', 'xyz-d50', 'lab', 'lch', 'oklab', 'oklch', 'hsl', 'hwb'].includes(space);
+  }
+
+  /**
+   * 转换为 sRGB 分量 (0-1)，超出色域时按 CSS Color 4 算法在 OKLCH 中降低色度
+   * @param {Object} color - 颜色
+   * @returns {Array<number>} [r, g, b]
+   */
+  toSrgb(color) {
+    const srgb = this.convert(color, 'srgb');
+    if (this.inGamut(srgb)) return this.clip(srgb);
+
+    const [lightness, chroma, hue] = this.convert(color, 'oklch');
+    if (lightness >= 1) return [1, 1, 1];
+    if (lightness <= 0) return [0, 0, 0];
+
+    const JND = 0.02;
+    const EPSILON = 0.0001;
+    const toSrgb = c => this.convert({ space: 'oklch', coords: [lightness, c, hue], alpha: 1 }, 'srgb');
+    const deltaE = (clipped, c) => this.deltaEOK(
+      { space: 'srgb', coords: clipped, alpha: 1 },
+      { space: 'oklch', coords: [lightness, c, hue], alpha: 1 }
+    );
+
+    let clipped = this.clip(toSrgb(chroma));
+    if (deltaE(clipped, chroma) < JND) return clipped;
+
+    let min = 0;
+    let max = chroma;
+    let minInGamut = true;
+    while (max - min > EPSILON) {
+      const current = (min + max) / 2;
+      const candidate = toSrgb(current);
+      if (minInGamut && this.inGamut(candidate)) {
+        min = current;
+        continue;
+      }
+
+      clipped = this.clip(candidate);
+      const error = deltaE(clipped, current);
+      if (error < JND) {
+        if (JND - error < EPSILON) return clipped;
+        minInGamut = false;
+        min = current;
+      } else {
+        max = current;
+      }
+    }
+    return clipped;
+  }
+
+  /**
+   * OKLab 中的色差
+   * @param {Object} color1 - 颜色 1
+   * @param {Object} color2 - 颜色 2
+   * @returns {number} ΔE OK
+   */
+  deltaEOK(color1, color2) {
+    const a = this.convert(color1, 'oklab');
+    const b = this.convert(color2, 'oklab');
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+  }
+
+  /**
+   * @param {Array<number>} rgb - sRGB 分量
+   * @returns {boolean} 是否在 sRGB 色域内
+   */
+  inGamut(rgb) {
+    return rgb.every(channel => channel >= -0.0001 && channel <= 1.0001);
+  }
+
+  /**
+   * @param {Array<number>} rgb - sRGB 分量
+   * @returns {Array<number>} 截断到 [0, 1] 的分量
+   */
+  clip(rgb) {
+    return rgb.map(channel => Math.max(0, Math.min(channel, 1)));
+  }
+
+  /**
+   * 将颜色转换到目标色彩空间（以 XYZ D65 为中间空间）
+   * @param {Object} color - 颜色
+   * @param {string} space - 目标色彩空间
+   * @returns {Array<number>} 目标空间的分量（非彩色的色相为 NaN）
+   */
+  convert(color, space) {
+    if (color.space === space) return [...color.coords];
+
+    // hsl / hwb 直接换算到 sRGB，避免经过 XYZ 引入的浮点误差
+    const coords = color.coords.map(c => Number.isNaN(c) ? 0 : c);
+    if (space === 'srgb' && color.space === 'hsl') return this.hslToSrgb(color.coords);
+    if (space === 'srgb' && color.space === 'hwb') return this.hwbToSrgb(coords);
+    return this.fromXyz(space, this.toXyz(color.space, coords));
+  }
+
+  /**
+   * @param {string} space - 色彩空间
+   * @param {Array<number>} coords - 分量
+   * @returns {Array<number>} XYZ D65
+   */
+  toXyz(space, coords) {
+    switch (space) {
+      case 'hsl':
+        return this.toXyz('srgb', this.hslToSrgb(coords));
+      case 'hwb':
+        return this.toXyz('srgb', this.hwbToSrgb(coords));
+      case 'lch':
+        return this.toXyz('lab', this.polarToRect(coords));
+      case 'oklch':
+        return this.toXyz('oklab', this.polarToRect(coords));
+      case 'lab':
+        return this.multiply(ColorParser.D50_TO_D65, this.labToXyzD50(coords));
+      case 'oklab': {
+        const lms = this.multiply(ColorParser.OKLAB_TO_LMS, coords).map(c => c ** 3);
+        return this.multiply(ColorParser.LMS_TO_XYZ, lms);
+      }
+      case 'xyz-d65':
+        return coords;
+      case 'xyz-d50':
+        return this.multiply(ColorParser.D50_TO_D65, coords);
+      default: {
+        const { transfer, white } = ColorParser.RGB_SPACES[space];
+        const linear = coords.map(c => this.toLinear(c, transfer));
+        if (space === 'srgb-linear') return this.multiply(ColorParser.TO_XYZ.srgb, linear);
+
+        const xyz = this.multiply(ColorParser.TO_XYZ[space], linear);
+        return white === 'D50' ? this.multiply(ColorParser.D50_TO_D65, xyz) : xyz;
+      }
+    }
+  }
+
+  /**
+   * @param {string} space - 目标色彩空间
+   * @param {Array<number>} xyz - XYZ D65
+   * @returns {Array<number>} 目标空间的分量
+   */
+  fromXyz(space, xyz) {
+    switch (space) {
+      case 'hsl':
+        return this.srgbToHsl(this.fromXyz('srgb', xyz));
+      case 'hwb':
+        return this.srgbToHwb(this.fromXyz('srgb', xyz));
+      case 'lch':
+        return this.rectToPolar(this.fromXyz('lab', xyz), 0.0015);
+      case 'oklch':
+        return this.rectToPolar(this.fromXyz('oklab', xyz), 0.000004);
+      case 'lab':
+        return this.xyzD50ToLab(this.multiply(ColorParser.D65_TO_D50, xyz));
+      case 'oklab': {
+        const lms = this.multiply(ColorParser.XYZ_TO_LMS, xyz).map(c => Math.cbrt(c));
+        return this.multiply(ColorParser.LMS_TO_OKLAB, lms);
+      }
+      case 'xyz-d65':
+        return xyz;
+      case 'xyz-d50':
+        return this.multiply(ColorParser.D65_TO_D50, xyz);
+      default: {
+        const { transfer, white } = ColorParser.RGB_SPACES[space];
+        const matrix = ColorParser.FROM_XYZ[space === 'srgb-linear' ? 'srgb' : space];
+        const source = white === 'D50' ? this.multiply(ColorParser.D65_TO_D50, xyz) : xyz;
+        return this.multiply(matrix, source).map(c => this.fromLinear(c, transfer));
+      }
+    }
+  }
+
+  /**
+   * 传递函数：编码值 -> 线性值
+   * @param {number} value - 编码值
+   * @param {string} transfer - srgb / linear / a98 / prophoto / rec2020
+   * @returns {number} 线性值
+   */
+  toLinear(value, transfer) {
+    const sign = value < 0 ? -1 : 1;
+    const abs = Math.abs(value);
+
+    switch (transfer) {
+      case 'srgb':
+        return abs <= 0.04045 ? value / 12.92 : sign * ((abs + 0.055) / 1.055) ** 2.4;
+      case 'a98':
+        return sign * abs ** (563 / 256);
+      case 'prophoto':
+        return abs <= 16 / 512 ? value / 16 : sign * abs ** 1.8;
+      case 'rec2020': {
+        const alpha = 1.09929682680944;
+        const beta = 0.018053968510807;
+        return abs < beta * 4.5 ? value / 4.5 : sign * ((abs + alpha - 1) / alpha) ** (1 / 0.45);
+      }
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * 传递函数：线性值 -> 编码值
+   * @param {number} value - 线性值
+   * @param {string} transfer - srgb / linear / a98 / prophoto / rec2020
+   * @returns {number} 编码值
+   */
+  fromLinear(value, transfer) {
+    const sign = value < 0 ? -1 : 1;
+    const abs = Math.abs(value);
+
+    switch (transfer) {
+      case 'srgb':
+        return abs > 0.0031308 ? sign * (1.055 * abs ** (1 / 2.4) - 0.055) : value * 12.92;
+      case 'a98':
+        return sign * abs ** (256 / 563);
+      case 'prophoto':
+        return abs >= 1 / 512 ? sign * abs ** (1 / 1.8) : value * 16;
+      case 'rec2020': {
+        const alpha = 1.09929682680944;
+        const beta = 0.018053968510807;
+        return abs > beta ? sign * (alpha * abs ** 0.45 - (alpha - 1)) : value * 4.5;
+      }
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * @param {Array<number>} lab - [L, a, b]
+   * @returns {Array<number>} XYZ D50
+   */
+  labToXyzD50([lightness, a, b]) {
+    const kappa = 24389 / 27;
+    const epsilon = 216 / 24389;
+    const f1 = (lightness + 16) / 116;
+    const f0 = a / 500 + f1;
+    const f2 = f1 - b / 200;
+
+    const xyz = [
+      f0 ** 3 > epsilon ? f0 ** 3 : (116 * f0 - 16) / kappa,
+      lightness > kappa * epsilon ? f1 ** 3 : lightness / kappa,
+      f2 ** 3 > epsilon ? f2 ** 3 : (116 * f2 - 16) / kappa
+    ];
+    return xyz.map((value, i) => value * ColorParser.D50_WHITE[i]);
+  }
+
+  /**
+   * @param {Array<number>} xyz - XYZ D50
+   * @returns {Array<number>} [L, a, b]
+   */
+  xyzD50ToLab(xyz) {
+    const kappa = 24389 / 27;
+    const epsilon = 216 / 24389;
+    const f = xyz
+      .map((value, i) => value / ColorParser.D50_WHITE[i])
+      .map(value => value > epsilon ? Math.cbrt(value) : (kappa * value + 16) / 116);
+
+    return [116 * f[1] - 16, 500 * (f[0] - f[1]), 200 * (f[1] - f[2])];
+  }
+
+  /**
+   * @param {Array<number>} lch - [L, C, H]
+   * @returns {Array<number>} [L, a, b]
+   */
+  polarToRect([lightness, chroma, hue]) {
+    const radians = (Number.isNaN(hue) ? 0 : hue) * Math.PI / 180;
+    return [lightness, chroma * Math.cos(radians), chroma * Math.sin(radians)];
+  }
+
+  /**
+   * @param {Array<number>} lab - [L, a, b]
+   * @param {number} achromatic - 色度低于该值时色相为缺失分量
+   * @returns {Array<number>} [L, C, H]
+   */
+  rectToPolar([lightness, a, b], achromatic) {
+    const chroma = Math.hypot(a, b);
+    const hue = chroma < achromatic ? NaN : this.normalizeHue(Math.atan2(b, a) * 180 / Math.PI);
+    return [lightness, chroma, hue];
+  }
+
+  /**
+   * @param {Array<number>} hsl - [H, S(0-100), L(0-100)]
+   * @returns {Array<number>} sRGB 分量
+   */
+  hslToSrgb([hue, saturation, lightness]) {
+    const h = this.normalizeHue(Number.isNaN(hue) ? 0 : hue);
+    const s = saturation / 100;
+    const l = lightness / 100;
+    const f = n => {
+      const k = (n + h / 30) % 12;
+      const a = s * Math.min(l, 1 - l);
+      return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    return [f(0), f(8), f(4)];
+  }
+
+  /**
+   * @param {Array<number>} rgb - sRGB 分量
+   * @returns {Array<number>} [H, S(0-100), L(0-100)]，非彩色的色相为 NaN
+   */
+  srgbToHsl([r, g, b]) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const lightness = (max + min) / 2;
+    const delta = max - min;
+    let hue = NaN;
+    let saturation = 0;
+
+    if (delta > 0.00001) {
+      saturation = lightness === 0 || lightness === 1 ? 0 : (max - lightness) / Math.min(lightness, 1 - lightness);
+      if (max === r) hue = (g - b) / delta + (g < b ? 6 : 0);
+      else if (max === g) hue = (b - r) / delta + 2;
+      else hue = (r - g) / delta + 4;
+      hue *= 60;
+    }
+    if (saturation < 0) {
+      saturation = -saturation;
+      hue += 180;
+    }
+    return [Number.isNaN(hue) ? hue : this.normalizeHue(hue), saturation * 100, lightness * 100];
+  }
+
+  /**
+   * @param {Array<number>} hwb - [H, W(0-100), B(0-100)]
+   * @returns {Array<number>} sRGB 分量
+   */
+  hwbToSrgb([hue, whiteness, blackness]) {
+    const w = whiteness / 100;
+    const b = blackness / 100;
+    if (w + b >= 1) {
+      const gray = w / (w + b);
+      return [gray, gray, gray];
+    }
+    return this.hslToSrgb([hue, 100, 50]).map(channel => channel * (1 - w - b) + w);
+  }
+
+  /**
+   * @param {Array<number>} rgb - sRGB 分量
+   * @returns {Array<number>} [H, W(0-100), B(0-100)]
+   */
+  srgbToHwb(rgb) {
+    const [hue] = this.srgbToHsl(rgb);
+    return [hue, Math.min(...rgb) * 100, (1 - Math.max(...rgb)) * 100];
+  }
+
+  /**
+   * @param {number} hue - 角度
+   * @returns {number} 0-360 的角度
+   */
+  normalizeHue(hue) {
+    return ((hue % 360) + 360) % 360;
+  }
+
+  /**
+   * 3x3 矩阵乘以向量
+   * @param {Array<Array<number>>} matrix - 矩阵
+   * @param {Array<number>} vector - 向量
+   * @returns {Array<number>} 结果
+   */
+  multiply(matrix, vector) {
+    return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+  }
+
+  /**
+   * 按顶层分隔符拆分（忽略括号内的分隔符）
+   * @param {string} value - 字符串
+   * @param {string} separator - ',' 或 ' '
+   * @returns {Array<string>} 非空片段
+   */
+  splitTopLevel(value, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of value) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      const isSeparator = separator === ' ' ? /\s/.test(char) : char === separator;
+      if (isSeparator && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current.trim());
+
+    return separator === ' ' ? parts.filter(Boolean) : parts;
+  }
+}
+
+export default ColorParser;
@@ -0,0 +1,157 @@
+/**
+ * 转换报告
+ * 按幻灯片记录被丢弃、近似处理或栅格化的元素及原因，供 UI 日志和 CI 输出
+ */
+
+export class ConversionReport {
+  // 处理结果分类
+  static CATEGORIES = {
+    DROPPED: 'dropped',
+    APPROXIMATED: 'approximated',
+    RASTERIZED: 'rasterized'
+  };
+
+  // 原因代码 -> {分类, 摘要中使用的名称}
+  static REASONS = {
+    BLOB_IMAGE_SKIPPED: { category: 'dropped', label: 'blob image skipped' },
+    BLOB_BACKGROUND_SKIPPED: { category: 'dropped', label: 'blob background skipped' },
+    IMAGE_FAILED: { category: 'dropped', label: 'image failed' },
+    SVG_FAILED: { category: 'dropped', label: 'SVG failed' },
+    ICON_UNRESOLVED: { category: 'dropped', label: 'icon skipped' },
+    CANVAS_TAINTED: { category: 'dropped', label: 'tainted canvas skipped' },
+    CANVAS_FAILED: { category: 'dropped', label: 'canvas failed' },
+    GRADIENT_RASTERIZED: { category: 'rasterized', label: 'gradient rasterized' },
+    GRADIENT_TEXT_RASTERIZED: { category: 'rasterized', label: 'gradient text rasterized' },
+    ICON_RASTERIZED: { category: 'rasterized', label: 'icon rasterized' },
+    SVG_AS_IMAGE: { category: 'rasterized', label: 'SVG as picture' },
+    IMAGE_NOT_EMBEDDED: { category: 'approximated', label: 'image linked by URL' },
+    GRADIENT_APPROXIMATED: { category: 'approximated', label: 'gradient as solid fill' },
+    GRADIENT_TEXT_APPROXIMATED: { category: 'approximated', label: 'gradient text as solid color' },
+    FONT_SUBSTITUTED: { category: 'approximated', label: 'font substituted' },
+    FONT_NOT_EMBEDDED: { category: 'approximated', label: 'font not embedded' },
+    POST_PROCESSING_FAILED: { category: 'approximated', label: 'animations/transitions/gradients lost' }
+  };
+
+  constructor() {
+    this.entries = [];
+    this.slideCount = 0;
+  }
+
+  /**
+   * 记录一个条目
+   * @param {number|null} slideNumber - 幻灯片编号（从 1 开始），整个文稿级别的问题为 null
+   * @param {string} code - 原因代码（ConversionReport.REASONS 的键）
+   * @param {Object} element - 元素数据（可选）
+   * @param {string} detail - 补充说明（可选）
+   */
+  add(slideNumber, code, element = null, detail = '') {
+    const reason = ConversionReport.REASONS[code];
+    if (!reason) {
+      console.warn('Unknown conversion report code:', code);
+      return;
+    }
+
+    this.entries.push({
+      slide: slideNumber || null,
+      code,
+      category: reason.category,
+      element: element ? this.describeElement(element) : null,
+      detail: detail ? String(detail) : ''
+    });
+  }
+
+  /**
+   * 提取用于报告的元素描述（避免保留图片数据等大字段）
+   * @param {Object} element - 元素数据
+   * @returns {Object} {type, tagName, text}
+   */
+  describeElement(element) {
+    const text = (element.text || element.alt || element.iconName || '').trim();
+    return {
+      type: element.type || null,
+      tagName: element.tagName || null,
+      text: text.length > 40 ? `${text.slice(0, 40)}…` : text
+    };
+  }
+
+  /**
+   * 设置幻灯片总数
+   * @param {number} count - 幻灯片数量
+   */
+  setSlideCount(count) {
+    this.slideCount = count;
+  }
+
+  /**
+   * 是否有任何记录
+   * @returns {boolean} 是否有条目
+   */
+  hasEntries() {
+    return this.entries.length > 0;
+  }
+
+  /**
+   * 按分类统计条目数量
+   * @param {Array<Object>} entries - 条目
+   * @returns {Object} {dropped, approximated, rasterized}
+   */
+  countByCategory(entries = this.entries) {
+    const counts = { dropped: 0, approximated: 0, rasterized: 0 };
+    for (const entry of entries) {
+      counts[entry.category]++;
+    }
+    return counts;
+  }
+
+  /**
+   * 按幻灯片汇总
+   * @returns {Array<Object>} [{slide, counts, reasons: {code: count}, entries}]
+   */
+  getSlideSummaries() {
+    const bySlide = new Map();
+
+    for (const entry of this.entries) {
+      if (!bySlide.has(entry.slide)) {
+        bySlide.set(entry.slide, []);
+      }
+      bySlide.get(entry.slide).push(entry);
+    }
+
+    return Array.from(bySlide.entries())
+      .sort(([a], [b]) => (a ?? 0) - (b ?? 0))
+      .map(([slide, entries]) => {
+        const reasons = {};
+        for (const entry of entries) {
+          reasons[entry.code] = (reasons[entry.code] || 0) + 1;
+        }
+        return { slide, counts: this.countByCategory(entries), reasons, entries };
+      });
+  }
+
+  /**
+   * 生成可读的摘要行，如 "slide 7: 2 gradient rasterized, 1 blob image skipped"
+   * @returns {Array<string>} 摘要行
+   */
+  formatLines() {
+    return this.getSlideSummaries().map(({ slide, reasons }) => {
+      const parts = Object.entries(reasons)
+        .map(([code, count]) => `${count} ${ConversionReport.REASONS[code].label}`);
+      return `${slide ? `slide ${slide}` : 'deck'}: ${parts.join(', ')}`;
+    });
+  }
+
+  /**
+   * 转换为可序列化对象
+   * @returns {Object} {slideCount, totals, slides, entries}
+   */
+  toJSON() {
+    return {
+      slideCount: this.slideCount,
+      totals: this.countByCategory(),
+      slides: this.getSlideSummaries().map(({ slide, counts, reasons }) => ({ slide, counts, reasons })),
+      entries: this.entries
+    };
+  }
+}
+
+export default ConversionReport;
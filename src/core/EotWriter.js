@@ -0,0 +1,167 @@
+/**
+ * 嵌入式 OpenType (EOT) 封装
+ * PowerPoint 将嵌入字体保存为 EOT 格式的 .fntdata 部件：EOT 头部（小端序）记录字体名称、PANOSE、
+ * 字重和 Unicode 范围等信息，其后是完整的 TrueType 文件（不做子集化、压缩或异或混淆）
+ */
+
+export class EotWriter {
+  // 带 RootString 字段的 EOT 版本
+  static VERSION = 0x00020001;
+
+  static MAGIC_NUMBER = 0x504C;
+
+  // GDI DEFAULT_CHARSET
+  static DEFAULT_CHARSET = 1;
+
+  // 头部依次写入的名称：字体族、样式、版本、全名
+  static NAME_IDS = [1, 2, 5, 4];
+
+  /**
+   * 将 TrueType 文件封装为 EOT
+   * 缺少 OS/2、head 或 name 表时对应字段写 0 或空字符串
+   * @param {Uint8Array} fontData - TrueType 字体文件
+   * @returns {Uint8Array} EOT 文件
+   */
+  write(fontData) {
+    const tables = this.readTableDirectory(fontData);
+    const os2 = tables.get('OS/2');
+    const head = tables.get('head');
+    const names = this.readNames(fontData, tables.get('name'));
+    const nameBytes = EotWriter.NAME_IDS.map(id => this.encodeUtf16Le(names.get(id) || ''));
+
+    // 固定字段 80 字节，每个名称前有 Padding 和长度，最后是 Padding5 和空的 RootString
+    const headerSize = 80 + nameBytes.reduce((sum, bytes) => sum + 4 + bytes.length, 0) + 4;
+    const eot = new Uint8Array(headerSize + fontData.length);
+    const out = new DataView(eot.buffer);
+    const font = new DataView(fontData.buffer, fontData.byteOffset, fontData.byteLength);
+    const read = (table, offset, size) => this.readUint(font, table, offset, size);
+
+    out.setUint32(0, eot.length, true);
+    out.setUint32(4, fontData.length, true);
+    out.setUint32(8, EotWriter.VERSION, true);
+    out.setUint32(12, 0, true); // Flags：未子集化、未压缩、未混淆
+
+    if (os2 && os2.length >= 42) {
+      eot.set(fontData.subarray(os2.offset + 32, os2.offset + 42), 16); // PANOSE
+    }
+    out.setUint8(26, EotWriter.DEFAULT_CHARSET);
+    out.setUint8(27, read(os2, 62, 2) & 0x0001); // fsSelection 的斜体位
+    out.setUint32(28, read(os2, 4, 2), true); // usWeightClass
+    out.setUint16(32, read(os2, 8, 2), true); // fsType
+    out.setUint16(34, EotWriter.MAGIC_NUMBER, true);
+    for (let i = 0; i < 4; i++) {
+      out.setUint32(36 + i * 4, read(os2, 42 + i * 4, 4), true); // ulUnicodeRange1-4
+    }
+    for (let i = 0; i < 2; i++) {
+      out.setUint32(52 + i * 4, read(os2, 78 + i * 4, 4), true); // ulCodePageRange1-2
+    }
+    out.setUint32(60, read(head, 8, 4), true); // checkSumAdjustment
+    // 64-79：Reserved1-4
+
+    let offset = 80;
+    for (const bytes of nameBytes) {
+      offset += 2; // Padding
+      out.setUint16(offset, bytes.length, true);
+      eot.set(bytes, offset + 2);
+      offset += 2 + bytes.length;
+    }
+    // Padding5 和 RootStringSize 均为 0
+
+    eot.set(fontData, headerSize);
+    return eot;
+  }
+
+  /**
+   * 读取 TrueType 表目录
+   * @param {Uint8Array} data - 字体文件
+   * @returns {Map<string, Object>} 表标签 → {offset, length}（超出文件范围的表被忽略）
+   */
+  readTableDirectory(data) {
+    const tables = new Map();
+    if (data.length < 12) return tables;
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const numTables = view.getUint16(4);
+
+    for (let i = 0; i < numTables; i++) {
+      const record = 12 + i * 16;
+      if (record + 16 > data.length) break;
+
+      const tag = String.fromCharCode(...data.subarray(record, record + 4));
+      const offset = view.getUint32(record + 8);
+      const length = view.getUint32(record + 12);
+      if (offset + length <= data.length) {
+        tables.set(tag, { offset, length });
+      }
+    }
+    return tables;
+  }
+
+  /**
+   * 读取 name 表中的名称，优先使用 Windows 平台的英语（美国）记录
+   * @param {Uint8Array} data - 字体文件
+   * @param {Object} table - name 表 {offset, length}
+   * @returns {Map<number, string>} nameID → 名称
+   */
+  readNames(data, table) {
+    const names = new Map();
+    if (!table || table.length < 6) return names;
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const count = view.getUint16(table.offset + 2);
+    const storage = table.offset + view.getUint16(table.offset + 4);
+    const english = new Set();
+
+    for (let i = 0; i < count; i++) {
+      const record = table.offset + 6 + i * 12;
+      if (record + 12 > table.offset + table.length) break;
+
+      const platformId = view.getUint16(record);
+      const encodingId = view.getUint16(record + 2);
+      const languageId = view.getUint16(record + 4);
+      const nameId = view.getUint16(record + 6);
+      const length = view.getUint16(record + 8);
+      const start = storage + view.getUint16(record + 10);
+
+      // Windows 平台 Unicode 编码（UTF-16BE）
+      if (platformId !== 3 || ![0, 1].includes(encodingId) || start + length > data.length) continue;
+      if (english.has(nameId) || (names.has(nameId) && languageId !== 0x0409)) continue;
+
+      let name = '';
+      for (let j = 0; j + 1 < length; j += 2) {
+        name += String.fromCharCode(view.getUint16(start + j));
+      }
+      names.set(nameId, name);
+      if (languageId === 0x0409) english.add(nameId);
+    }
+    return names;
+  }
+
+  /**
+   * 读取表内的无符号整数（大端序），表不存在或长度不足时返回 0
+   * @param {DataView} view - 字体文件
+   * @param {Object|undefined} table - {offset, length}
+   * @param {number} offset - 表内偏移
+   * @param {number} size - 字节数（2 或 4）
+   * @returns {number} 数值
+   */
+  readUint(view, table, offset, size) {
+    if (!table || offset + size > table.length) return 0;
+    return size === 2 ? view.getUint16(table.offset + offset) : view.getUint32(table.offset + offset);
+  }
+
+  /**
+   * @param {string} text - 文本
+   * @returns {Uint8Array} UTF-16LE 字节
+   */
+  encodeUtf16Le(text) {
+    const bytes = new Uint8Array(text.length * 2);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < text.length; i++) {
+      view.setUint16(i * 2, text.charCodeAt(i), true);
+    }
+    return bytes;
+  }
+}
+
+export default EotWriter;
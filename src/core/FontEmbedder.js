@@ -0,0 +1,350 @@
+/**
+ * 字体嵌入器
+ * 在渲染 iframe 仍然存活时，从 @font-face 规则（含 Google Fonts 等外链样式表）下载字体文件，
+ * 交给 PptxPostProcessor 写入 pptx。PowerPoint 只能嵌入 TrueType 字体，WOFF / WOFF2 / CFF 字体会报告为无法嵌入
+ */
+
+export class FontEmbedder {
+  // 无法嵌入的原因代码 -> 报告中的说明
+  static FAILURE_REASONS = {
+    missing: 'no @font-face source',
+    fetch: 'font file could not be fetched',
+    woff: 'WOFF only (TrueType required)',
+    woff2: 'WOFF2 only (TrueType required)',
+    cff: 'CFF OpenType (TrueType required)',
+    restricted: 'license forbids embedding',
+    unknown: 'unrecognized font format'
+  };
+
+  /**
+   * @param {Object} options - 配置
+   * @param {number} options.timeout - 单个文件的请求超时（毫秒）
+   * @param {number} options.maxFileSize - 单个字体文件的大小上限（字节）
+   */
+  constructor(options = {}) {
+    this.options = {
+      timeout: 10000,
+      maxFileSize: 10 * 1024 * 1024,
+      ...options
+    };
+  }
+
+  /**
+   * 下载文档中指定字体的文件
+   * @param {Document} doc - 渲染后的文档
+   * @param {Array<string>} families - 需要嵌入的字体名（幻灯片中实际使用的字体）
+   * @returns {Promise<Object>} {fonts: [{name, faces: {regular, bold, italic, boldItalic}}], failures: [{name, reason}]}
+   */
+  async embed(doc, families) {
+    const fontFaces = await this.collectFontFaces(doc);
+    const fonts = [];
+    const failures = [];
+
+    for (const name of families) {
+      const faces = fontFaces.filter(face => face.family.toLowerCase() === name.toLowerCase());
+      if (faces.length === 0) {
+        failures.push({ name, reason: FontEmbedder.FAILURE_REASONS.missing });
+        continue;
+      }
+
+      const loaded = {};
+      let reason = 'missing';
+      for (const [slot, face] of Object.entries(this.selectFaces(faces))) {
+        const result = await this.loadFace(face, doc);
+        if (result.data) {
+          loaded[slot] = result.data;
+        } else {
+          reason = result.reason;
+        }
+      }
+
+      if (Object.keys(loaded).length > 0) {
+        fonts.push({ name, faces: loaded });
+      } else {
+        failures.push({ name, reason: FontEmbedder.FAILURE_REASONS[reason] });
+      }
+    }
+
+    return { fonts, failures };
+  }
+
+  /**
+   * 收集文档中的 @font-face 规则（<style>、@import 和 <link rel="stylesheet">）
+   * @param {Document} doc - 渲染后的文档
+   * @returns {Promise<Array<Object>>} 字体规则列表
+   */
+  async collectFontFaces(doc) {
+    const fontFaces = [];
+    const stylesheets = [];
+
+    doc.querySelectorAll('style').forEach(style => {
+      stylesheets.push({ css: style.textContent || '', baseUrl: doc.baseURI });
+    });
+
+    const linkUrls = Array.from(doc.querySelectorAll('link[rel~="stylesheet"][href]'))
+      .map(link => this.resolveUrl(link.getAttribute('href'), doc.baseURI))
+      .filter(Boolean);
+    for (const url of linkUrls) {
+      const css = await this.fetchText(url, doc);
+      if (css) stylesheets.push({ css, baseUrl: url });
+    }
+
+    // @import 只展开一层（Google Fonts 常见写法）
+    for (const { css, baseUrl } of [...stylesheets]) {
+      for (const url of this.parseImports(css, baseUrl)) {
+        const imported = await this.fetchText(url, doc);
+        if (imported) stylesheets.push({ css: imported, baseUrl: url });
+      }
+    }
+
+    for (const { css, baseUrl } of stylesheets) {
+      fontFaces.push(...this.parseFontFaces(css, baseUrl));
+    }
+    return fontFaces;
+  }
+
+  /**
+   * 解析 CSS 中的 @import 地址
+   * @param {string} css - CSS 文本
+   * @param {string} baseUrl - 样式表地址
+   * @returns {Array<string>} 绝对地址
+   */
+  parseImports(css, baseUrl) {
+    const urls = [];
+    const pattern = /@import\s+(?:url\(\s*(['"]?)(.*?)\1\s*\)|(['"])(.*?)\3)/gi;
+    for (const match of this.stripComments(css).matchAll(pattern)) {
+      const url = this.resolveUrl(match[2] || match[4], baseUrl);
+      if (url) urls.push(url);
+    }
+    return urls;
+  }
+
+  /**
+   * 解析 CSS 中的 @font-face 规则
+   * @param {string} css - CSS 文本
+   * @param {string} baseUrl - 用于解析相对地址的基准地址
+   * @returns {Array<Object>} [{family, weight: [min, max], italic, sources: [{url, format}]}]
+   */
+  parseFontFaces(css, baseUrl) {
+    const fontFaces = [];
+
+    for (const [, body] of this.stripComments(css).matchAll(/@font-face\s*\{([^}]*)\}/gi)) {
+      const family = body.match(/font-family\s*:\s*([^;]+)/i)?.[1].trim().replace(/^['"]|['"]$/g, '');
+      // url() 中的 data URI 可能包含分号，需要整体匹配
+      const src = body.match(/(?:^|[;\s])src\s*:\s*((?:url\([^)]*\)|[^;])+)/i)?.[1];
+      if (!family || !src) continue;
+
+      const sources = [];
+      const sourcePattern = /url\(\s*(['"]?)(.*?)\1\s*\)(?:\s*format\(\s*['"]?([^'")]+)['"]?\s*\))?/gi;
+      for (const match of src.matchAll(sourcePattern)) {
+        const url = this.resolveUrl(match[2], baseUrl);
+        if (url) sources.push({ url, format: (match[3] || '').toLowerCase() });
+      }
+      if (sources.length === 0) continue;
+
+      const style = body.match(/font-style\s*:\s*([^;]+)/i)?.[1].trim().toLowerCase() || 'normal';
+      fontFaces.push({
+        family,
+        weight: this.parseWeightRange(body.match(/font-weight\s*:\s*([^;]+)/i)?.[1]),
+        italic: style.startsWith('italic') || style.startsWith('oblique'),
+        sources
+      });
+    }
+
+    return fontFaces;
+  }
+
+  /**
+   * 解析 font-weight 描述符（可变字体为 "100 900" 形式的范围）
+   * @param {string} value - font-weight 值
+   * @returns {Array<number>} [min, max]
+   */
+  parseWeightRange(value) {
+    const keywords = { normal: 400, bold: 700 };
+    const weights = (value || 'normal').trim().split(/\s+/)
+      .map(part => keywords[part.toLowerCase()] ?? parseFloat(part))
+      .filter(weight => !isNaN(weight));
+
+    if (weights.length === 0) return [400, 400];
+    return [Math.min(...weights), Math.max(...weights)];
+  }
+
+  /**
+   * 为 PowerPoint 的四个字形槽位选择最接近的字体规则
+   * 粗体槽位只接受 600 及以上的字重，斜体槽位只接受斜体规则，缺失的槽位由 PowerPoint 模拟
+   * @param {Array<Object>} faces - 同一字体的 @font-face 规则
+   * @returns {Object} {regular?, bold?, italic?, boldItalic?}
+   */
+  selectFaces(faces) {
+    const slots = {
+      regular: { italic: false, target: 400 },
+      bold: { italic: false, target: 700 },
+      italic: { italic: true, target: 400 },
+      boldItalic: { italic: true, target: 700 }
+    };
+    const selected = {};
+
+    for (const [slot, { italic, target }] of Object.entries(slots)) {
+      const candidates = faces.filter(face =>
+        face.italic === italic && (target >= 600 ? face.weight[1] >= 600 : face.weight[0] < 600)
+      );
+      const distance = face => Math.max(face.weight[0] - target, target - face.weight[1], 0);
+      const best = candidates.sort((a, b) => distance(a) - distance(b))[0];
+      if (best) selected[slot] = best;
+    }
+
+    return selected;
+  }
+
+  /**
+   * 下载字体规则中的第一个可嵌入文件（优先 truetype 格式）
+   * @param {Object} face - 字体规则
+   * @param {Document} doc - 渲染后的文档
+   * @returns {Promise<Object>} {data: Uint8Array} 或 {reason}
+   */
+  async loadFace(face, doc) {
+    const rank = source => {
+      if (/truetype|opentype/.test(source.format) || /\.[ot]tf(?:$|[?#])/i.test(source.url)) return 0;
+      return source.format.startsWith('woff') ? 2 : 1;
+    };
+    const sources = [...face.sources].sort((a, b) => rank(a) - rank(b));
+    let reason = 'fetch';
+
+    for (const source of sources) {
+      const data = await this.fetchBytes(source.url, doc);
+      if (!data) continue;
+
+      reason = this.getFontFormat(data);
+      if (reason === 'truetype') {
+        if (this.isEmbeddingRestricted(data)) return { reason: 'restricted' };
+        return { data };
+      }
+    }
+
+    return { reason };
+  }
+
+  /**
+   * 根据文件头识别字体格式
+   * @param {Uint8Array} data - 字体文件
+   * @returns {string} truetype / cff / woff / woff2 / unknown
+   */
+  getFontFormat(data) {
+    if (data.length < 12) return 'unknown';
+
+    const tag = String.fromCharCode(data[0], data[1], data[2], data[3]);
+    if (tag === '\0\u0001\0\0' || tag === 'true') return 'truetype';
+    if (tag === 'OTTO') return 'cff';
+    if (tag === 'wOFF') return 'woff';
+    if (tag === 'wOF2') return 'woff2';
+    return 'unknown';
+  }
+
+  /**
+   * 检查 OS/2 表的 fsType 是否禁止嵌入（Restricted License embedding）
+   * @param {Uint8Array} data - TrueType 字体文件
+   * @returns {boolean} 是否禁止嵌入
+   */
+  isEmbeddingRestricted(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const numTables = view.getUint16(4);
+
+    for (let i = 0; i < numTables; i++) {
+      const record = 12 + i * 16;
+      if (record + 16 > data.length) break;
+
+      const tag = String.fromCharCode(...data.subarray(record, record + 4));
+      if (tag === 'OS/2') {
+        const offset = view.getUint32(record + 8);
+        if (offset + 10 > data.length) return false;
+        return (view.getUint16(offset + 8) & 0x000F) === 0x0002;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 下载文本（样式表）
+   * @param {string} url - 绝对地址
+   * @param {Document} doc - 渲染后的文档
+   * @returns {Promise<string|null>} 文本内容，失败时返回 null
+   */
+  async fetchText(url, doc) {
+    return this.request(url, doc, response => response.text());
+  }
+
+  /**
+   * 下载二进制文件（字体）
+   * @param {string} url - 绝对地址或 data URI
+   * @param {Document} doc - 渲染后的文档
+   * @returns {Promise<Uint8Array|null>} 文件内容，失败或超过大小上限时返回 null
+   */
+  async fetchBytes(url, doc) {
+    const buffer = await this.request(url, doc, response => response.arrayBuffer());
+    if (!buffer) return null;
+
+    if (buffer.byteLength > this.options.maxFileSize) {
+      console.warn('Font file too large to embed:', url.substring(0, 80));
+      return null;
+    }
+    return new Uint8Array(buffer);
+  }
+
+  /**
+   * 带超时的 fetch（跨域且无 CORS 头时失败）
+   * 超时包括读取响应体：下载停滞或连接中断时放弃该文件，而不是让整个转换挂起或失败
+   * @param {string} url - 地址
+   * @param {Document} doc - 渲染后的文档
+   * @param {Function} read - 读取响应体，如 response => response.text()
+   * @returns {Promise<*>} 响应体，失败或超时时返回 null
+   */
+  async request(url, doc, read) {
+    const win = doc.defaultView || window;
+    if (typeof win.fetch !== 'function') return null;
+
+    const controller = new win.AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeout);
+    // 并非所有实现都会在 abort 时中断已开始的响应体读取
+    const deadline = new Promise((_, reject) => {
+      controller.signal.addEventListener('abort', () => reject(new Error(`timed out after ${this.options.timeout}ms`)));
+    });
+
+    try {
+      const response = await Promise.race([win.fetch(url, { signal: controller.signal }), deadline]);
+      return response.ok ? await Promise.race([read(response), deadline]) : null;
+    } catch (error) {
+      console.warn('Failed to fetch font resource:', url.substring(0, 80), error.message || error);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 将相对地址解析为绝对地址
+   * @param {string} url - 原始地址
+   * @param {string} baseUrl - 基准地址
+   * @returns {string|null} 绝对地址
+   */
+  resolveUrl(url, baseUrl) {
+    if (!url) return null;
+    if (url.startsWith('data:')) return url;
+
+    try {
+      return new URL(url, baseUrl).href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 去除 CSS 注释
+   * @param {string} css - CSS 文本
+   * @returns {string} 去除注释后的文本
+   */
+  stripComments(css) {
+    return css.replace(/\/\*[\s\S]*?\*\//g, '');
+  }
+}
+
+export default FontEmbedder;
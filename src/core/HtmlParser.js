@@ -3,8 +3,17 @@
  * 负责解析 HTML 内容并识别幻灯片结构
  */
 
+import { ChartExtractor } from './ChartExtractor.js';
+import { ColorParser } from './ColorParser.js';
+
 export class HtmlParser {
-  constructor() {
+  /**
+   * @param {Object} options - 解析选项
+   * @param {Array<string>} options.notesSelectors - 演讲者备注元素选择器
+   * @param {string} options.notesAttribute - 存放备注文本的属性名
+   * @param {boolean} options.skipOffSlide - 是否跳过完全位于幻灯片之外的元素（默认 true）
+   */
+  constructor(options = {}) {
     // 常见的幻灯片容器选择器
     this.slideSelectors = [
       'section',
@@ -14,6 +23,42 @@ export class HtmlParser {
       '.swiper-slide',
       '.carousel-item'
     ];
+
+    // 行内格式标签（段落中的这些子元素会合并为同一文本框的多个文本片段）
+    this.inlineTags = [
+      'strong', 'b', 'em', 'i', 'span', 'a', 'code', 'br', 'u', 's', 'del', 'ins',
+      'mark', 'small', 'sub', 'sup', 'kbd', 'abbr', 'cite', 'q', 'time', 'var', 'samp'
+    ];
+
+    // 演讲者备注：reveal.js 的 <aside class="notes">、data-notes 属性以及 <!-- notes: ... --> 注释
+    this.notesSelectors = options.notesSelectors || ['aside.notes', '.speaker-notes'];
+    this.notesAttribute = options.notesAttribute || 'data-notes';
+    this.notesCommentPattern = /^\s*(?:speaker\s*)?notes?\s*[:：]|^\s*备注\s*[:：]/i;
+
+    // 元素数据 -> 来源 DOM 元素（渲染阶段的后续处理需要访问原始元素）
+    this.domElements = new WeakMap();
+
+    // <table data-chart="..."> 标记的数据表格转换为原生图表
+    this.chartExtractor = new ChartExtractor();
+
+    // 计算样式中的 oklch()、color-mix() 等颜色统一转换为 hex
+    this.colorParser = new ColorParser();
+
+    // 当前解析的幻灯片根元素、可见区域以及因不可见或位于幻灯片之外而跳过的元素
+    // offCanvas 策略为 keep / notes 时保留幻灯片外的元素，由 PptGenerator 处理
+    this.skipOffSlide = options.skipOffSlide ?? true;
+    this.slideRoot = null;
+    this.slideBounds = null;
+    this.skippedElements = [];
+  }
+
+  /**
+   * 获取元素数据对应的 DOM 元素
+   * @param {ElementData|SlideData} data - 解析得到的数据
+   * @returns {Element|null} DOM 元素
+   */
+  getDomElement(data) {
+    return this.domElements.get(data) || null;
   }
 
   /**
@@ -69,13 +114,29 @@ export class HtmlParser {
       index,
       title: this.extractTitle(element),
       elements: [],
+      anchorId: element.id || null,
       background: this.extractBackground(element),
+      transition: this.extractTransition(element),
+      notes: this.extractNotes(element),
       styles: this.extractComputedStyles(element)
     };
 
+    this.domElements.set(slideData, element);
+
+    this.slideRoot = element;
+    this.slideBounds = this.getSlideBounds(element);
+    this.skippedElements = [];
+
     // 递归提取所有子元素
     this.extractElements(element, slideData.elements);
 
+    if (this.skippedElements.length > 0) {
+      const list = this.skippedElements.map(({ selector, reason }) => `${selector} (${reason})`).join(', ');
+      console.log(`[DEBUG] 幻灯片 ${index + 1} 跳过 ${this.skippedElements.length} 个元素: ${list}`);
+    }
+    this.slideRoot = null;
+    this.slideBounds = null;
+
     return slideData;
   }
 
@@ -100,6 +161,111 @@ export class HtmlParser {
     return `Slide ${element.dataset?.slideIndex || ''}`.trim();
   }
 
+  /**
+   * 提取幻灯片切换效果
+   * 支持 reveal.js 的 data-transition / data-transition-speed 以及 transition-xxx 类名
+   * @param {Element} element - 幻灯片元素
+   * @returns {Object|null} 切换数据 {name, speed}
+   */
+  extractTransition(element) {
+    const speed = element.getAttribute('data-transition-speed') || undefined;
+
+    const attr = element.getAttribute('data-transition');
+    if (attr && attr.trim()) {
+      // reveal.js 允许 "fade-in slide-out" 形式，取入场效果
+      return { name: attr.trim().split(/\s+/)[0].replace(/-in$/, ''), speed };
+    }
+
+    const className = typeof element.className === 'string' ? element.className : '';
+    const match = className.match(/(?:^|\s)(?:transition|effect)-([a-z]+)(?=\s|$)/) ||
+      className.match(/(?:^|\s)([a-z]+)-transition(?=\s|$)/);
+    if (match) {
+      return { name: match[1], speed };
+    }
+
+    return null;
+  }
+
+  /**
+   * 提取演讲者备注
+   * @param {Element} element - 幻灯片元素
+   * @returns {string} 备注文本，没有备注时返回空字符串
+   */
+  extractNotes(element) {
+    const notes = [];
+
+    if (element.hasAttribute && element.hasAttribute(this.notesAttribute)) {
+      notes.push(element.getAttribute(this.notesAttribute));
+    }
+
+    for (const child of element.querySelectorAll(`[${this.notesAttribute}]`)) {
+      notes.push(child.getAttribute(this.notesAttribute));
+    }
+
+    for (const notesElement of element.querySelectorAll(this.notesSelectors.join(','))) {
+      notes.push(this.getNotesText(notesElement));
+    }
+
+    // <!-- notes: ... --> 形式的注释
+    const doc = element.ownerDocument || document;
+    const walker = doc.createTreeWalker(element, NodeFilter.SHOW_COMMENT);
+    while (walker.nextNode()) {
+      const comment = walker.currentNode.textContent;
+      if (this.notesCommentPattern.test(comment)) {
+        notes.push(comment.replace(this.notesCommentPattern, ''));
+      }
+    }
+
+    return notes
+      .map(note => (note || '').trim())
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  /**
+   * 检测元素是否为演讲者备注（备注不输出到幻灯片中）
+   * @param {Element} element - DOM 元素
+   * @returns {boolean} 是否为备注元素
+   */
+  isNotesElement(element) {
+    return this.notesSelectors.some(selector => element.matches && element.matches(selector));
+  }
+
+  /**
+   * 读取备注元素文本，保留段落和换行
+   * @param {Element} element - 备注元素
+   * @returns {string} 备注文本
+   */
+  getNotesText(element) {
+    const blockTags = ['p', 'div', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre'];
+    let text = '';
+
+    const walk = (node) => {
+      for (const child of node.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          text += child.textContent.replace(/\s+/g, ' ');
+        } else if (child.nodeType === Node.ELEMENT_NODE) {
+          const tagName = child.tagName.toLowerCase();
+          if (tagName === 'br') {
+            text += '\n';
+            continue;
+          }
+          const isBlock = blockTags.includes(tagName);
+          if (isBlock) text += '\n';
+          walk(child);
+          if (isBlock) text += '\n';
+        }
+      }
+    };
+    walk(element);
+
+    return text
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
   /**
    * 提取背景样式
    * @param {Element} element - 元素
@@ -123,29 +289,20 @@ export class HtmlParser {
 
   /**
    * 解析渐变
+   * repeating-* 渐变无法用原生渐变表达，返回 null（幻灯片背景退回背景色）
    * @param {string} value - CSS 渐变值
    * @returns {GradientData|null} 渐变数据
    */
   parseGradient(value) {
     if (!value || !value.includes('gradient')) return null;
 
-    const linearMatch = value.match(/linear-gradient\((.*)\)/);
-    if (linearMatch) {
-      return {
-        type: 'linear',
-        value: linearMatch[1]
-      };
-    }
-
-    const radialMatch = value.match(/radial-gradient\((.*)\)/);
-    if (radialMatch) {
-      return {
-        type: 'radial',
-        value: radialMatch[1]
-      };
-    }
+    const match = value.match(/(repeating-)?(linear|radial)-gradient\((.*)\)/);
+    if (!match || match[1]) return null;
 
-    return null;
+    return {
+      type: match[2],
+      value: match[3]
+    };
   }
 
   /**
@@ -158,6 +315,20 @@ export class HtmlParser {
     const children = parent.children;
 
     for (const child of children) {
+      // 演讲者备注写入备注页，不作为幻灯片内容输出
+      if (this.isNotesElement(child)) continue;
+
+      // 隐藏的标签页、弹窗、非活动轮播项以及完全位于幻灯片之外的元素
+      const skipReason = this.getSkipReason(child);
+      if (skipReason) {
+        this.recordSkippedElement(child, skipReason);
+        // visibility: hidden 的子元素可以重新设为 visible，继续提取子元素
+        if (skipReason === 'visibility: hidden') {
+          this.extractElements(child, elementsArray, depth);
+        }
+        continue;
+      }
+
       const elementData = this.parseElement(child, depth);
       if (elementData) {
         elementsArray.push(elementData);
@@ -165,6 +336,128 @@ export class HtmlParser {
     }
   }
 
+  /**
+   * 获取元素需要跳过的原因
+   * @param {Element} element - DOM 元素
+   * @returns {string|null} 跳过原因，需要提取时返回 null
+   */
+  getSkipReason(element) {
+    return this.getHiddenReason(element) ||
+      (this.skipOffSlide && this.isOutsideSlide(element) ? 'outside slide' : null);
+  }
+
+  /**
+   * 记录跳过的元素，解析完幻灯片后输出到调试日志
+   * @param {Element} element - DOM 元素
+   * @param {string} reason - 跳过原因
+   */
+  recordSkippedElement(element, reason) {
+    this.skippedElements.push({ selector: this.describeElement(element), reason });
+  }
+
+  /**
+   * 检查元素的实际可见性：display、opacity 和 hidden 属性沿祖先链向上检查到幻灯片根元素
+   * （幻灯片本身可能是 display: none 的非活动页，不参与判断）
+   * @param {Element} element - DOM 元素
+   * @returns {string|null} 不可见的原因，可见时返回 null
+   */
+  getHiddenReason(element) {
+    for (let node = element; node && node !== this.slideRoot && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+      const reason = this.getOwnHiddenReason(node, node === element);
+      if (reason) return reason;
+    }
+    return null;
+  }
+
+  /**
+   * 检查单个元素自身的样式和属性
+   * visibility 是继承属性，子元素可以重新设为 visible，因此只检查目标元素本身的计算值
+   * @param {Element} node - DOM 元素
+   * @param {boolean} isTarget - 是否为被检查的目标元素（而非祖先）
+   * @returns {string|null} 不可见的原因
+   */
+  getOwnHiddenReason(node, isTarget) {
+    if (node.hasAttribute('hidden')) return 'hidden attribute';
+    if (node.getAttribute('aria-hidden') === 'true' && this.isHiddenContent(node)) return 'aria-hidden';
+    if (!window.getComputedStyle) return null;
+
+    const style = window.getComputedStyle(node);
+    if (style.display === 'none') return 'display: none';
+    if (isTarget && (style.visibility === 'hidden' || style.visibility === 'collapse')) return 'visibility: hidden';
+    if (style.opacity !== '' && parseFloat(style.opacity) === 0) return 'opacity: 0';
+    return null;
+  }
+
+  /**
+   * aria-hidden 的元素是否为需要跳过的内容
+   * 图标、图片和无文字的装饰图形只是对读屏软件隐藏，页面上仍然可见；
+   * 带文字的 aria-hidden 元素通常是非活动面板、轮播副本或重复的装饰文字
+   * @param {Element} element - 带 aria-hidden="true" 的元素
+   * @returns {boolean} 是否跳过
+   */
+  isHiddenContent(element) {
+    const tagName = element.tagName.toLowerCase();
+    if (['img', 'svg', 'canvas', 'picture'].includes(tagName) || this.isIconElement(element)) {
+      return false;
+    }
+    return element.textContent.trim() !== '';
+  }
+
+  /**
+   * 计算幻灯片的可见区域（视口坐标）
+   * 以 body 作为幻灯片时使用整个文档的滚动区域；未渲染或尺寸为 0 时返回 null，不做位置过滤
+   * @param {Element} element - 幻灯片根元素
+   * @returns {Object|null} {left, top, right, bottom}
+   */
+  getSlideBounds(element) {
+    if (!element.getBoundingClientRect) return null;
+
+    const doc = element.ownerDocument;
+    if (doc && (element === doc.body || element === doc.documentElement)) {
+      const root = doc.documentElement;
+      const width = Math.max(root.scrollWidth, doc.body ? doc.body.scrollWidth : 0);
+      const height = Math.max(root.scrollHeight, doc.body ? doc.body.scrollHeight : 0);
+      const rootRect = root.getBoundingClientRect();
+      return width > 0 && height > 0
+        ? { left: rootRect.left, top: rootRect.top, right: rootRect.left + width, bottom: rootRect.top + height }
+        : null;
+    }
+
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0
+      ? { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom }
+      : null;
+  }
+
+  /**
+   * 元素是否完全位于幻灯片之外（屏幕外的菜单、滑出的轮播项等）
+   * 只判断有实际尺寸的元素：高度或宽度为 0 的包装元素，其子元素仍可能溢出到幻灯片内
+   * @param {Element} element - DOM 元素
+   * @returns {boolean} 是否与幻灯片没有交集
+   */
+  isOutsideSlide(element) {
+    if (!this.slideBounds || !element.getBoundingClientRect) return false;
+
+    const rect = element.getBoundingClientRect();
+    if (!(rect.width > 0 && rect.height > 0)) return false;
+
+    const bounds = this.slideBounds;
+    return rect.right <= bounds.left || rect.left >= bounds.right ||
+      rect.bottom <= bounds.top || rect.top >= bounds.bottom;
+  }
+
+  /**
+   * 生成用于调试输出的元素描述，如 div#modal.dialog
+   * @param {Element} element - DOM 元素
+   * @returns {string} 元素描述
+   */
+  describeElement(element) {
+    const id = element.id ? `#${element.id}` : '';
+    const className = typeof element.className === 'string' ? element.className.trim() : '';
+    const classes = className ? `.${className.split(/\s+/).slice(0, 2).join('.')}` : '';
+    return `${element.tagName.toLowerCase()}${id}${classes}`;
+  }
+
   /**
    * 解析单个元素
    * @param {Element} element - DOM 元素
@@ -204,8 +497,17 @@ export class HtmlParser {
       };
     }
 
+    // 旋转或翻转的元素：包围盒大于元素本身，PPT 需要未变换的尺寸，并以包围盒中心定位
+    const transform = rect.width > 0 || rect.height > 0 ? this.getElementTransform(element) : null;
+    if (transform) {
+      rect = this.getUntransformedRect(element, rect, transform);
+    }
+
+    // 包含行内格式（strong、em、a 等）时构建富文本片段，否则只读取直接文本
+    const runs = this.hasInlineFormatting(element) ? this.extractTextRuns(element) : null;
+    const text = runs ? this.getRunsText(runs) : this.getTextContent(element);
+
     // 对于文本元素，根据文本内容估算宽度
-    const text = this.getTextContent(element);
     if (text && rect.width === 0) {
       const style = window.getComputedStyle ?
         window.getComputedStyle(element) : element.style;
@@ -236,6 +538,21 @@ export class HtmlParser {
       children: [],
       depth
     };
+    this.domElements.set(elementData, element);
+
+    if (transform) {
+      elementData.transform = { rotate: transform.rotate, flipH: transform.flipH, flipV: transform.flipV };
+    }
+
+    if (runs && runs.length > 0) {
+      elementData.runs = runs;
+    }
+
+    // 链接本身及链接内的元素（如 <a><img></a>）都记录链接地址
+    const link = element.closest ? element.closest('a[href]') : null;
+    if (link) {
+      elementData.href = this.getLinkHref(link);
+    }
 
     // 特殊处理不同类型的元素
     if (tagName === 'img') {
@@ -248,10 +565,15 @@ export class HtmlParser {
       const imgStyle = window.getComputedStyle ? window.getComputedStyle(element) : element.style;
       elementData.objectFit = imgStyle.objectFit || 'fill';
       elementData.objectPosition = imgStyle.objectPosition || 'center center';
-    } else if (tagName === 'a') {
-      elementData.href = element.href;
     } else if (tagName === 'table') {
-      elementData.tableData = this.parseTable(element);
+      // 带 data-chart 属性的表格生成原生图表，数据无法识别时仍作为普通表格
+      const chartData = element.hasAttribute('data-chart') ? this.chartExtractor.extractFromTable(element) : null;
+      if (chartData) {
+        elementData.type = 'chart';
+        elementData.chartData = chartData;
+      } else {
+        elementData.tableData = this.parseTable(element);
+      }
     } else if (tagName === 'ul' || tagName === 'ol') {
       elementData.listData = this.parseList(element);
     } else if (tagName === 'svg') {
@@ -284,14 +606,218 @@ export class HtmlParser {
       elementData.text = '';
     }
 
+    // 在渲染文档中实测文本的行数和尺寸（旋转后的行矩形无法按行分组，不测量）
+    const textMetrics = elementData.text && !transform &&
+      !['icon', 'image', 'table', 'list', 'shape', 'svg', 'canvas', 'chart'].includes(elementData.type) &&
+      (elementData.type !== 'container' || runs)
+      ? this.measureText(element, !!runs)
+      : null;
+    if (textMetrics) {
+      elementData.textMetrics = textMetrics;
+    }
+
     // 递归处理子元素
-    if (element.children.length > 0 && !['table', 'ul', 'ol'].includes(tagName)) {
-      this.extractElements(element, elementData.children, depth + 1);
+    if (runs) {
+      // 行内文本已合并到 runs 中，只保留图标子元素
+      for (const child of element.children) {
+        if (!this.isIconElement(child)) continue;
+
+        const skipReason = this.getSkipReason(child);
+        if (skipReason) {
+          this.recordSkippedElement(child, skipReason);
+        } else {
+          elementData.children.push(this.parseElement(child, depth + 1));
+        }
+      }
+    } else if (!['table', 'ul', 'ol'].includes(tagName)) {
+      if (element.children.length > 0) {
+        this.extractElements(element, elementData.children, depth + 1);
+      }
+      this.recordTextPlacement(element, elementData);
     }
 
     return elementData;
   }
 
+  /**
+   * 记录直接文本节点相对于子元素的位置（保留原始空白），供 TextOwnership 按文档顺序合并行内文字：
+   * 子元素的 textBefore 为它与前一个子元素之间的文本，元素的 textAfter 为最后一个子元素之后的文本
+   * @param {Element} element - DOM 元素
+   * @param {ElementData} elementData - 已提取子元素的元素数据
+   */
+  recordTextPlacement(element, elementData) {
+    const childData = new Map(elementData.children.map(data => [this.domElements.get(data), data]));
+    let pending = '';
+
+    for (const node of element.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        pending += node.textContent;
+      } else if (childData.has(node)) {
+        if (pending) childData.get(node).textBefore = pending;
+        pending = '';
+      }
+    }
+
+    elementData.textAfter = pending;
+  }
+
+  /**
+   * 计算元素及其祖先 transform 的累积线性部分，分解为旋转、翻转和缩放
+   * 平移和 transform-origin 只影响位置，而位置由包围盒中心确定，因此忽略
+   * @param {Element} element - DOM 元素
+   * @returns {Object|null} {rotate, flipH, flipV, scaleX, scaleY}，没有旋转或翻转时返回 null
+   */
+  getElementTransform(element) {
+    if (!window.getComputedStyle) return null;
+
+    let matrix = [1, 0, 0, 1];
+    for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+      const own = this.parseTransformMatrix(window.getComputedStyle(node).transform);
+      if (own) {
+        matrix = this.multiplyMatrix(own, matrix);
+      }
+    }
+
+    return this.decomposeMatrix(matrix);
+  }
+
+  /**
+   * 解析计算后的 transform 值的线性部分
+   * @param {string} value - matrix(a, b, c, d, e, f)、matrix3d(...) 或 none
+   * @returns {Array<number>|null} [a, b, c, d]
+   */
+  parseTransformMatrix(value) {
+    const match = value && value.match(/^matrix(3d)?\(([^)]+)\)/);
+    if (!match) return null;
+
+    const values = match[2].split(',').map(parseFloat);
+    // matrix3d 按列存储，取 x/y 平面的 2×2 部分
+    const linear = match[1] ? [values[0], values[1], values[4], values[5]] : values.slice(0, 4);
+    return linear.some(isNaN) ? null : linear;
+  }
+
+  /**
+   * 2×2 矩阵乘法（parent × child）
+   * @param {Array<number>} parent - [a, b, c, d]
+   * @param {Array<number>} child - [a, b, c, d]
+   * @returns {Array<number>} [a, b, c, d]
+   */
+  multiplyMatrix(parent, child) {
+    const [pa, pb, pc, pd] = parent;
+    const [ca, cb, cc, cd] = child;
+    return [
+      pa * ca + pc * cb,
+      pb * ca + pd * cb,
+      pa * cc + pc * cd,
+      pb * cc + pd * cd
+    ];
+  }
+
+  /**
+   * 将线性变换分解为 旋转 × 缩放（含翻转），斜切无法表达，按最接近的旋转近似
+   * PPT 先翻转再绕中心旋转，与分解顺序一致
+   * @param {Array<number>} matrix - [a, b, c, d]
+   * @returns {Object|null} {rotate (0-360 度，顺时针), flipH, flipV, scaleX, scaleY}，没有旋转或翻转时返回 null
+   */
+  decomposeMatrix([a, b, c, d]) {
+    const scaleX = Math.hypot(a, b);
+    if (scaleX < 1e-6) return null;
+
+    const scaleY = (a * d - b * c) / scaleX;
+    let rotate = Math.atan2(b, a) * 180 / Math.PI;
+    let flipH = false;
+    let flipV = false;
+
+    if (scaleY < 0) {
+      // 旋转 θ + 垂直翻转 等价于 旋转 θ+180 + 水平翻转，取旋转角较小的表示
+      if (Math.abs(rotate) > 90) {
+        rotate += 180;
+        flipH = true;
+      } else {
+        flipV = true;
+      }
+    }
+
+    rotate = ((Math.round(rotate * 100) / 100) % 360 + 360) % 360;
+    if (Math.min(rotate, 360 - rotate) < 0.05) {
+      rotate = 0;
+    }
+    if (rotate === 0 && !flipH && !flipV) return null;
+
+    return { rotate, flipH, flipV, scaleX, scaleY: Math.abs(scaleY) };
+  }
+
+  /**
+   * 计算变换前的元素矩形：布局尺寸乘以累积缩放，中心与包围盒中心重合
+   * @param {Element} element - DOM 元素
+   * @param {Object} rect - 包围盒 {x, y, width, height}
+   * @param {Object} transform - getElementTransform 的结果
+   * @returns {Object} {x, y, width, height}
+   */
+  getUntransformedRect(element, rect, transform) {
+    const style = window.getComputedStyle(element);
+    // SVG 元素没有 offsetWidth，使用计算后的尺寸
+    const layoutWidth = element.offsetWidth ?? parseFloat(style.width);
+    const layoutHeight = element.offsetHeight ?? parseFloat(style.height);
+    if (!(layoutWidth > 0) || !(layoutHeight > 0)) return rect;
+
+    const width = layoutWidth * transform.scaleX;
+    const height = layoutHeight * transform.scaleY;
+    return {
+      x: rect.x + (rect.width - width) / 2,
+      y: rect.y + (rect.height - height) / 2,
+      width,
+      height
+    };
+  }
+
+  /**
+   * 使用 Range 测量文本实际排版结果
+   * @param {Element} element - DOM 元素
+   * @param {boolean} includeInline - 是否包含行内子元素（富文本），否则只测量直接文本节点
+   * @returns {Object|null} {lineCount, width, height, insets: {top, right, bottom, left}}（像素），无法测量时返回 null
+   */
+  measureText(element, includeInline) {
+    const doc = element.ownerDocument;
+    if (!doc || typeof doc.createRange !== 'function') return null;
+
+    const targets = includeInline
+      ? [element]
+      : Array.from(element.childNodes).filter(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+
+    const rects = [];
+    for (const target of targets) {
+      const range = doc.createRange();
+      range.selectNodeContents(target);
+      if (typeof range.getClientRects !== 'function') return null;
+      rects.push(...Array.from(range.getClientRects()).filter(rect => rect.width > 0 && rect.height > 0));
+    }
+    if (rects.length === 0) return null;
+
+    // 垂直中心落在同一区间内的矩形属于同一行（同一行内可能混有不同字号）
+    const lines = [];
+    for (const rect of rects.sort((a, b) => a.top - b.top)) {
+      const center = (rect.top + rect.bottom) / 2;
+      const line = lines.find(l => center >= l.top && center <= l.bottom);
+      if (line) {
+        line.top = Math.min(line.top, rect.top);
+        line.bottom = Math.max(line.bottom, rect.bottom);
+      } else {
+        lines.push({ top: rect.top, bottom: rect.bottom });
+      }
+    }
+
+    const style = window.getComputedStyle ? window.getComputedStyle(element) : element.style;
+    const inset = side => (parseFloat(style[`padding${side}`]) || 0) + (parseFloat(style[`border${side}Width`]) || 0);
+
+    return {
+      lineCount: lines.length,
+      width: Math.max(...rects.map(rect => rect.right)) - Math.min(...rects.map(rect => rect.left)),
+      height: Math.max(...rects.map(rect => rect.bottom)) - Math.min(...rects.map(rect => rect.top)),
+      insets: { top: inset('Top'), right: inset('Right'), bottom: inset('Bottom'), left: inset('Left') }
+    };
+  }
+
   /**
    * 确定元素类型
    * @param {Element} element - DOM 元素
@@ -408,6 +934,216 @@ export class HtmlParser {
     return text.trim();
   }
 
+  /**
+   * 检测元素是否为包含行内格式的文本块
+   * 所有子元素都是行内文本元素（或图标），且至少有一个行内文本元素
+   * @param {Element} element - DOM 元素
+   * @returns {boolean} 是否需要构建富文本片段
+   */
+  hasInlineFormatting(element) {
+    const tagName = element.tagName.toLowerCase();
+    if (['table', 'ul', 'ol', 'svg', 'img'].includes(tagName) || this.isIconElement(element)) {
+      return false;
+    }
+
+    let hasInlineText = false;
+    for (const child of element.children) {
+      if (this.isIconElement(child)) continue;
+      if (!this.isInlineTextElement(child)) return false;
+      hasInlineText = true;
+    }
+
+    return hasInlineText;
+  }
+
+  /**
+   * 检测元素是否为可合并的行内文本元素
+   * @param {Element} element - DOM 元素
+   * @returns {boolean} 是否为行内文本元素
+   */
+  isInlineTextElement(element) {
+    const tagName = element.tagName.toLowerCase();
+    if (!this.inlineTags.includes(tagName)) return false;
+    if (tagName === 'br') return true;
+
+    // flex/grid 子项或 display: block 的 span 需要单独定位，不能合并
+    if (window.getComputedStyle) {
+      const display = window.getComputedStyle(element).display;
+      if (display && !display.startsWith('inline') && display !== 'contents') {
+        return false;
+      }
+    }
+
+    return Array.from(element.children).every(child =>
+      !this.isIconElement(child) && this.isInlineTextElement(child)
+    );
+  }
+
+  /**
+   * 提取富文本片段
+   * @param {Element} element - 文本块元素
+   * @returns {Array<TextRun>} 文本片段 [{text, styles, href?, underline?, strike?, highlight?, superscript?, subscript?, breakLine?}]
+   */
+  extractTextRuns(element) {
+    const runs = [];
+    const rootDecoration = this.getTextDecoration(element);
+
+    const walk = (node, context) => {
+      for (const child of node.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          const text = child.textContent.replace(/\s+/g, ' ');
+          if (text) {
+            runs.push({ text, styles: this.extractRunStyles(node), ...context });
+          }
+        } else if (child.nodeType === Node.ELEMENT_NODE) {
+          const tagName = child.tagName.toLowerCase();
+          if (tagName === 'br') {
+            runs.push({ lineBreak: true });
+          } else if (!this.isIconElement(child) && !this.getOwnHiddenReason(child, true)) {
+            walk(child, this.getRunContext(child, context));
+          }
+        }
+      }
+    };
+
+    const rootContext = { underline: rootDecoration.underline, strike: rootDecoration.strike };
+    if (element.tagName.toLowerCase() === 'a') {
+      rootContext.href = this.getLinkHref(element);
+    }
+    walk(element, rootContext);
+
+    return this.normalizeRuns(runs);
+  }
+
+  /**
+   * 计算行内元素传递给子文本的格式
+   * text-decoration 和背景色不会被继承，需要沿层级向下传递
+   * @param {Element} element - 行内元素
+   * @param {Object} context - 父级格式
+   * @returns {Object} 新的格式
+   */
+  getRunContext(element, context) {
+    const tagName = element.tagName.toLowerCase();
+    const decoration = this.getTextDecoration(element);
+    const next = {
+      ...context,
+      underline: context.underline || decoration.underline,
+      strike: context.strike || decoration.strike
+    };
+
+    if (tagName === 'a') {
+      next.href = this.getLinkHref(element);
+    } else if (tagName === 'sup') {
+      next.superscript = true;
+    } else if (tagName === 'sub') {
+      next.subscript = true;
+    }
+
+    if (window.getComputedStyle) {
+      const background = this.normalizeColor(window.getComputedStyle(element).backgroundColor);
+      if (background) {
+        next.highlight = background;
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * 获取链接地址
+   * 页内锚点（#slide-5）保留原始值，其他地址使用浏览器解析后的绝对地址
+   * @param {HTMLAnchorElement} link - 链接元素
+   * @returns {string|null} 链接地址
+   */
+  getLinkHref(link) {
+    const raw = link.getAttribute('href');
+    if (!raw) return null;
+    if (raw.startsWith('#')) return raw;
+    return link.href || raw;
+  }
+
+  /**
+   * 获取元素自身的文本装饰
+   * @param {Element} element - DOM 元素
+   * @returns {{underline: boolean, strike: boolean}}
+   */
+  getTextDecoration(element) {
+    const style = window.getComputedStyle ? window.getComputedStyle(element) : element.style;
+    const decoration = style.textDecorationLine || style.textDecoration || '';
+    return {
+      underline: decoration.includes('underline'),
+      strike: decoration.includes('line-through')
+    };
+  }
+
+  /**
+   * 提取文本片段的样式（继承属性）
+   * @param {Element} element - 文本所在元素
+   * @returns {Object} 样式数据
+   */
+  extractRunStyles(element) {
+    const style = window.getComputedStyle ? window.getComputedStyle(element) : element.style;
+    return {
+      fontFamily: style.fontFamily,
+      fontSize: style.fontSize,
+      fontWeight: style.fontWeight,
+      fontStyle: style.fontStyle,
+      color: this.normalizeColor(style.color)
+    };
+  }
+
+  /**
+   * 按 HTML 规则合并空白，并把 <br> 转换为前一片段的换行标记
+   * @param {Array<Object>} runs - 原始片段
+   * @returns {Array<TextRun>} 规范化后的片段
+   */
+  normalizeRuns(runs) {
+    const result = [];
+
+    for (const run of runs) {
+      const prev = result[result.length - 1];
+
+      if (run.lineBreak) {
+        if (prev && !prev.breakLine) {
+          prev.text = prev.text.replace(/ +$/, '');
+          prev.breakLine = true;
+        } else if (prev) {
+          // 连续的 <br> 产生空行
+          result.push({ text: '', styles: prev.styles, breakLine: true });
+        }
+        continue;
+      }
+
+      let text = run.text;
+      if (!prev || prev.breakLine || prev.text.endsWith(' ')) {
+        text = text.replace(/^ +/, '');
+      }
+      if (text) {
+        result.push({ ...run, text });
+      }
+    }
+
+    // 去掉末尾的空白和换行
+    while (result.length > 0) {
+      const last = result[result.length - 1];
+      last.text = last.text.replace(/ +$/, '');
+      delete last.breakLine;
+      if (last.text) break;
+      result.pop();
+    }
+
+    return result;
+  }
+
+  /**
+   * 获取文本片段拼接后的纯文本
+   * @param {Array<TextRun>} runs - 文本片段
+   * @returns {string} 纯文本（换行使用 \n）
+   */
+  getRunsText(runs) {
+    return runs.map(run => run.text + (run.breakLine ? '\n' : '')).join('').trim();
+  }
+
   /**
    * 提取计算后的样式
    * @param {Element} element - DOM 元素
@@ -438,8 +1174,9 @@ export class HtmlParser {
 
       // 颜色
       color: this.normalizeColor(style.color),
-      backgroundColor: this.normalizeColor(style.backgroundColor),
+      backgroundColor: this.normalizeColor(style.backgroundColor, style.color),
       backgroundImage: style.backgroundImage,
+      backgroundSize: style.backgroundSize,
 
       // 渐变字体标记
       hasGradientText: hasGradientText,
@@ -449,7 +1186,7 @@ export class HtmlParser {
       // 边框
       borderWidth: style.borderWidth,
       borderStyle: style.borderStyle,
-      borderColor: this.normalizeColor(style.borderColor),
+      borderColor: this.normalizeColor(style.borderColor, style.color),
       borderRadius: style.borderRadius,
 
       // 阴影
@@ -470,6 +1207,9 @@ export class HtmlParser {
       objectFit: style.objectFit,
       objectPosition: style.objectPosition,
 
+      // 布局（PptGenerator 据此判断文字由哪个块级元素排版）
+      display: style.display,
+
       // Flexbox 相关
       alignItems: style.alignItems,
       justifyContent: style.justifyContent,
@@ -492,31 +1232,125 @@ export class HtmlParser {
 
   /**
    * 解析表格
+   * 按 thead / tbody / tfoot 的显示顺序读取行，并记录实测的列宽、行高和单元格样式
    * @param {HTMLTableElement} table - 表格元素
-   * @returns {TableData} 表格数据
+   * @returns {TableData} 表格数据 {rows, rowHeights, rowSections, columnWidths}
    */
   parseTable(table) {
     const rows = [];
-    const tableRows = table.querySelectorAll('tr');
+    const rowHeights = [];
+    const rowSections = [];
+    const tableRows = table.rows ? Array.from(table.rows) : Array.from(table.querySelectorAll('tr'));
 
     tableRows.forEach(tr => {
       const cells = [];
-      const tableCells = tr.querySelectorAll('td, th');
+      const section = tr.parentElement ? tr.parentElement.tagName.toLowerCase() : '';
+
+      Array.from(tr.cells || tr.querySelectorAll('td, th')).forEach(cell => {
+        const style = window.getComputedStyle ? window.getComputedStyle(cell) : cell.style;
 
-      tableCells.forEach(cell => {
         cells.push({
           text: cell.textContent.trim(),
           isHeader: cell.tagName.toLowerCase() === 'th',
           colspan: parseInt(cell.getAttribute('colspan')) || 1,
           rowspan: parseInt(cell.getAttribute('rowspan')) || 1,
-          styles: this.extractComputedStyles(cell)
+          styles: this.extractComputedStyles(cell),
+          // 斑马纹等行级背景通常设置在 tr 或 tbody 上
+          background: this.getTableCellBackground(cell, table),
+          borders: this.getTableCellBorders(style),
+          padding: {
+            top: parseFloat(style.paddingTop) || 0,
+            right: parseFloat(style.paddingRight) || 0,
+            bottom: parseFloat(style.paddingBottom) || 0,
+            left: parseFloat(style.paddingLeft) || 0
+          }
         });
       });
 
       rows.push(cells);
+      rowHeights.push(tr.getBoundingClientRect ? tr.getBoundingClientRect().height : 0);
+      rowSections.push(section === 'thead' ? 'head' : section === 'tfoot' ? 'foot' : 'body');
     });
 
-    return { rows };
+    return {
+      rows,
+      rowHeights,
+      rowSections,
+      columnWidths: this.measureTableColumns(tableRows)
+    };
+  }
+
+  /**
+   * 获取单元格的有效背景色（依次查找单元格、行、行组和表格）
+   * @param {HTMLTableCellElement} cell - 单元格
+   * @param {HTMLTableElement} table - 所属表格
+   * @returns {string|null} 背景色
+   */
+  getTableCellBackground(cell, table) {
+    let node = cell;
+    while (node) {
+      const style = window.getComputedStyle ? window.getComputedStyle(node) : node.style;
+      const color = this.normalizeColor(style.backgroundColor, style.color);
+      if (color) return color;
+      if (node === table) break;
+      node = node.parentElement;
+    }
+    return null;
+  }
+
+  /**
+   * 读取单元格四条边框
+   * @param {CSSStyleDeclaration} style - 单元格计算样式
+   * @returns {Object} {top, right, bottom, left}，每条边为 {borderWidth, borderStyle, borderColor}
+   */
+  getTableCellBorders(style) {
+    const borders = {};
+    for (const side of ['Top', 'Right', 'Bottom', 'Left']) {
+      borders[side.toLowerCase()] = {
+        borderWidth: style[`border${side}Width`],
+        borderStyle: style[`border${side}Style`],
+        borderColor: this.normalizeColor(style[`border${side}Color`], style.color)
+      };
+    }
+    return borders;
+  }
+
+  /**
+   * 测量表格各列宽度
+   * 按合并单元格占位计算列序号，只使用不跨列的单元格宽度
+   * @param {Array<HTMLTableRowElement>} tableRows - 表格行
+   * @returns {Array<number>} 列宽 (像素)，无法测量的列为 0
+   */
+  measureTableColumns(tableRows) {
+    const widths = [];
+    const occupied = []; // 被上方 rowspan 占用的位置: occupied[row][col]
+
+    tableRows.forEach((tr, rowIndex) => {
+      let col = 0;
+      Array.from(tr.cells || tr.querySelectorAll('td, th')).forEach(cell => {
+        while (occupied[rowIndex]?.[col]) col++;
+
+        const colspan = parseInt(cell.getAttribute('colspan')) || 1;
+        const rowspan = parseInt(cell.getAttribute('rowspan')) || 1;
+        for (let r = 0; r < rowspan; r++) {
+          occupied[rowIndex + r] = occupied[rowIndex + r] || [];
+          for (let c = 0; c < colspan; c++) {
+            occupied[rowIndex + r][col + c] = true;
+          }
+        }
+
+        const width = cell.getBoundingClientRect ? cell.getBoundingClientRect().width : 0;
+        for (let c = 0; c < colspan; c++) {
+          widths[col + c] = widths[col + c] || 0;
+        }
+        if (colspan === 1) {
+          widths[col] = Math.max(widths[col], width);
+        }
+        col += colspan;
+      });
+    });
+
+    return Array.from(widths, width => width || 0);
   }
 
   /**
@@ -604,29 +1438,19 @@ export class HtmlParser {
 
   /**
    * 标准化颜色值
-   * @param {string} color - CSS 颜色值
-   * @returns {string} 标准化后的颜色 (hex)
+   * @param {string} color - CSS 颜色值（支持 CSS Color 4 的全部语法）
+   * @param {string} currentColor - currentColor 对应的颜色（可选）
+   * @returns {string} 标准化后的颜色 (hex，半透明颜色为 #RRGGBBAA)，完全透明时返回 null
    */
-  normalizeColor(color) {
-    if (!color || color === 'transparent' || color === 'rgba(0, 0, 0, 0)') {
-      return null;
-    }
-
-    // 已经是 hex 格式
-    if (color.startsWith('#')) {
-      return color;
-    }
+  normalizeColor(color, currentColor = null) {
+    if (!color) return null;
 
-    // RGB/RGBA 格式转 hex
-    const rgbMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-    if (rgbMatch) {
-      const r = parseInt(rgbMatch[1]).toString(16).padStart(2, '0');
-      const g = parseInt(rgbMatch[2]).toString(16).padStart(2, '0');
-      const b = parseInt(rgbMatch[3]).toString(16).padStart(2, '0');
-      return `#${r}${g}${b}`;
-    }
+    const rgb = this.colorParser.toRgb(color, currentColor);
+    // 系统颜色等无法识别的值原样保留
+    if (!rgb) return color;
+    if (rgb.alpha <= 0) return null;
 
-    return color;
+    return this.colorParser.formatCssHex(rgb);
   }
 }
 
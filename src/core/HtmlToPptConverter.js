@@ -7,6 +7,10 @@ import { HtmlParser } from './HtmlParser.js';
 import { PptGenerator } from './PptGenerator.js';
 import { StyleConverter } from './StyleConverter.js';
 import { AnimationConverter } from './AnimationConverter.js';
+import { ImageInliner } from './ImageInliner.js';
+import { ChartExtractor } from './ChartExtractor.js';
+import { FontEmbedder } from './FontEmbedder.js';
+import { AnimationSettler } from './AnimationSettler.js';
 
 export class HtmlToPptConverter {
   constructor(options = {}) {
@@ -18,10 +22,21 @@ export class HtmlToPptConverter {
       ...options
     };
 
-    this.htmlParser = new HtmlParser();
-    this.styleConverter = new StyleConverter();
+    this.htmlParser = new HtmlParser({
+      notesSelectors: this.options.notesSelectors,
+      notesAttribute: this.options.notesAttribute
+    });
+    this.styleConverter = new StyleConverter({
+      fontStrategy: this.options.fontStrategy,
+      fontMap: this.options.fontMap
+    });
     this.animationConverter = new AnimationConverter();
+    this.chartExtractor = new ChartExtractor();
     this.pptGenerator = null; // 延迟初始化，等待 aspectRatio 选项
+    this.lastReport = null; // 最近一次转换的 ConversionReport
+    this.lastEmbeddedFonts = null; // embed 策略下载的字体 {fonts, failures}
+    this.lastFontResolutions = []; // 最近一次转换中每个字体的处理结果
+    this.animationSettler = null; // final 捕获模式下将动画推进到终态
   }
 
   /**
@@ -76,13 +91,25 @@ export class HtmlToPptConverter {
    * 渲染 HTML 并获取计算后的样式
    * 这个方法需要在浏览器环境中使用 iframe 进行渲染
    * @param {string} htmlString - HTML 内容
-   * @param {Object} options - 选项（包含 aspectRatio）
+   * @param {Object} options - 选项（aspectRatio、fontStrategy、captureMode: 'final' | 'timed'、offCanvas）
    * @returns {Promise<Array<SlideData>>} 带有计算样式的幻灯片数据
    */
   async renderAndParse(htmlString, options = {}) {
     // 首先尝试从 HTML 字符串中直接解析 slides 数组（更可靠）
     const parsedSlidesData = this.parseSlidesArrayFromHtml(htmlString);
 
+    // 检测整个演示文稿的切换效果（reveal.js / Swiper 配置）
+    this.lastDeckTransition = this.detectDeckTransition(htmlString);
+    this.lastEmbeddedFonts = null;
+
+    // final：动画和过渡推进到终态后再提取；timed：按固定等待时间直接快照
+    const captureMode = options.captureMode || this.options.captureMode || 'final';
+    this.animationSettler = captureMode === 'final' ? new AnimationSettler() : null;
+
+    // keep / notes 策略需要保留幻灯片之外的元素
+    const offCanvas = options.offCanvas || this.options.offCanvas || 'clip';
+    this.htmlParser.skipOffSlide = !['keep', 'notes'].includes(offCanvas);
+
     return new Promise((resolve) => {
       // 创建隐藏的 iframe 来渲染 HTML
       const iframe = document.createElement('iframe');
@@ -93,6 +120,10 @@ export class HtmlToPptConverter {
         try {
           const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
           iframeDoc.open();
+          // 页面脚本执行前替换 IntersectionObserver，触发“滚动到可见”的显示效果
+          if (this.animationSettler) {
+            this.animationSettler.install(iframe.contentWindow);
+          }
           iframeDoc.write(htmlString);
           iframeDoc.close();
 
@@ -113,7 +144,7 @@ export class HtmlToPptConverter {
           }
 
           // 再等待一下确保脚本执行完成
-          await new Promise(r => setTimeout(r, 500));
+          await this.waitForRender(iframeDoc, 500);
 
           let slides;
 
@@ -139,12 +170,30 @@ export class HtmlToPptConverter {
             }
           }
 
+          // 将 Chart.js / ECharts 实例替换为原生图表数据
+          this.captureCharts(slides, iframeDoc);
+
+          // 其余 canvas 绘图快照为图片
+          this.captureCanvases(slides);
+
           // 捕获字体图标为图片
           await this.captureFontIcons(slides, iframeDoc);
 
-          // 捕获渐变背景为图片（PptxGenJS 不支持形状渐变填充）
+          // 捕获无法原生表达的渐变背景为图片（作为后备方案）
           await this.captureGradients(slides, iframeDoc);
 
+          // 在 iframe 销毁前将图片（含 blob: 和跨域地址）内联为 data URI
+          await new ImageInliner().inlineSlides(
+            slides,
+            iframeDoc,
+            element => this.htmlParser.getDomElement(element)
+          );
+
+          // embed 策略：下载幻灯片中实际使用的 Web 字体文件
+          if ((options.fontStrategy || this.options.fontStrategy) === 'embed') {
+            this.lastEmbeddedFonts = await new FontEmbedder().embed(iframeDoc, this.collectFontFamilies(slides));
+          }
+
           // 创建临时的 PptGenerator 来计算缩放参数
           const generatorOptions = {
             ...this.options,
@@ -178,6 +227,127 @@ export class HtmlToPptConverter {
     });
   }
 
+  /**
+   * 等待页面渲染，final 捕获模式下再将进行中的动画和过渡推进到终态
+   * @param {Document} doc - 渲染 iframe 的文档
+   * @param {number} delay - 等待时间（毫秒）
+   */
+  async waitForRender(doc, delay) {
+    await new Promise(r => setTimeout(r, delay));
+
+    if (this.animationSettler) {
+      const { finished, cancelled } = await this.animationSettler.settle(doc);
+      if (finished || cancelled) {
+        console.log(`[DEBUG] 动画推进到终态: ${finished} 个结束, ${cancelled} 个循环动画停止`);
+      }
+    }
+  }
+
+  /**
+   * 收集幻灯片中使用的字体（每个 font-family 的首选字体，不含通用字体族和图标字体）
+   * @param {Array<SlideData>} slides - 幻灯片数据
+   * @returns {Array<string>} 字体名
+   */
+  collectFontFamilies(slides) {
+    const families = new Set();
+    const addFamily = (fontFamily) => {
+      const name = (fontFamily || '').split(',')[0].trim().replace(/['"]/g, '');
+      if (name && !StyleConverter.GENERIC_FONTS.includes(name)) {
+        families.add(name);
+      }
+    };
+    const walk = (elements) => {
+      for (const element of elements) {
+        if (element.type === 'icon') continue;
+        addFamily(element.styles?.fontFamily);
+        (element.runs || []).forEach(run => addFamily(run.styles?.fontFamily));
+        if (element.children && element.children.length > 0) {
+          walk(element.children);
+        }
+      }
+    };
+
+    slides.forEach(slide => walk(slide.elements || []));
+    return Array.from(families);
+  }
+
+  /**
+   * 检测幻灯片中的图表库实例，读取其数据转换为原生图表
+   * @param {Array<SlideData>} slides - 幻灯片数据
+   * @param {Document} doc - 渲染后的文档
+   */
+  captureCharts(slides, doc) {
+    const win = doc.defaultView;
+    if (!win || (!win.Chart && !win.echarts)) return;
+
+    for (const slide of slides) {
+      this.captureChartsInElements(slide.elements, win);
+    }
+  }
+
+  /**
+   * 递归检测元素中的图表
+   * @param {Array} elements - 元素数组
+   * @param {Window} win - 渲染窗口
+   */
+  captureChartsInElements(elements, win) {
+    for (const element of elements) {
+      if (['canvas', 'container', 'generic'].includes(element.type)) {
+        const chartData = this.chartExtractor.extractFromElement(this.htmlParser.getDomElement(element), win);
+        if (chartData) {
+          // 图表库生成的内部元素（canvas、tooltip 等）不再单独输出
+          element.type = 'chart';
+          element.chartData = chartData;
+          element.children = [];
+          continue;
+        }
+      }
+
+      if (element.children && element.children.length > 0) {
+        this.captureChartsInElements(element.children, win);
+      }
+    }
+  }
+
+  /**
+   * 将 canvas 元素的当前绘制内容快照为图片
+   * @param {Array<SlideData>} slides - 幻灯片数据
+   */
+  captureCanvases(slides) {
+    for (const slide of slides) {
+      this.captureCanvasesInElements(slide.elements);
+    }
+  }
+
+  /**
+   * 递归快照元素中的 canvas
+   * 绘制过跨域图片的 canvas 会被污染，toDataURL 抛出 SecurityError，此时记录原因由 PptGenerator 写入报告
+   * @param {Array} elements - 元素数组
+   */
+  captureCanvasesInElements(elements) {
+    for (const element of elements) {
+      if (element.type === 'canvas') {
+        const canvas = this.htmlParser.getDomElement(element);
+        if (canvas && (!canvas.width || !canvas.height)) {
+          // 尺寸为 0 的 canvas 没有可见内容
+          element.canvasError = 'empty';
+        } else if (canvas && typeof canvas.toDataURL === 'function') {
+          try {
+            element.canvasImageData = canvas.toDataURL('image/png');
+            element.naturalWidth = canvas.width;
+            element.naturalHeight = canvas.height;
+          } catch (error) {
+            element.canvasError = error.name === 'SecurityError' ? 'tainted' : error.message;
+          }
+        }
+      }
+
+      if (element.children && element.children.length > 0) {
+        this.captureCanvasesInElements(element.children);
+      }
+    }
+  }
+
   /**
    * 捕获字体图标为图片
    * @param {Array<SlideData>} slides - 幻灯片数据
@@ -207,10 +377,11 @@ export class HtmlToPptConverter {
    */
   async captureGradientsInElements(elements, doc) {
     for (const element of elements) {
-      // 如果是容器且有渐变背景，捕获为图片
+      // 如果是容器且有无法转换为原生渐变填充的渐变背景（如 repeating-*），捕获为图片
       if (element.type === 'container' &&
           element.styles?.backgroundImage?.includes('gradient') &&
-          !element.styles?.hasGradientText) {
+          !element.styles?.hasGradientText &&
+          !this.styleConverter.parseGradientFromStyle(element.styles.backgroundImage)) {
         try {
           const gradientImage = await this.renderGradientToImage(element, doc);
           if (gradientImage) {
@@ -291,8 +462,8 @@ export class HtmlToPptConverter {
       const gradient = ctx.createLinearGradient(x1, y1, x2, y2);
 
       // 解析颜色和停止点位置
-      // 支持格式：rgb(r,g,b), rgba(r,g,b,a), #hex, 颜色名称 后跟可选的百分比
-      const colorStopRegex = /(#[0-9A-Fa-f]{3,8}|rgba?\([^)]+\)|[a-zA-Z]+)(?:\s+(\d+(?:\.\d+)?%?))?/g;
+      // 支持格式：rgb()/hsl()/oklch() 等颜色函数, #hex, 颜色名称 后跟可选的百分比
+      const colorStopRegex = /(#[0-9A-Fa-f]{3,8}|(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([^)]+\)|[a-zA-Z]+)(?:\s+(\d+(?:\.\d+)?%?))?/g;
       const colorStops = [];
       let match;
       while ((match = colorStopRegex.exec(gradientStr)) !== null) {
@@ -404,7 +575,7 @@ export class HtmlToPptConverter {
       const gradient = ctx.createLinearGradient(x1, y1, x2, y2);
 
       // 解析颜色和停止点位置
-      const colorStopRegex = /(#[0-9A-Fa-f]{3,8}|rgba?\([^)]+\)|[a-zA-Z]+)(?:\s+(\d+(?:\.\d+)?%?))?/g;
+      const colorStopRegex = /(#[0-9A-Fa-f]{3,8}|(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([^)]+\)|[a-zA-Z]+)(?:\s+(\d+(?:\.\d+)?%?))?/g;
       const colorStops = [];
       let match;
       while ((match = colorStopRegex.exec(gradientStr)) !== null) {
@@ -780,16 +951,33 @@ export class HtmlToPptConverter {
     };
 
     const onProgress = options.onProgress || (() => {});
-    const total = slides.length;
 
     // 根据选项创建 PptGenerator（支持不同的长宽比）
     const generatorOptions = {
       ...this.options,
-      aspectRatio: options.aspectRatio || this.options.aspectRatio || '16:9'
+      aspectRatio: options.aspectRatio || this.options.aspectRatio || '16:9',
+      preserveAnimations: options.preserveAnimations ?? this.options.preserveAnimations,
+      // 全局切换效果：显式选项优先，其次为从 HTML 检测到的效果
+      transition: options.transition || this.options.transition || this.lastDeckTransition,
+      stripExternalLinks: options.stripExternalLinks ?? this.options.stripExternalLinks,
+      headingMode: options.headingMode || this.options.headingMode,
+      paginateTables: options.paginateTables ?? this.options.paginateTables,
+      tableMaxRows: options.tableMaxRows ?? this.options.tableMaxRows,
+      tableMaxHeight: options.tableMaxHeight ?? this.options.tableMaxHeight,
+      offCanvas: options.offCanvas || this.options.offCanvas,
+      fontStrategy: options.fontStrategy || this.options.fontStrategy,
+      fontMap: options.fontMap || this.options.fontMap,
+      embeddedFonts: this.lastEmbeddedFonts
     };
     this.pptGenerator = new PptGenerator(generatorOptions);
     this.pptGenerator.initPresentation(metadata);
 
+    // 超长表格拆分到续页后再登记锚点，保证页内链接的页码正确
+    slides = this.pptGenerator.paginateTables(slides);
+    this.pptGenerator.registerSlideAnchors(slides);
+
+    const total = slides.length;
+
     // 设置容器尺寸用于等比例缩放
     if (this.lastContainerSize) {
       this.pptGenerator.setContainerSize(
@@ -813,23 +1001,35 @@ export class HtmlToPptConverter {
       await new Promise(resolve => setTimeout(resolve, 10));
     }
 
+    this.pptGenerator.reportFonts();
+    this.lastFontResolutions = this.pptGenerator.styleConverter.getFontResolutions();
+
     onProgress(total, total, '正在生成 PPT 文件...');
 
-    return await this.pptGenerator.exportToBlob();
+    const blob = await this.pptGenerator.exportToBlob();
+
+    // 保存转换报告（导出阶段的后处理失败也会记录在内）
+    this.lastReport = this.pptGenerator.report;
+    this.lastReport.setSlideCount(total);
+
+    return blob;
   }
 
   /**
    * 完整的转换流程：渲染 HTML，解析样式，生成 PPT
    * @param {string} htmlString - HTML 内容
    * @param {Object} options - 选项
-   * @returns {Promise<Blob>} PPT 文件 Blob
+   * @param {boolean} options.returnReport - 为 true 时返回 {blob, report}
+   * @returns {Promise<Blob|Object>} PPT 文件 Blob，或 {blob, report}
    */
   async convert(htmlString, options = {}) {
     // 在浏览器环境中渲染并解析（传递 aspectRatio 选项）
     const slides = await this.renderAndParse(htmlString, options);
 
     // 生成 PPT
-    return await this.generatePpt(slides, options);
+    const blob = await this.generatePpt(slides, options);
+
+    return options.returnReport ? { blob, report: this.lastReport } : blob;
   }
 
   /**
@@ -923,12 +1123,12 @@ export class HtmlToPptConverter {
    * @param {string} htmlString - HTML 内容
    * @returns {Object} 资源分析结果
    */
-  analyzeResources(htmlString) {
+  analyzeResources(htmlString, options = {}) {
     const parser = new DOMParser();
     const doc = parser.parseFromString(htmlString, 'text/html');
 
     return {
-      fonts: this.extractFonts(doc, htmlString),
+      fonts: this.resolveFonts(this.extractFonts(doc, htmlString), options),
       icons: this.extractIcons(doc),
       images: this.extractImages(doc),
       colors: this.extractColors(doc)
@@ -1020,6 +1220,29 @@ export class HtmlToPptConverter {
     return Array.from(fonts.values()).sort((a, b) => b.usageCount - a.usageCount);
   }
 
+  /**
+   * 预估字体在 PPT 中的处理结果，附加到字体列表的 resolution 字段
+   * embed 策略下假定来自 Google Fonts / @font-face 的字体可以嵌入，实际结果见 lastFontResolutions
+   * @param {Array<Object>} fonts - extractFonts 的结果
+   * @param {Object} options - 转换选项 {fontStrategy, fontMap}
+   * @returns {Array<Object>} 带 resolution {name, fontFace, action} 的字体列表
+   */
+  resolveFonts(fonts, options = {}) {
+    const webFonts = fonts
+      .filter(font => font.source === 'Google Fonts' || font.source === 'Custom (@font-face)')
+      .map(font => font.name);
+    const converter = new StyleConverter({
+      fontStrategy: options.fontStrategy || this.options.fontStrategy,
+      fontMap: options.fontMap || this.options.fontMap,
+      embeddedFonts: webFonts
+    });
+
+    return fonts.map(font => ({
+      ...font,
+      resolution: font.source === 'Tailwind CSS' ? null : converter.resolveFont(font.name)
+    }));
+  }
+
   /**
    * 解析 font-family 列表
    * @param {string} fontFamilyStr - font-family 字符串
@@ -1201,7 +1424,7 @@ export class HtmlToPptConverter {
       const style = el.getAttribute('style');
       if (style) {
         // 匹配各种颜色格式
-        const colorMatches = style.matchAll(/(#[0-9A-Fa-f]{3,8}|rgba?\([^)]+\)|hsla?\([^)]+\))/g);
+        const colorMatches = style.matchAll(/(#[0-9A-Fa-f]{3,8}|(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([^)]+\)|color-mix\((?:[^()]|\([^()]*\))*\))/g);
         for (const match of colorMatches) {
           const color = match[1];
           if (!colors.has(color)) {
@@ -1301,7 +1524,7 @@ export class HtmlToPptConverter {
         if (typeof win.renderSlide === 'function') {
           win.renderSlide(i);
           // 等待渲染完成
-          await new Promise(r => setTimeout(r, 300));
+          await this.waitForRender(doc, 300);
         }
 
         // 解析当前显示的幻灯片
@@ -1346,11 +1569,11 @@ export class HtmlToPptConverter {
         // 如果有 renderSlide 函数，直接跳转
         if (hasRenderSlide) {
           win.renderSlide(i);
-          await new Promise(r => setTimeout(r, 300));
+          await this.waitForRender(doc, 300);
         } else if (i > 0 && hasNextSlide) {
           // 否则使用 nextSlide
           win.nextSlide();
-          await new Promise(r => setTimeout(r, 300));
+          await this.waitForRender(doc, 300);
         }
 
         // 解析当前显示的幻灯片
@@ -1368,6 +1591,49 @@ export class HtmlToPptConverter {
     return slides;
   }
 
+  /**
+   * 从 HTML 字符串中检测演示文稿级别的切换效果
+   * 支持 Reveal.initialize({ transition }) 、reveal 根元素 data-transition 和 Swiper effect 配置
+   * @param {string} htmlString - HTML 内容
+   * @returns {Object|null} 切换数据 {name, speed?, duration?}
+   */
+  detectDeckTransition(htmlString) {
+    if (!htmlString) return null;
+
+    // reveal.js 脚本配置
+    const revealConfig = htmlString.match(/Reveal\.(?:initialize|configure)\s*\(\s*\{([\s\S]*?)\}\s*\)/);
+    if (revealConfig) {
+      const name = revealConfig[1].match(/\btransition\s*:\s*['"]([\w-]+)['"]/);
+      if (name) {
+        const speed = revealConfig[1].match(/\btransitionSpeed\s*:\s*['"](\w+)['"]/);
+        return { name: name[1], speed: speed ? speed[1] : undefined };
+      }
+    }
+
+    // reveal.js 根元素属性
+    const revealRoot = htmlString.match(/<div[^>]*class=["'][^"']*\breveal\b[^"']*["'][^>]*\sdata-transition=["']([\w-]+)["']/);
+    if (revealRoot) {
+      return { name: revealRoot[1] };
+    }
+
+    // Swiper: new Swiper('.x', { effect: 'fade', speed: 600 }) 或 <swiper-container effect="fade">
+    const swiperConfig = htmlString.match(/new\s+Swiper\s*\([^,]+,\s*\{([\s\S]*?)\}\s*\)/);
+    if (swiperConfig) {
+      const effect = swiperConfig[1].match(/\beffect\s*:\s*['"](\w+)['"]/);
+      if (effect) {
+        const speed = swiperConfig[1].match(/\bspeed\s*:\s*(\d+)/);
+        return { name: effect[1], duration: speed ? parseInt(speed[1]) / 1000 : undefined };
+      }
+    }
+
+    const swiperElement = htmlString.match(/<swiper-container[^>]*\seffect=["'](\w+)["']/);
+    if (swiperElement) {
+      return { name: swiperElement[1] };
+    }
+
+    return null;
+  }
+
   /**
    * 从 HTML 字符串中直接解析 JavaScript slides 数组
    * 使用正则表达式提取，不依赖 iframe 执行脚本
@@ -1663,7 +1929,7 @@ export class HtmlToPptConverter {
         if (renderFunc) {
           renderFunc.call(win, i);
           // 等待渲染完成
-          await new Promise(r => setTimeout(r, 400));
+          await this.waitForRender(doc, 400);
         }
 
         // 查找当前显示的幻灯片元素
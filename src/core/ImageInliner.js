@@ -0,0 +1,244 @@
+/**
+ * 图片内联器
+ * 在渲染 iframe 仍然存活时，将 <img>、CSS 背景图和 blob: URL 转换为 data URI，
+ * 避免 PptxGenJS 导出时因 blob 失效或 CORS 限制而丢失图片
+ */
+
+export class ImageInliner {
+  /**
+   * @param {Object} options - 配置
+   * @param {number} options.timeout - 单张图片的加载超时（毫秒）
+   */
+  constructor(options = {}) {
+    this.options = {
+      timeout: 10000,
+      ...options
+    };
+
+    // URL -> Promise<{data, width, height}|null>，同一图片只处理一次
+    this.cache = new Map();
+  }
+
+  /**
+   * 内联所有幻灯片中的图片
+   * @param {Array<SlideData>} slides - 幻灯片数据
+   * @param {Document} doc - 渲染后的文档
+   * @param {Function} getDomElement - 根据元素数据获取对应 DOM 元素（可选）
+   */
+  async inlineSlides(slides, doc, getDomElement = () => null) {
+    for (const slide of slides) {
+      const backgroundUrl = this.extractCssUrl(slide.background?.image);
+      if (backgroundUrl) {
+        const image = await this.resolve(backgroundUrl, doc);
+        if (image) {
+          slide.background.imageData = image.data;
+        }
+      }
+
+      await this.inlineElements(slide.elements || [], doc, getDomElement);
+    }
+  }
+
+  /**
+   * 递归内联元素中的图片
+   * @param {Array} elements - 元素数组
+   * @param {Document} doc - 渲染后的文档
+   * @param {Function} getDomElement - 根据元素数据获取对应 DOM 元素
+   */
+  async inlineElements(elements, doc, getDomElement) {
+    for (const element of elements) {
+      if (element.type === 'image' && element.src && !element.src.startsWith('data:')) {
+        const image = await this.resolve(element.src, doc, getDomElement(element));
+        if (image) {
+          element.originalSrc = element.src;
+          element.src = image.data;
+          element.naturalWidth = element.naturalWidth || image.width;
+          element.naturalHeight = element.naturalHeight || image.height;
+        }
+      }
+
+      // CSS 背景图（渐变由 StyleConverter / 渐变捕获处理）
+      const backgroundUrl = element.type !== 'image' && this.extractCssUrl(element.styles?.backgroundImage);
+      if (backgroundUrl) {
+        const image = await this.resolve(backgroundUrl, doc);
+        if (image) {
+          element.backgroundImageData = image.data;
+          element.backgroundImageSize = { width: image.width, height: image.height };
+        }
+      }
+
+      if (element.children && element.children.length > 0) {
+        await this.inlineElements(element.children, doc, getDomElement);
+      }
+    }
+  }
+
+  /**
+   * 从 CSS background-image 中提取第一个 url()
+   * @param {string} cssValue - CSS 值
+   * @returns {string|null} 图片地址
+   */
+  extractCssUrl(cssValue) {
+    if (!cssValue || cssValue === 'none') return null;
+
+    const match = cssValue.match(/url\(\s*(['"]?)(.*?)\1\s*\)/);
+    return match && match[2] ? match[2] : null;
+  }
+
+  /**
+   * 将图片地址解析为 data URI（带缓存）
+   * @param {string} url - 图片地址
+   * @param {Document} doc - 渲染后的文档（用于解析相对路径和执行请求）
+   * @param {HTMLImageElement} imgElement - 已加载的图片元素（可选，用于 canvas 回退）
+   * @returns {Promise<Object|null>} {data, width, height}，无法获取时返回 null
+   */
+  resolve(url, doc, imgElement = null) {
+    if (url.startsWith('data:')) {
+      return this.measure({ data: url }, doc);
+    }
+
+    let absoluteUrl = url;
+    try {
+      absoluteUrl = new URL(url, doc.baseURI).href;
+    } catch (e) {
+      // 保留原始地址
+    }
+
+    if (!this.cache.has(absoluteUrl)) {
+      this.cache.set(absoluteUrl, this.load(absoluteUrl, doc, imgElement));
+    }
+    return this.cache.get(absoluteUrl);
+  }
+
+  /**
+   * 依次尝试 fetch 和 canvas 获取图片数据
+   * @param {string} url - 绝对地址
+   * @param {Document} doc - 渲染后的文档
+   * @param {HTMLImageElement} imgElement - 已加载的图片元素
+   * @returns {Promise<Object|null>} {data, width, height}
+   */
+  async load(url, doc, imgElement) {
+    try {
+      const data = await this.fetchAsDataUri(url, doc);
+      if (data) {
+        return await this.measure({ data }, doc);
+      }
+    } catch (error) {
+      // 跨域且无 CORS 头时 fetch 会失败，继续尝试 canvas
+    }
+
+    try {
+      const image = await this.drawToDataUri(url, doc, imgElement);
+      if (image) return image;
+    } catch (error) {
+      console.warn('Failed to inline image:', url.substring(0, 80), error.message || error);
+    }
+
+    return null;
+  }
+
+  /**
+   * 通过 fetch 读取图片（支持 blob: 和允许 CORS 的地址）
+   * @param {string} url - 图片地址
+   * @param {Document} doc - 渲染后的文档
+   * @returns {Promise<string|null>} data URI
+   */
+  async fetchAsDataUri(url, doc) {
+    const win = doc.defaultView || window;
+    if (typeof win.fetch !== 'function') return null;
+
+    const controller = new win.AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeout);
+
+    try {
+      const response = await win.fetch(url, { signal: controller.signal });
+      if (!response.ok) return null;
+
+      const blob = await response.blob();
+      if (blob.type && !blob.type.startsWith('image/')) return null;
+
+      return await new Promise((resolve, reject) => {
+        const reader = new win.FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 将图片绘制到 canvas 后导出（图片已被页面加载但 fetch 受限时使用）
+   * @param {string} url - 图片地址
+   * @param {Document} doc - 渲染后的文档
+   * @param {HTMLImageElement} imgElement - 已加载的图片元素
+   * @returns {Promise<Object|null>} {data, width, height}
+   */
+  async drawToDataUri(url, doc, imgElement) {
+    let image = imgElement && imgElement.complete && imgElement.naturalWidth > 0 ? imgElement : null;
+
+    if (!image) {
+      image = await this.loadImage(url, doc, true);
+    }
+    if (!image || !image.naturalWidth) return null;
+
+    const canvas = doc.createElement('canvas');
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    canvas.getContext('2d').drawImage(image, 0, 0);
+
+    // 被跨域图片污染的 canvas 会抛出 SecurityError
+    return {
+      data: canvas.toDataURL('image/png'),
+      width: image.naturalWidth,
+      height: image.naturalHeight
+    };
+  }
+
+  /**
+   * 读取 data URI 的像素尺寸
+   * @param {Object} image - {data}
+   * @param {Document} doc - 渲染后的文档
+   * @returns {Promise<Object>} {data, width, height}
+   */
+  async measure(image, doc) {
+    const loaded = await this.loadImage(image.data, doc, false).catch(() => null);
+    return {
+      ...image,
+      width: loaded?.naturalWidth || 0,
+      height: loaded?.naturalHeight || 0
+    };
+  }
+
+  /**
+   * 加载图片
+   * @param {string} src - 图片地址
+   * @param {Document} doc - 渲染后的文档
+   * @param {boolean} anonymous - 是否以 CORS 匿名模式加载
+   * @returns {Promise<HTMLImageElement|null>} 图片元素
+   */
+  loadImage(src, doc, anonymous) {
+    const ImageClass = doc.defaultView?.Image || Image;
+
+    return new Promise((resolve, reject) => {
+      const image = new ImageClass();
+      const timer = setTimeout(() => resolve(null), this.options.timeout);
+
+      if (anonymous) {
+        image.crossOrigin = 'anonymous';
+      }
+      image.onload = () => {
+        clearTimeout(timer);
+        resolve(image);
+      };
+      image.onerror = () => {
+        clearTimeout(timer);
+        reject(new Error(`Image load failed: ${src.substring(0, 80)}`));
+      };
+      image.src = src;
+    });
+  }
+}
+
+export default ImageInliner;
@@ -6,12 +6,30 @@
 import pptxgen from 'pptxgenjs';
 import { StyleConverter } from './StyleConverter.js';
 import { AnimationConverter } from './AnimationConverter.js';
+import { PptxPostProcessor } from './PptxPostProcessor.js';
+import { ConversionReport } from './ConversionReport.js';
+import { TablePaginator } from './TablePaginator.js';
+import { TextOwnership } from './TextOwnership.js';
 
 export class PptGenerator {
+  // 图表库未指定颜色时使用的默认调色板（Chart.js 默认配色）
+  static DEFAULT_CHART_COLORS = ['36A2EB', 'FF6384', 'FF9F40', 'FFCD56', '4BC0C0', '9966FF', 'C9CBCF'];
+
+  // 超出幻灯片的元素：clip 裁剪到幻灯片内，drop 丢弃，keep 保留在幻灯片外（PowerPoint 的粘贴板区域），
+  // notes 裁剪部分超出的元素并将完全在幻灯片外的文字移到演讲者备注
+  static OFF_CANVAS_POLICIES = ['clip', 'drop', 'keep', 'notes'];
+
   constructor(options = {}) {
     this.pptx = null;
-    this.styleConverter = new StyleConverter();
+    this.styleConverter = new StyleConverter({
+      fontStrategy: options.fontStrategy,
+      fontMap: options.fontMap,
+      embeddedFonts: options.fontStrategy === 'embed' ? (options.embeddedFonts?.fonts || []).map(font => font.name) : []
+    });
     this.animationConverter = new AnimationConverter();
+    this.postProcessor = new PptxPostProcessor();
+    this.report = new ConversionReport();
+    this.textOwnership = new TextOwnership({ isIconText: text => this.isIconText(text) });
 
     // 预设的幻灯片尺寸 (英寸)
     // 使用自定义布局名称，通过 defineLayout 设置精确尺寸
@@ -35,6 +53,7 @@ export class PptGenerator {
       aspectRatio: aspectRatio,
       defaultFontFace: options.defaultFontFace || 'Arial',
       defaultFontSize: options.defaultFontSize || 18,
+      preserveAnimations: true,
       ...options
     };
 
@@ -48,6 +67,22 @@ export class PptGenerator {
     this.scale = 1;
     this.offsetX = 0;
     this.offsetY = 0;
+    this.styleConverter.pointsPerPx = this.scaleLength(1) * 72;
+
+    // 当前幻灯片状态 (用于后处理标记)
+    this.currentSlideNumber = 0;
+    this.namedObjectCount = 0;
+    this.elementOrder = 0;
+    this.namedObjects = new WeakMap();
+    this.animatedObjects = new WeakSet();
+    // notes 策略下当前幻灯片外元素的文字
+    this.offCanvasNotes = [];
+
+    // 幻灯片锚点 (用于页内跳转链接)
+    this.slideCount = 0;
+    this.slideAnchors = new Map();
+    // HTML 中的幻灯片序号 -> 输出的幻灯片序号（表格分页会插入续页）
+    this.sourceSlideNumbers = new Map();
   }
 
   /**
@@ -56,6 +91,14 @@ export class PptGenerator {
    */
   initPresentation(metadata = {}) {
     this.pptx = new pptxgen();
+    this.postProcessor = new PptxPostProcessor();
+    this.report = new ConversionReport();
+    this.styleConverter.fontResolutions.clear();
+
+    // embed 策略：写入 FontEmbedder 下载的字体文件
+    if (this.options.fontStrategy === 'embed') {
+      this.postProcessor.setEmbeddedFonts(this.options.embeddedFonts?.fonts);
+    }
 
     // 使用 defineLayout 定义自定义布局，确保精确的幻灯片尺寸
     // 这样可以避免 PowerPoint 打开时显示不同比例的问题
@@ -109,6 +152,8 @@ export class PptGenerator {
     this.styleConverter.scale = this.scale;
     this.styleConverter.offsetX = this.offsetX;
     this.styleConverter.offsetY = this.offsetY;
+    // 字号、行高和字间距与位置使用同一缩放比例
+    this.styleConverter.pointsPerPx = this.scaleLength(1) * 72;
   }
 
   /**
@@ -121,13 +166,129 @@ export class PptGenerator {
       this.initPresentation();
     }
 
-    for (const slideData of slidesData) {
+    const slides = this.paginateTables(slidesData);
+    this.registerSlideAnchors(slides);
+
+    for (const slideData of slides) {
       this.addSlide(slideData);
     }
+    this.reportFonts();
 
     return this;
   }
 
+  /**
+   * 将字体处理结果写入转换报告（所有幻灯片添加完成后调用）
+   * 被替换的字体记录为 FONT_SUBSTITUTED，embed 策略下未能嵌入的字体记录为 FONT_NOT_EMBEDDED
+   */
+  reportFonts() {
+    const failures = new Map(
+      (this.options.embeddedFonts?.failures || []).map(failure => [failure.name, failure.reason])
+    );
+
+    for (const { name, fontFace, action, generic } of this.styleConverter.getFontResolutions()) {
+      if (generic) continue;
+
+      if (this.options.fontStrategy === 'embed' && action !== 'embedded' && failures.has(name)) {
+        this.report.add(null, 'FONT_NOT_EMBEDDED', null, `${name} → ${fontFace}: ${failures.get(name)}`);
+      } else if (action === 'substituted') {
+        this.report.add(null, 'FONT_SUBSTITUTED', null, `${name} → ${fontFace}`);
+      }
+    }
+  }
+
+  /**
+   * 启用 paginateTables 选项时，将超长表格拆分到续页
+   * @param {Array<SlideData>} slidesData - 幻灯片数据
+   * @returns {Array<SlideData>} 分页后的幻灯片数据（未启用时原样返回）
+   */
+  paginateTables(slidesData) {
+    if (!this.options.paginateTables) return slidesData;
+
+    const paginator = new TablePaginator({
+      maxRows: this.options.tableMaxRows ?? 15,
+      maxHeight: this.options.tableMaxHeight ?? null
+    });
+    return paginator.paginate(slidesData);
+  }
+
+  /**
+   * 登记幻灯片锚点，用于将 #slide-5 / #intro 等页内链接转换为幻灯片跳转
+   * @param {Array<SlideData>} slidesData - 全部幻灯片数据
+   */
+  registerSlideAnchors(slidesData) {
+    this.slideCount = slidesData.length;
+    this.slideAnchors = new Map();
+    this.sourceSlideNumbers = new Map();
+
+    slidesData.forEach((slideData, index) => {
+      if (slideData.anchorId) {
+        this.slideAnchors.set(slideData.anchorId, index + 1);
+      }
+
+      // 续页与原幻灯片共用序号，链接指向第一页
+      const sourceNumber = slideData.sourceSlideNumber || index + 1;
+      if (!this.sourceSlideNumbers.has(sourceNumber)) {
+        this.sourceSlideNumbers.set(sourceNumber, index + 1);
+      }
+    });
+  }
+
+  /**
+   * 将 HTML 链接转换为 PptxGenJS 超链接配置
+   * @param {string} href - 链接地址
+   * @returns {Object|null} {url} 或 {slide}，无法转换时返回 null
+   */
+  resolveHyperlink(href) {
+    if (!href) return null;
+
+    // 页内锚点：幻灯片 id、#slide-5 / #5 形式（从 1 开始）或 reveal.js 的 #/4 形式（从 0 开始）
+    if (href.startsWith('#')) {
+      let anchor = href.slice(1);
+      try {
+        anchor = decodeURIComponent(anchor);
+      } catch (e) {
+        // 保留原始锚点
+      }
+      let slideNumber = null;
+
+      const revealMatch = anchor.match(/^\/(\d+)/);
+      const numberMatch = anchor.match(/^(?:slide|page)?[-_]?(\d+)$/i);
+      if (this.slideAnchors.has(anchor)) {
+        slideNumber = this.slideAnchors.get(anchor);
+      } else if (revealMatch) {
+        slideNumber = this.sourceSlideNumbers.get(parseInt(revealMatch[1]) + 1);
+      } else if (numberMatch) {
+        slideNumber = this.sourceSlideNumbers.get(parseInt(numberMatch[1]));
+      }
+
+      // 跳转目标必须存在，否则 PowerPoint 会提示文件损坏
+      if (slideNumber && slideNumber >= 1 && slideNumber <= this.slideCount) {
+        return { slide: slideNumber };
+      }
+      return null;
+    }
+
+    if (/^(https?:|mailto:|tel:)/i.test(href)) {
+      // 离线讲义可选择移除外部链接
+      return this.options.stripExternalLinks ? null : { url: href };
+    }
+
+    return null;
+  }
+
+  /**
+   * 为图片配置添加超链接（如 <a><img></a>）
+   * @param {Object} imageOptions - PptxGenJS 图片配置
+   * @param {ElementData} element - 元素数据
+   */
+  applyHyperlink(imageOptions, element) {
+    const hyperlink = this.resolveHyperlink(element.href);
+    if (hyperlink) {
+      imageOptions.hyperlink = hyperlink;
+    }
+  }
+
   /**
    * 添加单张幻灯片
    * @param {SlideData} slideData - 幻灯片数据
@@ -135,18 +296,69 @@ export class PptGenerator {
    */
   addSlide(slideData) {
     const slide = this.pptx.addSlide();
+    this.currentSlideNumber = this.pptx.slides.length;
+    this.namedObjectCount = 0;
+    this.elementOrder = 0;
+    this.offCanvasNotes = [];
+    this.report.setSlideCount(this.currentSlideNumber);
 
     // 设置背景
     this.setSlideBackground(slide, slideData.background);
 
-    // 添加所有元素
-    for (const element of slideData.elements) {
+    // 切换效果：幻灯片自身的设置优先于全局默认值
+    const transition = this.resolveTransition(slideData.transition ?? this.options.transition);
+    if (transition) {
+      this.postProcessor.setTransition(this.currentSlideNumber, transition);
+    }
+
+    // 添加所有元素（每段文字只由排版它的块级元素输出一次）
+    for (const element of this.textOwnership.assign(slideData.elements)) {
       this.addElement(slide, element);
     }
 
+    // 演讲者备注（notes 策略下追加幻灯片外元素的文字）
+    const notes = [slideData.notes, ...this.offCanvasNotes].filter(Boolean).join('\n\n');
+    if (notes) {
+      slide.addNotes(notes);
+    }
+
     return slide;
   }
 
+  /**
+   * 在转换报告中记录当前幻灯片的问题
+   * @param {string} code - 原因代码（见 ConversionReport.REASONS）
+   * @param {ElementData} element - 元素数据
+   * @param {*} detail - 补充说明或错误
+   */
+  reportIssue(code, element = null, detail = '') {
+    this.report.add(this.currentSlideNumber, code, element, detail?.message || detail);
+  }
+
+  /**
+   * 解析切换效果配置
+   * @param {string|Object} transition - 切换名称或 {name, speed, duration}
+   * @returns {Object|null} 后处理器使用的切换配置 {type, speed, direction}
+   */
+  resolveTransition(transition) {
+    if (!transition) return null;
+
+    const data = typeof transition === 'string' ? { name: transition } : transition;
+    const name = (data.name || data.type || '').toLowerCase();
+    if (!name) return null;
+
+    const type = this.animationConverter.getSlideTransition(name);
+    if (type === 'none') return null;
+
+    const directionMatch = name.match(/left|right|up|down/);
+
+    return {
+      type,
+      speed: this.animationConverter.getTransitionSpeed(data.speed ?? data.duration),
+      direction: directionMatch ? directionMatch[0] : undefined
+    };
+  }
+
   /**
    * 设置幻灯片背景
    * @param {Slide} slide - PptxGenJS 幻灯片
@@ -155,14 +367,19 @@ export class PptGenerator {
   setSlideBackground(slide, background) {
     if (!background) return;
 
+    // 渲染阶段已内联的背景图片
+    if (background.imageData) {
+      slide.background = { data: background.imageData };
+      return;
+    }
+
     // 渐变背景
     if (background.gradient) {
       const gradient = this.styleConverter.convertGradient(background.gradient);
       if (gradient && gradient.colors.length >= 2) {
-        slide.background = {
-          color: gradient.colors[0].color,
-          // PptxGenJS 对渐变支持有限，使用第一个颜色作为背景
-        };
+        // 第一个颜色作为占位，导出时由后处理器替换为原生渐变
+        slide.background = { color: gradient.colors[0].color };
+        this.postProcessor.setBackgroundGradient(this.currentSlideNumber, gradient);
       }
     }
     // 纯色背景
@@ -180,6 +397,7 @@ export class PptGenerator {
         slide.background = { path: imgUrl };
       } else if (imgUrl && imgUrl.startsWith('blob:')) {
         console.warn('Skipping blob URL background (not supported)');
+        this.reportIssue('BLOB_BACKGROUND_SKIPPED');
       }
     }
   }
@@ -189,11 +407,60 @@ export class PptGenerator {
    * @param {Slide} slide - PptxGenJS 幻灯片
    * @param {ElementData} element - 元素数据
    */
-  addElement(slide, element) {
+  addElement(slide, element, parentOpacity = 1) {
+    const opacity = parentOpacity * this.getElementOpacity(element);
+    const objectStart = slide._slideObjects.length;
+    const order = this.elementOrder++;
+
+    // 超出幻灯片的元素按 offCanvas 策略处理，子元素各自判断
+    const placement = this.getSlidePlacement(element.position);
+    if (this.shouldAddOffCanvasElement(element, placement)) {
+      this.addElementObjects(slide, element);
+
+      if (placement === 'partial' && ['clip', 'notes'].includes(this.getOffCanvasPolicy())) {
+        this.clipObjectsToSlide(slide, objectStart);
+      }
+    }
+
+    // CSS transform 的旋转和翻转只作用于元素自身生成的对象，子元素带有各自的累积变换
+    if (element.transform) {
+      this.applyTransform(slide, element.transform, objectStart);
+    }
+
+    // CSS opacity 会作用于整个子树，子元素继承累积的不透明度
+    if (opacity < 1) {
+      this.applyOpacity(slide, opacity, objectStart);
+    }
+
+    // 递归处理子元素
+    if (element.children && element.children.length > 0) {
+      for (const child of element.children) {
+        this.addElement(slide, child, opacity);
+      }
+    }
+
+    // 登记 CSS 动画（作用于元素自身及其子元素生成的所有对象）
+    if (this.options.preserveAnimations && element.styles?.animation) {
+      this.registerAnimations(slide, element, objectStart, order);
+    }
+  }
+
+  /**
+   * 添加元素自身的背景图片和内容（不含子元素）
+   * @param {Slide} slide - PptxGenJS 幻灯片
+   * @param {ElementData} element - 元素数据
+   */
+  addElementObjects(slide, element) {
+    // 容器在绘制背景色后自行添加背景图片，其他元素的背景图片位于内容之下
+    if (element.type !== 'container') {
+      this.addBackgroundImage(slide, element);
+    }
+
     switch (element.type) {
       case 'heading':
       case 'paragraph':
       case 'text':
+      case 'link':
         this.addTextElement(slide, element);
         break;
       case 'image':
@@ -202,11 +469,18 @@ export class PptGenerator {
       case 'table':
         this.addTableElement(slide, element);
         break;
+      case 'chart':
+        this.addChartElement(slide, element);
+        break;
       case 'list':
         this.addListElement(slide, element);
         break;
       case 'container':
         this.addContainerElement(slide, element);
+        // 容器内的行内富文本（如 <div>文字 <strong>强调</strong></div>）
+        if (element.runs) {
+          this.addTextElement(slide, element, { textOnly: true });
+        }
         break;
       case 'shape':
         this.addShapeElement(slide, element);
@@ -219,28 +493,309 @@ export class PptGenerator {
         // 将 SVG 转换为图片添加到 PPT
         this.addSvgElement(slide, element);
         break;
+      case 'canvas':
+        // 渲染阶段快照的 canvas 图片
+        this.addCanvasElement(slide, element);
+        break;
       default:
         // 默认作为文本处理，但要过滤掉可能的图标字符
         if (element.text && !this.isIconText(element.text)) {
           this.addTextElement(slide, element);
         }
     }
+  }
 
-    // 递归处理子元素
-    if (element.children && element.children.length > 0) {
-      for (const child of element.children) {
-        this.addElement(slide, child);
+  /**
+   * @returns {string} 当前的超出幻灯片处理策略（见 PptGenerator.OFF_CANVAS_POLICIES）
+   */
+  getOffCanvasPolicy() {
+    const policy = this.options.offCanvas;
+    return PptGenerator.OFF_CANVAS_POLICIES.includes(policy) ? policy : 'clip';
+  }
+
+  /**
+   * 判断元素相对幻灯片的位置
+   * @param {Object} position - 元素位置 {x, y, width, height}（像素）
+   * @returns {string} inside | partial（部分超出）| outside（完全在幻灯片外）
+   */
+  getSlidePlacement(position) {
+    if (!position) return 'inside';
+
+    const { x, y, w, h } = this.styleConverter.calculatePosition(position, this.containerSize);
+    const slideW = this.options.slideWidth;
+    const slideH = this.options.slideHeight;
+    // 忽略像素换算产生的微小误差
+    const tolerance = 0.01;
+
+    if (x >= slideW - tolerance || y >= slideH - tolerance || x + w <= tolerance || y + h <= tolerance) {
+      return 'outside';
+    }
+    if (x < -tolerance || y < -tolerance || x + w > slideW + tolerance || y + h > slideH + tolerance) {
+      return 'partial';
+    }
+    return 'inside';
+  }
+
+  /**
+   * 按 offCanvas 策略决定是否添加超出幻灯片的元素，notes 策略下记录完全在幻灯片外的文字
+   * @param {ElementData} element - 元素数据
+   * @param {string} placement - getSlidePlacement 的结果
+   * @returns {boolean} 是否添加元素自身的内容
+   */
+  shouldAddOffCanvasElement(element, placement) {
+    if (placement === 'inside') return true;
+
+    const policy = this.getOffCanvasPolicy();
+    if (policy === 'keep') return true;
+    if (placement === 'partial') return policy !== 'drop';
+
+    if (policy === 'notes') {
+      const text = this.getElementPlainText(element);
+      if (text) {
+        this.offCanvasNotes.push(text);
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 读取元素自身的纯文本（用于演讲者备注）
+   * @param {ElementData} element - 元素数据
+   * @returns {string} 文本
+   */
+  getElementPlainText(element) {
+    let text = element.text || '';
+    if (element.runs) {
+      text = element.runs.map(run => (run.lineBreak ? '\n' : run.text || '')).join('');
+    } else if (element.listData?.items) {
+      const collect = items => items.flatMap(item => [item.text, ...collect(item.children || [])]);
+      text = collect(element.listData.items).filter(Boolean).join('\n');
+    } else if (element.tableData?.rows) {
+      text = element.tableData.rows
+        .map(row => row.map(cell => cell.text || '').join('\t'))
+        .join('\n');
+    } else if (!text && element.alt) {
+      text = element.alt;
+    }
+    return text.trim();
+  }
+
+  /**
+   * 将元素生成的形状、文本框和图片裁剪到幻灯片范围内
+   * 图片保持原有缩放比例，通过裁剪区域只显示幻灯片内的部分；文本框和形状截断到幻灯片边缘。
+   * 旋转的对象、表格和图表无法按矩形裁剪，保持原位置
+   * @param {Slide} slide - PptxGenJS 幻灯片
+   * @param {number} objectStart - 元素处理前的对象数量
+   */
+  clipObjectsToSlide(slide, objectStart) {
+    const slideW = this.options.slideWidth;
+    const slideH = this.options.slideHeight;
+
+    for (const obj of slide._slideObjects.slice(objectStart)) {
+      if (obj._type !== 'text' && obj._type !== 'image') continue;
+
+      const options = obj.options;
+      if (options.rotate || ![options.x, options.y, options.w, options.h].every(Number.isFinite)) continue;
+
+      // 图片先换算为裁剪区域，显示框为裁剪区域的尺寸
+      const crop = obj._type === 'image' ? this.getImageCrop(options) : null;
+      const frameW = crop ? crop.w : options.w;
+      const frameH = crop ? crop.h : options.h;
+
+      const left = Math.max(options.x, 0);
+      const top = Math.max(options.y, 0);
+      const right = Math.min(options.x + frameW, slideW);
+      const bottom = Math.min(options.y + frameH, slideH);
+
+      if (right <= left || bottom <= top) {
+        slide._slideObjects.splice(slide._slideObjects.indexOf(obj), 1);
+        continue;
+      }
+
+      if (crop) {
+        // 在原裁剪区域内再截去幻灯片外的部分
+        options.w = crop.imageW;
+        options.h = crop.imageH;
+        options.sizing = {
+          type: 'crop',
+          x: crop.x + left - options.x,
+          y: crop.y + top - options.y,
+          w: right - left,
+          h: bottom - top
+        };
+        options.x = left;
+        options.y = top;
+      } else {
+        options.x = left;
+        options.y = top;
+        options.w = right - left;
+        options.h = bottom - top;
+      }
+    }
+  }
+
+  /**
+   * 将图片的 sizing 换算为裁剪区域，与 PptxGenJS 生成的 srcRect 一致
+   * cover/contain 按 w/h 的比例缩放图片后居中裁剪到 sizing 的显示区域（contain 的裁剪偏移为负，即留白）
+   * @param {Object} options - PptxGenJS 图片配置 (英寸)
+   * @returns {Object} {imageW, imageH, x, y, w, h} 显示尺寸下的完整图片尺寸和裁剪区域
+   */
+  getImageCrop(options) {
+    const sizing = options.sizing;
+    const boxW = sizing?.w || options.w;
+    const boxH = sizing?.h || options.h;
+
+    if (sizing?.type === 'cover' || sizing?.type === 'contain') {
+      const scale = sizing.type === 'cover'
+        ? Math.max(boxW / options.w, boxH / options.h)
+        : Math.min(boxW / options.w, boxH / options.h);
+      const imageW = options.w * scale;
+      const imageH = options.h * scale;
+      return { imageW, imageH, x: (imageW - boxW) / 2, y: (imageH - boxH) / 2, w: boxW, h: boxH };
+    }
+
+    if (sizing?.type === 'crop') {
+      return { imageW: options.w, imageH: options.h, x: sizing.x || 0, y: sizing.y || 0, w: boxW, h: boxH };
+    }
+
+    return { imageW: options.w, imageH: options.h, x: 0, y: 0, w: options.w, h: options.h };
+  }
+
+  /**
+   * 为元素生成的文本、形状和图片设置旋转和翻转（表格和图表不支持旋转）
+   * @param {Slide} slide - PptxGenJS 幻灯片
+   * @param {Object} transform - {rotate, flipH, flipV}（来自 HtmlParser.decomposeMatrix）
+   * @param {number} objectStart - 元素处理前的对象数量
+   */
+  applyTransform(slide, transform, objectStart) {
+    for (const obj of slide._slideObjects.slice(objectStart)) {
+      if (obj._type !== 'text' && obj._type !== 'image') continue;
+
+      obj.options.rotate = transform.rotate || 0;
+      obj.options.flipH = !!transform.flipH;
+      obj.options.flipV = !!transform.flipV;
+    }
+  }
+
+  /**
+   * 读取元素自身的 CSS opacity
+   * @param {ElementData} element - 元素数据
+   * @returns {number} 不透明度 (0-1)
+   */
+  getElementOpacity(element) {
+    const opacity = parseFloat(element.styles?.opacity);
+    if (isNaN(opacity)) return 1;
+    return Math.max(0, Math.min(opacity, 1));
+  }
+
+  /**
+   * 将累积的不透明度叠加到元素生成的填充、边框、文字、阴影和图片上
+   * @param {Slide} slide - PptxGenJS 幻灯片
+   * @param {number} opacity - 累积不透明度 (0-1)
+   * @param {number} objectStart - 元素处理前的对象数量
+   */
+  applyOpacity(slide, opacity, objectStart) {
+    const combine = transparency => this.styleConverter.combineTransparency(transparency, opacity);
+    const objects = slide._slideObjects.slice(objectStart);
+
+    for (const obj of objects) {
+      const { options } = obj;
+      if (!options) continue;
+
+      if (obj._type === 'image') {
+        options.transparency = combine(options.transparency);
+        continue;
+      }
+      if (obj._type !== 'text') continue;
+
+      if (options.fill && options.fill.color) {
+        options.fill = { ...options.fill, transparency: combine(options.fill.transparency) };
+      }
+      if (options.line && options.line.color) {
+        options.line = { ...options.line, transparency: combine(options.line.transparency) };
+      }
+      if (options.shadow) {
+        options.shadow = { ...options.shadow, opacity: (options.shadow.opacity ?? 1) * opacity };
+      }
+
+      // 文字颜色：文本框级别的透明度由未设置颜色的片段继承，片段自身的透明度单独叠加
+      options.transparency = combine(options.transparency);
+      if (Array.isArray(obj.text)) {
+        for (const run of obj.text) {
+          run.options = { ...run.options, transparency: combine(run.options?.transparency) };
+        }
+      }
+    }
+
+    // 原生渐变填充在后处理阶段写入，同样叠加整体透明度
+    const names = new Set(objects.map(obj => this.namedObjects.get(obj)).filter(Boolean));
+    if (names.size === 0) return;
+    for (const entry of this.postProcessor.getSlideTasks(this.currentSlideNumber).gradients) {
+      if (names.has(entry.shapeName)) {
+        entry.gradient = { ...entry.gradient, transparency: combine(entry.gradient.transparency) };
       }
     }
   }
 
+  /**
+   * 为元素生成的幻灯片对象登记动画
+   * 子元素已有自身动画的对象不会被覆盖
+   * @param {Slide} slide - PptxGenJS 幻灯片
+   * @param {ElementData} element - 元素数据
+   * @param {number} objectStart - 元素处理前的对象数量
+   * @param {number} order - 元素的文档顺序
+   */
+  registerAnimations(slide, element, objectStart, order) {
+    const animations = this.animationConverter.analyzeAndConvert({ animation: element.styles.animation })
+      .map(animation => this.buildAnimationOptions(animation))
+      .filter(Boolean);
+    if (animations.length === 0) return;
+
+    const objects = slide._slideObjects.slice(objectStart)
+      .filter(obj => obj._type !== 'notes' && !this.animatedObjects.has(obj));
+    if (objects.length === 0) return;
+
+    for (const obj of objects) {
+      this.animatedObjects.add(obj);
+      const shapeName = this.getObjectName(obj);
+      for (const animation of animations) {
+        this.postProcessor.addAnimation(this.currentSlideNumber, shapeName, animation, order);
+      }
+    }
+  }
+
+  /**
+   * 为幻灯片对象分配唯一名称，后处理器通过名称定位形状
+   * @param {Object} obj - PptxGenJS 幻灯片对象 (slide._slideObjects 中的项)
+   * @returns {string} 对象名称
+   */
+  getObjectName(obj) {
+    if (!this.namedObjects.has(obj)) {
+      obj.options = obj.options || {};
+      obj.options.objectName = `html2ppt-${this.currentSlideNumber}-${++this.namedObjectCount}`;
+      this.namedObjects.set(obj, obj.options.objectName);
+    }
+    return this.namedObjects.get(obj);
+  }
+
+  /**
+   * 获取最近添加到幻灯片的对象
+   * @param {Slide} slide - PptxGenJS 幻灯片
+   * @returns {Object|null} 幻灯片对象
+   */
+  getLastSlideObject(slide) {
+    const objects = slide._slideObjects;
+    return objects.length > 0 ? objects[objects.length - 1] : null;
+  }
+
   /**
    * 添加文本元素
    * @param {Slide} slide - 幻灯片
    * @param {ElementData} element - 元素数据
+   * @param {Object} options - 选项 {textOnly: 不绘制背景填充（已由容器形状绘制）}
    */
-  addTextElement(slide, element) {
-    const text = element.text || this.collectAllText(element);
+  addTextElement(slide, element, options = {}) {
+    const text = element.text;
     if (!text) return;
 
     const position = this.calculatePosition(element.position);
@@ -255,28 +810,175 @@ export class PptGenerator {
           w: position.w || 2,
           h: position.h || 0.8
         });
+        this.reportIssue('GRADIENT_TEXT_RASTERIZED', element);
         return;
       } catch (e) {
         console.warn('Failed to add gradient text image, falling back to text:', e);
       }
     }
+    if (element.styles?.hasGradientText && !options.textOnly) {
+      this.reportIssue('GRADIENT_TEXT_APPROXIMATED', element);
+    }
     const textStyles = this.styleConverter.convertTextStyles(element.styles);
     const shapeStyles = this.styleConverter.convertShapeStyles(element.styles);
 
-    // 获取字体大小（不应用缩放，保持原始大小）
+    // 字号已由 StyleConverter 按与位置相同的页面比例换算
     let fontSize = textStyles.fontSize || this.options.defaultFontSize;
 
-    // 根据标题级别调整字号（标题使用固定大小）
-    if (element.type === 'heading') {
-      const level = parseInt(element.tagName?.replace('h', '') || '1');
-      const headingSizes = { 1: 44, 2: 36, 3: 28, 4: 24, 5: 20, 6: 18 };
-      fontSize = headingSizes[level] || 24;
+    // theme 模式下标题使用统一的标题字号
+    const themeHeading = element.type === 'heading' && this.options.headingMode === 'theme';
+    if (themeHeading) {
+      fontSize = this.getThemeHeadingFontSize(element);
     }
 
     // 确保字体大小在合理范围内
     fontSize = Math.max(8, Math.min(fontSize, 96));
 
-    // 计算合适的文本宽度
+    // 渲染时实测过的文本使用实际尺寸（按输出字号与原字号之比换算），否则按字符数估算
+    const measuredBox = element.textMetrics
+      ? this.getMeasuredTextBox(element.textMetrics, position, this.getFontScale(element, fontSize))
+      : null;
+    const { w: textWidth, h: textHeight } = measuredBox || this.estimateTextBox(text, fontSize, position, element);
+
+    // 构建文本配置
+    const textOptions = {
+      x: position.x,
+      y: position.y,
+      w: textWidth,
+      h: textHeight,
+      fontFace: textStyles.fontFace || this.options.defaultFontFace,
+      fontSize: fontSize,
+      color: textStyles.color || '000000',
+      bold: themeHeading ? true : textStyles.bold,
+      italic: textStyles.italic || false,
+      underline: textStyles.underline || false,
+      strike: textStyles.strike || false,
+      transparency: textStyles.transparency || 0,
+      align: textStyles.align || 'left',
+      valign: textStyles.valign || 'top',
+      wrap: true,
+      breakLine: true,
+      isTextBox: true
+    };
+
+    // 实测尺寸：内边距与 HTML 一致，PowerPoint 字体度量略有差异时缩小文字而不是溢出
+    if (measuredBox) {
+      textOptions.margin = measuredBox.margin;
+      textOptions.wrap = measuredBox.wrap;
+      textOptions.fit = 'shrink';
+    }
+
+    // 应用行间距 (PptxGenJS 使用 lineSpacingMultiple)
+    if (textStyles.lineSpacing && textStyles.lineSpacing !== 1.2) {
+      textOptions.lineSpacingMultiple = textStyles.lineSpacing;
+    }
+
+    // 应用字符间距 (PptxGenJS 使用 charSpacing，单位为点)
+    if (textStyles.charSpacing && textStyles.charSpacing !== 0) {
+      textOptions.charSpacing = textStyles.charSpacing;
+    }
+
+    // 渐变背景使用原生渐变填充
+    const gradientFill = !options.textOnly && this.isGradientFill(shapeStyles.fill) ? shapeStyles.fill : null;
+    if (gradientFill) {
+      textOptions.fill = this.getGradientPlaceholderFill(gradientFill);
+    }
+    // 只在确实有明确背景色时才添加填充（排除透明和白色背景）
+    else if (!options.textOnly && shapeStyles.fill && shapeStyles.fill.color) {
+      const bgColor = shapeStyles.fill.color.toUpperCase();
+      // 排除透明、白色、接近白色的背景
+      if (bgColor !== 'FFFFFF' && bgColor !== 'TRANSPARENT' && !bgColor.startsWith('FFF')) {
+        textOptions.fill = shapeStyles.fill;
+      }
+    }
+
+    // 不给普通文本添加边框，除非是按钮等特殊元素
+    // shapeStyles.line 通常是浏览器默认值，不应用到文本
+
+    const hyperlink = this.resolveHyperlink(element.href);
+
+    if (element.runs && element.runs.length > 0) {
+      // 富文本：每个片段保留自己的格式，换行由片段的 breakLine 控制
+      delete textOptions.breakLine;
+      // 片段已带有各自的文字透明度，文本框级别的透明度会被不透明的片段继承
+      const runs = this.buildTextRuns(element, textOptions);
+      delete textOptions.transparency;
+      slide.addText(runs, textOptions);
+    } else if (hyperlink) {
+      // PptxGenJS 只支持文本片段级别的超链接
+      delete textOptions.breakLine;
+      slide.addText([{ text, options: { hyperlink, color: textOptions.color } }], textOptions);
+    } else {
+      slide.addText(text, textOptions);
+    }
+
+    if (gradientFill) {
+      this.registerGradientFill(slide, gradientFill);
+    }
+  }
+
+  /**
+   * headingMode 为 'theme' 时按标题级别使用统一字号（44/36/28/24/20/18）
+   * @param {ElementData} element - 标题元素
+   * @returns {number} 字号 (点)
+   */
+  getThemeHeadingFontSize(element) {
+    const level = parseInt(element.tagName?.replace('h', '') || '1');
+    const headingSizes = { 1: 44, 2: 36, 3: 28, 4: 24, 5: 20, 6: 18 };
+    return headingSizes[level] || 24;
+  }
+
+  /**
+   * 计算输出字号相对于计算样式字号（按页面比例换算后）的倍数
+   * 字号被限制在可用范围内或使用 theme 标题字号时，实测的文本尺寸需要按此倍数换算
+   * @param {ElementData} element - 元素数据
+   * @param {number} fontSize - 输出字号 (点)
+   * @returns {number} 倍数
+   */
+  getFontScale(element, fontSize) {
+    const fontPx = element.styles?.fontSize?.endsWith('px') ? parseFloat(element.styles.fontSize) : 0;
+    if (!fontPx) return 1;
+
+    return fontSize / (this.scaleLength(fontPx) * 72);
+  }
+
+  /**
+   * 根据渲染时的实测结果计算文本框尺寸
+   * @param {Object} metrics - HtmlParser.measureText 的结果 {lineCount, width, height, insets}
+   * @param {Object} position - 元素位置 (英寸)
+   * @param {number} fontScale - 输出字号相对于实测字号的倍数
+   * @returns {Object} {w, h, margin, wrap}
+   */
+  getMeasuredTextBox(metrics, position, fontScale = 1) {
+    const insets = metrics.insets || { top: 0, right: 0, bottom: 0, left: 0 };
+    const contentW = this.scaleLength(metrics.width * fontScale + insets.left + insets.right);
+    const contentH = this.scaleLength(metrics.height * fontScale + insets.top + insets.bottom);
+
+    // 元素框小于文本（如 white-space: nowrap 溢出）时扩展到文本尺寸，但不超出幻灯片
+    const w = Math.min(Math.max(position.w, contentW), Math.max(this.options.slideWidth - position.x, 0.5));
+    const h = Math.min(Math.max(position.h, contentH), Math.max(this.options.slideHeight - position.y, 0.3));
+
+    // PptxGenJS 的 margin 数组依次对应 左、右、下、上 内边距（点）
+    const toPoints = px => Math.round(this.scaleLength(px) * 72 * 100) / 100;
+
+    return {
+      w,
+      h,
+      margin: [toPoints(insets.left), toPoints(insets.right), toPoints(insets.bottom), toPoints(insets.top)],
+      // 单行文本不换行，避免字体度量差异导致意外折行
+      wrap: metrics.lineCount > 1
+    };
+  }
+
+  /**
+   * 未实测时根据字符数估算文本框尺寸
+   * @param {string} text - 文本内容
+   * @param {number} fontSize - 字号 (点)
+   * @param {Object} position - 元素位置 (英寸)
+   * @param {ElementData} element - 元素数据
+   * @returns {Object} {w, h}
+   */
+  estimateTextBox(text, fontSize, position, element) {
     let textWidth = position.w;
     let textHeight = position.h;
 
@@ -332,79 +1034,78 @@ export class PptGenerator {
       textHeight = Math.min(textHeight, this.options.slideHeight * 0.6); // 最大高度限制
     }
 
-    // 构建文本配置
-    const textOptions = {
-      x: position.x,
-      y: position.y,
-      w: textWidth,
-      h: textHeight,
-      fontFace: textStyles.fontFace || this.options.defaultFontFace,
-      fontSize: fontSize,
-      color: textStyles.color || '000000',
-      bold: element.type === 'heading' ? true : textStyles.bold,
-      italic: textStyles.italic || false,
-      underline: textStyles.underline || false,
-      strike: textStyles.strike || false,
-      align: textStyles.align || 'left',
-      valign: textStyles.valign || 'top',
-      wrap: true,
-      breakLine: true,
-      isTextBox: true
-    };
-
-    // 应用行间距 (PptxGenJS 使用 lineSpacingMultiple)
-    if (textStyles.lineSpacing && textStyles.lineSpacing !== 1.2) {
-      textOptions.lineSpacingMultiple = textStyles.lineSpacing;
-    }
+    return { w: textWidth, h: textHeight };
+  }
 
-    // 应用字符间距 (PptxGenJS 使用 charSpacing，单位为点)
-    if (textStyles.charSpacing && textStyles.charSpacing !== 0) {
-      textOptions.charSpacing = textStyles.charSpacing;
-    }
+  /**
+   * 将解析出的文本片段转换为 PptxGenJS 文本数组
+   * @param {ElementData} element - 包含 runs 的元素
+   * @param {Object} baseOptions - 文本框配置
+   * @returns {Array<{text: string, options: Object}>} 文本片段
+   */
+  buildTextRuns(element, baseOptions) {
+    const baseFontPx = parseFloat(element.styles?.fontSize) || 0;
+
+    return element.runs.map(run => {
+      const styles = run.styles || {};
+      const options = {
+        bold: this.styleConverter.isBold(styles.fontWeight),
+        italic: this.styleConverter.isItalic(styles.fontStyle)
+      };
 
-    // 只在确实有明确背景色时才添加填充（排除透明和白色背景）
-    if (shapeStyles.fill && shapeStyles.fill.color) {
-      const bgColor = shapeStyles.fill.color.toUpperCase();
-      // 排除透明、白色、接近白色的背景
-      if (bgColor !== 'FFFFFF' && bgColor !== 'TRANSPARENT' && !bgColor.startsWith('FFF')) {
-        textOptions.fill = shapeStyles.fill;
+      const color = this.styleConverter.convertColor(styles.color);
+      if (color) {
+        options.color = color;
+        const transparency = this.styleConverter.getColorTransparency(styles.color);
+        if (transparency > 0) {
+          options.transparency = transparency;
+        }
+      } else if (baseOptions.transparency) {
+        options.transparency = baseOptions.transparency;
       }
-    }
 
-    // 不给普通文本添加边框，除非是按钮等特殊元素
-    // shapeStyles.line 通常是浏览器默认值，不应用到文本
-
-    slide.addText(text, textOptions);
-  }
+      if (run.underline) {
+        options.underline = { style: 'sng' };
+      }
+      if (run.strike) {
+        options.strike = 'sngStrike';
+      }
+      if (run.highlight) {
+        const highlight = this.styleConverter.convertColor(run.highlight);
+        if (highlight) {
+          options.highlight = highlight;
+        }
+      }
+      if (run.superscript) {
+        options.superscript = true;
+      } else if (run.subscript) {
+        options.subscript = true;
+      }
 
-  /**
-   * 收集元素及其子元素的所有文本
-   * @param {ElementData} element - 元素数据
-   * @returns {string} 文本内容
-   */
-  collectAllText(element) {
-    // 跳过图标元素
-    if (element.type === 'icon') {
-      return '';
-    }
+      // 与文本框字体不同时（如 <code>）单独设置字体
+      const fontFace = this.styleConverter.parseFontFamily(styles.fontFamily);
+      if (styles.fontFamily && fontFace !== baseOptions.fontFace) {
+        options.fontFace = fontFace;
+      }
 
-    let text = element.text || '';
+      // 字号按与文本框字号的比例换算
+      const runFontPx = parseFloat(styles.fontSize);
+      if (baseFontPx && runFontPx && Math.abs(runFontPx - baseFontPx) > 0.5 &&
+          !run.superscript && !run.subscript) {
+        options.fontSize = Math.round(baseOptions.fontSize * runFontPx / baseFontPx * 10) / 10;
+      }
 
-    // 过滤掉图标字符
-    if (text && this.isIconText(text)) {
-      text = '';
-    }
+      const hyperlink = this.resolveHyperlink(run.href || element.href);
+      if (hyperlink) {
+        options.hyperlink = hyperlink;
+      }
 
-    if (element.children) {
-      for (const child of element.children) {
-        const childText = this.collectAllText(child);
-        if (childText) {
-          text += (text ? ' ' : '') + childText;
-        }
+      if (run.breakLine) {
+        options.breakLine = true;
       }
-    }
 
-    return text.trim();
+      return { text: run.text, options };
+    });
   }
 
   /**
@@ -464,16 +1165,19 @@ export class PptGenerator {
           h: iconH,
           data: element.iconImageData
         };
+        this.applyHyperlink(imageOptions, element);
 
         slide.addImage(imageOptions);
+        this.reportIssue('ICON_RASTERIZED', element);
         return;
       } catch (error) {
         console.warn('Failed to add font icon image:', error);
       }
     }
 
-    // 如果都失败了，静默跳过
+    // 如果都失败了，跳过并记录到报告中
     // 字体图标无法在没有渲染的情况下正确显示
+    this.reportIssue('ICON_UNRESOLVED', element);
   }
 
   /**
@@ -505,10 +1209,13 @@ export class PptGenerator {
         h: svgH,
         data: svgBase64
       };
+      this.applyHyperlink(imageOptions, element);
 
       slide.addImage(imageOptions);
+      this.reportIssue('SVG_AS_IMAGE', element);
     } catch (error) {
       console.warn('Failed to add SVG element:', error);
+      this.reportIssue('SVG_FAILED', element, error);
     }
   }
 
@@ -559,6 +1266,31 @@ export class PptGenerator {
     return `data:image/svg+xml;base64,${base64}`;
   }
 
+  /**
+   * 添加 canvas 快照
+   * @param {Slide} slide - 幻灯片
+   * @param {ElementData} element - 元素数据
+   */
+  addCanvasElement(slide, element) {
+    if (!element.canvasImageData) {
+      if (element.canvasError === 'tainted') {
+        this.reportIssue('CANVAS_TAINTED', element);
+      } else if (element.canvasError !== 'empty') {
+        this.reportIssue('CANVAS_FAILED', element, element.canvasError || 'not captured');
+      }
+      return;
+    }
+
+    // canvas 按 CSS 尺寸拉伸显示，与 object-fit: fill 一致
+    this.addImageElement(slide, {
+      ...element,
+      type: 'image',
+      src: element.canvasImageData,
+      objectFit: 'fill',
+      children: []
+    });
+  }
+
   /**
    * 添加图片元素
    * @param {Slide} slide - 幻灯片
@@ -570,6 +1302,7 @@ export class PptGenerator {
     // 跳过 blob: URL，因为 PptxGenJS 无法通过 XHR 加载
     if (element.src.startsWith('blob:')) {
       console.warn('Skipping blob URL image (not supported):', element.src.substring(0, 50) + '...');
+      this.reportIssue('BLOB_IMAGE_SKIPPED', element);
       return;
     }
 
@@ -592,6 +1325,9 @@ export class PptGenerator {
     let finalH = imgH;
     let finalX = position.x;
     let finalY = position.y;
+    // PptxGenJS 以 w/h 作为图片尺寸、sizing 的 w/h 作为显示区域计算裁剪比例
+    let extentW = finalW;
+    let extentH = finalH;
 
     if (naturalW > 0 && naturalH > 0 && objectFit !== 'fill') {
       const aspectRatio = naturalW / naturalH;
@@ -610,9 +1346,10 @@ export class PptGenerator {
         }
       } else if (objectFit === 'cover') {
         // cover: 保持比例，填满容器，可能裁剪
-        // PptxGenJS 的 cover 会自动处理，但我们需要确保尺寸正确
-        finalW = imgW;
-        finalH = imgH;
+        // 图片尺寸需保持原始比例，PptxGenJS 才能按比例裁剪到显示区域
+        const coverScale = Math.max(imgW / naturalW, imgH / naturalH);
+        extentW = naturalW * coverScale;
+        extentH = naturalH * coverScale;
       } else if (objectFit === 'scale-down') {
         // scale-down: 取 none 和 contain 中较小的
         if (naturalW <= imgW * this.containerSize.width / this.options.slideWidth &&
@@ -640,9 +1377,10 @@ export class PptGenerator {
     const imageOptions = {
       x: finalX,
       y: finalY,
-      w: finalW,
-      h: finalH
+      w: extentW,
+      h: extentH
     };
+    this.applyHyperlink(imageOptions, element);
 
     // 添加 sizing 配置用于 PptxGenJS 内部处理
     if (sizingType && sizingType !== 'stretch') {
@@ -661,23 +1399,28 @@ export class PptGenerator {
         slide.addImage(imageOptions);
       } catch (error) {
         console.warn('Failed to add base64 image:', error);
+        this.reportIssue('IMAGE_FAILED', element, error);
       }
     } else if (element.src.startsWith('http://') || element.src.startsWith('https://')) {
-      // 远程 URL 图片 - 需要下载转为 base64
-      // 由于 PptxGenJS 对跨域图片支持有限，尝试直接使用 path
+      // 远程 URL 图片 - 渲染阶段未能内联时，尝试直接使用 path
+      // 由于 PptxGenJS 对跨域图片支持有限，导出时可能失败
       imageOptions.path = element.src;
+      this.reportIssue('IMAGE_NOT_EMBEDDED', element);
       try {
         slide.addImage(imageOptions);
       } catch (error) {
         console.warn('Failed to add remote image:', element.src, error);
+        this.reportIssue('IMAGE_FAILED', element, error);
       }
     } else {
       // 相对路径或其他
       imageOptions.path = element.src;
+      this.reportIssue('IMAGE_NOT_EMBEDDED', element);
       try {
         slide.addImage(imageOptions);
       } catch (error) {
         console.warn('Failed to add image:', error);
+        this.reportIssue('IMAGE_FAILED', element, error);
       }
     }
   }
@@ -706,40 +1449,173 @@ export class PptGenerator {
   addTableElement(slide, element) {
     if (!element.tableData || !element.tableData.rows) return;
 
+    const tableData = element.tableData;
     const position = this.calculatePosition(element.position);
-    const rows = [];
+    const rows = tableData.rows.map(row => row.map(cell => ({
+      text: cell.text,
+      options: this.buildTableCellOptions(cell)
+    })));
 
-    for (const row of element.tableData.rows) {
-      const tableRow = [];
-      for (const cell of row) {
-        const cellStyles = this.styleConverter.convertTextStyles(cell.styles || {});
+    const tableOptions = {
+      x: position.x,
+      y: position.y,
+      w: position.w || this.options.slideWidth * 0.8,
+      colW: this.getTableColumnWidths(tableData, position.w || this.options.slideWidth * 0.8),
+      fontFace: this.options.defaultFontFace
+    };
 
-        tableRow.push({
-          text: cell.text,
-          options: {
-            ...cellStyles,
-            bold: cell.isHeader || cellStyles.bold,
-            fill: cell.isHeader ? { color: 'E7E6E6' } : undefined,
-            border: { pt: 1, color: 'CFCFCF' },
-            colspan: cell.colspan,
-            rowspan: cell.rowspan
-          }
-        });
+    // 使用实测行高（未渲染时由 PowerPoint 根据内容计算）
+    const rowHeights = (tableData.rowHeights || []).map(height => this.scaleLength(height));
+    if (rowHeights.length === rows.length && rowHeights.every(height => height > 0)) {
+      tableOptions.rowH = rowHeights;
+    }
+
+    slide.addTable(rows, tableOptions);
+  }
+
+  /**
+   * 根据单元格计算样式构建 PptxGenJS 单元格选项
+   * @param {Object} cell - 单元格数据
+   * @returns {Object} 单元格选项
+   */
+  buildTableCellOptions(cell) {
+    const cellStyles = this.styleConverter.convertTextStyles(cell.styles || {});
+    const options = {
+      ...cellStyles,
+      bold: cell.isHeader || cellStyles.bold,
+      colspan: cell.colspan,
+      rowspan: cell.rowspan
+    };
+
+    const backgroundColor = cell.background || cell.styles?.backgroundColor;
+    const background = this.styleConverter.convertColor(backgroundColor);
+    if (background) {
+      options.fill = { color: background };
+      const transparency = this.styleConverter.getColorTransparency(backgroundColor);
+      if (transparency > 0) {
+        options.fill.transparency = transparency;
       }
-      rows.push(tableRow);
     }
 
-    const tableOptions = {
+    // 四边边框 [上, 右, 下, 左]，未设置的边不绘制
+    if (cell.borders) {
+      options.border = ['top', 'right', 'bottom', 'left'].map(side => {
+        const border = this.styleConverter.convertBorder(cell.borders[side] || {});
+        return border && border.color ? border : { type: 'none' };
+      });
+    } else {
+      options.border = { pt: 1, color: 'CFCFCF' };
+    }
+
+    // 内边距 [上, 右, 下, 左]（英寸）
+    if (cell.padding) {
+      options.margin = ['top', 'right', 'bottom', 'left'].map(side =>
+        Math.min(this.scaleLength(cell.padding[side]), 0.9)
+      );
+    }
+
+    return options;
+  }
+
+  /**
+   * 计算表格列宽（英寸），按实测比例分配表格总宽度
+   * @param {TableData} tableData - 表格数据
+   * @param {number} tableWidth - 表格宽度（英寸）
+   * @returns {Array<number>} 列宽，无法测量时返回空数组（由 PptxGenJS 平均分配）
+   */
+  getTableColumnWidths(tableData, tableWidth) {
+    const widths = tableData.columnWidths || [];
+    if (widths.length === 0 || widths.some(width => !(width > 0))) {
+      return [];
+    }
+
+    const total = widths.reduce((sum, width) => sum + width, 0);
+    return widths.map(width => (width / total) * tableWidth);
+  }
+
+  /**
+   * 将 HTML 像素长度按页面缩放比例换算为幻灯片英寸
+   * @param {number|string} px - 像素值
+   * @returns {number} 英寸值
+   */
+  scaleLength(px) {
+    const scale = Math.min(
+      this.options.slideWidth / this.containerSize.width,
+      this.options.slideHeight / this.containerSize.height
+    );
+    return (parseFloat(px) || 0) * scale;
+  }
+
+  /**
+   * 添加原生图表（Chart.js / ECharts 实例或 data-chart 表格）
+   * @param {Slide} slide - 幻灯片
+   * @param {ElementData} element - 元素数据
+   */
+  addChartElement(slide, element) {
+    const chart = element.chartData;
+    if (!chart || !chart.series || chart.series.length === 0) return;
+
+    const chartTypes = {
+      bar: this.pptx.ChartType.bar,
+      line: this.pptx.ChartType.line,
+      pie: this.pptx.ChartType.pie,
+      doughnut: this.pptx.ChartType.doughnut
+    };
+    const chartType = chartTypes[chart.type];
+    if (!chartType) return;
+
+    const position = this.calculatePosition(element.position);
+    const isPie = chart.type === 'pie' || chart.type === 'doughnut';
+    const data = chart.series.map(series => ({
+      name: series.name,
+      labels: chart.labels,
+      values: series.values
+    }));
+
+    const options = {
       x: position.x,
       y: position.y,
-      w: position.w || this.options.slideWidth * 0.8,
-      colW: [], // 自动计算列宽
-      border: { pt: 1, color: 'CFCFCF' },
-      fontFace: this.options.defaultFontFace,
-      fontSize: 12
+      w: position.w || this.options.slideWidth * 0.6,
+      h: position.h || this.options.slideHeight * 0.5,
+      showLegend: !!chart.showLegend,
+      legendPos: 'b',
+      legendFontFace: this.options.defaultFontFace,
+      showTitle: !!chart.title,
+      title: chart.title || undefined,
+      titleFontFace: this.options.defaultFontFace
     };
 
-    slide.addTable(rows, tableOptions);
+    // 饼图按扇区着色，其他图表按系列着色；缺失的颜色使用默认调色板补齐
+    const colors = isPie ? chart.pointColors : chart.series.map(series => series.color);
+    const count = isPie ? chart.labels.length : chart.series.length;
+    if (colors && colors.some(Boolean)) {
+      options.chartColors = Array.from({ length: count }, (_, index) =>
+        colors[index] || PptGenerator.DEFAULT_CHART_COLORS[index % PptGenerator.DEFAULT_CHART_COLORS.length]
+      );
+    }
+
+    if (chart.type === 'bar') {
+      options.barDir = chart.barDir === 'bar' ? 'bar' : 'col';
+      options.barGrouping = chart.stacked ? 'stacked' : 'clustered';
+    }
+
+    if (isPie) {
+      options.showPercent = true;
+      if (chart.type === 'doughnut') {
+        options.holeSize = 50;
+      }
+    } else {
+      if (chart.xTitle) {
+        options.showCatAxisTitle = true;
+        options.catAxisTitle = chart.xTitle;
+      }
+      if (chart.yTitle) {
+        options.showValAxisTitle = true;
+        options.valAxisTitle = chart.yTitle;
+      }
+    }
+
+    slide.addChart(chartType, data, options);
   }
 
   /**
@@ -794,11 +1670,12 @@ export class PptGenerator {
   addContainerElement(slide, element) {
     const position = this.calculatePosition(element.position);
     const shapeStyles = this.styleConverter.convertShapeStyles(element.styles);
+    const gradientFill = this.isGradientFill(shapeStyles.fill) ? shapeStyles.fill : null;
 
-    // 如果有渐变图片数据（由 HtmlToPptConverter 预渲染），使用图片
+    // 无法解析为原生渐变时，才使用预渲染的渐变图片（由 HtmlToPptConverter 生成）
     // 注意：Canvas 已经绘制了正确的圆角，不需要 PptxGenJS 的 rounding
     // rounding: true 会将图片裁剪成椭圆，这不是我们想要的
-    if (element.gradientImageData) {
+    if (!gradientFill && element.gradientImageData) {
       try {
         slide.addImage({
           data: element.gradientImageData,
@@ -807,11 +1684,15 @@ export class PptGenerator {
           w: position.w || 2,
           h: position.h || 1
         });
+        this.reportIssue('GRADIENT_RASTERIZED', element);
         return;
       } catch (e) {
         console.warn('Failed to add gradient image, falling back to shape:', e);
       }
     }
+    if (!gradientFill && element.styles?.backgroundImage?.includes('gradient') && !element.styles?.hasGradientText) {
+      this.reportIssue('GRADIENT_APPROXIMATED', element);
+    }
 
     // 如果容器有背景色或边框，添加一个形状
     if (shapeStyles.fill || shapeStyles.line) {
@@ -822,15 +1703,11 @@ export class PptGenerator {
         h: position.h || 1
       };
 
-      // 处理填充 - 由于 PptxGenJS 不支持形状渐变，渐变使用结束色近似
-      if (shapeStyles.fill) {
-        if (shapeStyles.fill.type === 'linear' && shapeStyles.fill.stops && shapeStyles.fill.stops.length >= 2) {
-          // PptxGenJS 不支持形状渐变填充，使用渐变结束色作为近似
-          const lastColor = shapeStyles.fill.stops[shapeStyles.fill.stops.length - 1].color;
-          shapeOptions.fill = { color: lastColor };
-        } else {
-          shapeOptions.fill = shapeStyles.fill;
-        }
+      // 处理填充 - PptxGenJS 不支持形状渐变，先写入占位纯色，导出时替换为原生渐变
+      if (gradientFill) {
+        shapeOptions.fill = this.getGradientPlaceholderFill(gradientFill);
+      } else if (shapeStyles.fill) {
+        shapeOptions.fill = shapeStyles.fill;
       }
 
       // 边框
@@ -874,7 +1751,44 @@ export class PptGenerator {
       }
 
       slide.addShape(shapeType, shapeOptions);
+
+      if (gradientFill) {
+        this.registerGradientFill(slide, gradientFill);
+      }
+    }
+
+    // CSS 背景图片叠加在背景色之上
+    this.addBackgroundImage(slide, element);
+  }
+
+  /**
+   * 添加元素的 CSS 背景图片（渲染阶段内联的 data URI）
+   * @param {Slide} slide - 幻灯片
+   * @param {ElementData} element - 元素数据
+   */
+  addBackgroundImage(slide, element) {
+    if (!element.backgroundImageData) return;
+
+    this.addImageElement(slide, {
+      type: 'image',
+      src: element.backgroundImageData,
+      position: element.position,
+      objectFit: this.mapBackgroundSizeToObjectFit(element.styles?.backgroundSize),
+      naturalWidth: element.backgroundImageSize?.width || 0,
+      naturalHeight: element.backgroundImageSize?.height || 0
+    });
+  }
+
+  /**
+   * 将 CSS background-size 映射为 object-fit
+   * @param {string} backgroundSize - CSS background-size
+   * @returns {string} object-fit 值
+   */
+  mapBackgroundSizeToObjectFit(backgroundSize) {
+    if (backgroundSize === 'cover' || backgroundSize === 'contain') {
+      return backgroundSize;
     }
+    return 'fill';
   }
 
   /**
@@ -911,6 +1825,11 @@ export class PptGenerator {
       }
     }
 
+    const gradientFill = this.isGradientFill(shapeStyles.fill) ? shapeStyles.fill : null;
+    if (gradientFill) {
+      shapeStyles.fill = this.getGradientPlaceholderFill(gradientFill);
+    }
+
     slide.addShape(shapeType, {
       x: position.x,
       y: position.y,
@@ -918,6 +1837,44 @@ export class PptGenerator {
       h: position.h || 1,
       ...shapeStyles
     });
+
+    if (gradientFill) {
+      this.registerGradientFill(slide, gradientFill);
+    }
+  }
+
+  /**
+   * 判断填充配置是否为渐变
+   * @param {Object} fill - 填充配置
+   * @returns {boolean} 是否为渐变
+   */
+  isGradientFill(fill) {
+    return !!(fill && Array.isArray(fill.stops) && fill.stops.length >= 2);
+  }
+
+  /**
+   * 获取渐变的占位纯色填充（后处理失败时仍有合理的显示效果）
+   * @param {Object} gradient - 渐变配置
+   * @returns {Object} PptxGenJS 填充配置
+   */
+  getGradientPlaceholderFill(gradient) {
+    const fill = { color: gradient.stops[0].color };
+    if (gradient.transparency) {
+      fill.transparency = gradient.transparency;
+    }
+    return fill;
+  }
+
+  /**
+   * 为最近添加的形状登记原生渐变填充
+   * @param {Slide} slide - PptxGenJS 幻灯片
+   * @param {Object} gradient - 渐变配置
+   */
+  registerGradientFill(slide, gradient) {
+    const obj = this.getLastSlideObject(slide);
+    if (!obj) return;
+
+    this.postProcessor.addGradientFill(this.currentSlideNumber, this.getObjectName(obj), gradient);
   }
 
   /**
@@ -930,38 +1887,9 @@ export class PptGenerator {
       return { x: 0.5, y: 0.5, w: 2, h: 0.5 };
     }
 
+    // 超出幻灯片的部分在 addElement 中按 offCanvas 策略处理
     const result = this.styleConverter.calculatePosition(position, this.containerSize);
 
-    // 确保位置和尺寸不超出幻灯片边界
-    const slideW = this.options.slideWidth;
-    const slideH = this.options.slideHeight;
-
-    // 确保 x, y 不为负
-    result.x = Math.max(0, result.x);
-    result.y = Math.max(0, result.y);
-
-    // 确保元素不超出右边界
-    if (result.x + result.w > slideW) {
-      if (result.x >= slideW) {
-        // 元素完全在右边界外，移到左边
-        result.x = 0.5;
-      } else {
-        // 缩小宽度使其适应
-        result.w = Math.max(0.5, slideW - result.x - 0.1);
-      }
-    }
-
-    // 确保元素不超出下边界
-    if (result.y + result.h > slideH) {
-      if (result.y >= slideH) {
-        // 元素完全在下边界外，移到上边
-        result.y = 0.5;
-      } else {
-        // 缩小高度使其适应
-        result.h = Math.max(0.3, slideH - result.y - 0.1);
-      }
-    }
-
     // 确保宽度和高度为正数
     result.w = Math.max(0.5, result.w);
     result.h = Math.max(0.3, result.h);
@@ -971,16 +1899,21 @@ export class PptGenerator {
 
   /**
    * 构建动画配置
-   * @param {Object} animation - 动画数据
-   * @returns {Object} PptxGenJS 动画配置
+   * @param {Object} animation - 动画数据（来自 AnimationConverter）
+   * @returns {Object|null} 后处理器使用的动画配置
    */
   buildAnimationOptions(animation) {
-    if (!animation) return null;
+    if (!animation || !animation.type) return null;
 
     return {
-      type: animation.type.toLowerCase(),
+      type: animation.type,
+      category: animation.category || 'entrance',
       delay: animation.delay || 0,
-      duration: animation.duration || 1
+      duration: animation.duration || 1,
+      direction: animation.direction,
+      subtype: animation.subtype,
+      easing: animation.easing || 'easeInOut',
+      iterations: animation.iterations || 1
     };
   }
 
@@ -1005,7 +1938,7 @@ export class PptGenerator {
       throw new Error('No presentation to export. Call initPresentation first.');
     }
 
-    return await this.pptx.write({ outputType: 'blob' });
+    return await this.writeOutput('blob');
   }
 
   /**
@@ -1017,7 +1950,40 @@ export class PptGenerator {
       throw new Error('No presentation to export. Call initPresentation first.');
     }
 
-    await this.pptx.writeFile({ fileName: filename });
+    if (!this.postProcessor.hasTasks()) {
+      await this.pptx.writeFile({ fileName: filename });
+      return;
+    }
+
+    const blob = await this.writeOutput('blob');
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename.endsWith('.pptx') ? filename : `${filename}.pptx`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * 生成文件并执行后处理（注入动画等 PptxGenJS 不支持的内容）
+   * @param {string} outputType - 输出类型 (blob, base64, arraybuffer...)
+   * @returns {Promise<*>} 文件数据
+   */
+  async writeOutput(outputType) {
+    if (!this.postProcessor.hasTasks()) {
+      return await this.pptx.write({ outputType });
+    }
+
+    const data = await this.pptx.write({ outputType: 'arraybuffer' });
+    try {
+      return await this.postProcessor.process(data, outputType);
+    } catch (error) {
+      console.warn('PPTX post-processing failed, exporting without it:', error);
+      this.report.add(null, 'POST_PROCESSING_FAILED', null, error.message);
+      return await this.pptx.write({ outputType });
+    }
   }
 
   /**
@@ -1029,7 +1995,7 @@ export class PptGenerator {
       throw new Error('No presentation to export. Call initPresentation first.');
     }
 
-    return await this.pptx.write({ outputType: 'base64' });
+    return await this.writeOutput('base64');
   }
 }
 
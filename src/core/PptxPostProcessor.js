@@ -0,0 +1,688 @@
+/**
+ * PPTX 后处理器
+ * PptxGenJS 不支持动画等高级特性，生成文件后直接修改幻灯片 XML 注入
+ */
+
+import JSZip from 'jszip';
+import { EotWriter } from './EotWriter.js';
+
+export class PptxPostProcessor {
+  constructor() {
+    // 每页幻灯片的待处理任务 (key: 幻灯片编号，从 1 开始)
+    this.slideTasks = new Map();
+
+    // 需要嵌入的字体 [{name, faces: {regular, bold, italic, boldItalic}}]
+    this.embeddedFonts = [];
+    this.eotWriter = new EotWriter();
+
+    // PPT 动画预设 (presetID / presetSubtype)
+    // 方向与 AnimationConverter 一致 (animate.css 命名)：
+    // Up = 从底部向上，Down = 从顶部向下，Left = 从左侧，Right = 从右侧
+    this.animationPresets = {
+      entrance: {
+        'Appear': { presetID: 1 },
+        'Fly': { presetID: 2, subtypes: { Up: 4, Down: 1, Left: 8, Right: 2 } },
+        'Fade': { presetID: 10 },
+        'Flip': { presetID: 17, subtypes: { Horizontal: 10, Vertical: 5 } },
+        'Bounce': { presetID: 26 },
+        'Float': { presetID: 42, subtypes: { Down: 0 }, presetIDs: { Down: 47 } },
+        'Spin': { presetID: 49 },
+        'Zoom': { presetID: 53, subtypes: { In: 16, Out: 32 } }
+      },
+      emphasis: {
+        'Spin': { presetID: 8 },
+        'Pulse': { presetID: 26 },
+        'Teeter': { presetID: 32 },
+        'Shake': { presetID: 32 },
+        'Swing': { presetID: 32 },
+        'Wobble': { presetID: 32 },
+        'Bounce': { presetID: 32 },
+        'Flash': { presetID: 35 }
+      },
+      exit: {
+        'Fly': { presetID: 2, subtypes: { Up: 1, Down: 4, Left: 8, Right: 2 } },
+        'Fade': { presetID: 10 },
+        'Float': { presetID: 42, subtypes: { Down: 0 }, presetIDs: { Down: 47 } },
+        'Zoom': { presetID: 53, subtypes: { In: 16, Out: 32 } }
+      }
+    };
+
+    // 缓动函数到 PPT 加速/减速比例的映射 (单位: 1/100000)
+    this.easingMap = {
+      'linear': {},
+      'easeIn': { accel: 50000 },
+      'easeOut': { decel: 50000 },
+      'easeInOut': { accel: 50000, decel: 50000 }
+    };
+
+    // 幻灯片切换效果到 PresentationML 元素的映射
+    // 仅使用 PowerPoint 2007 的 p: 命名空间元素，cube 等 2010 效果近似为推进
+    this.transitionElements = {
+      'fade': () => '<p:fade/>',
+      'slide': (dir) => `<p:push dir="${dir}"/>`,
+      'push': (dir) => `<p:push dir="${dir}"/>`,
+      'cube': (dir) => `<p:push dir="${dir}"/>`,
+      'wipe': (dir) => `<p:wipe dir="${dir}"/>`,
+      'reveal': (dir) => `<p:pull dir="${dir}"/>`,
+      'split': () => '<p:split orient="horz" dir="out"/>',
+      'random': () => '<p:random/>',
+      'zoom': () => '<p:zoom/>',
+      'box': () => '<p:zoom dir="in"/>',
+      'blinds': () => '<p:blinds dir="horz"/>',
+      'checkerboard': () => '<p:checker dir="horz"/>',
+      'circle': () => '<p:circle/>',
+      'dissolve': () => '<p:dissolve/>'
+    };
+
+    // presetClass 属性值
+    this.presetClasses = {
+      entrance: 'entr',
+      emphasis: 'emph',
+      exit: 'exit'
+    };
+  }
+
+  /**
+   * 获取（或创建）幻灯片的任务对象
+   * @param {number} slideNumber - 幻灯片编号（从 1 开始）
+   * @returns {Object} 任务对象
+   */
+  getSlideTasks(slideNumber) {
+    if (!this.slideTasks.has(slideNumber)) {
+      this.slideTasks.set(slideNumber, { animations: [], transition: null, gradients: [], background: null });
+    }
+    return this.slideTasks.get(slideNumber);
+  }
+
+  /**
+   * 登记形状动画
+   * @param {number} slideNumber - 幻灯片编号（从 1 开始）
+   * @param {string} shapeName - 形状名称（PptxGenJS objectName）
+   * @param {Object} animation - PPT 动画配置（来自 AnimationConverter）
+   * @param {number} order - 文档顺序，用于延迟相同时的排序
+   */
+  addAnimation(slideNumber, shapeName, animation, order = 0) {
+    this.getSlideTasks(slideNumber).animations.push({ shapeName, animation, order });
+  }
+
+  /**
+   * 设置幻灯片切换效果
+   * @param {number} slideNumber - 幻灯片编号（从 1 开始）
+   * @param {Object} transition - 切换配置 {type, speed, direction}
+   */
+  setTransition(slideNumber, transition) {
+    this.getSlideTasks(slideNumber).transition = transition;
+  }
+
+  /**
+   * 登记形状渐变填充
+   * @param {number} slideNumber - 幻灯片编号（从 1 开始）
+   * @param {string} shapeName - 形状名称
+   * @param {Object} gradient - 渐变配置 {type, angle, stops, shape?, center?, transparency?}
+   */
+  addGradientFill(slideNumber, shapeName, gradient) {
+    this.getSlideTasks(slideNumber).gradients.push({ shapeName, gradient });
+  }
+
+  /**
+   * 设置幻灯片背景渐变
+   * @param {number} slideNumber - 幻灯片编号（从 1 开始）
+   * @param {Object} gradient - 渐变配置
+   */
+  setBackgroundGradient(slideNumber, gradient) {
+    this.getSlideTasks(slideNumber).background = gradient;
+  }
+
+  /**
+   * 设置需要嵌入的字体（FontEmbedder 下载的 TrueType 文件）
+   * @param {Array<Object>} fonts - [{name, faces: {regular?, bold?, italic?, boldItalic?}}]
+   */
+  setEmbeddedFonts(fonts) {
+    this.embeddedFonts = (fonts || []).filter(font => font.faces && Object.keys(font.faces).length > 0);
+  }
+
+  /**
+   * 是否有需要处理的任务
+   * @returns {boolean}
+   */
+  hasTasks() {
+    if (this.embeddedFonts.length > 0) return true;
+    for (const tasks of this.slideTasks.values()) {
+      if (tasks.animations.length > 0 || tasks.transition ||
+          tasks.gradients.length > 0 || tasks.background) return true;
+    }
+    return false;
+  }
+
+  /**
+   * 处理 PPTX 文件
+   * @param {ArrayBuffer|Uint8Array|Blob} data - PptxGenJS 生成的文件数据
+   * @param {string} outputType - JSZip 输出类型 (blob, base64, arraybuffer...)
+   * @returns {Promise<*>} 处理后的文件
+   */
+  async process(data, outputType = 'blob') {
+    const zip = await JSZip.loadAsync(data);
+
+    for (const [slideNumber, tasks] of this.slideTasks) {
+      const path = `ppt/slides/slide${slideNumber}.xml`;
+      const file = zip.file(path);
+      if (!file) {
+        console.warn(`Post-processing skipped, slide not found: ${path}`);
+        continue;
+      }
+
+      const xml = await file.async('string');
+      zip.file(path, this.processSlideXml(xml, tasks));
+    }
+
+    if (this.embeddedFonts.length > 0) {
+      await this.embedFonts(zip);
+    }
+
+    return await zip.generateAsync({
+      type: outputType,
+      compression: 'DEFLATE',
+      mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+    });
+  }
+
+  /**
+   * 写入嵌入字体：字体文件、内容类型、presentation 关系和 p:embeddedFontLst
+   * 字体部件与 PowerPoint 保存的格式一致：.fntdata 扩展名，内容为 EOT 封装的 TrueType 文件
+   * @param {JSZip} zip - pptx 压缩包
+   */
+  async embedFonts(zip) {
+    const typesPath = '[Content_Types].xml';
+    const relsPath = 'ppt/_rels/presentation.xml.rels';
+    const presentationPath = 'ppt/presentation.xml';
+
+    let types = await zip.file(typesPath).async('string');
+    let rels = await zip.file(relsPath).async('string');
+    let presentation = await zip.file(presentationPath).async('string');
+
+    if (!types.includes('Extension="fntdata"')) {
+      types = types.replace('</Types>',
+        '<Default Extension="fntdata" ContentType="application/x-fontdata"/></Types>');
+    }
+
+    const ids = [...rels.matchAll(/Id="rId(\d+)"/g)].map(match => parseInt(match[1], 10));
+    let nextId = Math.max(0, ...ids) + 1;
+    let fileIndex = 1;
+    const relationships = [];
+    const entries = [];
+
+    for (const font of this.embeddedFonts) {
+      let faces = '';
+      for (const slot of ['regular', 'bold', 'italic', 'boldItalic']) {
+        if (!font.faces[slot]) continue;
+
+        const rId = `rId${nextId++}`;
+        const target = `fonts/font${fileIndex++}.fntdata`;
+        zip.file(`ppt/${target}`, this.eotWriter.write(font.faces[slot]));
+        relationships.push(`<Relationship Id="${rId}" ` +
+          'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/font" ' +
+          `Target="${target}"/>`);
+        faces += `<p:${slot} r:id="${rId}"/>`;
+      }
+      entries.push(`<p:embeddedFont><p:font typeface="${this.escapeXml(font.name)}"/>${faces}</p:embeddedFont>`);
+    }
+
+    rels = rels.replace('</Relationships>', `${relationships.join('')}</Relationships>`);
+
+    // 按 schema 顺序，embeddedFontLst 位于 notesSz（及 smartTags）之后
+    const listXml = `<p:embeddedFontLst>${entries.join('')}</p:embeddedFontLst>`;
+    const anchor = presentation.match(/<p:smartTags\b[^>]*\/>|<p:notesSz\b[^>]*\/>/g)?.pop();
+    if (anchor) {
+      const index = presentation.lastIndexOf(anchor) + anchor.length;
+      presentation = presentation.slice(0, index) + listXml + presentation.slice(index);
+    } else {
+      presentation = presentation.replace(/<p:defaultTextStyle>|<\/p:presentation>/, match => listXml + match);
+    }
+    if (!/embedTrueTypeFonts=/.test(presentation)) {
+      presentation = presentation.replace('<p:presentation ', '<p:presentation embedTrueTypeFonts="1" ');
+    }
+
+    zip.file(typesPath, types);
+    zip.file(relsPath, rels);
+    zip.file(presentationPath, presentation);
+  }
+
+  /**
+   * 转义 XML 属性值
+   * @param {string} text - 原始文本
+   * @returns {string} 转义后的文本
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * 处理单页幻灯片 XML
+   * @param {string} xml - 幻灯片 XML
+   * @param {Object} tasks - 该页的任务
+   * @returns {string} 处理后的 XML
+   */
+  processSlideXml(xml, tasks) {
+    let result = xml;
+
+    if (tasks.background) {
+      result = this.replaceBackground(result, this.buildGradFillXml(tasks.background));
+    }
+
+    for (const { shapeName, gradient } of tasks.gradients || []) {
+      result = this.replaceShapeFill(result, shapeName, this.buildGradFillXml(gradient));
+    }
+
+    // 先插入 transition，timing 必须位于其后
+    if (tasks.transition) {
+      const transitionXml = this.buildTransitionXml(tasks.transition);
+      if (transitionXml) {
+        result = this.insertSlideChild(result, transitionXml);
+      }
+    }
+
+    if (tasks.animations?.length > 0) {
+      const timingXml = this.buildTimingXml(result, tasks.animations);
+      if (timingXml) {
+        result = this.insertSlideChild(result, timingXml);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 在 p:sld 中插入子节点
+   * 按 schema 顺序，transition / timing 位于 clrMapOvr 之后、extLst 之前
+   * @param {string} xml - 幻灯片 XML
+   * @param {string} childXml - 要插入的节点
+   * @returns {string} 插入后的 XML
+   */
+  insertSlideChild(xml, childXml) {
+    const anchor = '</p:clrMapOvr>';
+    const index = xml.indexOf(anchor);
+    if (index !== -1) {
+      // timing 需要放在已存在的 transition 之后
+      let insertAt = index + anchor.length;
+      const transitionEnd = xml.match(/<\/p:transition>|<p:transition\b[^>]*\/>/);
+      if (childXml.startsWith('<p:timing') && transitionEnd && transitionEnd.index >= insertAt) {
+        insertAt = transitionEnd.index + transitionEnd[0].length;
+      }
+      return xml.slice(0, insertAt) + childXml + xml.slice(insertAt);
+    }
+    return xml.replace('</p:sld>', `${childXml}</p:sld>`);
+  }
+
+  /**
+   * 构建 a:gradFill 节点
+   * CSS 角度 0deg 指向上方并顺时针旋转，DrawingML 0 度指向右方，因此需要减去 90 度
+   * @param {Object} gradient - 渐变配置 {type, angle|rotate, stops, center?, transparency?}
+   * @returns {string} gradFill XML
+   */
+  buildGradFillXml(gradient) {
+    const overallAlpha = 1 - (gradient.transparency || 0) / 100;
+
+    const stops = gradient.stops.map(stop => {
+      const alpha = (1 - (stop.transparency || 0) / 100) * overallAlpha;
+      const alphaXml = alpha < 1 ? `<a:alpha val="${Math.round(alpha * 100000)}"/>` : '';
+      return `<a:gs pos="${Math.round(stop.position * 1000)}"><a:srgbClr val="${stop.color}">${alphaXml}</a:srgbClr></a:gs>`;
+    }).join('');
+
+    let shadeXml;
+    if (gradient.type === 'radial') {
+      // fillToRect 指定渐变中心（相对于形状的边距，单位 1/1000 %）
+      const center = gradient.center || { x: 50, y: 50 };
+      shadeXml = '<a:path path="circle">' +
+        `<a:fillToRect l="${Math.round(center.x * 1000)}" t="${Math.round(center.y * 1000)}" ` +
+        `r="${Math.round((100 - center.x) * 1000)}" b="${Math.round((100 - center.y) * 1000)}"/>` +
+        '</a:path>';
+    } else {
+      const cssAngle = gradient.angle ?? gradient.rotate ?? 180;
+      const angle = (((cssAngle - 90) % 360) + 360) % 360;
+      shadeXml = `<a:lin ang="${Math.round(angle * 60000)}" scaled="0"/>`;
+    }
+
+    return `<a:gradFill rotWithShape="1"><a:gsLst>${stops}</a:gsLst>${shadeXml}</a:gradFill>`;
+  }
+
+  /**
+   * 替换幻灯片背景填充
+   * @param {string} xml - 幻灯片 XML
+   * @param {string} fillXml - 填充 XML
+   * @returns {string} 处理后的 XML
+   */
+  replaceBackground(xml, fillXml) {
+    const bgXml = `<p:bg><p:bgPr>${fillXml}<a:effectLst/></p:bgPr></p:bg>`;
+
+    if (/<p:bg>[\s\S]*?<\/p:bg>/.test(xml)) {
+      return xml.replace(/<p:bg>[\s\S]*?<\/p:bg>/, bgXml);
+    }
+    return xml.replace(/<p:cSld[^>]*>/, match => `${match}${bgXml}`);
+  }
+
+  /**
+   * 替换形状的填充（spPr 中几何形状之后的 solidFill / noFill）
+   * @param {string} xml - 幻灯片 XML
+   * @param {string} shapeName - 形状名称
+   * @param {string} fillXml - 填充 XML
+   * @returns {string} 处理后的 XML
+   */
+  replaceShapeFill(xml, shapeName, fillXml) {
+    const nameIndex = xml.indexOf(`name="${shapeName}"`);
+    const spPrStart = nameIndex === -1 ? -1 : xml.indexOf('<p:spPr>', nameIndex);
+    const spPrEnd = spPrStart === -1 ? -1 : xml.indexOf('</p:spPr>', spPrStart);
+    if (spPrEnd === -1) {
+      console.warn(`Gradient fill skipped, shape not found: ${shapeName}`);
+      return xml;
+    }
+
+    const spPr = xml.slice(spPrStart, spPrEnd);
+    const geometryFill = /(<\/a:prstGeom>|<\/a:custGeom>)(<a:noFill\/>|<a:solidFill>[\s\S]*?<\/a:solidFill>)?/;
+    if (!geometryFill.test(spPr)) {
+      console.warn(`Gradient fill skipped, no geometry found: ${shapeName}`);
+      return xml;
+    }
+
+    const newSpPr = spPr.replace(geometryFill, (match, geometry) => `${geometry}${fillXml}`);
+    return xml.slice(0, spPrStart) + newSpPr + xml.slice(spPrEnd);
+  }
+
+  /**
+   * 构建 p:transition 节点
+   * @param {Object} transition - 切换配置 {type, speed, direction}
+   * @returns {string|null} transition XML
+   */
+  buildTransitionXml(transition) {
+    const buildElement = this.transitionElements[transition.type];
+    if (!buildElement) {
+      console.warn(`Unsupported slide transition: ${transition.type}`);
+      return null;
+    }
+
+    const directions = { left: 'l', right: 'r', up: 'u', down: 'd' };
+    const dir = directions[transition.direction] || 'l';
+    const speed = ['fast', 'med', 'slow'].includes(transition.speed) ? transition.speed : 'med';
+
+    return `<p:transition spd="${speed}">${buildElement(dir)}</p:transition>`;
+  }
+
+  /**
+   * 根据形状名称查找形状 ID
+   * @param {string} xml - 幻灯片 XML
+   * @param {string} shapeName - 形状名称
+   * @returns {Array<{spid: number, isShape: boolean}>} 匹配的形状
+   */
+  findShapes(xml, shapeName) {
+    const shapes = [];
+    const escapedName = shapeName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(`<p:cNvPr id="(\\d+)" name="${escapedName}"`, 'g');
+    let match;
+
+    while ((match = regex.exec(xml)) !== null) {
+      // 只有 p:sp 形状需要 bldP 构建项（图片、表格不需要）
+      const spStart = xml.lastIndexOf('<p:sp>', match.index);
+      const isShape = spStart > xml.lastIndexOf('<p:pic>', match.index) &&
+        spStart > xml.lastIndexOf('<p:graphicFrame>', match.index);
+
+      shapes.push({ spid: parseInt(match[1]), isShape });
+    }
+
+    return shapes;
+  }
+
+  /**
+   * 构建 p:timing 节点
+   * 所有动画在幻灯片开始时自动播放（与上一动画同时），通过 delay 实现错峰
+   * @param {string} xml - 幻灯片 XML（用于查找形状 ID）
+   * @param {Array<Object>} animations - 动画任务
+   * @returns {string|null} timing XML
+   */
+  buildTimingXml(xml, animations) {
+    // 按延迟排序，延迟相同时保持文档顺序
+    const sorted = [...animations].sort((a, b) =>
+      (a.animation.delay || 0) - (b.animation.delay || 0) || a.order - b.order
+    );
+
+    let nextId = 4; // 1: tmRoot, 2: mainSeq, 3: 点击组
+    const effects = [];
+    const builds = new Map();
+
+    for (const task of sorted) {
+      const shapes = this.findShapes(xml, task.shapeName);
+      for (const shape of shapes) {
+        const result = this.buildEffectXml(shape.spid, task.animation, nextId);
+        if (!result) continue;
+        effects.push(result.xml);
+        nextId = result.nextId;
+        if (shape.isShape && !builds.has(shape.spid)) {
+          builds.set(shape.spid, `<p:bldP spid="${shape.spid}" grpId="0" animBg="1"/>`);
+        }
+      }
+    }
+
+    if (effects.length === 0) return null;
+
+    const innerParId = nextId;
+    const bldLst = builds.size > 0 ? `<p:bldLst>${Array.from(builds.values()).join('')}</p:bldLst>` : '';
+
+    return '<p:timing><p:tnLst><p:par>' +
+      '<p:cTn id="1" dur="indefinite" restart="never" nodeType="tmRoot"><p:childTnLst>' +
+      '<p:seq concurrent="1" nextAc="seek">' +
+      '<p:cTn id="2" dur="indefinite" nodeType="mainSeq"><p:childTnLst>' +
+      '<p:par><p:cTn id="3" fill="hold">' +
+      '<p:stCondLst><p:cond delay="indefinite"/><p:cond evt="onBegin" delay="0"><p:tn val="2"/></p:cond></p:stCondLst>' +
+      `<p:childTnLst><p:par><p:cTn id="${innerParId}" fill="hold">` +
+      '<p:stCondLst><p:cond delay="0"/></p:stCondLst>' +
+      `<p:childTnLst>${effects.join('')}</p:childTnLst>` +
+      '</p:cTn></p:par></p:childTnLst>' +
+      '</p:cTn></p:par>' +
+      '</p:childTnLst></p:cTn>' +
+      '<p:prevCondLst><p:cond evt="onPrev" delay="0"><p:tgtEl><p:sldTgt/></p:tgtEl></p:cond></p:prevCondLst>' +
+      '<p:nextCondLst><p:cond evt="onNext" delay="0"><p:tgtEl><p:sldTgt/></p:tgtEl></p:cond></p:nextCondLst>' +
+      '</p:seq>' +
+      '</p:childTnLst></p:cTn>' +
+      `</p:par></p:tnLst>${bldLst}</p:timing>`;
+  }
+
+  /**
+   * 构建单个动画效果节点
+   * @param {number} spid - 目标形状 ID
+   * @param {Object} animation - PPT 动画配置
+   * @param {number} startId - 起始 cTn ID
+   * @returns {{xml: string, nextId: number}|null} 效果 XML 和下一个可用 ID
+   */
+  buildEffectXml(spid, animation, startId) {
+    const category = animation.category || 'entrance';
+    const presets = this.animationPresets[category];
+    if (!presets) return null;
+
+    const preset = presets[animation.type] || (category === 'emphasis' ? presets.Pulse : presets.Fade);
+    const presetID = preset.presetIDs?.[animation.direction] ?? preset.presetID;
+    const presetSubtype = preset.subtypes?.[animation.direction] ?? preset.subtypes?.[animation.subtype] ?? 0;
+
+    const duration = Math.max(1, Math.round((animation.duration || 0.5) * 1000));
+    const delay = Math.max(0, Math.round((animation.delay || 0) * 1000));
+
+    let id = startId;
+    const effectId = id++;
+    const behaviors = [];
+    const target = `<p:tgtEl><p:spTgt spid="${spid}"/></p:tgtEl>`;
+    const newId = () => id++;
+
+    // 入场动画：开始时设为可见
+    if (category === 'entrance') {
+      behaviors.push(this.buildVisibilitySet(target, newId(), 0, 'visible'));
+    }
+
+    behaviors.push(...this.buildBehaviors(animation, category, target, duration, newId));
+
+    // 退出动画：结束时设为隐藏
+    if (category === 'exit') {
+      behaviors.push(this.buildVisibilitySet(target, newId(), duration - 1, 'hidden'));
+    }
+
+    const easing = this.easingMap[animation.easing] || {};
+    const easingAttrs = (easing.accel ? ` accel="${easing.accel}"` : '') +
+      (easing.decel ? ` decel="${easing.decel}"` : '');
+
+    // 强调动画支持循环播放
+    let repeatAttr = '';
+    if (category === 'emphasis' && animation.iterations) {
+      repeatAttr = animation.iterations === -1 ?
+        ' repeatCount="indefinite"' :
+        (animation.iterations > 1 ? ` repeatCount="${animation.iterations * 1000}"` : '');
+    }
+
+    const xml = `<p:par><p:cTn id="${effectId}" presetID="${presetID}" presetClass="${this.presetClasses[category]}" ` +
+      `presetSubtype="${presetSubtype}" fill="hold" grpId="0" nodeType="withEffect"${easingAttrs}${repeatAttr}>` +
+      `<p:stCondLst><p:cond delay="${delay}"/></p:stCondLst>` +
+      `<p:childTnLst>${behaviors.join('')}</p:childTnLst>` +
+      '</p:cTn></p:par>';
+
+    return { xml, nextId: id };
+  }
+
+  /**
+   * 构建可见性设置节点
+   * @param {string} target - 目标元素 XML
+   * @param {number} id - cTn ID
+   * @param {number} delay - 延迟 (毫秒)
+   * @param {string} value - visible / hidden
+   * @returns {string} XML
+   */
+  buildVisibilitySet(target, id, delay, value) {
+    return `<p:set><p:cBhvr><p:cTn id="${id}" dur="1" fill="hold"><p:stCondLst><p:cond delay="${delay}"/></p:stCondLst></p:cTn>` +
+      `${target}<p:attrNameLst><p:attrName>style.visibility</p:attrName></p:attrNameLst></p:cBhvr>` +
+      `<p:to><p:strVal val="${value}"/></p:to></p:set>`;
+  }
+
+  /**
+   * 构建属性动画节点
+   * @param {string} target - 目标元素 XML
+   * @param {number} id - cTn ID
+   * @param {number} duration - 时长 (毫秒)
+   * @param {string} attrName - 属性名 (ppt_x, ppt_y, ppt_w, ppt_h)
+   * @param {string} from - 起始值公式
+   * @param {string} to - 结束值公式
+   * @returns {string} XML
+   */
+  buildPropertyAnim(target, id, duration, attrName, from, to) {
+    return '<p:anim calcmode="lin" valueType="num">' +
+      `<p:cBhvr additive="base"><p:cTn id="${id}" dur="${duration}" fill="hold"/>${target}` +
+      `<p:attrNameLst><p:attrName>${attrName}</p:attrName></p:attrNameLst></p:cBhvr>` +
+      '<p:tavLst>' +
+      `<p:tav tm="0"><p:val><p:strVal val="${from}"/></p:val></p:tav>` +
+      `<p:tav tm="100000"><p:val><p:strVal val="${to}"/></p:val></p:tav>` +
+      '</p:tavLst></p:anim>';
+  }
+
+  /**
+   * 构建淡入淡出效果节点
+   * @param {string} target - 目标元素 XML
+   * @param {number} id - cTn ID
+   * @param {number} duration - 时长 (毫秒)
+   * @param {string} transition - in / out
+   * @returns {string} XML
+   */
+  buildFadeEffect(target, id, duration, transition) {
+    return `<p:animEffect transition="${transition}" filter="fade">` +
+      `<p:cBhvr><p:cTn id="${id}" dur="${duration}"/>${target}</p:cBhvr></p:animEffect>`;
+  }
+
+  /**
+   * 根据动画类型构建具体行为
+   * @param {Object} animation - PPT 动画配置
+   * @param {string} category - entrance / emphasis / exit
+   * @param {string} target - 目标元素 XML
+   * @param {number} duration - 时长 (毫秒)
+   * @param {Function} newId - 生成 cTn ID
+   * @returns {Array<string>} 行为 XML 列表
+   */
+  buildBehaviors(animation, category, target, duration, newId) {
+    const direction = animation.direction || 'Up';
+    const fadeDir = category === 'exit' ? 'out' : 'in';
+
+    // 入场起点（far: 幻灯片外，near: 附近小幅偏移）
+    const offsets = {
+      bottom: { attr: 'ppt_y', far: '1+#ppt_h/2', near: '#ppt_y+.1' },
+      top: { attr: 'ppt_y', far: '0-#ppt_h/2', near: '#ppt_y-.1' },
+      left: { attr: 'ppt_x', far: '0-#ppt_w/2', near: '#ppt_x-.1' },
+      right: { attr: 'ppt_x', far: '1+#ppt_w/2', near: '#ppt_x+.1' }
+    };
+    // 入场从哪一侧进入 / 退出向哪一侧离开
+    const entranceSides = { Up: 'bottom', Down: 'top', Left: 'left', Right: 'right' };
+    const exitSides = { Up: 'top', Down: 'bottom', Left: 'left', Right: 'right' };
+
+    const moveAnims = (useFar) => {
+      const side = category === 'exit' ? exitSides[direction] || 'bottom' : entranceSides[direction] || 'bottom';
+      const offset = offsets[side];
+      const home = `#${offset.attr}`;
+      const away = useFar ? offset.far : offset.near;
+      const other = offset.attr === 'ppt_x' ? 'ppt_y' : 'ppt_x';
+      const [from, to] = category === 'exit' ? [home, away] : [away, home];
+      return [
+        this.buildPropertyAnim(target, newId(), duration, other, `#${other}`, `#${other}`),
+        this.buildPropertyAnim(target, newId(), duration, offset.attr, from, to)
+      ];
+    };
+
+    if (category === 'emphasis') {
+      switch (animation.type) {
+        case 'Spin':
+          return [`<p:animRot by="21600000"><p:cBhvr><p:cTn id="${newId()}" dur="${duration}" fill="hold"/>${target}` +
+            '<p:attrNameLst><p:attrName>r</p:attrName></p:attrNameLst></p:cBhvr></p:animRot>'];
+        case 'Teeter':
+        case 'Shake':
+        case 'Swing':
+        case 'Wobble':
+        case 'Bounce':
+          return [`<p:animRot by="240000"><p:cBhvr><p:cTn id="${newId()}" dur="${Math.max(1, Math.round(duration / 4))}" autoRev="1" repeatCount="2000" fill="hold"/>${target}` +
+            '<p:attrNameLst><p:attrName>r</p:attrName></p:attrNameLst></p:cBhvr></p:animRot>'];
+        case 'Flash':
+          return [`<p:animEffect transition="out" filter="fade"><p:cBhvr><p:cTn id="${newId()}" dur="${Math.max(1, Math.round(duration / 2))}" autoRev="1"/>${target}</p:cBhvr></p:animEffect>`];
+        default:
+          // Pulse：放大后还原
+          return [`<p:animScale><p:cBhvr><p:cTn id="${newId()}" dur="${Math.max(1, Math.round(duration / 2))}" autoRev="1" fill="hold"/>${target}</p:cBhvr>` +
+            '<p:by x="105000" y="105000"/></p:animScale>'];
+      }
+    }
+
+    switch (animation.type) {
+      case 'Appear':
+        return [];
+      case 'Fly':
+        return moveAnims(true);
+      case 'Float':
+      case 'Bounce':
+        return [this.buildFadeEffect(target, newId(), duration, fadeDir), ...moveAnims(false)];
+      case 'Zoom': {
+        const scaleFrom = animation.subtype === 'Out' ? '4*' : '0*';
+        const [wFrom, wTo] = category === 'exit' ? ['#ppt_w', `${scaleFrom}#ppt_w`] : [`${scaleFrom}#ppt_w`, '#ppt_w'];
+        const [hFrom, hTo] = category === 'exit' ? ['#ppt_h', `${scaleFrom}#ppt_h`] : [`${scaleFrom}#ppt_h`, '#ppt_h'];
+        return [
+          this.buildFadeEffect(target, newId(), duration, fadeDir),
+          this.buildPropertyAnim(target, newId(), duration, 'ppt_w', wFrom, wTo),
+          this.buildPropertyAnim(target, newId(), duration, 'ppt_h', hFrom, hTo)
+        ];
+      }
+      case 'Spin':
+        return [
+          this.buildFadeEffect(target, newId(), duration, fadeDir),
+          `<p:animRot by="21600000"><p:cBhvr><p:cTn id="${newId()}" dur="${duration}" fill="hold"/>${target}` +
+            '<p:attrNameLst><p:attrName>r</p:attrName></p:attrNameLst></p:cBhvr></p:animRot>'
+        ];
+      case 'Flip': {
+        const attr = animation.direction === 'Vertical' ? 'ppt_h' : 'ppt_w';
+        return [this.buildPropertyAnim(target, newId(), duration, attr, `0*#${attr}`, `#${attr}`)];
+      }
+      default:
+        return [this.buildFadeEffect(target, newId(), duration, fadeDir)];
+    }
+  }
+}
+
+export default PptxPostProcessor;
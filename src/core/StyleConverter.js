@@ -3,8 +3,85 @@
  * 将 CSS 样式转换为 PptxGenJS 兼容的格式
  */
 
+import { ColorParser } from './ColorParser.js';
+
 export class StyleConverter {
-  constructor() {
+  // 字体策略：substitute 按映射表替换，keep 保留原字体名，embed 保留原字体名并嵌入字体文件
+  static FONT_STRATEGIES = ['substitute', 'keep', 'embed'];
+
+  // CSS 通用字体族和系统字体别名，任何策略下都需要映射为具体字体
+  static GENERIC_FONTS = [
+    'sans-serif', 'serif', 'monospace', 'cursive', 'fantasy', 'system-ui',
+    'ui-sans-serif', 'ui-serif', 'ui-monospace', '-apple-system', 'BlinkMacSystemFont'
+  ];
+
+  // 默认字体映射 - 优先使用跨平台字体（substitute 策略使用）
+  static DEFAULT_FONT_MAP = {
+    // 无衬线字体 (Sans-serif)
+    'Arial': 'Arial',
+    'Helvetica': 'Arial',
+    'Helvetica Neue': 'Arial',
+    '-apple-system': 'Arial',
+    'BlinkMacSystemFont': 'Arial',
+    'Segoe UI': 'Segoe UI',
+    'Roboto': 'Arial',
+    'Open Sans': 'Arial',
+    'Lato': 'Arial',
+    'Montserrat': 'Arial',
+    'Poppins': 'Arial',
+    'Inter': 'Arial',
+    'Nunito': 'Arial',
+    'sans-serif': 'Arial',
+    'system-ui': 'Arial',
+    'ui-sans-serif': 'Arial',
+    // 衬线字体 (Serif)
+    'Times New Roman': 'Times New Roman',
+    'Times': 'Times New Roman',
+    'Georgia': 'Georgia',
+    'Playfair Display': 'Georgia',
+    'Merriweather': 'Georgia',
+    'serif': 'Times New Roman',
+    'ui-serif': 'Times New Roman',
+    // 等宽字体 (Monospace)
+    'Verdana': 'Verdana',
+    'Courier New': 'Courier New',
+    'Courier': 'Courier New',
+    'monospace': 'Courier New',
+    'Consolas': 'Consolas',
+    'Monaco': 'Courier New',
+    'Fira Code': 'Consolas',
+    'JetBrains Mono': 'Consolas',
+    'Source Code Pro': 'Consolas',
+    'ui-monospace': 'Consolas',
+    // 中文字体 - 映射到通用中文字体
+    'Microsoft YaHei': 'Microsoft YaHei',
+    '微软雅黑': 'Microsoft YaHei',
+    'SimHei': 'SimHei',
+    '黑体': 'SimHei',
+    'SimSun': 'SimSun',
+    '宋体': 'SimSun',
+    'PingFang SC': 'PingFang SC',
+    'Hiragino Sans GB': 'Hiragino Sans GB',
+    'STHeiti': 'SimHei',
+    'Noto Sans SC': 'Microsoft YaHei',
+    'Source Han Sans SC': 'Microsoft YaHei',
+    'WenQuanYi Micro Hei': 'Microsoft YaHei',
+    // 日文字体
+    'Hiragino Kaku Gothic ProN': 'Yu Gothic',
+    'Meiryo': 'Meiryo',
+    'MS Gothic': 'MS Gothic',
+    // 韩文字体
+    'Malgun Gothic': 'Malgun Gothic',
+    'Nanum Gothic': 'Malgun Gothic'
+  };
+
+  /**
+   * @param {Object} options - 配置
+   * @param {string} options.fontStrategy - 字体策略（见 StyleConverter.FONT_STRATEGIES，默认 substitute）
+   * @param {Object} options.fontMap - 自定义字体映射 {原字体: PPT 字体}，任何策略下都优先使用
+   * @param {Array<string>} options.embeddedFonts - 已嵌入文件的字体名（embed 策略）
+   */
+  constructor(options = {}) {
     // PPT 标准尺寸 (英寸)
     this.slideWidth = 13.333;  // 16:9 默认宽度
     this.slideHeight = 7.5;
@@ -14,68 +91,43 @@ export class StyleConverter {
 
     // 缩放参数 (由 PptGenerator 设置)
     this.scale = 1;
+    // 文字尺寸换算：每个 CSS 像素对应的点数，与位置使用相同的页面缩放比例（未缩放时 1px = 0.75pt）
+    this.pointsPerPx = 0.75;
     this.offsetX = 0;
     this.offsetY = 0;
 
-    // 字体映射 - 优先使用跨平台字体
-    this.fontMap = {
-      // 无衬线字体 (Sans-serif)
-      'Arial': 'Arial',
-      'Helvetica': 'Arial',
-      'Helvetica Neue': 'Arial',
-      '-apple-system': 'Arial',
-      'BlinkMacSystemFont': 'Arial',
-      'Segoe UI': 'Segoe UI',
-      'Roboto': 'Arial',
-      'Open Sans': 'Arial',
-      'Lato': 'Arial',
-      'Montserrat': 'Arial',
-      'Poppins': 'Arial',
-      'Inter': 'Arial',
-      'Nunito': 'Arial',
-      'sans-serif': 'Arial',
-      'system-ui': 'Arial',
-      'ui-sans-serif': 'Arial',
-      // 衬线字体 (Serif)
-      'Times New Roman': 'Times New Roman',
-      'Times': 'Times New Roman',
-      'Georgia': 'Georgia',
-      'Playfair Display': 'Georgia',
-      'Merriweather': 'Georgia',
-      'serif': 'Times New Roman',
-      'ui-serif': 'Times New Roman',
-      // 等宽字体 (Monospace)
-      'Verdana': 'Verdana',
-      'Courier New': 'Courier New',
-      'Courier': 'Courier New',
-      'monospace': 'Courier New',
-      'Consolas': 'Consolas',
-      'Monaco': 'Courier New',
-      'Fira Code': 'Consolas',
-      'JetBrains Mono': 'Consolas',
-      'Source Code Pro': 'Consolas',
-      'ui-monospace': 'Consolas',
-      // 中文字体 - 映射到通用中文字体
-      'Microsoft YaHei': 'Microsoft YaHei',
-      '微软雅黑': 'Microsoft YaHei',
-      'SimHei': 'SimHei',
-      '黑体': 'SimHei',
-      'SimSun': 'SimSun',
-      '宋体': 'SimSun',
-      'PingFang SC': 'PingFang SC',
-      'Hiragino Sans GB': 'Hiragino Sans GB',
-      'STHeiti': 'SimHei',
-      'Noto Sans SC': 'Microsoft YaHei',
-      'Source Han Sans SC': 'Microsoft YaHei',
-      'WenQuanYi Micro Hei': 'Microsoft YaHei',
-      // 日文字体
-      'Hiragino Kaku Gothic ProN': 'Yu Gothic',
-      'Meiryo': 'Meiryo',
-      'MS Gothic': 'MS Gothic',
-      // 韩文字体
-      'Malgun Gothic': 'Malgun Gothic',
-      'Nanum Gothic': 'Malgun Gothic'
-    };
+    // 默认字体映射（用户配置的映射保存在 customFontMap 中，优先级更高）
+    this.fontMap = { ...StyleConverter.DEFAULT_FONT_MAP };
+
+    this.fontStrategy = StyleConverter.FONT_STRATEGIES.includes(options.fontStrategy)
+      ? options.fontStrategy
+      : 'substitute';
+    this.customFontMap = StyleConverter.normalizeFontMap(options.fontMap);
+    this.embeddedFonts = new Set(options.embeddedFonts || []);
+
+    // 原字体名 -> 处理结果，用于字体报告
+    this.fontResolutions = new Map();
+
+    this.colorParser = new ColorParser();
+  }
+
+  /**
+   * 规范化自定义字体映射：去除首尾空白和引号，忽略空值和非字符串值
+   * @param {Object} fontMap - {原字体: PPT 字体}
+   * @returns {Object} 规范化后的映射
+   */
+  static normalizeFontMap(fontMap) {
+    const normalized = {};
+    if (!fontMap || typeof fontMap !== 'object' || Array.isArray(fontMap)) return normalized;
+
+    for (const [from, to] of Object.entries(fontMap)) {
+      const name = from.trim().replace(/^['"]|['"]$/g, '');
+      const fontFace = typeof to === 'string' ? to.trim().replace(/^['"]|['"]$/g, '') : '';
+      if (name && fontFace) {
+        normalized[name] = fontFace;
+      }
+    }
+    return normalized;
   }
 
   /**
@@ -89,13 +141,14 @@ export class StyleConverter {
   }
 
   /**
-   * 将像素转换为点 (用于字体大小)
+   * 将像素转换为点 (用于字体大小、行高和字间距)
+   * 按 pointsPerPx 换算，文字与文本框使用同一缩放比例
    * @param {number|string} px - 像素值
    * @returns {number} 点值
    */
   pxToPoints(px) {
     const value = typeof px === 'string' ? parseFloat(px) : px;
-    return value * 0.75; // 1px = 0.75pt
+    return value * this.pointsPerPx;
   }
 
   /**
@@ -112,21 +165,18 @@ export class StyleConverter {
     if (fontSize.includes('px')) {
       points = this.pxToPoints(value);
     } else if (fontSize.includes('pt')) {
-      points = value;
+      points = this.pxToPoints(value * 4 / 3); // 1pt = 4/3px
     } else if (fontSize.includes('em') || fontSize.includes('rem')) {
-      points = value * 16 * 0.75; // 假设 1em = 16px
+      points = this.pxToPoints(value * 16); // 假设 1em = 16px
     } else if (fontSize.includes('%')) {
-      points = (value / 100) * 16 * 0.75;
+      points = this.pxToPoints((value / 100) * 16);
     } else {
       points = value || 18;
     }
 
-    // 不应用缩放因子！字体大小应保持原始比例
-    // 位置和尺寸需要缩放，但字体大小不需要
-
-    // 确保字体大小在合理范围内
-    // 最小 8pt 保证可读性，最大 96pt 支持大标题
-    return Math.max(8, Math.min(points, 96));
+    // 字号与位置按相同比例缩放，文字才能排进按页面比例缩放的文本框和表格行
+    // 不设可读性下限：放大小字号会使文字超出按页面比例缩放的行高和列宽
+    return Math.max(1, Math.min(points, 96));
   }
 
   /**
@@ -139,53 +189,89 @@ export class StyleConverter {
 
     // 获取第一个字体
     const firstFont = fontFamily.split(',')[0].trim().replace(/['"]/g, '');
+    if (!firstFont) return 'Arial';
 
-    // 查找映射
-    return this.fontMap[firstFont] || firstFont;
+    const resolution = this.resolveFont(firstFont);
+    this.fontResolutions.set(firstFont, resolution);
+    return resolution.fontFace;
+  }
+
+  /**
+   * 按字体策略决定字体在 PPT 中使用的名称
+   * 自定义映射优先；keep / embed 保留原名（embed 下未能嵌入的字体回退到映射表）；通用字体族总是映射
+   * @param {string} name - CSS 字体名（不含引号）
+   * @returns {Object} {name, fontFace, action}，action 为 kept / substituted / embedded
+   */
+  resolveFont(name) {
+    const custom = this.customFontMap[name];
+    if (custom) {
+      return { name, fontFace: custom, action: custom === name ? 'kept' : 'substituted' };
+    }
+
+    const isGeneric = StyleConverter.GENERIC_FONTS.includes(name);
+    if (!isGeneric) {
+      if (this.fontStrategy === 'embed' && this.embeddedFonts.has(name)) {
+        return { name, fontFace: name, action: 'embedded' };
+      }
+      if (this.fontStrategy === 'keep') {
+        return { name, fontFace: name, action: 'kept' };
+      }
+    }
+
+    const fontFace = this.fontMap[name] || name;
+    return { name, fontFace, action: fontFace === name ? 'kept' : 'substituted' };
+  }
+
+  /**
+   * 获取转换过程中实际使用过的字体及其处理结果
+   * @returns {Array<Object>} [{name, fontFace, action, generic}]
+   */
+  getFontResolutions() {
+    return Array.from(this.fontResolutions.values()).map(resolution => ({
+      ...resolution,
+      generic: StyleConverter.GENERIC_FONTS.includes(resolution.name)
+    }));
   }
 
   /**
    * 转换颜色为 PPT 格式
+   * 支持 CSS Color 4 的全部颜色语法，超出 sRGB 色域的颜色按色域映射转换
    * @param {string} color - CSS 颜色值
-   * @returns {string} 6位 hex 颜色值 (无 #)
+   * @param {string} currentColor - currentColor 对应的颜色（可选）
+   * @returns {string} 6位 hex 颜色值 (无 #)，alpha 由 getColorAlpha 读取
    */
-  convertColor(color) {
-    if (!color) return null;
+  convertColor(color, currentColor = null) {
+    if (!color || color.trim().toLowerCase() === 'transparent') return null;
+    return this.colorParser.toHex(color, currentColor);
+  }
 
-    // 移除 # 号
-    if (color.startsWith('#')) {
-      color = color.substring(1);
-      // 处理 3 位 hex
-      if (color.length === 3) {
-        color = color[0] + color[0] + color[1] + color[1] + color[2] + color[2];
-      }
-      return color.toUpperCase();
-    }
-
-    // RGB/RGBA 格式
-    const rgbMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-    if (rgbMatch) {
-      const r = parseInt(rgbMatch[1]).toString(16).padStart(2, '0');
-      const g = parseInt(rgbMatch[2]).toString(16).padStart(2, '0');
-      const b = parseInt(rgbMatch[3]).toString(16).padStart(2, '0');
-      return `${r}${g}${b}`.toUpperCase();
-    }
-
-    // 命名颜色映射
-    const colorNames = {
-      'white': 'FFFFFF',
-      'black': '000000',
-      'red': 'FF0000',
-      'green': '00FF00',
-      'blue': '0000FF',
-      'yellow': 'FFFF00',
-      'cyan': '00FFFF',
-      'magenta': 'FF00FF',
-      'gray': '808080',
-      'grey': '808080'
-    };
+  /**
+   * 读取颜色的 alpha 通道
+   * @param {string} color - CSS 颜色值
+   * @returns {number} alpha (0-1)，无 alpha 或无法识别时为 1
+   */
+  getColorAlpha(color) {
+    if (!color) return 1;
+    return this.colorParser.getAlpha(color) ?? 1;
+  }
+
+  /**
+   * 将颜色的 alpha 转换为 PPT 透明度
+   * @param {string} color - CSS 颜色值
+   * @returns {number} 透明度 (0-100)
+   */
+  getColorTransparency(color) {
+    return Math.round((1 - this.getColorAlpha(color)) * 100);
+  }
 
-    return colorNames[color.toLowerCase()] || null;
+  /**
+   * 叠加不透明度后的透明度：alpha 相乘
+   * @param {number} transparency - 原透明度 (0-100)
+   * @param {number} opacity - 叠加的不透明度 (0-1)
+   * @returns {number} 新透明度 (0-100)
+   */
+  combineTransparency(transparency, opacity) {
+    return Math.round(100 - (100 - (transparency || 0)) * opacity);
   }
 
   /**
@@ -366,11 +452,18 @@ export class StyleConverter {
       return null;
     }
 
-    return {
+    const line = {
       type: styles.borderStyle === 'dashed' ? 'dash' : 'solid',
       color: this.convertColor(styles.borderColor),
       pt: width
     };
+
+    const transparency = this.getColorTransparency(styles.borderColor);
+    if (transparency > 0) {
+      line.transparency = transparency;
+    }
+
+    return line;
   }
 
   /**
@@ -417,42 +510,243 @@ export class StyleConverter {
   convertGradient(gradient) {
     if (!gradient) return null;
 
-    const colors = [];
-    const value = gradient.value;
+    const parsed = this.parseCssGradient(`${gradient.type}-gradient(${gradient.value})`);
+    if (!parsed) return null;
+
+    return {
+      ...parsed,
+      colors: parsed.stops
+    };
+  }
+
+  /**
+   * 解析 CSS 渐变（linear / radial），支持多个色标、色标位置和透明度
+   * repeating-* 渐变无法用 DrawingML 表达，返回 null
+   * @param {string} value - CSS 渐变值（多个背景层时取第一个渐变）
+   * @returns {Object|null} {type, angle, stops: [{color, position, transparency}], shape?, center?}
+   */
+  parseCssGradient(value) {
+    if (!value) return null;
+
+    const match = value.match(/(repeating-)?(linear|radial)-gradient\(/);
+    if (!match || match[1]) return null;
+
+    // 找到匹配的右括号（颜色值自身也包含括号）
+    const start = match.index + match[0].length;
+    let depth = 1;
+    let end = start;
+    while (end < value.length && depth > 0) {
+      if (value[end] === '(') depth++;
+      else if (value[end] === ')') depth--;
+      end++;
+    }
+
+    const args = this.splitTopLevel(value.slice(start, end - 1));
+    if (args.length === 0) return null;
+
+    const type = match[2];
+    const result = { type, angle: 180 }; // CSS 默认方向为 to bottom
 
-    // 解析颜色和位置
-    const colorStops = value.match(/(#[a-f0-9]{3,6}|rgba?\([^)]+\)|[a-z]+)\s*(\d+%)?/gi);
+    const first = args[0];
+    if (type === 'linear') {
+      if (/^to\s/.test(first)) {
+        result.angle = this.parseGradientDirection(first);
+        args.shift();
+      } else if (/^-?[\d.]+(deg|turn|rad|grad)$/.test(first)) {
+        result.angle = this.parseAngle(first);
+        args.shift();
+      }
+    } else if (!this.parseColorStopColor(first)) {
+      // radial: [shape] [size] [at position]
+      result.shape = /\bcircle\b/.test(first) ? 'circle' : 'ellipse';
+      result.center = this.parseGradientCenter(first);
+      args.shift();
+    } else {
+      result.shape = 'ellipse';
+      result.center = { x: 50, y: 50 };
+    }
+
+    const stops = [];
+    for (const arg of args) {
+      const tokens = arg.match(/[^\s(]+(\((?:[^()]|\([^()]*\))*\))?/g) || [];
+      const stopColor = this.parseColorStopColor(tokens[0]);
+      // 跳过颜色提示 (color hint) 等无法识别的参数
+      if (!stopColor) continue;
 
-    if (colorStops) {
-      colorStops.forEach((stop, index) => {
-        const colorMatch = stop.match(/(#[a-f0-9]{3,6}|rgba?\([^)]+\)|[a-z]+)/i);
-        const positionMatch = stop.match(/(\d+)%/);
+      const positions = tokens.slice(1)
+        .filter(t => t.endsWith('%'))
+        .map(t => parseFloat(t));
 
-        if (colorMatch) {
-          colors.push({
-            color: this.convertColor(colorMatch[1]),
-            position: positionMatch ? parseInt(positionMatch[1]) : (index * 100) / (colorStops.length - 1)
-          });
+      if (positions.length === 0) {
+        stops.push({ ...stopColor, position: null });
+      } else {
+        // 双位置语法 "red 10% 20%" 生成两个色标
+        for (const position of positions.slice(0, 2)) {
+          stops.push({ ...stopColor, position });
         }
-      });
+      }
+    }
+
+    if (stops.length < 2) return null;
+
+    this.fillStopPositions(stops);
+    this.resolveTransparentStops(stops);
+
+    result.stops = stops;
+    return result;
+  }
+
+  /**
+   * 按顶层逗号分割（忽略括号内的逗号）
+   * @param {string} value - 参数字符串
+   * @returns {Array<string>} 分割结果
+   */
+  splitTopLevel(value) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of value) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
     }
+    if (current.trim()) {
+      parts.push(current.trim());
+    }
+
+    return parts;
+  }
 
-    if (colors.length < 2) return null;
+  /**
+   * 解析色标颜色
+   * @param {string} token - 颜色字符串
+   * @returns {Object|null} {color, transparency}，transparent 返回 color 为 null
+   */
+  parseColorStopColor(token) {
+    if (!token) return null;
 
-    // 解析角度
-    let angle = 90; // 默认从上到下
-    const angleMatch = value.match(/(\d+)deg/);
-    if (angleMatch) {
-      angle = parseInt(angleMatch[1]);
+    if (token.toLowerCase() === 'transparent') {
+      return { color: null, transparency: 100 };
     }
 
+    const color = this.convertColor(token);
+    if (!color || !/^[0-9A-F]{6}$/.test(color)) return null;
+
     return {
-      type: gradient.type,
-      angle,
-      colors
+      color,
+      transparency: this.getColorTransparency(token)
     };
   }
 
+  /**
+   * 解析 CSS 角度值
+   * @param {string} value - 角度 (deg, turn, rad, grad)
+   * @returns {number} 角度 (0-360)
+   */
+  parseAngle(value) {
+    const num = parseFloat(value);
+    let degrees = num;
+    if (value.endsWith('turn')) degrees = num * 360;
+    else if (value.endsWith('grad')) degrees = num * 0.9;
+    else if (value.endsWith('rad')) degrees = num * 180 / Math.PI;
+
+    return ((degrees % 360) + 360) % 360;
+  }
+
+  /**
+   * 解析 "to right bottom" 形式的渐变方向
+   * @param {string} value - 方向关键词
+   * @returns {number} CSS 角度
+   */
+  parseGradientDirection(value) {
+    const horizontal = /\bleft\b/.test(value) ? 'left' : (/\bright\b/.test(value) ? 'right' : null);
+    const vertical = /\btop\b/.test(value) ? 'top' : (/\bbottom\b/.test(value) ? 'bottom' : null);
+
+    const angles = {
+      'top': 0, 'right': 90, 'bottom': 180, 'left': 270,
+      'top-right': 45, 'bottom-right': 135, 'bottom-left': 225, 'top-left': 315
+    };
+    const key = [vertical, horizontal].filter(Boolean).join('-');
+
+    return angles[key] ?? 180;
+  }
+
+  /**
+   * 解析径向渐变的中心位置
+   * @param {string} value - 形如 "circle at 30% 40%"
+   * @returns {Object} 中心位置百分比 {x, y}
+   */
+  parseGradientCenter(value) {
+    const center = { x: 50, y: 50 };
+    const atMatch = value.match(/\bat\s+(.+)$/);
+    if (!atMatch) return center;
+
+    const keywords = { left: 0, top: 0, center: 50, right: 100, bottom: 100 };
+    const tokens = atMatch[1].trim().split(/\s+/);
+    const values = tokens.map(t => (t.endsWith('%') ? parseFloat(t) : keywords[t]));
+
+    // 单独的 top/bottom 关键词作用于纵向
+    if (tokens.length === 1 && (tokens[0] === 'top' || tokens[0] === 'bottom')) {
+      center.y = values[0];
+      return center;
+    }
+    if (values[0] !== undefined) center.x = values[0];
+    if (values[1] !== undefined) center.y = values[1];
+    if (tokens[0] === 'top' || tokens[0] === 'bottom') {
+      // "top left" 形式，纵向关键词在前
+      [center.x, center.y] = [values[1] ?? 50, values[0]];
+    }
+
+    return center;
+  }
+
+  /**
+   * 补全缺省的色标位置（首尾分别为 0/100，中间均匀插值）
+   * @param {Array<Object>} stops - 色标数组（会被修改）
+   */
+  fillStopPositions(stops) {
+    if (stops[0].position === null) stops[0].position = 0;
+    if (stops[stops.length - 1].position === null) stops[stops.length - 1].position = 100;
+
+    let lastKnown = 0;
+    for (let i = 1; i < stops.length; i++) {
+      if (stops[i].position === null) continue;
+
+      const gap = i - lastKnown;
+      for (let j = lastKnown + 1; j < i; j++) {
+        const from = stops[lastKnown].position;
+        stops[j].position = from + (stops[i].position - from) * (j - lastKnown) / gap;
+      }
+      lastKnown = i;
+    }
+
+    // 色标位置必须单调递增
+    let previous = 0;
+    for (const stop of stops) {
+      stop.position = Math.round(Math.max(previous, Math.min(stop.position, 100)) * 100) / 100;
+      previous = stop.position;
+    }
+  }
+
+  /**
+   * transparent 色标使用相邻色标的颜色，避免渐变过渡到黑色
+   * @param {Array<Object>} stops - 色标数组（会被修改）
+   */
+  resolveTransparentStops(stops) {
+    stops.forEach((stop, index) => {
+      if (stop.color) return;
+      const neighbor = stops.slice(index + 1).find(s => s.color) ||
+        stops.slice(0, index).reverse().find(s => s.color);
+      stop.color = neighbor ? neighbor.color : 'FFFFFF';
+    });
+  }
+
   /**
    * 计算元素在幻灯片中的位置 (英寸)
    * 使用等比例缩放，保持 HTML 原始布局
@@ -522,6 +816,12 @@ export class StyleConverter {
       result.charSpacing = charSpacing;
     }
 
+    // 半透明文字颜色
+    const transparency = this.getColorTransparency(styles.color);
+    if (transparency > 0) {
+      result.transparency = transparency;
+    }
+
     return result;
   }
 
@@ -546,6 +846,10 @@ export class StyleConverter {
       const bgColor = this.convertColor(styles.backgroundColor);
       if (bgColor) {
         config.fill = { color: bgColor };
+        const transparency = this.getColorTransparency(styles.backgroundColor);
+        if (transparency > 0) {
+          config.fill.transparency = transparency;
+        }
       }
     }
 
@@ -570,83 +874,27 @@ export class StyleConverter {
       config.rectRadius = Math.max(0.02, Math.min(radiusInches, 0.5));
     }
 
-    // 透明度
-    if (styles.opacity && styles.opacity !== '1') {
-      config.fill = config.fill || {};
-      config.fill.transparency = (1 - parseFloat(styles.opacity)) * 100;
-    }
-
     return config;
   }
 
   /**
    * 从 CSS 背景样式解析渐变
    * @param {string} backgroundImage - CSS backgroundImage 值
-   * @returns {Object|null} PptxGenJS 渐变配置
+   * @returns {Object|null} 渐变填充配置 {type, rotate, stops, shape?, center?}
    */
   parseGradientFromStyle(backgroundImage) {
     if (!backgroundImage || !backgroundImage.includes('gradient')) return null;
 
-    // 匹配 linear-gradient - 使用贪婪匹配到字符串末尾，因为 rgb() 也包含括号
-    const linearMatch = backgroundImage.match(/linear-gradient\((.+)\)$/);
-    if (linearMatch) {
-      const parts = linearMatch[1];
-
-      // 解析方向和颜色
-      let angle = 90; // 默认从左到右
-      const colors = [];
-
-      // 检查方向
-      if (parts.includes('to right')) {
-        angle = 90;
-      } else if (parts.includes('to left')) {
-        angle = 270;
-      } else if (parts.includes('to bottom')) {
-        angle = 180;
-      } else if (parts.includes('to top')) {
-        angle = 0;
-      } else if (parts.includes('to bottom right') || parts.includes('to right bottom')) {
-        angle = 135;
-      } else if (parts.includes('to top right') || parts.includes('to right top')) {
-        angle = 45;
-      } else {
-        // 尝试解析角度值
-        const angleMatch = parts.match(/(\d+)deg/);
-        if (angleMatch) {
-          angle = parseInt(angleMatch[1]);
-        }
-      }
-
-      // 解析颜色
-      const colorRegex = /(#[0-9A-Fa-f]{3,8}|rgba?\([^)]+\)|[a-zA-Z]+(?:\s+\d+)?)/g;
-      let match;
-      while ((match = colorRegex.exec(parts)) !== null) {
-        const colorStr = match[1].trim();
-        // 跳过方向关键词
-        if (['to', 'right', 'left', 'top', 'bottom', 'deg'].some(k => colorStr.includes(k))) {
-          continue;
-        }
-        const color = this.convertColor(colorStr);
-        if (color) {
-          colors.push({ color, position: colors.length === 0 ? 0 : 100 });
-        }
-      }
-
-      if (colors.length >= 2) {
-        // 均匀分布颜色位置
-        colors.forEach((c, i) => {
-          c.position = Math.round((i / (colors.length - 1)) * 100);
-        });
-
-        return {
-          type: 'linear',
-          rotate: angle,
-          stops: colors.map(c => ({ color: c.color, position: c.position }))
-        };
-      }
-    }
+    const gradient = this.parseCssGradient(backgroundImage);
+    if (!gradient) return null;
 
-    return null;
+    return {
+      type: gradient.type,
+      rotate: gradient.angle,
+      stops: gradient.stops,
+      shape: gradient.shape,
+      center: gradient.center
+    };
   }
 }
 
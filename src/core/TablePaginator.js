@@ -0,0 +1,249 @@
+/**
+ * 表格分页器
+ * 将超出行数或高度限制的表格拆分到续页中，续页重复表头行并在标题后添加 "(cont.)"
+ */
+
+export class TablePaginator {
+  /**
+   * @param {Object} options - 配置
+   * @param {number} options.maxRows - 每页最多的表体行数（不含表头）
+   * @param {number} options.maxHeight - 每页表格的最大高度（页面像素，需要实测行高，可选）
+   * @param {string} options.continuationSuffix - 续页标题后缀
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxRows: 15,
+      maxHeight: null,
+      continuationSuffix: ' (cont.)',
+      ...options
+    };
+  }
+
+  /**
+   * 对所有幻灯片进行表格分页
+   * 每页输出都记录 sourceSlideNumber，用于将页内链接映射到分页后的页码
+   * @param {Array<SlideData>} slidesData - 幻灯片数据
+   * @returns {Array<SlideData>} 分页后的幻灯片数据
+   */
+  paginate(slidesData) {
+    const result = [];
+
+    slidesData.forEach((slideData, index) => {
+      const sourceSlideNumber = index + 1;
+      const continuations = [];
+      const elements = this.paginateElements(slideData.elements || [], slideData, continuations);
+
+      result.push({ ...slideData, elements, sourceSlideNumber });
+      for (const continuation of continuations) {
+        result.push({ ...continuation, sourceSlideNumber });
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 递归处理元素，超长表格在原位置只保留第一页的行
+   * @param {Array} elements - 元素数组
+   * @param {SlideData} slideData - 所属幻灯片
+   * @param {Array<SlideData>} continuations - 收集生成的续页
+   * @returns {Array} 处理后的元素数组（需要拆分时为新对象，原数据不变）
+   */
+  paginateElements(elements, slideData, continuations) {
+    return elements.map(element => {
+      if (element.type === 'table' && element.tableData?.rows) {
+        const pages = this.splitTable(element.tableData);
+        if (pages.length > 1) {
+          pages.slice(1).forEach(page => {
+            continuations.push(this.createContinuationSlide(slideData, element, page));
+          });
+          return this.createTableElement(element, pages[0]);
+        }
+        return element;
+      }
+
+      if (element.children && element.children.length > 0) {
+        const children = this.paginateElements(element.children, slideData, continuations);
+        if (children.some((child, i) => child !== element.children[i])) {
+          return { ...element, children };
+        }
+      }
+      return element;
+    });
+  }
+
+  /**
+   * 将表格行拆分为多页
+   * @param {TableData} tableData - 表格数据
+   * @returns {Array<Object>} 每页的 {rows, rowHeights, rowSections}，第一页之外均包含重复的表头
+   */
+  splitTable(tableData) {
+    const { rows } = tableData;
+    const rowHeights = tableData.rowHeights || [];
+    const rowSections = tableData.rowSections || [];
+
+    // 表头：thead 中的行；没有 thead 时取开头全部为 th 的行
+    let headerCount = rowSections.filter(section => section === 'head').length;
+    if (headerCount === 0) {
+      while (headerCount < rows.length - 1 && rows[headerCount].length > 0 &&
+             rows[headerCount].every(cell => cell.isHeader)) {
+        headerCount++;
+      }
+    }
+
+    const bodyRows = rows.length - headerCount;
+    if (bodyRows <= 0) return [tableData];
+
+    const headerHeight = rowHeights.slice(0, headerCount).reduce((sum, height) => sum + (height || 0), 0);
+    const breakable = this.getBreakableRows(rows);
+    const { maxRows, maxHeight } = this.options;
+    const pages = [];
+    let start = headerCount;
+
+    while (start < rows.length) {
+      let end = start;
+      let height = headerHeight;
+      let lastBreak = null;
+
+      // 扩展当前页直到超出限制，分页点不能位于 rowspan 合并区域内部
+      while (end < rows.length) {
+        const rowHeight = rowHeights[end] || 0;
+        const overRows = maxRows > 0 && end - start >= maxRows;
+        const overHeight = maxHeight > 0 && rowHeight > 0 && end > start && height + rowHeight > maxHeight;
+        if (overRows || overHeight) break;
+
+        height += rowHeight;
+        end++;
+        if (end === rows.length || breakable[end]) {
+          lastBreak = end;
+        }
+      }
+
+      // 合并区域超出单页时只能整体放在下一个分页点
+      if (lastBreak === null) {
+        lastBreak = end;
+        while (lastBreak < rows.length && !breakable[lastBreak]) lastBreak++;
+      }
+
+      const indexes = [...Array(headerCount).keys(), ...this.range(start, lastBreak)];
+      pages.push({
+        rows: indexes.map(i => rows[i]),
+        rowHeights: rowHeights.length ? indexes.map(i => rowHeights[i]) : [],
+        rowSections: rowSections.length ? indexes.map(i => rowSections[i]) : []
+      });
+      start = lastBreak;
+    }
+
+    return pages;
+  }
+
+  /**
+   * 计算每一行之前是否可以分页（不被上方的 rowspan 跨越）
+   * @param {Array<Array>} rows - 表格行
+   * @returns {Array<boolean>} breakable[i] 表示第 i 行之前可以分页
+   */
+  getBreakableRows(rows) {
+    const breakable = [];
+    let spanEnd = 0; // 合并区域覆盖到的最后一行之后的位置
+
+    rows.forEach((cells, index) => {
+      breakable[index] = index >= spanEnd;
+      for (const cell of cells) {
+        spanEnd = Math.max(spanEnd, index + (cell.rowspan || 1));
+      }
+    });
+
+    return breakable;
+  }
+
+  /**
+   * 创建只包含部分行的表格元素
+   * @param {ElementData} element - 原表格元素
+   * @param {Object} page - 分页数据 {rows, rowHeights, rowSections}
+   * @returns {ElementData} 新的表格元素
+   */
+  createTableElement(element, page) {
+    const totalRows = element.tableData.rows.length;
+    const measuredHeight = page.rowHeights.reduce((sum, height) => sum + (height || 0), 0);
+
+    return {
+      ...element,
+      tableData: { ...element.tableData, ...page },
+      position: {
+        ...element.position,
+        height: measuredHeight || element.position.height * page.rows.length / totalRows
+      }
+    };
+  }
+
+  /**
+   * 创建续页：标题加后缀，表格保持原来的水平位置和列宽
+   * @param {SlideData} slideData - 原幻灯片
+   * @param {ElementData} tableElement - 原表格元素
+   * @param {Object} page - 分页数据
+   * @returns {SlideData} 续页数据
+   */
+  createContinuationSlide(slideData, tableElement, page) {
+    const title = `${slideData.title || ''}${this.options.continuationSuffix}`.trim();
+    const table = this.createTableElement(tableElement, page);
+    const heading = this.findTitleElement(slideData.elements || [], slideData.title);
+    let titleElement;
+
+    if (heading) {
+      // 复用原标题元素的位置和样式（行内富文本只保留纯文本）
+      const { runs, ...headingData } = heading;
+      titleElement = { ...headingData, text: title, children: [] };
+    } else {
+      titleElement = {
+        type: 'heading',
+        tagName: 'h2',
+        text: title,
+        position: { x: tableElement.position.x, y: 24, width: tableElement.position.width, height: 48 },
+        styles: { fontSize: '28px', fontWeight: '700' },
+        children: []
+      };
+      table.position = { ...table.position, y: Math.max(table.position.y, 96) };
+    }
+
+    return {
+      ...slideData,
+      title,
+      anchorId: null,
+      notes: null,
+      elements: [titleElement, table]
+    };
+  }
+
+  /**
+   * 查找与幻灯片标题对应的标题元素
+   * @param {Array} elements - 元素数组
+   * @param {string} title - 幻灯片标题（HtmlParser.extractTitle 的结果）
+   * @returns {ElementData|null} 标题元素
+   */
+  findTitleElement(elements, title) {
+    if (!title) return null;
+
+    for (const element of elements) {
+      if (element.type === 'heading' && (element.text || '').trim() === title) {
+        return element;
+      }
+      if (element.children && element.children.length > 0) {
+        const found = this.findTitleElement(element.children, title);
+        if (found) return found;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 生成 [start, end) 的整数序列
+   * @param {number} start - 起始值
+   * @param {number} end - 结束值（不含）
+   * @returns {Array<number>} 整数序列
+   */
+  range(start, end) {
+    return Array.from({ length: Math.max(0, end - start) }, (_, i) => start + i);
+  }
+}
+
+export default TablePaginator;
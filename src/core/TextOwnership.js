@@ -0,0 +1,151 @@
+/**
+ * 文本归属
+ * 每段文本只由排版它的块级元素输出一次：没有直接文本的文本元素收集行内子元素的文字，子元素只保留
+ * 背景、边框等自身的绘制；包含块级子元素时文字留给子元素，父元素作为容器只绘制自身的框
+ */
+
+export class TextOwnership {
+  // 由 PptGenerator.addTextElement 输出文字的元素类型
+  static TEXT_TYPES = ['heading', 'paragraph', 'text', 'link'];
+
+  // 计算样式中没有 display 时按标签判断的行内元素
+  static INLINE_TAGS = [
+    'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'code', 'del', 'dfn', 'em', 'i', 'ins', 'kbd', 'label',
+    'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var'
+  ];
+
+  /**
+   * @param {Object} options - 配置
+   * @param {Function} options.isIconText - 判断文本是否为字体图标字符（图标字符不作为文字输出）
+   */
+  constructor(options = {}) {
+    this.options = {
+      isIconText: () => false,
+      ...options
+    };
+  }
+
+  /**
+   * 为元素树分配文本归属
+   * @param {Array<ElementData>} elements - 元素数组
+   * @returns {Array<ElementData>} 处理后的元素数组（需要调整时为新对象，原数据不变）
+   */
+  assign(elements) {
+    return elements.map(element => this.assignElement(element));
+  }
+
+  /**
+   * @param {ElementData} element - 元素数据
+   * @returns {ElementData} 处理后的元素
+   */
+  assignElement(element) {
+    const children = element.children || [];
+    if (children.length === 0) return element;
+
+    if (this.collectsChildText(element)) {
+      const contentChildren = children.filter(child => child.type !== 'icon');
+
+      // 行内子元素由父元素排版：文字合并到父元素，子元素不再输出文字
+      if (contentChildren.every(child => this.isInlineSubtree(child))) {
+        return {
+          ...element,
+          text: this.collectText(children),
+          children: children.map(child => this.stripText(child))
+        };
+      }
+
+      // 块级子元素自行排版文字，父元素只绘制背景和边框
+      return { ...element, type: 'container', children: this.assign(children) };
+    }
+
+    const assigned = this.assign(children);
+    return assigned.every((child, index) => child === children[index])
+      ? element
+      : { ...element, children: assigned };
+  }
+
+  /**
+   * 没有直接文本的文本元素需要从子元素获取文字（富文本片段已包含行内子元素的文字）
+   * @param {ElementData} element - 元素数据
+   * @returns {boolean} 是否需要确定子元素文字的归属
+   */
+  collectsChildText(element) {
+    return TextOwnership.TEXT_TYPES.includes(element.type) && !element.text && !element.runs;
+  }
+
+  /**
+   * @param {ElementData} element - 元素数据
+   * @returns {boolean} 元素及其所有后代是否都是行内元素
+   */
+  isInlineSubtree(element) {
+    if (element.type === 'icon') return true;
+    return this.isInline(element) && (element.children || []).every(child => this.isInlineSubtree(child));
+  }
+
+  /**
+   * @param {ElementData} element - 元素数据
+   * @returns {boolean} 是否为行内元素（inline-block 等建立自己的排版区域，不算行内）
+   */
+  isInline(element) {
+    const display = element.styles?.display;
+    if (display) return display === 'inline';
+    return TextOwnership.INLINE_TAGS.includes(element.tagName);
+  }
+
+  /**
+   * 按文档顺序收集行内元素的文字（跳过图标），空白按 HTML 规则合并
+   * @param {Array<ElementData>} elements - 元素数组
+   * @returns {string} 文本
+   */
+  collectText(elements) {
+    return this.collectSourceText(elements).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * 拼接文本节点的原始内容，元素之间是否有空格由源文本决定
+   * 有 textBefore/textAfter（HtmlParser.recordTextPlacement）时按文本节点的实际位置拼接，
+   * 否则将元素的直接文本放在子元素之前
+   * @param {Array<ElementData>} elements - 元素数组
+   * @returns {string} 未合并空白的文本
+   */
+  collectSourceText(elements) {
+    let text = '';
+
+    for (const element of elements) {
+      text += element.textBefore || '';
+      if (element.type === 'icon') continue;
+
+      const placed = element.textAfter !== undefined;
+      const ownText = (placed ? element.textAfter : element.text) || '';
+      const childText = this.collectSourceText(element.children || []);
+
+      if (this.options.isIconText(ownText)) {
+        text += childText;
+      } else {
+        text += placed ? childText + ownText : ownText + childText;
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * 移除元素及其后代的文字（保留背景、边框和图标）
+   * @param {ElementData} element - 元素数据
+   * @returns {ElementData} 新的元素数据
+   */
+  stripText(element) {
+    if (element.type === 'icon') return element;
+
+    const { runs, textMetrics, ...rest } = element;
+    return {
+      ...rest,
+      // 文本元素改为容器，仍然绘制背景和边框（如行内徽章）
+      type: TextOwnership.TEXT_TYPES.includes(element.type) ? 'container' : element.type,
+      text: '',
+      children: (element.children || []).map(child => this.stripText(child))
+    };
+  }
+}
+
+export default TextOwnership;
@@ -3,6 +3,10 @@
  */
 
 import { HtmlToPptConverter } from './core/HtmlToPptConverter.js';
+import { StyleConverter } from './core/StyleConverter.js';
+
+// 用户字体映射在 localStorage 中的键
+const FONT_MAP_STORAGE_KEY = 'html2ppt.fontMap';
 
 class App {
   constructor() {
@@ -12,6 +16,7 @@ class App {
     this.logs = [];
     this.currentSlideIndex = 0;
     this.slidesHtml = [];  // 存储每张幻灯片的 HTML
+    this.fontMap = this.loadFontMap();  // 用户字体映射 {原字体: PPT 字体}
 
     this.initElements();
     this.bindEvents();
@@ -41,10 +46,18 @@ class App {
     // 选项相关
     this.optionsSection = document.getElementById('optionsSection');
     this.aspectRatio = document.getElementById('aspectRatio');
+    this.slideTransition = document.getElementById('slideTransition');
     this.pptTitle = document.getElementById('pptTitle');
     this.pptAuthor = document.getElementById('pptAuthor');
     this.preserveAnimations = document.getElementById('preserveAnimations');
     this.preserveStyles = document.getElementById('preserveStyles');
+    this.captureFinalState = document.getElementById('captureFinalState');
+    this.themeHeadings = document.getElementById('themeHeadings');
+    this.offCanvas = document.getElementById('offCanvas');
+    this.fontStrategy = document.getElementById('fontStrategy');
+    this.stripExternalLinks = document.getElementById('stripExternalLinks');
+    this.paginateTables = document.getElementById('paginateTables');
+    this.tableMaxRows = document.getElementById('tableMaxRows');
 
     // 操作按钮
     this.actionSection = document.getElementById('actionSection');
@@ -68,6 +81,18 @@ class App {
     this.resourcesContent = document.getElementById('resourcesContent');
     this.resourcesToggle = document.getElementById('resourcesToggle');
     this.fontsList = document.getElementById('fontsList');
+    this.pptFontOptions = document.getElementById('pptFontOptions');
+    this.exportFontMapBtn = document.getElementById('exportFontMapBtn');
+    this.importFontMapBtn = document.getElementById('importFontMapBtn');
+    this.fontMapInput = document.getElementById('fontMapInput');
+
+    // 字体映射输入框的候选字体：默认映射表中的目标字体
+    if (this.pptFontOptions) {
+      const fontFaces = new Set(['Calibri', ...Object.values(StyleConverter.DEFAULT_FONT_MAP)]);
+      this.pptFontOptions.innerHTML = [...fontFaces]
+        .map(fontFace => `<option value="${this.escapeAttr(fontFace)}"></option>`)
+        .join('');
+    }
     this.iconsList = document.getElementById('iconsList');
     this.imagesList = document.getElementById('imagesList');
     this.colorsList = document.getElementById('colorsList');
@@ -140,6 +165,30 @@ class App {
       this.reset();
     });
 
+    // 切换字体策略时更新资源面板中的字体处理结果
+    this.fontStrategy.addEventListener('change', () => this.refreshFonts());
+
+    // 字体映射：修改、导出、导入
+    if (this.fontsList) {
+      this.fontsList.addEventListener('change', (e) => {
+        if (e.target.matches('.font-map-input')) {
+          this.setFontMapping(e.target.dataset.font, e.target.value);
+        }
+      });
+    }
+    if (this.exportFontMapBtn) {
+      this.exportFontMapBtn.addEventListener('click', () => this.exportFontMap());
+    }
+    if (this.importFontMapBtn) {
+      this.importFontMapBtn.addEventListener('click', () => this.fontMapInput.click());
+      this.fontMapInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+          this.importFontMap(e.target.files[0]);
+        }
+        e.target.value = '';
+      });
+    }
+
     // 日志折叠
     if (this.logToggle) {
       this.logToggle.addEventListener('click', () => {
@@ -588,8 +637,16 @@ class App {
         title: this.pptTitle.value || 'Presentation',
         author: this.pptAuthor.value || '',
         aspectRatio: aspectRatio,
+        transition: this.slideTransition.value || undefined,
         preserveAnimations: this.preserveAnimations.checked,
         preserveStyles: this.preserveStyles.checked,
+        captureMode: this.captureFinalState.checked ? 'final' : 'timed',
+        headingMode: this.themeHeadings.checked ? 'theme' : 'computed',
+        ...this.getFontOptions(),
+        offCanvas: this.offCanvas.value,
+        stripExternalLinks: this.stripExternalLinks.checked,
+        paginateTables: this.paginateTables.checked,
+        tableMaxRows: parseInt(this.tableMaxRows.value, 10) || 15,
         // 添加进度回调
         onProgress: (current, total, message) => {
           const percent = Math.round((current / total) * 100);
@@ -605,9 +662,13 @@ class App {
       this.log('info', '初始化 PPT 文档...');
 
       // 转换
-      const blob = await this.converter.convert(this.currentHtml, options);
+      const { blob, report } = await this.converter.convert(this.currentHtml, { ...options, returnReport: true });
 
       this.log('success', `PPT 生成成功，文件大小: ${(blob.size / 1024).toFixed(2)} KB`);
+      this.logConversionReport(report);
+
+      // 用实际转换结果更新字体列表
+      this.displayFonts(this.detectedFonts, this.converter.lastFontResolutions);
       this.updateProgress(95, '准备下载...');
 
       // 下载
@@ -694,6 +755,19 @@ class App {
     }
   }
 
+  logConversionReport(report) {
+    if (!report || !report.hasEntries()) {
+      this.log('info', '转换报告: 所有元素均已原生转换');
+      return;
+    }
+
+    const { totals } = report.toJSON();
+    this.log('warning', `转换报告: 丢弃 ${totals.dropped}，近似 ${totals.approximated}，栅格化 ${totals.rasterized}`);
+    for (const line of report.formatLines()) {
+      this.log('warning', line);
+    }
+  }
+
   log(type, message) {
     const now = new Date();
     const timeStr = now.toLocaleTimeString('zh-CN', { hour12: false });
@@ -721,14 +795,108 @@ class App {
     return div.innerHTML;
   }
 
+  escapeAttr(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;');
+  }
+
+  /**
+   * 字体相关的转换选项
+   * @returns {Object} {fontStrategy, fontMap}
+   */
+  getFontOptions() {
+    return { fontStrategy: this.fontStrategy.value, fontMap: this.fontMap };
+  }
+
+  /**
+   * 从 localStorage 读取字体映射
+   * @returns {Object} {原字体: PPT 字体}
+   */
+  loadFontMap() {
+    try {
+      return StyleConverter.normalizeFontMap(JSON.parse(localStorage.getItem(FONT_MAP_STORAGE_KEY) || '{}'));
+    } catch (error) {
+      console.warn('Failed to load font map:', error);
+      return {};
+    }
+  }
+
+  /**
+   * 保存字体映射到 localStorage
+   */
+  saveFontMap() {
+    try {
+      localStorage.setItem(FONT_MAP_STORAGE_KEY, JSON.stringify(this.fontMap));
+    } catch (error) {
+      console.warn('Failed to save font map:', error);
+    }
+  }
+
+  /**
+   * 设置单个字体的映射，目标为空时恢复默认处理
+   * @param {string} fontName - 原字体名
+   * @param {string} fontFace - PPT 字体名
+   */
+  setFontMapping(fontName, fontFace) {
+    const target = (fontFace || '').trim();
+    if (target) {
+      this.fontMap[fontName] = target;
+      this.log('info', `字体映射: ${fontName} → ${target}`);
+    } else {
+      delete this.fontMap[fontName];
+      this.log('info', `字体映射: ${fontName} 恢复默认`);
+    }
+
+    this.saveFontMap();
+    this.refreshFonts();
+  }
+
+  /**
+   * 按当前字体策略和映射重新计算并显示字体处理结果
+   */
+  refreshFonts() {
+    if (!this.detectedFonts) return;
+    this.detectedFonts = this.converter.resolveFonts(this.detectedFonts, this.getFontOptions());
+    this.displayFonts(this.detectedFonts);
+  }
+
+  /**
+   * 导出字体映射为 JSON 文件
+   */
+  exportFontMap() {
+    const blob = new Blob([JSON.stringify(this.fontMap, null, 2)], { type: 'application/json' });
+    this.converter.downloadBlob(blob, 'font-map.json');
+    this.log('info', `已导出 ${Object.keys(this.fontMap).length} 条字体映射`);
+  }
+
+  /**
+   * 从 JSON 文件导入字体映射（替换当前映射）
+   * @param {File} file - JSON 文件，格式为 {原字体: PPT 字体}
+   */
+  async importFontMap(file) {
+    try {
+      const data = JSON.parse(await file.text());
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('需要 {"原字体": "PPT 字体"} 格式的对象');
+      }
+
+      this.fontMap = StyleConverter.normalizeFontMap(data);
+      this.saveFontMap();
+      this.refreshFonts();
+      this.log('success', `已导入 ${Object.keys(this.fontMap).length} 条字体映射`);
+    } catch (error) {
+      this.log('error', `字体映射导入失败: ${error.message}`);
+    }
+  }
+
   /**
    * 分析并显示 HTML 资源
    */
   analyzeAndDisplayResources(html) {
     try {
-      const resources = this.converter.analyzeResources(html);
+      const resources = this.converter.analyzeResources(html, this.getFontOptions());
 
       // 显示字体
+      this.detectedFonts = resources.fonts;
       this.displayFonts(resources.fonts);
 
       // 显示图标
@@ -747,9 +915,11 @@ class App {
   }
 
   /**
-   * 显示字体列表
+   * 显示字体列表及其在 PPT 中的处理结果，每个字体可在输入框中指定 PPT 字体
+   * @param {Array<Object>} fonts - 检测到的字体（含预估的 resolution）
+   * @param {Array<Object>} resolutions - 转换后的实际处理结果（可选，按字体名覆盖预估结果）
    */
-  displayFonts(fonts) {
+  displayFonts(fonts = [], resolutions = null) {
     if (!this.fontsList) return;
 
     if (fonts.length === 0) {
@@ -757,12 +927,28 @@ class App {
       return;
     }
 
-    this.fontsList.innerHTML = fonts.map(font => `
-      <span class="resource-tag font" title="${font.source}">
-        ${this.escapeHtml(font.name)}
+    const actual = new Map((resolutions || []).map(resolution => [resolution.name, resolution]));
+    const actionLabels = { kept: '保留', substituted: '替换', embedded: '嵌入' };
+
+    this.fontsList.innerHTML = fonts.map(font => {
+      const resolution = actual.get(font.name) || font.resolution;
+      let target = '';
+      if (resolution) {
+        const fontFace = resolution.fontFace !== font.name ? ` → ${this.escapeHtml(resolution.fontFace)}` : '';
+        target = `${fontFace}（${actionLabels[resolution.action]}）`;
+      }
+      const mappingInput = resolution ? `
+        <input class="font-map-input" list="pptFontOptions" data-font="${this.escapeAttr(font.name)}"
+          value="${this.escapeAttr(this.fontMap[font.name] || '')}"
+          placeholder="${this.escapeAttr(resolution.fontFace)}" title="PPT 中使用的字体（留空使用默认）">` : '';
+      return `
+      <span class="resource-tag font ${resolution ? resolution.action : ''}" title="${font.source}">
+        ${this.escapeHtml(font.name)}${target}
+        ${mappingInput}
         ${font.usageCount > 1 ? `<span class="count">${font.usageCount}</span>` : ''}
       </span>
-    `).join('');
+    `;
+    }).join('');
   }
 
   /**
@@ -844,7 +1030,7 @@ class App {
       }
 
       // 检查是否是有效的颜色值
-      const isValidColor = bgColor.startsWith('#') || bgColor.startsWith('rgb') || bgColor.startsWith('hsl');
+      const isValidColor = /^(?:#|(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color|color-mix)\()/.test(bgColor);
 
       if (isValidColor) {
         return `<div class="color-swatch" style="background-color: ${bgColor}" title="${displayTitle} (×${color.count})"></div>`;
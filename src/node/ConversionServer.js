@@ -0,0 +1,313 @@
+/**
+ * HTTP 转换服务
+ * 提供 POST /convert、POST /analyze 和 GET /health 接口，转换在无头浏览器页面池中排队执行
+ */
+
+import http from 'http';
+import path from 'path';
+import { HeadlessConverter } from './HeadlessConverter.js';
+import { ASPECT_RATIOS, HEADING_MODES, FONT_STRATEGIES, CAPTURE_MODES, OFF_CANVAS_POLICIES, parseFontMap } from './cliOptions.js';
+import { createHttpError, readBody, parseMultipart, sendJson } from './httpUtils.js';
+
+const PPTX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+export class ConversionServer {
+  /**
+   * @param {Object} options - 配置
+   * @param {string} options.host - 监听地址
+   * @param {number} options.port - 监听端口
+   * @param {number} options.maxBodySize - 请求体最大字节数
+   * @param {number} options.bodyTimeout - 读取请求体的期限（毫秒），超出时返回 408
+   * @param {number} options.timeout - 单个任务超时（毫秒）
+   * @param {number} options.poolSize - 浏览器页面池大小
+   * @param {number} options.maxQueue - 最多同时处理的转换请求数（上传中、排队和转换中），超出时返回 503
+   * @param {HeadlessConverter} options.converter - 自定义转换器（默认新建 HeadlessConverter）
+   */
+  constructor(options = {}) {
+    this.options = {
+      host: '127.0.0.1',
+      port: 3100,
+      maxBodySize: 10 * 1024 * 1024,
+      bodyTimeout: 30000,
+      timeout: 120000,
+      poolSize: 2,
+      maxQueue: 10,
+      browser: 'playwright',
+      verbose: false,
+      ...options
+    };
+
+    this.converter = this.options.converter || new HeadlessConverter({
+      browser: this.options.browser,
+      timeout: this.options.timeout,
+      poolSize: this.options.poolSize,
+      verbose: this.options.verbose
+    });
+
+    this.httpServer = null;
+    this.startedAt = null;
+    // 从开始读取请求体到返回结果之间的请求数
+    this.activeRequests = 0;
+  }
+
+  /**
+   * 启动浏览器页面池并开始监听
+   * @returns {Promise<Object>} 监听地址 {address, port}
+   */
+  async listen() {
+    await this.converter.start();
+
+    this.httpServer = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.options.port, this.options.host, resolve);
+    });
+    this.startedAt = Date.now();
+
+    return this.httpServer.address();
+  }
+
+  /**
+   * 停止服务并关闭浏览器
+   */
+  async close() {
+    if (this.httpServer) {
+      await new Promise(resolve => this.httpServer.close(resolve));
+      this.httpServer = null;
+    }
+    await this.converter.close();
+  }
+
+  /**
+   * 请求路由
+   * @param {http.IncomingMessage} req - 请求
+   * @param {http.ServerResponse} res - 响应
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const routes = {
+      'GET /health': () => this.handleHealth(res),
+      'POST /convert': () => this.runLimited(() => this.handleConvert(req, res, url)),
+      'POST /analyze': () => this.runLimited(() => this.handleAnalyze(req, res))
+    };
+
+    try {
+      const handler = routes[`${req.method} ${url.pathname}`];
+      if (handler) {
+        await handler();
+      } else if (Object.keys(routes).some(route => route.endsWith(` ${url.pathname}`))) {
+        throw createHttpError(405, `不支持的请求方法: ${req.method}`);
+      } else {
+        throw createHttpError(404, `未知接口: ${url.pathname}`);
+      }
+    } catch (error) {
+      const statusCode = error.statusCode || (error.code === 'CONVERSION_TIMEOUT' ? 504 : 500);
+      if (statusCode >= 500 && statusCode !== 503) {
+        console.warn(`${req.method} ${url.pathname} failed:`, error.message);
+      }
+
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      if (statusCode === 503) {
+        res.setHeader('Retry-After', '5');
+      }
+      // 未读完的请求体不再接收，响应后关闭连接
+      if (statusCode === 408) {
+        res.setHeader('Connection', 'close');
+      }
+      sendJson(res, statusCode, { error: error.message });
+    }
+  }
+
+  /**
+   * 限制同时处理的请求数：上传中、等待页面和转换中的请求都占用名额
+   * @param {Function} handler - 请求处理函数
+   * @returns {Promise<void>}
+   */
+  async runLimited(handler) {
+    if (this.activeRequests >= this.options.maxQueue) {
+      throw createHttpError(503, '转换队列已满，请稍后重试');
+    }
+
+    this.activeRequests++;
+    try {
+      await handler();
+    } finally {
+      this.activeRequests--;
+    }
+  }
+
+  /**
+   * GET /health：服务状态和页面池使用情况
+   * @param {http.ServerResponse} res - 响应
+   */
+  handleHealth(res) {
+    sendJson(res, 200, {
+      status: 'ok',
+      uptime: Math.round((Date.now() - this.startedAt) / 1000),
+      pool: {
+        size: this.converter.pages.length,
+        busy: this.converter.busyCount,
+        queued: this.converter.queueLength
+      }
+    });
+  }
+
+  /**
+   * POST /convert：返回 .pptx 文件
+   * @param {http.IncomingMessage} req - 请求
+   * @param {http.ServerResponse} res - 响应
+   * @param {URL} url - 请求地址（查询参数可携带转换选项）
+   */
+  async handleConvert(req, res, url) {
+    const { html, fields, filename } = await this.readHtmlRequest(req);
+    const options = this.getConvertOptions({ ...Object.fromEntries(url.searchParams), ...fields });
+
+    const name = options.title || (filename ? path.basename(filename).replace(/\.[^.]+$/, '') : 'presentation');
+    options.title = options.title || name;
+
+    const { buffer, report } = await this.converter.convertHtml(html, options);
+    const asciiName = name.replace(/[^\w.-]+/g, '_') || 'presentation';
+
+    // ?report=json：以 JSON 返回完整转换报告和 base64 文件
+    if (url.searchParams.get('report') === 'json') {
+      sendJson(res, 200, { filename: `${name}.pptx`, report, data: buffer.toString('base64') });
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': PPTX_MIME_TYPE,
+      'Content-Length': buffer.length,
+      'Content-Disposition': `attachment; filename="${asciiName}.pptx"; filename*=UTF-8''${encodeURIComponent(name)}.pptx`,
+      // 转换报告的分类统计（完整报告使用 ?report=json 获取）
+      'X-Conversion-Report': JSON.stringify(report.totals)
+    });
+    res.end(buffer);
+  }
+
+  /**
+   * POST /analyze：返回 analyzeResources() 的 JSON 结果
+   * @param {http.IncomingMessage} req - 请求
+   * @param {http.ServerResponse} res - 响应
+   */
+  async handleAnalyze(req, res) {
+    const { html } = await this.readHtmlRequest(req);
+    sendJson(res, 200, await this.converter.analyzeHtml(html));
+  }
+
+  /**
+   * 读取请求中的 HTML
+   * 支持 text/html 原始请求体、{html, ...options} JSON 和 multipart 文件上传
+   * @param {http.IncomingMessage} req - 请求
+   * @returns {Promise<Object>} {html, fields, filename}
+   */
+  async readHtmlRequest(req) {
+    const contentType = req.headers['content-type'] || '';
+    const body = await readBody(req, this.options.maxBodySize, this.options.bodyTimeout);
+    let html = '';
+    let fields = {};
+    let filename = null;
+
+    if (/^multipart\/form-data/i.test(contentType)) {
+      const parts = parseMultipart(body, contentType);
+      const file = parts.find(part => part.filename !== null) || parts.find(part => part.name === 'html');
+      if (file) {
+        html = file.data.toString('utf-8');
+        filename = file.filename;
+      }
+      for (const part of parts) {
+        if (part !== file && part.filename === null) {
+          fields[part.name] = part.data.toString('utf-8');
+        }
+      }
+    } else if (/^application\/json/i.test(contentType)) {
+      try {
+        ({ html = '', ...fields } = JSON.parse(body.toString('utf-8')));
+      } catch (error) {
+        throw createHttpError(400, `无效的 JSON: ${error.message}`);
+      }
+    } else {
+      html = body.toString('utf-8');
+    }
+
+    if (typeof html !== 'string' || !html.trim()) {
+      throw createHttpError(400, '请求中没有 HTML 内容');
+    }
+
+    return { html, fields, filename };
+  }
+
+  /**
+   * 从查询参数或表单字段构建转换选项
+   * @param {Object} params - 参数
+   * @returns {Object} HtmlToPptConverter 转换选项
+   */
+  getConvertOptions(params) {
+    const options = {};
+    const toBoolean = value => value === true || value === 'true' || value === '1';
+
+    if (params.aspectRatio) {
+      if (!ASPECT_RATIOS.includes(params.aspectRatio)) {
+        throw createHttpError(400, `不支持的幻灯片比例: ${params.aspectRatio}`);
+      }
+      options.aspectRatio = params.aspectRatio;
+    }
+    if (params.title) options.title = String(params.title);
+    if (params.author) options.author = String(params.author);
+    if (params.transition) options.transition = String(params.transition);
+    if (params.preserveAnimations !== undefined) options.preserveAnimations = toBoolean(params.preserveAnimations);
+    if (params.captureMode) {
+      if (!CAPTURE_MODES.includes(params.captureMode)) {
+        throw createHttpError(400, `不支持的捕获模式: ${params.captureMode}`);
+      }
+      options.captureMode = params.captureMode;
+    }
+    if (params.stripExternalLinks !== undefined) options.stripExternalLinks = toBoolean(params.stripExternalLinks);
+    if (params.headingMode) {
+      if (!HEADING_MODES.includes(params.headingMode)) {
+        throw createHttpError(400, `不支持的标题模式: ${params.headingMode}`);
+      }
+      options.headingMode = params.headingMode;
+    }
+    if (params.fontStrategy) {
+      if (!FONT_STRATEGIES.includes(params.fontStrategy)) {
+        throw createHttpError(400, `不支持的字体策略: ${params.fontStrategy}`);
+      }
+      options.fontStrategy = params.fontStrategy;
+    }
+    if (params.fontMap) {
+      // JSON 请求体可直接传对象，查询参数和表单使用 "Inter=Calibri,Poppins=Segoe UI" 格式
+      if (typeof params.fontMap === 'object' && !Array.isArray(params.fontMap)) {
+        options.fontMap = Object.fromEntries(Object.entries(params.fontMap).map(([from, to]) => [from, String(to)]));
+      } else {
+        try {
+          options.fontMap = parseFontMap(String(params.fontMap));
+        } catch (error) {
+          throw createHttpError(400, error.message);
+        }
+      }
+    }
+    if (params.offCanvas) {
+      if (!OFF_CANVAS_POLICIES.includes(params.offCanvas)) {
+        throw createHttpError(400, `不支持的超出幻灯片处理策略: ${params.offCanvas}`);
+      }
+      options.offCanvas = params.offCanvas;
+    }
+    if (params.paginateTables !== undefined) options.paginateTables = toBoolean(params.paginateTables);
+
+    for (const key of ['tableMaxRows', 'tableMaxHeight']) {
+      if (params[key] === undefined) continue;
+      const value = Number(params[key]);
+      if (!(value > 0)) {
+        throw createHttpError(400, `无效的 ${key}: ${params[key]}`);
+      }
+      options[key] = value;
+    }
+
+    return options;
+  }
+}
+
+export default ConversionServer;
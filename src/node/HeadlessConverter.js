@@ -0,0 +1,361 @@
+/**
+ * 无界面转换器
+ * 在 Node 中启动 Vite 开发服务器和无头浏览器，在页面内运行 HtmlToPptConverter 流程
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+export class HeadlessConverter {
+  // 替换超时页面的最多尝试次数
+  static REPLACE_ATTEMPTS = 3;
+
+  /**
+   * @param {Object} options - 配置
+   * @param {string} options.browser - 浏览器驱动: playwright | puppeteer
+   * @param {number} options.timeout - 单个文件的转换超时（毫秒）
+   * @param {number} options.poolSize - 并行转换的页面数量
+   * @param {boolean} options.verbose - 是否输出页面日志
+   * @param {Array<string>} options.assetDirs - 允许页面读取的输入文件目录（图片、样式等相对路径资源）
+   */
+  constructor(options = {}) {
+    this.options = {
+      browser: 'playwright',
+      timeout: 120000,
+      poolSize: 1,
+      verbose: false,
+      assetDirs: [],
+      ...options
+    };
+
+    this.server = null;
+    this.browser = null;
+    this.baseUrl = null;
+    this.starting = null;
+
+    // 页面池：空闲页面和等待页面的任务队列
+    this.pages = [];
+    this.idlePages = [];
+    this.waiting = [];
+  }
+
+  /**
+   * 等待中的任务数量
+   * @returns {number} 队列长度
+   */
+  get queueLength() {
+    return this.waiting.length;
+  }
+
+  /**
+   * 正在执行的任务数量
+   * @returns {number} 忙碌页面数量
+   */
+  get busyCount() {
+    return this.pages.length - this.idlePages.length;
+  }
+
+  /**
+   * 启动开发服务器、浏览器和页面池
+   * @returns {Promise<HeadlessConverter>} this
+   */
+  async start() {
+    if (!this.starting) {
+      this.starting = this.launch().catch(error => {
+        this.starting = null;
+        throw error;
+      });
+    }
+    await this.starting;
+    return this;
+  }
+
+  /**
+   * 启动流程（仅执行一次）
+   */
+  async launch() {
+    // 通过 Vite 提供 src/ 模块（处理 pptxgenjs、jszip 等裸模块导入）
+    const { createServer } = await import('vite');
+    this.server = await createServer({
+      root: PROJECT_ROOT,
+      configFile: path.join(PROJECT_ROOT, 'vite.config.js'),
+      logLevel: 'error',
+      server: {
+        host: '127.0.0.1',
+        open: false,
+        hmr: false,
+        // 只允许通过 /@fs/ 读取本包的模块和输入文件所在目录的资源，不开放主机上的其他文件
+        fs: { strict: true, allow: this.getAllowedDirs() }
+      }
+    });
+    await this.server.listen();
+    this.baseUrl = this.server.resolvedUrls.local[0].replace(/\/$/, '');
+
+    this.browser = await this.launchBrowser();
+
+    const poolSize = Math.max(1, this.options.poolSize);
+    for (let i = 0; i < poolSize; i++) {
+      const page = await this.createPage();
+      this.pages.push(page);
+      this.idlePages.push(page);
+    }
+  }
+
+  /**
+   * 开发服务器可读取的目录：本包（src/、node_modules/ 中的依赖）和输入文件目录
+   * @returns {Array<string>} 绝对路径
+   */
+  getAllowedDirs() {
+    return [PROJECT_ROOT, ...this.options.assetDirs.map(dir => path.resolve(dir))];
+  }
+
+  /**
+   * 判断文件是否位于开发服务器可读取的目录中
+   * @param {string} filePath - 绝对路径
+   * @returns {boolean} 是否可读取
+   */
+  isAllowedPath(filePath) {
+    return this.getAllowedDirs().some(dir => {
+      const relative = path.relative(dir, filePath);
+      return !relative.startsWith('..') && !path.isAbsolute(relative);
+    });
+  }
+
+  /**
+   * 创建已加载转换器应用的页面
+   * @returns {Promise<Object>} 页面实例
+   */
+  async createPage() {
+    const page = await this.browser.newPage();
+
+    if (this.options.verbose) {
+      page.on('console', msg => console.log(`[page] ${msg.text()}`));
+    }
+
+    await page.goto(`${this.baseUrl}/`);
+    await page.waitForFunction(() => !!window.app);
+
+    return page;
+  }
+
+  /**
+   * 获取空闲页面，没有空闲页面时排队等待
+   * @returns {Promise<Object>} 页面实例
+   */
+  acquirePage() {
+    if (this.idlePages.length > 0) {
+      return Promise.resolve(this.idlePages.pop());
+    }
+    if (this.pages.length === 0) {
+      return Promise.reject(HeadlessConverter.createPoolEmptyError());
+    }
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  /**
+   * 归还页面，优先交给排队中的任务
+   * @param {Object} page - 页面实例
+   */
+  releasePage(page) {
+    const next = this.waiting.shift();
+    if (next) {
+      next.resolve(page);
+    } else {
+      this.idlePages.push(page);
+    }
+  }
+
+  /**
+   * 用新页面替换超时的页面（旧页面可能仍在执行脚本）
+   * 创建失败时重试，全部失败后池中少一个页面；池中没有页面时拒绝所有排队的任务
+   * @param {Object} page - 超时的页面
+   */
+  async replacePage(page) {
+    this.pages = this.pages.filter(p => p !== page);
+    page.close().catch(() => {});
+
+    for (let attempt = 1; attempt <= HeadlessConverter.REPLACE_ATTEMPTS; attempt++) {
+      try {
+        const freshPage = await this.createPage();
+        this.pages.push(freshPage);
+        this.releasePage(freshPage);
+        return;
+      } catch (error) {
+        console.warn(`Failed to replace browser page (attempt ${attempt}):`, error.message);
+      }
+    }
+
+    if (this.pages.length === 0) {
+      const error = HeadlessConverter.createPoolEmptyError();
+      this.waiting.splice(0).forEach(waiter => waiter.reject(error));
+    }
+  }
+
+  /**
+   * 在池中的页面上执行函数，超时后放弃并替换页面
+   * @param {Function} fn - 页面内执行的函数
+   * @param {Object} arg - 传入函数的参数（需可序列化）
+   * @returns {Promise<*>} 函数返回值
+   */
+  async runInPage(fn, arg) {
+    await this.start();
+    const page = await this.acquirePage();
+
+    let timer;
+    let timedOut = false;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        timedOut = true;
+        const error = new Error(`转换超时 (${this.options.timeout}ms)`);
+        error.code = 'CONVERSION_TIMEOUT';
+        reject(error);
+      }, this.options.timeout);
+    });
+
+    try {
+      return await Promise.race([page.evaluate(fn, arg), timeout]);
+    } finally {
+      clearTimeout(timer);
+      if (timedOut) {
+        await this.replacePage(page);
+      } else {
+        this.releasePage(page);
+      }
+    }
+  }
+
+  /**
+   * 启动无头浏览器
+   * @returns {Promise<Object>} Playwright 或 Puppeteer 浏览器实例
+   */
+  async launchBrowser() {
+    try {
+      if (this.options.browser === 'puppeteer') {
+        const { default: puppeteer } = await import('puppeteer');
+        return await puppeteer.launch({ headless: 'new' });
+      }
+
+      const { chromium } = await import('playwright');
+      return await chromium.launch({ headless: true });
+    } catch (error) {
+      const hint = this.options.browser === 'puppeteer' ?
+        'npx puppeteer browsers install chrome' :
+        'npx playwright install chromium';
+      throw new Error(`无法启动浏览器 (${this.options.browser})，请先运行 ${hint}: ${error.message}`);
+    }
+  }
+
+  /**
+   * 转换 HTML 字符串
+   * @param {string} html - HTML 内容
+   * @param {Object} options - HtmlToPptConverter 转换选项（需可序列化）
+   * @returns {Promise<Object>} {buffer: PPTX 文件内容, report: 转换报告 JSON}
+   */
+  async convertHtml(html, options = {}) {
+    const result = await this.runInPage(async ({ html, options }) => {
+      const { HtmlToPptConverter } = await import('/src/core/HtmlToPptConverter.js');
+      const converter = new HtmlToPptConverter(options);
+      const { blob, report } = await converter.convert(html, { ...options, returnReport: true });
+
+      // 以 base64 传回 Node（分块避免参数过多）
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+      }
+      return { data: btoa(binary), report: report.toJSON(), lines: report.formatLines() };
+    }, { html, options });
+
+    return {
+      buffer: Buffer.from(result.data, 'base64'),
+      report: { ...result.report, lines: result.lines }
+    };
+  }
+
+  /**
+   * 分析 HTML 使用的字体、图标、图片和颜色
+   * @param {string} html - HTML 内容
+   * @returns {Promise<Object>} analyzeResources() 的结果
+   */
+  async analyzeHtml(html) {
+    return this.runInPage(async ({ html }) => {
+      const { HtmlToPptConverter } = await import('/src/core/HtmlToPptConverter.js');
+      return new HtmlToPptConverter().analyzeResources(html);
+    }, { html });
+  }
+
+  /**
+   * 转换本地 HTML 文件
+   * 相对路径的资源通过 <base> 指向文件所在目录
+   * @param {string} filePath - HTML 文件路径
+   * @param {Object} options - 转换选项
+   * @returns {Promise<Object>} {buffer, report}
+   */
+  async convertFile(filePath, options = {}) {
+    await this.start();
+
+    const fullPath = path.resolve(filePath);
+    const html = await fs.readFile(fullPath, 'utf-8');
+    if (!this.isAllowedPath(fullPath)) {
+      console.warn(`${path.dirname(fullPath)} 不在 assetDirs 中，相对路径的图片和样式将无法加载`);
+    }
+    const baseHref = `${this.baseUrl}/@fs${pathToFileURL(path.dirname(fullPath)).pathname}/`;
+
+    return this.convertHtml(HeadlessConverter.injectBaseHref(html, baseHref), {
+      title: path.basename(fullPath).replace(/\.[^.]+$/, ''),
+      ...options
+    });
+  }
+
+  /**
+   * 关闭浏览器和开发服务器
+   */
+  async close() {
+    if (this.starting) {
+      await this.starting.catch(() => {});
+      this.starting = null;
+    }
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+    }
+    this.pages = [];
+    this.idlePages = [];
+    if (this.server) {
+      await this.server.close();
+      this.server = null;
+    }
+  }
+
+  /**
+   * @returns {Error} 页面池中没有可用页面的错误
+   */
+  static createPoolEmptyError() {
+    const error = new Error('无法创建浏览器页面，转换器不可用');
+    error.code = 'PAGE_POOL_EMPTY';
+    return error;
+  }
+
+  /**
+   * 为 HTML 注入 <base>（已有 <base> 时保持不变）
+   * @param {string} html - HTML 内容
+   * @param {string} baseHref - 基础地址
+   * @returns {string} 处理后的 HTML
+   */
+  static injectBaseHref(html, baseHref) {
+    if (/<base\s[^>]*href/i.test(html)) return html;
+
+    const baseTag = `<base href="${baseHref}">`;
+    const headMatch = html.match(/<head[^>]*>/i);
+    if (headMatch) {
+      const insertAt = headMatch.index + headMatch[0].length;
+      return html.slice(0, insertAt) + baseTag + html.slice(insertAt);
+    }
+    return baseTag + html;
+  }
+}
+
+export default HeadlessConverter;
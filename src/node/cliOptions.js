@@ -0,0 +1,417 @@
+/**
+ * 命令行参数解析
+ * 负责解析 html2ppt 和 html2ppt-server 命令的参数，并展开输入文件的 glob 模式
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+
+// 支持的幻灯片比例（与 PptGenerator.SLIDE_PRESETS 保持一致）
+export const ASPECT_RATIOS = ['16:9', '4:3', 'wide', 'a4', 'letter'];
+
+// 标题字号模式
+export const HEADING_MODES = ['computed', 'theme'];
+
+// 字体策略（与 StyleConverter.FONT_STRATEGIES 保持一致）
+export const FONT_STRATEGIES = ['substitute', 'keep', 'embed'];
+
+// 捕获模式（与 AnimationSettler.CAPTURE_MODES 保持一致）
+export const CAPTURE_MODES = ['final', 'timed'];
+
+// 超出幻灯片的元素处理策略（与 PptGenerator.OFF_CANVAS_POLICIES 保持一致）
+export const OFF_CANVAS_POLICIES = ['clip', 'drop', 'keep', 'notes'];
+
+export const CLI_USAGE = `用法: html2ppt [选项] <输入文件或 glob...>
+
+将 HTML 演示文稿批量转换为 .pptx 文件
+
+选项:
+  -o, --out-dir <目录>       输出目录（默认与输入文件同目录）
+  -r, --aspect-ratio <比例>  幻灯片比例: ${ASPECT_RATIOS.join(' | ')}（默认 16:9）
+  -t, --title <标题>         演示文稿标题（默认使用文件名）
+  -a, --author <作者>        演示文稿作者
+      --transition <效果>    全局切换效果（如 fade、push，none 表示不使用）
+      --no-animations        不保留 CSS 动画
+      --capture <模式>       元素提取时机: final（动画和过渡推进到终态，默认）| timed（固定等待后直接快照）
+      --heading-mode <模式>  标题字号: computed（按页面样式，默认）| theme（统一主题字号）
+      --font-strategy <策略> 字体处理: substitute（替换为常用字体，默认）| keep（保留原字体名）| embed（嵌入 Web 字体文件）
+      --font-map <映射>      自定义字体替换，如 "Inter=Calibri,Poppins=Segoe UI"，或网页端导出的 JSON 文件
+      --off-canvas <策略>    超出幻灯片的元素: clip（裁剪到幻灯片内，默认）| drop（丢弃）| keep（保留在幻灯片外）| notes（移到演讲者备注）
+      --paginate-tables      将超长表格拆分到续页
+      --table-max-rows <行数> 分页时每页最多的表体行数（默认 15，指定时自动启用分页）
+      --browser <名称>       浏览器驱动: playwright | puppeteer（默认 playwright）
+      --report               同时写出 <名称>.report.json 转换报告
+  -v, --verbose              输出页面日志
+  -h, --help                 显示帮助
+
+示例:
+  html2ppt deck.html
+  html2ppt "slides/**/*.html" -o dist/pptx -r 4:3`;
+
+export const SERVER_USAGE = `用法: html2ppt-server [选项]
+
+启动本地 HTML→PPTX 转换服务
+
+接口:
+  POST /convert   请求体为 HTML、{html, ...选项} JSON 或 multipart 文件，返回 .pptx
+                  （?report=json 时返回 {filename, report, data} JSON）
+  POST /analyze   返回字体、图标、图片和颜色分析结果 (JSON)
+  GET  /health    服务状态
+
+选项:
+  -p, --port <端口>          监听端口（默认 3100）
+      --host <地址>          监听地址（默认 127.0.0.1）
+      --pool <数量>          并行转换的浏览器页面数（默认 2）
+      --max-queue <数量>     最多同时处理的请求数，包括上传中和排队的请求（默认 10）
+      --max-size <MB>        请求体大小上限（默认 10）
+      --timeout <秒>         单个任务超时（默认 120）
+      --browser <名称>       浏览器驱动: playwright | puppeteer（默认 playwright）
+  -v, --verbose              输出页面日志
+  -h, --help                 显示帮助`;
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - 参数列表（不含 node 和脚本路径）
+ * @returns {Object} {inputs, outDir, aspectRatio, title, author, transition, preserveAnimations, captureMode, headingMode, fontStrategy, fontMap, offCanvas, paginateTables, tableMaxRows, browser, report, verbose, help}
+ */
+export function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'out-dir': { type: 'string', short: 'o' },
+      'aspect-ratio': { type: 'string', short: 'r', default: '16:9' },
+      title: { type: 'string', short: 't' },
+      author: { type: 'string', short: 'a' },
+      transition: { type: 'string' },
+      'no-animations': { type: 'boolean', default: false },
+      capture: { type: 'string', default: 'final' },
+      'heading-mode': { type: 'string', default: 'computed' },
+      'font-strategy': { type: 'string', default: 'substitute' },
+      'font-map': { type: 'string' },
+      'off-canvas': { type: 'string', default: 'clip' },
+      'paginate-tables': { type: 'boolean', default: false },
+      'table-max-rows': { type: 'string' },
+      browser: { type: 'string', default: 'playwright' },
+      report: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', short: 'v', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const aspectRatio = values['aspect-ratio'];
+  if (!ASPECT_RATIOS.includes(aspectRatio)) {
+    throw new Error(`不支持的幻灯片比例: ${aspectRatio}（可选: ${ASPECT_RATIOS.join(', ')}）`);
+  }
+
+  if (!HEADING_MODES.includes(values['heading-mode'])) {
+    throw new Error(`不支持的标题模式: ${values['heading-mode']}（可选: ${HEADING_MODES.join(', ')}）`);
+  }
+
+  if (!CAPTURE_MODES.includes(values.capture)) {
+    throw new Error(`不支持的捕获模式: ${values.capture}（可选: ${CAPTURE_MODES.join(', ')}）`);
+  }
+
+  if (!FONT_STRATEGIES.includes(values['font-strategy'])) {
+    throw new Error(`不支持的字体策略: ${values['font-strategy']}（可选: ${FONT_STRATEGIES.join(', ')}）`);
+  }
+
+  if (!OFF_CANVAS_POLICIES.includes(values['off-canvas'])) {
+    throw new Error(`不支持的超出幻灯片处理策略: ${values['off-canvas']}（可选: ${OFF_CANVAS_POLICIES.join(', ')}）`);
+  }
+
+  const tableMaxRows = values['table-max-rows'] !== undefined ? Number(values['table-max-rows']) : undefined;
+  if (tableMaxRows !== undefined && !(Number.isInteger(tableMaxRows) && tableMaxRows > 0)) {
+    throw new Error(`无效的表格行数: ${values['table-max-rows']}`);
+  }
+
+  if (!['playwright', 'puppeteer'].includes(values.browser)) {
+    throw new Error(`不支持的浏览器驱动: ${values.browser}`);
+  }
+
+  return {
+    inputs: positionals,
+    outDir: values['out-dir'] || null,
+    aspectRatio,
+    title: values.title,
+    author: values.author,
+    transition: values.transition,
+    preserveAnimations: !values['no-animations'],
+    captureMode: values.capture,
+    headingMode: values['heading-mode'],
+    fontStrategy: values['font-strategy'],
+    fontMap: values['font-map'] !== undefined ? parseFontMap(values['font-map']) : undefined,
+    offCanvas: values['off-canvas'],
+    paginateTables: values['paginate-tables'] || tableMaxRows !== undefined,
+    tableMaxRows,
+    browser: values.browser,
+    report: values.report,
+    verbose: values.verbose,
+    help: values.help
+  };
+}
+
+/**
+ * 解析字体映射字符串
+ * @param {string} value - 形如 "Inter=Calibri,Poppins=Segoe UI" 的映射，或 .json 映射文件路径
+ * @returns {Object} {原字体: PPT 字体}
+ */
+export function parseFontMap(value) {
+  if (/\.json$/i.test(value.trim())) {
+    return readFontMapFile(value.trim());
+  }
+
+  const fontMap = {};
+
+  for (const pair of value.split(',')) {
+    if (!pair.trim()) continue;
+
+    const [from, to] = pair.split('=').map(part => (part || '').trim().replace(/^['"]|['"]$/g, ''));
+    if (!from || !to) {
+      throw new Error(`无效的字体映射: ${pair.trim()}（格式: 原字体=PPT 字体）`);
+    }
+    fontMap[from] = to;
+  }
+
+  return fontMap;
+}
+
+/**
+ * 读取 JSON 字体映射文件（网页端“导出映射”的格式）
+ * @param {string} filePath - 文件路径
+ * @returns {Object} {原字体: PPT 字体}
+ */
+function readFontMapFile(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+  } catch (error) {
+    throw new Error(`无法读取字体映射文件 ${filePath}: ${error.message}`);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data) ||
+      Object.values(data).some(fontFace => typeof fontFace !== 'string')) {
+    throw new Error(`无效的字体映射文件: ${filePath}（格式: {"原字体": "PPT 字体"}）`);
+  }
+  return data;
+}
+
+/**
+ * 将 glob 模式转换为正则表达式
+ * 支持 *、**、? 和 {a,b}
+ * @param {string} pattern - glob 模式（使用 / 分隔）
+ * @returns {RegExp} 匹配相对路径的正则
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // **/ 匹配零个或多个目录
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        const options = pattern.slice(i + 1, end).split(',').map(escapeRegExp);
+        source += `(?:${options.join('|')})`;
+        i = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * 转义正则特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 解析 html2ppt-server 的命令行参数
+ * @param {Array<string>} argv - 参数列表（不含 node 和脚本路径）
+ * @returns {Object} ConversionServer 配置 {host, port, poolSize, maxQueue, maxBodySize, timeout, browser, verbose, help}
+ */
+export function parseServerArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: 'string', short: 'p', default: '3100' },
+      host: { type: 'string', default: '127.0.0.1' },
+      pool: { type: 'string', default: '2' },
+      'max-queue': { type: 'string', default: '10' },
+      'max-size': { type: 'string', default: '10' },
+      timeout: { type: 'string', default: '120' },
+      browser: { type: 'string', default: 'playwright' },
+      verbose: { type: 'boolean', short: 'v', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  // NaN 会让超时立即触发、队列上限失效，因此数值参数必须是正数
+  const positive = (name, { integer = false, max = Infinity } = {}) => {
+    const value = Number(values[name]);
+    const valid = Number.isFinite(value) && value > 0 && value <= max && (!integer || Number.isInteger(value));
+    if (!valid) {
+      throw new Error(`无效的 --${name}: ${values[name]}`);
+    }
+    return value;
+  };
+
+  const port = positive('port', { integer: true, max: 65535 });
+  const poolSize = positive('pool', { integer: true });
+  const maxQueue = positive('max-queue', { integer: true });
+  const maxSize = positive('max-size');
+  const timeout = positive('timeout');
+
+  if (!['playwright', 'puppeteer'].includes(values.browser)) {
+    throw new Error(`不支持的浏览器驱动: ${values.browser}`);
+  }
+
+  return {
+    host: values.host,
+    port,
+    poolSize,
+    maxQueue,
+    maxBodySize: maxSize * 1024 * 1024,
+    timeout: timeout * 1000,
+    browser: values.browser,
+    verbose: values.verbose,
+    help: values.help
+  };
+}
+
+/**
+ * 检测字符串是否包含 glob 通配符
+ * @param {string} pattern - 输入模式
+ * @returns {boolean} 是否为 glob
+ */
+function hasGlobChars(pattern) {
+  return /[*?{]/.test(pattern);
+}
+
+/**
+ * 递归列出目录下的文件（跳过 node_modules 和隐藏目录）
+ * @param {string} dir - 目录
+ * @returns {Array<string>} 文件绝对路径
+ */
+function walkFiles(dir) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...walkFiles(fullPath));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * 展开输入参数为 HTML 文件列表
+ * 普通路径直接使用，目录取其中的 .html 文件，glob 模式在文件系统中匹配
+ * @param {Array<string>} patterns - 文件、目录或 glob 模式
+ * @param {string} cwd - 工作目录
+ * @returns {Array<string>} 去重排序后的文件绝对路径
+ */
+export function expandInputs(patterns, cwd = process.cwd()) {
+  const files = new Set();
+
+  for (const rawPattern of patterns) {
+    const pattern = rawPattern.replace(/\\/g, '/');
+
+    if (!hasGlobChars(pattern)) {
+      const fullPath = path.resolve(cwd, pattern);
+      if (!fs.existsSync(fullPath)) {
+        console.warn(`输入文件不存在: ${rawPattern}`);
+        continue;
+      }
+      if (fs.statSync(fullPath).isDirectory()) {
+        fs.readdirSync(fullPath)
+          .filter(name => /\.html?$/i.test(name))
+          .forEach(name => files.add(path.join(fullPath, name)));
+      } else {
+        files.add(fullPath);
+      }
+      continue;
+    }
+
+    // 从第一个含通配符的片段之前的目录开始遍历
+    const segments = pattern.split('/');
+    const firstGlob = segments.findIndex(hasGlobChars);
+    const baseDir = path.resolve(cwd, segments.slice(0, firstGlob).join('/') || '.');
+    const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+
+    if (!fs.existsSync(baseDir)) {
+      console.warn(`没有匹配的输入文件: ${rawPattern}`);
+      continue;
+    }
+
+    const matched = walkFiles(baseDir).filter(file =>
+      matcher.test(path.relative(baseDir, file).split(path.sep).join('/'))
+    );
+    if (matched.length === 0) {
+      console.warn(`没有匹配的输入文件: ${rawPattern}`);
+    }
+    matched.forEach(file => files.add(file));
+  }
+
+  return [...files].sort();
+}
+
+/**
+ * 计算输出文件路径
+ * @param {string} inputPath - 输入文件路径
+ * @param {string|null} outDir - 输出目录，为空时与输入文件同目录
+ * @returns {string} .pptx 文件路径
+ */
+export function getOutputPath(inputPath, outDir = null) {
+  const name = path.basename(inputPath).replace(/\.[^.]+$/, '');
+  return path.join(outDir ? path.resolve(outDir) : path.dirname(inputPath), `${name}.pptx`);
+}
+
+/**
+ * 查找输出到同一文件的输入（如 -o 时不同目录下的同名文件），避免后转换的文件覆盖前一个
+ * @param {Array<string>} inputs - 输入文件路径
+ * @param {string|null} outDir - 输出目录
+ * @returns {Array<Object>} [{output, inputs}]，没有冲突时为空数组
+ */
+export function findOutputConflicts(inputs, outDir = null) {
+  const byOutput = new Map();
+  for (const input of inputs) {
+    const output = getOutputPath(input, outDir);
+    byOutput.set(output, [...(byOutput.get(output) || []), input]);
+  }
+
+  return [...byOutput.entries()]
+    .filter(([, sources]) => sources.length > 1)
+    .map(([output, sources]) => ({ output, inputs: sources }));
+}
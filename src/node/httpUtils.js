@@ -0,0 +1,129 @@
+/**
+ * HTTP 工具函数
+ * 请求体读取、multipart/form-data 解析和响应输出
+ */
+
+/**
+ * 创建带 HTTP 状态码的错误
+ * @param {number} statusCode - HTTP 状态码
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象
+ */
+export function createHttpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * 读取完整请求体，超过限制时返回 413，超过读取期限时返回 408
+ * @param {http.IncomingMessage} req - 请求
+ * @param {number} limit - 最大字节数
+ * @param {number} timeout - 读取期限（毫秒），0 表示不限制
+ * @returns {Promise<Buffer>} 请求体
+ */
+export function readBody(req, limit, timeout = 0) {
+  return new Promise((resolve, reject) => {
+    const declaredLength = parseInt(req.headers['content-length'], 10);
+    if (declaredLength > limit) {
+      reject(createHttpError(413, `请求体超过限制 (${limit} bytes)`));
+      req.resume();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let aborted = false;
+
+    // 请求体迟迟不结束时放弃读取，不让慢速或中断的上传一直占用连接
+    const timer = timeout > 0 ? setTimeout(() => {
+      aborted = true;
+      reject(createHttpError(408, `读取请求体超时 (${timeout}ms)`));
+    }, timeout) : null;
+
+    req.on('data', chunk => {
+      if (aborted) return;
+      size += chunk.length;
+      if (size > limit) {
+        aborted = true;
+        clearTimeout(timer);
+        reject(createHttpError(413, `请求体超过限制 (${limit} bytes)`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      clearTimeout(timer);
+      if (!aborted) resolve(Buffer.concat(chunks));
+    });
+    req.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * 解析 multipart/form-data 请求体
+ * @param {Buffer} body - 请求体
+ * @param {string} contentType - Content-Type 头
+ * @returns {Array<Object>} 表单字段 [{name, filename, contentType, data}]
+ */
+export function parseMultipart(body, contentType) {
+  const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!boundaryMatch) {
+    throw createHttpError(400, 'multipart 请求缺少 boundary');
+  }
+
+  const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+  const parts = [];
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    // 结束分隔符 --boundary--
+    if (body.slice(partStart, partStart + 2).toString() === '--') break;
+
+    const end = body.indexOf(delimiter, partStart);
+    if (end === -1) break;
+
+    // 每个字段：\r\n头部\r\n\r\n内容\r\n
+    const part = body.slice(partStart + 2, end - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.slice(0, headerEnd).toString('utf-8');
+      const disposition = headers.match(/content-disposition:[^\r\n]*/i)?.[0] || '';
+      const name = disposition.match(/\bname="([^"]*)"/i)?.[1];
+      const filename = disposition.match(/\bfilename="([^"]*)"/i)?.[1];
+      const type = headers.match(/content-type:\s*([^\r\n]+)/i)?.[1];
+
+      if (name) {
+        parts.push({
+          name,
+          filename: filename ?? null,
+          contentType: type || null,
+          data: part.slice(headerEnd + 4)
+        });
+      }
+    }
+
+    start = end;
+  }
+
+  return parts;
+}
+
+/**
+ * 输出 JSON 响应
+ * @param {http.ServerResponse} res - 响应
+ * @param {number} statusCode - HTTP 状态码
+ * @param {Object} data - 响应数据
+ */
+export function sendJson(res, statusCode, data) {
+  const body = JSON.stringify(data);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body)
+  });
+  res.end(body);
+}
@@ -31,6 +31,20 @@ describe('AnimationConverter', () => {
       expect(result[0].delay).toBe(500);
     });
 
+    test('should keep cubic-bezier timing function intact', () => {
+      const result = converter.parseAnimation('fadeInUp 0.6s cubic-bezier(0.4, 0, 0.2, 1) 0.2s both, pulse 1s infinite');
+      expect(result).toHaveLength(2);
+      expect(result[0].name).toBe('fadeInUp');
+      expect(result[0].delay).toBe(200);
+      expect(result[0].iterations).toBe(1);
+      expect(result[1].iterations).toBe(-1);
+    });
+
+    test('should ignore computed "none" animation name', () => {
+      const result = converter.parseAnimation('none 0s ease 0s 1 normal none running');
+      expect(converter.convertToPptAnimation(result[0])).toBeNull();
+    });
+
     test('should parse multiple animations', () => {
       const result = converter.parseAnimation('fadeIn 1s, slideUp 2s');
       expect(result).toHaveLength(2);
@@ -140,6 +154,21 @@ describe('AnimationConverter', () => {
       expect(converter.getSlideTransition('')).toBe('fade');
       expect(converter.getSlideTransition('unknown')).toBe('fade');
     });
+
+    test('should map reveal.js and swiper effects', () => {
+      expect(converter.getSlideTransition('convex')).toBe('push');
+      expect(converter.getSlideTransition('coverflow')).toBe('push');
+      expect(converter.getSlideTransition('none')).toBe('none');
+    });
+  });
+
+  describe('getTransitionSpeed', () => {
+    test('should map speed keywords and durations', () => {
+      expect(converter.getTransitionSpeed('fast')).toBe('fast');
+      expect(converter.getTransitionSpeed('default')).toBe('med');
+      expect(converter.getTransitionSpeed(0.3)).toBe('fast');
+      expect(converter.getTransitionSpeed(1.5)).toBe('slow');
+    });
   });
 
   describe('analyzeAndConvert', () => {
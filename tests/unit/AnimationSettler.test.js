@@ -0,0 +1,91 @@
+/**
+ * AnimationSettler 单元测试
+ */
+
+import { jest } from '@jest/globals';
+import { AnimationSettler } from '../../src/core/AnimationSettler.js';
+
+// 模拟 Web Animations API 的动画对象
+function createAnimation(endTime) {
+  return {
+    playState: 'running',
+    effect: { getComputedTiming: () => ({ endTime }) },
+    finish: jest.fn(function () { this.playState = 'finished'; }),
+    cancel: jest.fn(function () { this.playState = 'idle'; })
+  };
+}
+
+describe('AnimationSettler', () => {
+  let settler;
+
+  beforeEach(() => {
+    settler = new AnimationSettler();
+  });
+
+  describe('install', () => {
+    test('should report observed elements as intersecting', async () => {
+      const win = { setTimeout: (fn) => setTimeout(fn, 0), performance };
+      settler.install(win);
+
+      const target = document.createElement('div');
+      const removed = document.createElement('span');
+      const callback = jest.fn();
+      const observer = new win.IntersectionObserver(callback, { threshold: 0.2 });
+      observer.observe(target);
+      observer.observe(removed);
+      observer.unobserve(removed);
+      await new Promise(r => setTimeout(r, 10));
+
+      expect(observer.thresholds).toEqual([0.2]);
+      expect(callback).toHaveBeenCalledTimes(1);
+      const [[entries, instance]] = callback.mock.calls;
+      expect(entries[0].target).toBe(target);
+      expect(entries[0].isIntersecting).toBe(true);
+      expect(entries[0].intersectionRatio).toBe(1);
+      expect(instance).toBe(observer);
+    });
+
+    test('should not call back after disconnect', async () => {
+      const win = { setTimeout: (fn) => setTimeout(fn, 0) };
+      settler.install(win);
+
+      const callback = jest.fn();
+      const observer = new win.IntersectionObserver(callback);
+      observer.observe(document.createElement('div'));
+      observer.disconnect();
+      await new Promise(r => setTimeout(r, 10));
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('settle', () => {
+    test('should finish finite animations and cancel infinite loops', async () => {
+      const fadeIn = createAnimation(800);
+      const pulse = createAnimation(Infinity);
+      const revealTransition = createAnimation(600);
+      // 第二轮才出现的过渡（如动画结束后脚本切换类名）
+      let pass = 0;
+      const doc = {
+        defaultView: { Event, dispatchEvent: jest.fn(), requestAnimationFrame: fn => setTimeout(fn, 0) },
+        getAnimations: () => {
+          pass++;
+          const all = pass === 1 ? [fadeIn, pulse] : [fadeIn, revealTransition];
+          return all.filter(animation => animation.playState !== 'idle');
+        }
+      };
+
+      const result = await settler.settle(doc);
+
+      expect(fadeIn.finish).toHaveBeenCalledTimes(1);
+      expect(pulse.cancel).toHaveBeenCalled();
+      expect(revealTransition.finish).toHaveBeenCalled();
+      expect(result).toEqual({ finished: 2, cancelled: 1 });
+      expect(doc.defaultView.dispatchEvent).toHaveBeenCalled();
+    });
+
+    test('should do nothing without the Web Animations API', async () => {
+      expect(await settler.settle({ defaultView: {} })).toEqual({ finished: 0, cancelled: 0 });
+    });
+  });
+});
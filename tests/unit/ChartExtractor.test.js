@@ -0,0 +1,183 @@
+/**
+ * ChartExtractor 单元测试
+ */
+
+import { jest } from '@jest/globals';
+import { ChartExtractor } from '../../src/core/ChartExtractor.js';
+
+describe('ChartExtractor', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new ChartExtractor();
+    document.body.innerHTML = '';
+  });
+
+  const renderTable = html => {
+    document.body.innerHTML = html;
+    return document.querySelector('table');
+  };
+
+  describe('extractFromTable', () => {
+    test('should read series, labels, colors and axis titles', () => {
+      const table = renderTable(
+        '<table data-chart="bar" data-chart-colors="#ff0000, rgb(0, 0, 255)" data-chart-y-title="Revenue">' +
+        '<caption>Quarterly</caption>' +
+        '<tr><th>Quarter</th><th>2023</th><th>2024</th></tr>' +
+        '<tr><td>Q1</td><td>1,200</td><td>1,500</td></tr>' +
+        '<tr><td>Q2</td><td>900</td><td>$1100</td></tr>' +
+        '</table>'
+      );
+      const chart = extractor.extractFromTable(table);
+
+      expect(chart).toMatchObject({
+        type: 'bar',
+        barDir: 'col',
+        title: 'Quarterly',
+        labels: ['Q1', 'Q2'],
+        xTitle: 'Quarter',
+        yTitle: 'Revenue',
+        showLegend: true
+      });
+      expect(chart.series).toEqual([
+        { name: '2023', values: [1200, 900], color: 'FF0000' },
+        { name: '2024', values: [1500, 1100], color: '0000FF' }
+      ]);
+    });
+
+    test('should use colors per slice for pie charts', () => {
+      const table = renderTable(
+        '<table data-chart="pie" data-chart-colors="#111,#222">' +
+        '<tr><th>Browser</th><th>Share</th></tr>' +
+        '<tr><td>A</td><td>60%</td></tr>' +
+        '<tr><td>B</td><td>40%</td></tr>' +
+        '</table>'
+      );
+      const chart = extractor.extractFromTable(table);
+
+      expect(chart.series).toEqual([{ name: 'Share', values: [60, 40], color: null }]);
+      expect(chart.pointColors).toEqual(['111111', '222222']);
+      expect(chart.xTitle).toBe('');
+    });
+
+    test('should ignore unsupported chart types', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const table = renderTable('<table data-chart="radar"><tr><th>a</th><th>b</th></tr><tr><td>x</td><td>1</td></tr></table>');
+
+      expect(extractor.extractFromTable(table)).toBeNull();
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('fromChartJs', () => {
+    test('should read v3 horizontal bar configuration', () => {
+      const chart = extractor.fromChartJs({
+        config: { type: 'bar' },
+        data: {
+          labels: ['Mon', 'Tue'],
+          datasets: [{ label: 'Visits', data: [3, 5], backgroundColor: 'rgba(54, 162, 235, 0.5)' }]
+        },
+        options: {
+          indexAxis: 'y',
+          plugins: { title: { display: true, text: 'Traffic' } },
+          scales: {
+            x: { title: { display: true, text: 'Count' } },
+            y: { title: { display: true, text: 'Day' }, stacked: true }
+          }
+        }
+      });
+
+      expect(chart).toMatchObject({
+        type: 'bar',
+        barDir: 'bar',
+        title: 'Traffic',
+        labels: ['Mon', 'Tue'],
+        xTitle: 'Day',
+        yTitle: 'Count',
+        stacked: true
+      });
+      expect(chart.series[0]).toEqual({ name: 'Visits', values: [3, 5], color: '36A2EB' });
+    });
+
+    test('should read v2 line charts with point objects', () => {
+      const chart = extractor.fromChartJs({
+        config: {
+          type: 'line',
+          data: { labels: ['a', 'b'], datasets: [{ label: 'Temp', data: [{ x: 0, y: 1.5 }, { x: 1, y: 2 }], borderColor: '#ff6384' }] },
+          options: { scales: { xAxes: [{ scaleLabel: { display: true, labelString: 'Time' } }], yAxes: [{}] } }
+        }
+      });
+
+      expect(chart.series[0]).toEqual({ name: 'Temp', values: [1.5, 2], color: 'FF6384' });
+      expect(chart.xTitle).toBe('Time');
+    });
+
+    test('should return null for unsupported types', () => {
+      expect(extractor.fromChartJs({ config: { type: 'radar' }, data: { datasets: [{ data: [1] }] } })).toBeNull();
+    });
+  });
+
+  describe('fromECharts', () => {
+    test('should read category axis charts', () => {
+      const chart = extractor.fromECharts({
+        color: ['#5470c6', '#91cc75'],
+        title: [{ text: 'Sales' }],
+        legend: [{}],
+        xAxis: [{ type: 'category', data: ['Jan', 'Feb'], name: 'Month' }],
+        yAxis: [{ type: 'value', name: 'Units' }],
+        series: [
+          { type: 'bar', name: 'North', data: [1, { value: 2 }], stack: 'total' },
+          { type: 'bar', name: 'South', data: [3, 4], itemStyle: { color: '#000' } }
+        ]
+      });
+
+      expect(chart).toMatchObject({
+        type: 'bar',
+        barDir: 'col',
+        title: 'Sales',
+        labels: ['Jan', 'Feb'],
+        xTitle: 'Month',
+        yTitle: 'Units',
+        stacked: true,
+        showLegend: true
+      });
+      expect(chart.series.map(series => series.color)).toEqual(['5470C6', '000000']);
+      expect(chart.series[0].values).toEqual([1, 2]);
+    });
+
+    test('should detect doughnut charts from the inner radius', () => {
+      const chart = extractor.fromECharts({
+        color: ['#5470c6', '#91cc75'],
+        series: [{ type: 'pie', name: 'Share', radius: ['40%', '70%'], data: [{ name: 'A', value: 7 }, { name: 'B', value: 3 }] }]
+      });
+
+      expect(chart.type).toBe('doughnut');
+      expect(chart.labels).toEqual(['A', 'B']);
+      expect(chart.pointColors).toEqual(['5470C6', '91CC75']);
+    });
+  });
+
+  describe('extractFromElement', () => {
+    test('should find Chart.js and ECharts instances in the page window', () => {
+      document.body.innerHTML = '<canvas id="c"></canvas><div id="e"></div>';
+      const canvas = document.getElementById('c');
+      const container = document.getElementById('e');
+      const win = {
+        Chart: {
+          getChart: element => element === canvas
+            ? { config: { type: 'pie' }, data: { labels: ['x'], datasets: [{ data: [1] }] }, options: {} }
+            : undefined
+        },
+        echarts: {
+          getInstanceByDom: element => element === container
+            ? { getOption: () => ({ xAxis: [{ type: 'category', data: ['a'] }], yAxis: [{}], series: [{ type: 'line', data: [1] }] }) }
+            : undefined
+        }
+      };
+
+      expect(extractor.extractFromElement(canvas, win)).toMatchObject({ type: 'pie', source: 'chartjs' });
+      expect(extractor.extractFromElement(container, win)).toMatchObject({ type: 'line', source: 'echarts' });
+      expect(extractor.extractFromElement(document.body, win)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * ColorParser 单元测试
+ */
+
+import { ColorParser } from '../../src/core/ColorParser.js';
+
+describe('ColorParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new ColorParser();
+  });
+
+  describe('hex and named colors', () => {
+    test('should parse 3, 4, 6 and 8 digit hex', () => {
+      expect(parser.toCssHex('#f00')).toBe('#ff0000');
+      expect(parser.toCssHex('#abc8')).toBe('#aabbcc88');
+      expect(parser.toCssHex('#3B82F6')).toBe('#3b82f6');
+      expect(parser.toCssHex('#3b82f680')).toBe('#3b82f680');
+      expect(parser.toCssHex('#12345')).toBeNull();
+    });
+
+    test('should know all 148 named colors', () => {
+      expect(Object.keys(ColorParser.NAMED_COLORS)).toHaveLength(148);
+      expect(parser.toHex('rebeccapurple')).toBe('663399');
+      expect(parser.toHex('Green')).toBe('008000');
+      expect(parser.toHex('lightgoldenrodyellow')).toBe('FAFAD2');
+    });
+
+    test('should resolve transparent and currentColor', () => {
+      expect(parser.toRgb('transparent')).toEqual({ r: 0, g: 0, b: 0, alpha: 0 });
+      expect(parser.toHex('currentColor', 'rgb(12, 34, 56)')).toBe('0C2238');
+      expect(parser.toHex('currentcolor')).toBeNull();
+    });
+  });
+
+  describe('color functions', () => {
+    test('should parse legacy and modern rgb() and hsl()', () => {
+      expect(parser.toCssHex('rgba(10, 20, 30, 0.5)')).toBe('#0a141e80');
+      expect(parser.toCssHex('rgb(255 0 0 / 50%)')).toBe('#ff000080');
+      expect(parser.toCssHex('rgb(300 -20 0)')).toBe('#ff0000');
+      expect(parser.toHex('hsl(120, 100%, 25%)')).toBe('008000');
+      expect(parser.toHex('hsl(0.5turn 100% 50%)')).toBe('00FFFF');
+      expect(parser.toHex('hwb(0 50% 50%)')).toBe('808080');
+    });
+
+    test('should convert lab, lch, oklab and oklch to sRGB', () => {
+      expect(parser.toHex('lab(54.29 80.8 69.89)')).toBe('FF0000');
+      expect(parser.toHex('lch(54.29% 106.84 40.85deg)')).toBe('FF0000');
+      expect(parser.toHex('oklab(0.628 0.2249 0.1258)')).toBe('FF0000');
+      // Tailwind v4 调色板
+      expect(parser.toHex('oklch(0.21 0.034 264.665)')).toBe('101828');
+      expect(parser.toHex('oklch(98.5% 0 0)')).toBe('FAFAFA');
+      expect(parser.getAlpha('oklch(0.7 0.1 200 / 0.25)')).toBe(0.25);
+    });
+
+    test('should parse color() in predefined spaces', () => {
+      expect(parser.toHex('color(srgb 0.5 0.5 0.5)')).toBe('808080');
+      expect(parser.toHex('color(xyz 0.4124 0.2126 0.0193)')).toBe('FF0000');
+      expect(parser.toHex('color(srgb-linear 1 1 1)')).toBe('FFFFFF');
+    });
+
+    test('should reject malformed values', () => {
+      expect(parser.toHex('rgb(foo 0 0)')).toBeNull();
+      expect(parser.toHex('oklch(0.5 0.1)')).toBeNull();
+      expect(parser.toHex('lab(50, 20, 20)')).toBeNull();
+      expect(parser.toHex('color(unknown 1 0 0)')).toBeNull();
+      expect(parser.toHex('notacolor')).toBeNull();
+    });
+  });
+
+  describe('gamut mapping', () => {
+    test('should reduce chroma of out-of-gamut colors instead of clipping', () => {
+      const rgb = parser.toRgb('oklch(0.7 0.4 150)');
+      const mapped = parser.convert({ space: 'srgb', coords: [rgb.r / 255, rgb.g / 255, rgb.b / 255], alpha: 1 }, 'oklch');
+
+      expect(Math.abs(mapped[0] - 0.7)).toBeLessThan(0.01);
+      expect(Math.abs(mapped[2] - 150)).toBeLessThan(3);
+      expect(parser.toHex('color(display-p3 1 0 0)')).toMatch(/^FF/);
+      expect(parser.toHex('lab(100 0 0)')).toBe('FFFFFF');
+    });
+  });
+
+  describe('color-mix', () => {
+    test('should mix with premultiplied alpha and normalized percentages', () => {
+      expect(parser.toHex('color-mix(in srgb, red, blue)')).toBe('800080');
+      expect(parser.toCssHex('color-mix(in srgb, red 20%, transparent)')).toBe('#ff000033');
+      expect(parser.toCssHex('color-mix(in oklab, #3b82f6 50%, transparent)')).toBe('#3b82f680');
+      // 总和小于 100% 时作为 alpha 乘数
+      expect(parser.getAlpha('color-mix(in srgb, red 30%, blue 20%)')).toBeCloseTo(0.5);
+    });
+
+    test('should take the hue from the chromatic color when mixing with white', () => {
+      const mixed = parser.convert(parser.parse('color-mix(in oklch, white, blue)'), 'oklch');
+      const blue = parser.convert(parser.parse('blue'), 'oklch');
+
+      expect(mixed[2]).toBeCloseTo(blue[2], 1);
+    });
+
+    test('should resolve currentColor and nested functions', () => {
+      expect(parser.toHex('color-mix(in srgb, currentColor 50%, white)', 'blue')).toBe('8080FF');
+      expect(parser.toHex('color-mix(in srgb, rgb(255 0 0), hsl(240 100% 50%))')).toBe('800080');
+    });
+  });
+});
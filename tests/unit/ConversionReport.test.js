@@ -0,0 +1,58 @@
+/**
+ * ConversionReport 单元测试
+ */
+
+import { jest } from '@jest/globals';
+import { ConversionReport } from '../../src/core/ConversionReport.js';
+
+describe('ConversionReport', () => {
+  let report;
+
+  beforeEach(() => {
+    report = new ConversionReport();
+  });
+
+  test('should record entries with category and element summary', () => {
+    report.add(2, 'BLOB_IMAGE_SKIPPED', { type: 'image', tagName: 'img', alt: 'Chart', src: 'blob:abc' });
+
+    expect(report.hasEntries()).toBe(true);
+    expect(report.entries[0]).toEqual({
+      slide: 2,
+      code: 'BLOB_IMAGE_SKIPPED',
+      category: 'dropped',
+      element: { type: 'image', tagName: 'img', text: 'Chart' },
+      detail: ''
+    });
+  });
+
+  test('should ignore unknown codes', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    report.add(1, 'NOPE');
+    expect(report.hasEntries()).toBe(false);
+    warn.mockRestore();
+  });
+
+  test('should summarize per slide', () => {
+    report.add(7, 'GRADIENT_RASTERIZED');
+    report.add(7, 'GRADIENT_RASTERIZED');
+    report.add(7, 'BLOB_IMAGE_SKIPPED');
+    report.add(3, 'GRADIENT_APPROXIMATED');
+    report.add(null, 'POST_PROCESSING_FAILED');
+    report.setSlideCount(8);
+
+    expect(report.formatLines()).toEqual([
+      'deck: 1 animations/transitions/gradients lost',
+      'slide 3: 1 gradient as solid fill',
+      'slide 7: 2 gradient rasterized, 1 blob image skipped'
+    ]);
+
+    const json = report.toJSON();
+    expect(json.slideCount).toBe(8);
+    expect(json.totals).toEqual({ dropped: 1, approximated: 2, rasterized: 2 });
+    expect(json.slides[2]).toEqual({
+      slide: 7,
+      counts: { dropped: 1, approximated: 0, rasterized: 2 },
+      reasons: { GRADIENT_RASTERIZED: 2, BLOB_IMAGE_SKIPPED: 1 }
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * ConversionServer 单元测试
+ */
+
+import http from 'http';
+import { jest } from '@jest/globals';
+import { ConversionServer } from '../../src/node/ConversionServer.js';
+import { parseMultipart } from '../../src/node/httpUtils.js';
+
+/**
+ * 不启动浏览器的转换器替身
+ */
+class FakeConverter {
+  constructor() {
+    this.pages = [{}];
+    this.busyCount = 0;
+    this.queueLength = 0;
+    this.calls = [];
+  }
+
+  async start() {}
+
+  async close() {}
+
+  async convertHtml(html, options) {
+    this.calls.push({ html, options });
+    return {
+      buffer: Buffer.from('PK-pptx'),
+      report: { totals: { dropped: 1, approximated: 0, rasterized: 0 }, lines: ['slide 1: 1 blob image skipped'] }
+    };
+  }
+
+  async analyzeHtml(html) {
+    return { fonts: [], icons: { total: 0 }, images: [], colors: [], length: html.length };
+  }
+}
+
+const request = (port, method, path, body = null, headers = {}) => new Promise((resolve, reject) => {
+  const req = http.request({ host: '127.0.0.1', port, method, path, headers }, res => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+// 只发送部分请求体的上传（Content-Length 大于已发送的字节数）
+const startUpload = (port, onResponse = () => {}) => {
+  const req = http.request({ host: '127.0.0.1', port, method: 'POST', path: '/convert', headers: { 'Content-Length': '100' } }, onResponse);
+  req.on('error', () => {});
+  req.write('<p>');
+  return req;
+};
+
+describe('ConversionServer', () => {
+  let server;
+  let converter;
+  let port;
+
+  beforeEach(async () => {
+    converter = new FakeConverter();
+    server = new ConversionServer({ port: 0, converter, maxBodySize: 1024, maxQueue: 2, bodyTimeout: 1000 });
+    ({ port } = await server.listen());
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('should report health', async () => {
+    const res = await request(port, 'GET', '/health');
+    const data = JSON.parse(res.body.toString());
+
+    expect(res.status).toBe(200);
+    expect(data).toMatchObject({ status: 'ok', pool: { size: 1, busy: 0, queued: 0 } });
+  });
+
+  test('should convert raw HTML body with query options', async () => {
+    const res = await request(port, 'POST', '/convert?aspectRatio=4:3&title=Q3', '<h1>Hi</h1>', { 'Content-Type': 'text/html' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('presentationml');
+    expect(res.headers['content-disposition']).toContain('filename="Q3.pptx"');
+    expect(res.body.toString()).toBe('PK-pptx');
+    expect(JSON.parse(res.headers['x-conversion-report'])).toEqual({ dropped: 1, approximated: 0, rasterized: 0 });
+    expect(converter.calls[0]).toEqual({ html: '<h1>Hi</h1>', options: { aspectRatio: '4:3', title: 'Q3' } });
+  });
+
+  test('should return full report as JSON on request', async () => {
+    const res = await request(port, 'POST', '/convert?report=json', '<h1>Hi</h1>');
+    const data = JSON.parse(res.body.toString());
+
+    expect(data.filename).toBe('presentation.pptx');
+    expect(data.report.lines).toEqual(['slide 1: 1 blob image skipped']);
+    expect(Buffer.from(data.data, 'base64').toString()).toBe('PK-pptx');
+  });
+
+  test('should convert uploaded multipart file', async () => {
+    const body = [
+      '--XYZ',
+      'Content-Disposition: form-data; name="file"; filename="deck.html"',
+      'Content-Type: text/html',
+      '',
+      '<section>Deck</section>',
+      '--XYZ',
+      'Content-Disposition: form-data; name="preserveAnimations"',
+      '',
+      'false',
+      '--XYZ--',
+      ''
+    ].join('\r\n');
+    const res = await request(port, 'POST', '/convert', body, { 'Content-Type': 'multipart/form-data; boundary=XYZ' });
+
+    expect(res.status).toBe(200);
+    expect(converter.calls[0]).toEqual({
+      html: '<section>Deck</section>',
+      options: { title: 'deck', preserveAnimations: false }
+    });
+  });
+
+  test('should return analysis JSON', async () => {
+    const res = await request(port, 'POST', '/analyze', JSON.stringify({ html: '<p>x</p>' }), { 'Content-Type': 'application/json' });
+
+    expect(res.status).toBe(200);
+    expect(JSON.parse(res.body.toString())).toMatchObject({ images: [], length: 8 });
+  });
+
+  test('should enforce limits and validate requests', async () => {
+    expect((await request(port, 'POST', '/convert', 'x'.repeat(2048))).status).toBe(413);
+    expect((await request(port, 'POST', '/convert', '   ')).status).toBe(400);
+    expect((await request(port, 'POST', '/convert?aspectRatio=5:4', '<p>x</p>')).status).toBe(400);
+    expect((await request(port, 'POST', '/convert?fontStrategy=subset', '<p>x</p>')).status).toBe(400);
+    expect((await request(port, 'POST', '/convert?captureMode=late', '<p>x</p>')).status).toBe(400);
+    expect((await request(port, 'POST', '/convert?offCanvas=move', '<p>x</p>')).status).toBe(400);
+    expect((await request(port, 'POST', '/convert?fontMap=Inter', '<p>x</p>')).status).toBe(400);
+    expect((await request(port, 'GET', '/convert')).status).toBe(405);
+    expect((await request(port, 'GET', '/missing')).status).toBe(404);
+  });
+
+  test('should count requests still uploading against the queue limit', async () => {
+    // 中断的上传会在服务端记录为失败请求
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const uploads = [startUpload(port), startUpload(port)];
+    while (server.activeRequests < 2) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const busy = await request(port, 'POST', '/convert', '<p>x</p>');
+    uploads.forEach(upload => upload.destroy());
+
+    expect(busy.status).toBe(503);
+    expect(busy.headers['retry-after']).toBe('5');
+    expect(converter.calls).toHaveLength(0);
+
+    // 等待服务端处理完中断的请求后再恢复 console.warn
+    while (server.activeRequests > 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    warn.mockRestore();
+  });
+
+  test('should give up on request bodies that never finish', async () => {
+    const res = await new Promise(resolve => startUpload(port, response => {
+      response.resume();
+      response.on('end', () => resolve(response));
+    }));
+
+    expect(res.statusCode).toBe(408);
+    expect(res.headers.connection).toBe('close');
+    expect(server.activeRequests).toBe(0);
+  });
+
+  test('should map conversion timeouts to 504', async () => {
+    converter.convertHtml = async () => {
+      const error = new Error('timeout');
+      error.code = 'CONVERSION_TIMEOUT';
+      throw error;
+    };
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect((await request(port, 'POST', '/convert', '<p>x</p>')).status).toBe(504);
+    warn.mockRestore();
+  });
+
+  describe('parseMultipart', () => {
+    test('should keep binary field data intact', () => {
+      const body = Buffer.concat([
+        Buffer.from('--b\r\nContent-Disposition: form-data; name="a"\r\n\r\n'),
+        Buffer.from([0, 255, 13, 10]),
+        Buffer.from('\r\n--b--\r\n')
+      ]);
+      const parts = parseMultipart(body, 'multipart/form-data; boundary=b');
+
+      expect(parts).toHaveLength(1);
+      expect([...parts[0].data]).toEqual([0, 255, 13, 10]);
+    });
+  });
+});
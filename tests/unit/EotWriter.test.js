@@ -0,0 +1,122 @@
+/**
+ * EotWriter 单元测试
+ */
+
+import { EotWriter } from '../../src/core/EotWriter.js';
+
+/**
+ * 构造只包含 OS/2、head 和 name 表的 TrueType 文件
+ */
+function createTrueType({ family = 'Inter', style = 'Bold Italic' } = {}) {
+  const names = [[1, family], [2, style], [4, `${family} ${style}`], [5, 'Version 1.0']];
+  const nameStorage = names.map(([, text]) => text.length * 2);
+  const nameLength = 6 + names.length * 12 + nameStorage.reduce((sum, size) => sum + size, 0);
+  const tables = [['OS/2', 86], ['head', 54], ['name', nameLength]];
+
+  let offset = 12 + tables.length * 16;
+  const layout = tables.map(([tag, length]) => {
+    const entry = { tag, offset, length };
+    offset += length;
+    return entry;
+  });
+  const data = new Uint8Array(offset);
+  const view = new DataView(data.buffer);
+  view.setUint32(0, 0x00010000);
+  view.setUint16(4, tables.length);
+  layout.forEach((table, i) => {
+    data.set([...table.tag].map(c => c.charCodeAt(0)), 12 + i * 16);
+    view.setUint32(12 + i * 16 + 8, table.offset);
+    view.setUint32(12 + i * 16 + 12, table.length);
+  });
+
+  const [os2, head, name] = layout;
+  view.setUint16(os2.offset + 4, 700); // usWeightClass
+  view.setUint16(os2.offset + 8, 0x0008); // fsType
+  data.set([2, 11, 8, 3, 3, 4, 3, 2, 2, 4], os2.offset + 32); // PANOSE
+  view.setUint32(os2.offset + 42, 0xE00002FF); // ulUnicodeRange1
+  view.setUint16(os2.offset + 62, 0x0021); // fsSelection: italic | bold
+  view.setUint32(os2.offset + 78, 0x0000019F); // ulCodePageRange1
+  view.setUint32(head.offset + 8, 0x12345678); // checkSumAdjustment
+
+  view.setUint16(name.offset + 2, names.length);
+  view.setUint16(name.offset + 4, 6 + names.length * 12);
+  let stringOffset = 0;
+  names.forEach(([nameId, text], i) => {
+    const record = name.offset + 6 + i * 12;
+    view.setUint16(record, 3);
+    view.setUint16(record + 2, 1);
+    view.setUint16(record + 4, 0x0409);
+    view.setUint16(record + 6, nameId);
+    view.setUint16(record + 8, text.length * 2);
+    view.setUint16(record + 10, stringOffset);
+    [...text].forEach((c, j) => view.setUint16(name.offset + 6 + names.length * 12 + stringOffset + j * 2, c.charCodeAt(0)));
+    stringOffset += text.length * 2;
+  });
+
+  return data;
+}
+
+/**
+ * 按 EOT 头部顺序读出四个名称
+ */
+function readEotNames(view) {
+  const names = [];
+  let offset = 80;
+  for (let i = 0; i < 4; i++) {
+    const size = view.getUint16(offset + 2, true);
+    let name = '';
+    for (let j = 0; j < size; j += 2) {
+      name += String.fromCharCode(view.getUint16(offset + 4 + j, true));
+    }
+    names.push(name);
+    offset += 4 + size;
+  }
+  return { names, headerSize: offset + 4 };
+}
+
+describe('EotWriter', () => {
+  let writer;
+
+  beforeEach(() => {
+    writer = new EotWriter();
+  });
+
+  test('should write the EOT header from the font tables', () => {
+    const font = createTrueType();
+    const eot = writer.write(font);
+    const view = new DataView(eot.buffer);
+
+    expect(view.getUint32(0, true)).toBe(eot.length);
+    expect(view.getUint32(4, true)).toBe(font.length);
+    expect(view.getUint32(8, true)).toBe(EotWriter.VERSION);
+    expect(view.getUint32(12, true)).toBe(0);
+    expect(Array.from(eot.slice(16, 26))).toEqual([2, 11, 8, 3, 3, 4, 3, 2, 2, 4]);
+    expect(eot[26]).toBe(EotWriter.DEFAULT_CHARSET);
+    expect(eot[27]).toBe(1);
+    expect(view.getUint32(28, true)).toBe(700);
+    expect(view.getUint16(32, true)).toBe(0x0008);
+    expect(view.getUint16(34, true)).toBe(EotWriter.MAGIC_NUMBER);
+    expect(view.getUint32(36, true)).toBe(0xE00002FF);
+    expect(view.getUint32(52, true)).toBe(0x0000019F);
+    expect(view.getUint32(60, true)).toBe(0x12345678);
+  });
+
+  test('should store the names and the unmodified font data', () => {
+    const font = createTrueType();
+    const eot = writer.write(font);
+    const { names, headerSize } = readEotNames(new DataView(eot.buffer));
+
+    expect(names).toEqual(['Inter', 'Bold Italic', 'Version 1.0', 'Inter Bold Italic']);
+    expect(Array.from(eot.slice(headerSize))).toEqual(Array.from(font));
+  });
+
+  test('should still wrap fonts without readable tables', () => {
+    const font = new Uint8Array([0, 1, 0, 0]);
+    const eot = writer.write(font);
+    const view = new DataView(eot.buffer);
+
+    expect(eot.length).toBe(80 + 4 * 4 + 4 + font.length);
+    expect(view.getUint16(34, true)).toBe(EotWriter.MAGIC_NUMBER);
+    expect(Array.from(eot.slice(-4))).toEqual([0, 1, 0, 0]);
+  });
+});
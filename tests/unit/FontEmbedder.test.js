@@ -0,0 +1,152 @@
+/**
+ * FontEmbedder 单元测试
+ */
+
+import { jest } from '@jest/globals';
+import { FontEmbedder } from '../../src/core/FontEmbedder.js';
+
+// 只包含 OS/2 表的最小 TrueType 文件
+function createTrueType(fsType = 0) {
+  const data = new Uint8Array(12 + 16 + 10);
+  const view = new DataView(data.buffer);
+  view.setUint32(0, 0x00010000);
+  view.setUint16(4, 1);
+  data.set([0x4F, 0x53, 0x2F, 0x32], 12); // 'OS/2'
+  view.setUint32(12 + 8, 28);
+  view.setUint32(12 + 12, 10);
+  view.setUint16(28 + 8, fsType);
+  return data;
+}
+
+describe('FontEmbedder', () => {
+  let embedder;
+
+  beforeEach(() => {
+    embedder = new FontEmbedder();
+  });
+
+  describe('parseFontFaces', () => {
+    test('should read family, weight range, style and sources', () => {
+      const css = `
+        /* @font-face { font-family: Ignored; src: url(x.ttf); } */
+        @font-face {
+          font-family: 'Inter';
+          font-style: italic;
+          font-weight: 100 900;
+          src: url(data:font/ttf;base64,AAEAAA==) format('truetype'), url("fonts/inter.woff2") format("woff2");
+        }
+        @font-face { font-family: Inter; font-weight: bold; src: local('Inter Bold'), url(inter-bold.ttf); }
+      `;
+      const faces = embedder.parseFontFaces(css, 'https://example.com/css/site.css');
+
+      expect(faces).toEqual([
+        {
+          family: 'Inter',
+          weight: [100, 900],
+          italic: true,
+          sources: [
+            { url: 'data:font/ttf;base64,AAEAAA==', format: 'truetype' },
+            { url: 'https://example.com/css/fonts/inter.woff2', format: 'woff2' }
+          ]
+        },
+        {
+          family: 'Inter',
+          weight: [700, 700],
+          italic: false,
+          sources: [{ url: 'https://example.com/css/inter-bold.ttf', format: '' }]
+        }
+      ]);
+    });
+
+    test('should resolve @import urls', () => {
+      const css = '@import url("https://fonts.googleapis.com/css2?family=Inter"); @import \'local.css\';';
+      expect(embedder.parseImports(css, 'https://example.com/')).toEqual([
+        'https://fonts.googleapis.com/css2?family=Inter',
+        'https://example.com/local.css'
+      ]);
+    });
+  });
+
+  describe('selectFaces', () => {
+    test('should fill slots from the closest weights and styles', () => {
+      const regular = { weight: [400, 400], italic: false };
+      const semibold = { weight: [600, 600], italic: false };
+      const black = { weight: [900, 900], italic: false };
+      const variableItalic = { weight: [100, 900], italic: true };
+
+      expect(embedder.selectFaces([black, regular, semibold, variableItalic])).toEqual({
+        regular,
+        bold: semibold,
+        italic: variableItalic,
+        boldItalic: variableItalic
+      });
+      expect(embedder.selectFaces([black])).toEqual({ bold: black });
+    });
+  });
+
+  describe('font files', () => {
+    test('should detect formats from the file header', () => {
+      const header = text => new Uint8Array([...text].map(c => c.charCodeAt(0)).concat(new Array(8).fill(0)));
+
+      expect(embedder.getFontFormat(createTrueType())).toBe('truetype');
+      expect(embedder.getFontFormat(header('OTTO'))).toBe('cff');
+      expect(embedder.getFontFormat(header('wOF2'))).toBe('woff2');
+      expect(embedder.getFontFormat(header('<htm'))).toBe('unknown');
+    });
+
+    test('should honour restricted-license fsType', () => {
+      expect(embedder.isEmbeddingRestricted(createTrueType(0x0002))).toBe(true);
+      expect(embedder.isEmbeddingRestricted(createTrueType(0x0008))).toBe(false);
+    });
+  });
+
+  describe('embed', () => {
+    test('should download TrueType files and report the rest', async () => {
+      const files = {
+        'https://example.com/inter.ttf': createTrueType(),
+        'https://example.com/poppins.woff2': new Uint8Array([0x77, 0x4F, 0x46, 0x32, 0, 0, 0, 0, 0, 0, 0, 0])
+      };
+      const fetch = jest.fn(async url => files[url]
+        ? { ok: true, arrayBuffer: async () => files[url].buffer }
+        : { ok: false });
+      const doc = document.implementation.createHTMLDocument('');
+      doc.head.innerHTML = `<style>
+        @font-face { font-family: Inter; src: url(https://example.com/inter.ttf); }
+        @font-face { font-family: Poppins; src: url(https://example.com/poppins.woff2) format('woff2'); }
+      </style>`;
+      Object.defineProperty(doc, 'defaultView', { value: { fetch, AbortController } });
+
+      const result = await embedder.embed(doc, ['Inter', 'Poppins', 'Lato']);
+
+      expect(result.fonts).toEqual([{ name: 'Inter', faces: { regular: createTrueType() } }]);
+      expect(result.failures).toEqual([
+        { name: 'Poppins', reason: FontEmbedder.FAILURE_REASONS.woff2 },
+        { name: 'Lato', reason: FontEmbedder.FAILURE_REASONS.missing }
+      ]);
+    });
+
+    test('should report fonts whose download stalls or breaks off', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const bodies = {
+        'https://example.com/stalled.ttf': () => new Promise(() => {}),
+        'https://example.com/reset.ttf': () => Promise.reject(new Error('ECONNRESET'))
+      };
+      const fetch = jest.fn(async url => ({ ok: true, arrayBuffer: bodies[url] }));
+      const doc = document.implementation.createHTMLDocument('');
+      doc.head.innerHTML = `<style>
+        @font-face { font-family: Stalled; src: url(https://example.com/stalled.ttf); }
+        @font-face { font-family: Reset; src: url(https://example.com/reset.ttf); }
+      </style>`;
+      Object.defineProperty(doc, 'defaultView', { value: { fetch, AbortController } });
+
+      const result = await new FontEmbedder({ timeout: 50 }).embed(doc, ['Stalled', 'Reset']);
+      warn.mockRestore();
+
+      expect(result.fonts).toEqual([]);
+      expect(result.failures).toEqual([
+        { name: 'Stalled', reason: FontEmbedder.FAILURE_REASONS.fetch },
+        { name: 'Reset', reason: FontEmbedder.FAILURE_REASONS.fetch }
+      ]);
+    });
+  });
+});
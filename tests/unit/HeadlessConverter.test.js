@@ -0,0 +1,73 @@
+/**
+ * HeadlessConverter 单元测试
+ */
+
+import { jest } from '@jest/globals';
+import path from 'path';
+import { HeadlessConverter } from '../../src/node/HeadlessConverter.js';
+
+describe('HeadlessConverter', () => {
+  describe('injectBaseHref', () => {
+    test('should insert base after head and keep existing base', () => {
+      expect(HeadlessConverter.injectBaseHref('<html><head><title>x</title></head></html>', 'http://h/@fs/d/'))
+        .toBe('<html><head><base href="http://h/@fs/d/"><title>x</title></head></html>');
+      expect(HeadlessConverter.injectBaseHref('<head><base href="/x/"></head>', 'http://h/')).toBe('<head><base href="/x/"></head>');
+    });
+  });
+
+  describe('isAllowedPath', () => {
+    test('should only serve files from the package and the input directories', () => {
+      const converter = new HeadlessConverter({ assetDirs: ['/decks'] });
+
+      expect(converter.isAllowedPath('/decks/images/logo.png')).toBe(true);
+      expect(converter.isAllowedPath(path.resolve('src/core/HtmlParser.js'))).toBe(true);
+      expect(converter.isAllowedPath('/etc/passwd')).toBe(false);
+      expect(converter.isAllowedPath('/decks-private/notes.html')).toBe(false);
+    });
+  });
+
+  describe('page pool', () => {
+    const page = () => ({ close: jest.fn(() => Promise.resolve()) });
+    let warn;
+
+    beforeEach(() => {
+      warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      warn.mockRestore();
+    });
+
+    test('should retry replacing a timed-out page and hand it to waiting tasks', async () => {
+      const converter = new HeadlessConverter();
+      const stale = page();
+      const fresh = page();
+      converter.pages = [stale];
+      converter.createPage = jest.fn()
+        .mockRejectedValueOnce(new Error('crashed'))
+        .mockResolvedValueOnce(fresh);
+
+      const waiting = converter.acquirePage();
+      await converter.replacePage(stale);
+
+      await expect(waiting).resolves.toBe(fresh);
+      expect(converter.createPage).toHaveBeenCalledTimes(2);
+      expect(converter.pages).toEqual([fresh]);
+    });
+
+    test('should reject waiting tasks when the pool is empty', async () => {
+      const converter = new HeadlessConverter();
+      const stale = page();
+      converter.pages = [stale];
+      converter.createPage = jest.fn().mockRejectedValue(new Error('browser closed'));
+
+      const waiting = converter.acquirePage();
+      await converter.replacePage(stale);
+
+      await expect(waiting).rejects.toMatchObject({ code: 'PAGE_POOL_EMPTY' });
+      await expect(converter.acquirePage()).rejects.toMatchObject({ code: 'PAGE_POOL_EMPTY' });
+      expect(converter.createPage).toHaveBeenCalledTimes(HeadlessConverter.REPLACE_ATTEMPTS);
+      expect(converter.queueLength).toBe(0);
+    });
+  });
+});
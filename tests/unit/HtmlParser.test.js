@@ -0,0 +1,308 @@
+/**
+ * HtmlParser 单元测试
+ */
+
+import { jest } from '@jest/globals';
+import { HtmlParser } from '../../src/core/HtmlParser.js';
+
+describe('HtmlParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new HtmlParser();
+    document.body.innerHTML = '';
+  });
+
+  const render = (html) => {
+    document.body.innerHTML = html;
+    return document.body.firstElementChild;
+  };
+
+  describe('extractTextRuns', () => {
+    test('should keep inline formatting and word order', () => {
+      const element = render('<p>Revenue grew <strong>42%</strong> in <a href="https://example.com/q3">Q3</a></p>');
+      const data = parser.parseElement(element, 0);
+
+      expect(data.text).toBe('Revenue grew 42% in Q3');
+      expect(data.runs.map(r => r.text)).toEqual(['Revenue grew ', '42%', ' in ', 'Q3']);
+      expect(data.runs[3].href).toBe('https://example.com/q3');
+      // 行内子元素已合并，不再单独输出
+      expect(data.children).toHaveLength(0);
+    });
+
+    test('should convert <br> into line breaks', () => {
+      const element = render('<p>Line one<br>  Line <em>two</em> </p>');
+      const data = parser.parseElement(element, 0);
+
+      expect(data.runs[0]).toMatchObject({ text: 'Line one', breakLine: true });
+      expect(data.runs.map(r => r.text)).toEqual(['Line one', 'Line ', 'two']);
+      expect(data.text).toBe('Line one\nLine two');
+    });
+
+    test('should carry decoration and sup/sub context to nested runs', () => {
+      const element = render('<p>H<sub>2</sub>O is <u><b>wet</b></u></p>');
+      const data = parser.parseElement(element, 0);
+
+      expect(data.runs[1]).toMatchObject({ text: '2', subscript: true });
+      expect(data.runs[3]).toMatchObject({ text: 'wet', underline: true });
+    });
+
+    test('should not build runs for block children', () => {
+      const element = render('<div><p>One</p><p>Two</p></div>');
+      const data = parser.parseElement(element, 0);
+
+      expect(data.runs).toBeUndefined();
+      expect(data.children).toHaveLength(2);
+    });
+
+    test('should keep icon children separate from runs', () => {
+      const element = render('<p><i class="fa fa-check"></i> Done <strong>now</strong></p>');
+      const data = parser.parseElement(element, 0);
+
+      expect(data.runs.map(r => r.text)).toEqual(['Done ', 'now']);
+      expect(data.children).toHaveLength(1);
+      expect(data.children[0].type).toBe('icon');
+    });
+  });
+
+  describe('links', () => {
+    test('should pass link target to wrapped images', () => {
+      const element = render('<a href="#slide-2"><img src="data:image/png;base64,iVBORw0KGgo="></a>');
+      const data = parser.parseElement(element.querySelector('img'), 0);
+
+      expect(data.href).toBe('#slide-2');
+    });
+
+    test('should keep slide anchor ids', () => {
+      const element = render('<section id="intro" class="slide"><h1>Hi</h1></section>');
+      const slide = parser.parseSlideElement(element, 0);
+
+      expect(slide.anchorId).toBe('intro');
+    });
+  });
+
+  describe('data-chart tables', () => {
+    test('should turn marked tables into chart elements', () => {
+      const element = render(
+        '<table data-chart="line"><tr><th>Year</th><th>Users</th></tr><tr><td>2023</td><td>10</td></tr></table>'
+      );
+      const data = parser.parseElement(element, 0);
+
+      expect(data.type).toBe('chart');
+      expect(data.chartData.series[0]).toMatchObject({ name: 'Users', values: [10] });
+      expect(data.tableData).toBeUndefined();
+    });
+
+    test('should keep unmarked tables as tables', () => {
+      const element = render('<table><tr><td>1</td></tr></table>');
+      const data = parser.parseElement(element, 0);
+
+      expect(data.type).toBe('table');
+      expect(data.tableData.rows).toHaveLength(1);
+    });
+  });
+
+  describe('measureText', () => {
+    const rect = (left, top, width, height) => ({ left, top, width, height, right: left + width, bottom: top + height });
+
+    test('should count wrapped lines and text extent from range rects', () => {
+      const element = render('<p style="padding: 4px 10px">Some wrapped text</p>');
+      const createRange = jest.spyOn(document, 'createRange').mockImplementation(() => ({
+        selectNodeContents: () => {},
+        getClientRects: () => [rect(10, 4, 200, 20), rect(10, 24, 120, 20), rect(130, 26, 30, 16)]
+      }));
+
+      const metrics = parser.measureText(element, false);
+      createRange.mockRestore();
+
+      expect(metrics).toEqual({
+        lineCount: 2,
+        width: 200,
+        height: 40,
+        insets: { top: 4, right: 10, bottom: 4, left: 10 }
+      });
+    });
+
+    test('should skip measurement when ranges have no layout', () => {
+      const element = render('<p>Text</p>');
+
+      expect(parser.measureText(element, false)).toBeNull();
+      expect(parser.parseElement(element, 0).textMetrics).toBeUndefined();
+    });
+  });
+
+  describe('transforms', () => {
+    test('should decompose rotation, flips and scale', () => {
+      const cos = Math.cos(Math.PI / 4);
+
+      expect(parser.decomposeMatrix([cos, cos, -cos, cos])).toMatchObject({ rotate: 45, flipH: false, flipV: false });
+      expect(parser.decomposeMatrix([-1, 0, 0, 1])).toMatchObject({ rotate: 0, flipH: true, flipV: false });
+      expect(parser.decomposeMatrix([1, 0, 0, -1])).toMatchObject({ rotate: 0, flipH: false, flipV: true });
+      expect(parser.decomposeMatrix([0, -2, 2, 0])).toEqual({ rotate: 270, flipH: false, flipV: false, scaleX: 2, scaleY: 2 });
+      expect(parser.decomposeMatrix([0.8, 0, 0, 0.8])).toBeNull();
+    });
+
+    test('should read the 2d part of matrix and matrix3d values', () => {
+      expect(parser.parseTransformMatrix('none')).toBeNull();
+      expect(parser.parseTransformMatrix('matrix(0, 1, -1, 0, 10, 20)')).toEqual([0, 1, -1, 0]);
+      expect(parser.parseTransformMatrix('matrix3d(-1, 0, 0, 0, 0, 1, 0, 0, 0, 0, -1, 0, 0, 0, 0, 1)')).toEqual([-1, 0, 0, 1]);
+    });
+
+    test('should position rotated elements by their untransformed box', () => {
+      const element = render(
+        '<div style="transform: matrix(0, 1, -1, 0, 0, 0)"><span style="transform: matrix(-1, 0, 0, 1, 0, 0)">Badge</span></div>'
+      );
+      const badge = element.firstElementChild;
+      // 旋转 90 度后 120×40 的徽章包围盒为 40×120
+      badge.getBoundingClientRect = () => ({ x: 100, y: 50, width: 40, height: 120 });
+      Object.defineProperty(badge, 'offsetWidth', { value: 120 });
+      Object.defineProperty(badge, 'offsetHeight', { value: 40 });
+
+      const data = parser.parseElement(badge, 1);
+
+      expect(data.position).toEqual({ x: 60, y: 90, width: 120, height: 40 });
+      expect(data.transform).toEqual({ rotate: 270, flipH: false, flipV: true });
+      expect(data.textMetrics).toBeUndefined();
+    });
+  });
+
+  describe('visibility', () => {
+    const texts = (elements) => elements.flatMap(e => [e.text, ...texts(e.children)]).filter(Boolean);
+
+    test('should skip hidden elements and their descendants', () => {
+      const slide = render(`<section>
+        <h1>Visible</h1>
+        <div style="display: none"><p>Tab 2</p></div>
+        <div style="opacity: 0"><p>Fading</p></div>
+        <p style="visibility: hidden">Invisible</p>
+        <div style="visibility: hidden"><p style="visibility: visible">Shown again</p></div>
+        <p hidden>Hidden attribute</p>
+        <div class="clone" aria-hidden="true"><p>Duplicate</p></div>
+        <p>Icon <i class="fa fa-star" aria-hidden="true"></i></p>
+      </section>`);
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const data = parser.parseSlideElement(slide, 0);
+
+      expect(texts(data.elements)).toEqual(['Visible', 'Shown again', 'Icon']);
+      expect(parser.skippedElements.map(s => s.reason)).toEqual([
+        'display: none', 'opacity: 0', 'visibility: hidden', 'visibility: hidden', 'hidden attribute', 'aria-hidden'
+      ]);
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('div.clone (aria-hidden)'));
+      log.mockRestore();
+    });
+
+    test('should skip elements outside the slide bounds', () => {
+      const slide = render('<section><p>Inside</p><p>Edge</p><p>Off canvas</p></section>');
+      const [inside, edge, off] = slide.children;
+      slide.getBoundingClientRect = () => ({ left: 0, top: 0, right: 960, bottom: 540, width: 960, height: 540 });
+      inside.getBoundingClientRect = () => ({ x: 10, y: 10, left: 10, top: 10, right: 110, bottom: 30, width: 100, height: 20 });
+      edge.getBoundingClientRect = () => ({ x: 900, y: 10, left: 900, top: 10, right: 1100, bottom: 30, width: 200, height: 20 });
+      off.getBoundingClientRect = () => ({ x: -400, y: 10, left: -400, top: 10, right: -100, bottom: 30, width: 300, height: 20 });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const data = parser.parseSlideElement(slide, 0);
+
+      expect(texts(data.elements)).toEqual(['Inside', 'Edge']);
+      expect(parser.skippedElements).toEqual([{ selector: 'p', reason: 'outside slide' }]);
+      console.log.mockRestore();
+    });
+
+    test('should leave hidden inline text out of text runs', () => {
+      const element = render('<p>Price <span style="display: none">old</span><strong>$9</strong></p>');
+
+      expect(parser.getRunsText(parser.extractTextRuns(element))).toBe('Price $9');
+    });
+  });
+
+  describe('normalizeColor', () => {
+    test('should convert modern computed colors to hex and keep alpha', () => {
+      expect(parser.normalizeColor('oklch(0.21 0.034 264.665)')).toBe('#101828');
+      expect(parser.normalizeColor('rgba(59, 130, 246, 0.5)')).toBe('#3b82f680');
+      expect(parser.normalizeColor('color-mix(in srgb, currentcolor 50%, transparent)', 'rgb(255, 0, 0)')).toBe('#ff000080');
+    });
+
+    test('should drop fully transparent colors and keep unknown values', () => {
+      expect(parser.normalizeColor('rgba(0, 0, 0, 0)')).toBeNull();
+      expect(parser.normalizeColor('oklch(0.5 0.1 20 / 0)')).toBeNull();
+      expect(parser.normalizeColor('canvastext')).toBe('canvastext');
+    });
+  });
+
+  describe('parseGradient', () => {
+    test('should keep the gradient type and arguments', () => {
+      expect(parser.parseGradient('radial-gradient(circle, rgb(255, 0, 0), rgb(0, 0, 255))'))
+        .toEqual({ type: 'radial', value: 'circle, rgb(255, 0, 0), rgb(0, 0, 255)' });
+    });
+
+    test('should reject repeating gradients', () => {
+      expect(parser.parseGradient('repeating-linear-gradient(45deg, rgb(255, 0, 0) 0px, rgb(0, 0, 255) 10px)')).toBeNull();
+      expect(parser.parseGradient('repeating-radial-gradient(circle, rgb(255, 0, 0) 0px, rgb(0, 0, 255) 10px)')).toBeNull();
+    });
+  });
+
+  describe('parseTable', () => {
+    test('should read sections in display order with row backgrounds and cell styles', () => {
+      const element = render(
+        '<table>' +
+        '<tfoot><tr><td>Total</td><td>3</td></tr></tfoot>' +
+        '<thead><tr style="background-color: #003366"><th>Item</th><th>Qty</th></tr></thead>' +
+        '<tbody>' +
+        '<tr><td>A</td><td style="border-bottom: 2px dashed #ff0000; padding: 4px 8px">1</td></tr>' +
+        '<tr style="background-color: rgb(240, 240, 240)"><td colspan="2">B</td></tr>' +
+        '</tbody>' +
+        '</table>'
+      );
+      const { rows, rowSections, columnWidths } = parser.parseTable(element);
+
+      expect(rows.map(row => row[0].text)).toEqual(['Item', 'A', 'B', 'Total']);
+      expect(rowSections).toEqual(['head', 'body', 'body', 'foot']);
+      expect(columnWidths).toHaveLength(2);
+      expect(rows[0][0].background).toBe('#003366');
+      expect(rows[2][0].background).toBe('#f0f0f0');
+      expect(rows[1][0].background).toBeNull();
+      expect(rows[1][1].borders.bottom).toEqual({ borderWidth: '2px', borderStyle: 'dashed', borderColor: '#ff0000' });
+      expect(rows[1][1].padding).toEqual({ top: 4, right: 8, bottom: 4, left: 8 });
+    });
+
+    test('should assign column widths around row spans', () => {
+      const element = render('<table><tr><td rowspan="2">a</td><td>b</td><td>c</td></tr><tr><td>d</td><td>e</td></tr></table>');
+      const widths = parser.measureTableColumns(Array.from(element.rows));
+
+      expect(widths).toHaveLength(3);
+    });
+  });
+
+  describe('extractNotes', () => {
+    test('should collect notes from aside, attributes and comments', () => {
+      const element = render(
+        '<section data-notes="Open with the story">' +
+        '<h1>Title</h1>' +
+        '<aside class="notes"><p>First point</p><p>Second<br>line</p></aside>' +
+        '<!-- notes: Mention the demo -->' +
+        '<!-- build: ignore me -->' +
+        '</section>'
+      );
+      const slide = parser.parseSlideElement(element, 0);
+
+      expect(slide.notes).toBe('Open with the story\n\nFirst point\nSecond\nline\n\nMention the demo');
+      // 备注不输出到幻灯片
+      expect(slide.elements).toHaveLength(1);
+      expect(slide.elements[0].tagName).toBe('h1');
+    });
+
+    test('should support custom notes selectors', () => {
+      parser = new HtmlParser({ notesSelectors: ['.presenter'] });
+      const element = render('<section><p>Body</p><div class="presenter">Say hello</div></section>');
+      const slide = parser.parseSlideElement(element, 0);
+
+      expect(slide.notes).toBe('Say hello');
+      expect(slide.elements).toHaveLength(1);
+    });
+
+    test('should return empty notes when slide has none', () => {
+      const slide = parser.parseSlideElement(render('<section><p>Body</p></section>'), 0);
+      expect(slide.notes).toBe('');
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * ImageInliner 单元测试
+ */
+
+import { jest } from '@jest/globals';
+import { ImageInliner } from '../../src/core/ImageInliner.js';
+
+const PNG_DATA = 'data:image/png;base64,iVBORw0KGgo=';
+
+describe('ImageInliner', () => {
+  let inliner;
+
+  beforeEach(() => {
+    inliner = new ImageInliner({ timeout: 20 });
+    jest.spyOn(inliner, 'measure').mockImplementation(async image => ({ ...image, width: 40, height: 20 }));
+  });
+
+  describe('extractCssUrl', () => {
+    test('should read quoted and unquoted urls', () => {
+      expect(inliner.extractCssUrl('url("a.png")')).toBe('a.png');
+      expect(inliner.extractCssUrl("url('blob:http://x/1'), linear-gradient(red, blue)")).toBe('blob:http://x/1');
+      expect(inliner.extractCssUrl('url(b.jpg)')).toBe('b.jpg');
+      expect(inliner.extractCssUrl('none')).toBeNull();
+      expect(inliner.extractCssUrl('linear-gradient(red, blue)')).toBeNull();
+    });
+  });
+
+  describe('inlineSlides', () => {
+    test('should replace image sources and backgrounds with data URIs', async () => {
+      const fetchSpy = jest.spyOn(inliner, 'fetchAsDataUri').mockResolvedValue(PNG_DATA);
+      const image = { type: 'image', src: 'blob:http://localhost/abc', children: [] };
+      const slides = [{
+        background: { image: 'url("https://cdn.example.com/bg.jpg")' },
+        elements: [{
+          type: 'container',
+          styles: { backgroundImage: 'url("blob:http://localhost/abc")' },
+          children: [image]
+        }]
+      }];
+
+      await inliner.inlineSlides(slides, document);
+
+      expect(slides[0].background.imageData).toBe(PNG_DATA);
+      expect(slides[0].elements[0].backgroundImageData).toBe(PNG_DATA);
+      expect(slides[0].elements[0].backgroundImageSize).toEqual({ width: 40, height: 20 });
+      expect(image).toMatchObject({ src: PNG_DATA, originalSrc: 'blob:http://localhost/abc', naturalWidth: 40 });
+      // 相同地址只请求一次
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    test('should keep original source when image cannot be read', async () => {
+      jest.spyOn(inliner, 'fetchAsDataUri').mockRejectedValue(new TypeError('Failed to fetch'));
+      jest.spyOn(inliner, 'drawToDataUri').mockResolvedValue(null);
+      const image = { type: 'image', src: 'https://other.example.com/a.png', children: [] };
+
+      await inliner.inlineSlides([{ background: {}, elements: [image] }], document);
+
+      expect(image.src).toBe('https://other.example.com/a.png');
+      expect(image.originalSrc).toBeUndefined();
+    });
+
+    test('should leave data URIs untouched', async () => {
+      const fetchSpy = jest.spyOn(inliner, 'fetchAsDataUri');
+      const image = { type: 'image', src: PNG_DATA, children: [] };
+
+      await inliner.inlineSlides([{ elements: [image] }], document);
+
+      expect(fetchSpy).not.toHaveBeenCalled();
+      expect(image.src).toBe(PNG_DATA);
+    });
+  });
+});
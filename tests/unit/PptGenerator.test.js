@@ -0,0 +1,676 @@
+/**
+ * PptGenerator 单元测试
+ */
+
+import { jest } from '@jest/globals';
+import { PptGenerator } from '../../src/core/PptGenerator.js';
+import { HtmlParser } from '../../src/core/HtmlParser.js';
+
+describe('PptGenerator', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new PptGenerator();
+    generator.initPresentation();
+  });
+
+  describe('buildTextRuns', () => {
+    const paragraph = {
+      type: 'paragraph',
+      text: 'Revenue grew 42% in Q3',
+      position: { x: 100, y: 100, width: 600, height: 40 },
+      styles: { fontSize: '16px', fontFamily: 'Inter', color: '#333333' },
+      runs: [
+        { text: 'Revenue grew ', styles: { fontSize: '16px', fontFamily: 'Inter', fontWeight: '400', color: '#333333' } },
+        { text: '42%', styles: { fontSize: '16px', fontFamily: 'Inter', fontWeight: '700', color: '#ff0000' } },
+        { text: ' in ', styles: { fontSize: '16px', fontFamily: 'Inter', fontWeight: '400', color: '#333333' } },
+        { text: 'Q3', styles: { fontSize: '20px', fontFamily: 'monospace', fontWeight: '400' }, href: 'https://example.com', underline: true }
+      ],
+      children: []
+    };
+
+    test('should map run styles to text options', () => {
+      const runs = generator.buildTextRuns(paragraph, { fontFace: 'Arial', fontSize: 12 });
+
+      expect(runs.map(r => r.text)).toEqual(['Revenue grew ', '42%', ' in ', 'Q3']);
+      expect(runs[1].options).toMatchObject({ bold: true, color: 'FF0000' });
+      expect(runs[0].options.bold).toBe(false);
+      expect(runs[3].options).toMatchObject({
+        fontFace: 'Courier New',
+        fontSize: 15,
+        underline: { style: 'sng' },
+        hyperlink: { url: 'https://example.com' }
+      });
+    });
+
+    test('should add a single text box with all runs', () => {
+      const slide = generator.addSlide({ elements: [paragraph] });
+      const textObjects = slide._slideObjects.filter(obj => obj._type === 'text');
+
+      expect(textObjects).toHaveLength(1);
+      expect(textObjects[0].text).toHaveLength(4);
+      expect(textObjects[0].options.breakLine).toBeUndefined();
+    });
+  });
+
+  describe('resolveHyperlink', () => {
+    beforeEach(() => {
+      generator.registerSlideAnchors([{ anchorId: 'intro' }, {}, { anchorId: 'summary' }]);
+    });
+
+    test('should map in-page anchors to slide jumps', () => {
+      expect(generator.resolveHyperlink('#summary')).toEqual({ slide: 3 });
+      expect(generator.resolveHyperlink('#slide-2')).toEqual({ slide: 2 });
+      expect(generator.resolveHyperlink('#/1')).toEqual({ slide: 2 });
+    });
+
+    test('should drop anchors pointing outside the deck', () => {
+      expect(generator.resolveHyperlink('#slide-9')).toBeNull();
+      expect(generator.resolveHyperlink('#missing')).toBeNull();
+      expect(generator.resolveHyperlink('javascript:void(0)')).toBeNull();
+    });
+
+    test('should map source slide numbers after table pagination', () => {
+      generator.registerSlideAnchors([
+        { sourceSlideNumber: 1 },
+        { sourceSlideNumber: 1 },
+        { sourceSlideNumber: 2 }
+      ]);
+
+      expect(generator.resolveHyperlink('#slide-2')).toEqual({ slide: 3 });
+      expect(generator.resolveHyperlink('#/0')).toEqual({ slide: 1 });
+      expect(generator.resolveHyperlink('#3')).toBeNull();
+    });
+
+    test('should keep or strip external links', () => {
+      expect(generator.resolveHyperlink('mailto:a@example.com')).toEqual({ url: 'mailto:a@example.com' });
+
+      const offline = new PptGenerator({ stripExternalLinks: true });
+      expect(offline.resolveHyperlink('https://example.com')).toBeNull();
+    });
+
+    test('should attach hyperlinks to images', () => {
+      const slide = generator.addSlide({
+        elements: [{
+          type: 'image',
+          src: 'data:image/png;base64,iVBORw0KGgo=',
+          href: '#intro',
+          position: { x: 0, y: 0, width: 100, height: 100 },
+          styles: {},
+          children: []
+        }]
+      });
+      const image = slide._slideObjects.find(obj => obj._type === 'image');
+
+      expect(image.hyperlink).toMatchObject({ slide: 1 });
+    });
+  });
+
+  describe('addSlide', () => {
+    test('should write speaker notes', () => {
+      const slide = generator.addSlide({ elements: [], notes: 'Remember the demo' });
+      const notes = slide._slideObjects.find(obj => obj._type === 'notes');
+
+      expect(notes.text[0].text).toBe('Remember the demo');
+    });
+
+    test('should fall back to the background color for repeating gradients', () => {
+      const background = {
+        color: '#ffff00',
+        image: null,
+        gradient: new HtmlParser().parseGradient('repeating-linear-gradient(45deg, rgb(255, 0, 0) 0px, rgb(0, 0, 255) 10px)')
+      };
+      const setGradient = jest.spyOn(generator.postProcessor, 'setBackgroundGradient');
+      const slide = generator.addSlide({ elements: [], background });
+
+      expect(slide.background).toEqual({ color: 'FFFF00' });
+      expect(setGradient).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('conversion report', () => {
+    test('should record skipped and rasterized elements per slide', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      generator.addSlide({ elements: [] });
+      generator.addSlide({
+        elements: [
+          { type: 'image', src: 'blob:http://localhost/1', position: { x: 0, y: 0, width: 10, height: 10 }, styles: {}, children: [] },
+          { type: 'icon', isFontIcon: true, iconName: 'home', iconImageData: null, position: { x: 0, y: 0, width: 10, height: 10 }, styles: {}, children: [] },
+          {
+            type: 'container',
+            position: { x: 0, y: 0, width: 100, height: 100 },
+            styles: { backgroundImage: 'repeating-linear-gradient(45deg, rgb(255, 0, 0) 0px, rgb(0, 0, 255) 10px)' },
+            children: []
+          }
+        ]
+      });
+      warn.mockRestore();
+
+      expect(generator.report.entries.map(e => [e.slide, e.code])).toEqual([
+        [2, 'BLOB_IMAGE_SKIPPED'],
+        [2, 'ICON_UNRESOLVED'],
+        [2, 'GRADIENT_APPROXIMATED']
+      ]);
+      expect(generator.report.slideCount).toBe(2);
+    });
+  });
+
+  describe('font report', () => {
+    const slide = {
+      elements: [
+        { type: 'paragraph', text: 'A', position: { x: 0, y: 0, width: 100, height: 20 }, styles: { fontFamily: 'Inter, sans-serif' }, children: [] },
+        { type: 'paragraph', text: 'B', position: { x: 0, y: 20, width: 100, height: 20 }, styles: { fontFamily: 'Poppins' }, children: [] },
+        { type: 'paragraph', text: 'C', position: { x: 0, y: 40, width: 100, height: 20 }, styles: { fontFamily: 'sans-serif' }, children: [] }
+      ]
+    };
+
+    test('should report substituted fonts once per deck', () => {
+      generator.generateFromSlides([slide, slide]);
+
+      expect(generator.report.entries.map(e => [e.slide, e.code, e.detail])).toEqual([
+        [null, 'FONT_SUBSTITUTED', 'Inter → Arial'],
+        [null, 'FONT_SUBSTITUTED', 'Poppins → Arial']
+      ]);
+    });
+
+    test('should report fonts that could not be embedded', () => {
+      const embedding = new PptGenerator({
+        fontStrategy: 'embed',
+        embeddedFonts: {
+          fonts: [{ name: 'Inter', faces: { regular: new Uint8Array(12) } }],
+          failures: [{ name: 'Poppins', reason: 'WOFF2 only (TrueType required)' }]
+        }
+      });
+      embedding.initPresentation();
+      embedding.generateFromSlides([slide]);
+
+      expect(embedding.postProcessor.hasTasks()).toBe(true);
+      expect(embedding.report.entries.map(e => [e.code, e.detail])).toEqual([
+        ['FONT_NOT_EMBEDDED', 'Poppins → Arial: WOFF2 only (TrueType required)']
+      ]);
+    });
+  });
+
+  describe('text measurement', () => {
+    const paragraph = extra => ({
+      type: 'paragraph',
+      tagName: 'p',
+      text: 'Measured text',
+      position: { x: 96, y: 96, width: 480, height: 60 },
+      styles: { fontSize: '16px' },
+      children: [],
+      ...extra
+    });
+
+    test('should use measured box sizes with shrink-on-overflow', () => {
+      generator.setContainerSize(1920, 1080);
+      const slide = generator.addSlide({
+        elements: [paragraph({
+          textMetrics: { lineCount: 2, width: 400, height: 40, insets: { top: 10, right: 40, bottom: 10, left: 40 } }
+        })]
+      });
+      const text = slide._slideObjects.find(obj => obj._type === 'text');
+      const scale = 13.333 / 1920;
+
+      expect(text.options.w).toBeCloseTo(480 * scale, 3);
+      expect(text.options.h).toBeCloseTo(60 * scale, 3);
+      expect(text.options.fit).toBe('shrink');
+      expect(text.options.wrap).toBe(true);
+      expect(text.options.margin[0]).toBeCloseTo(40 * scale * 72, 1);
+    });
+
+    test('should widen overflowing single-line text and disable wrapping', () => {
+      generator.setContainerSize(1920, 1080);
+      const slide = generator.addSlide({
+        elements: [paragraph({
+          textMetrics: { lineCount: 1, width: 720, height: 20, insets: { top: 0, right: 0, bottom: 0, left: 0 } }
+        })]
+      });
+      const text = slide._slideObjects.find(obj => obj._type === 'text');
+
+      expect(text.options.w).toBeCloseTo(720 * 13.333 / 1920, 3);
+      expect(text.options.wrap).toBe(false);
+    });
+
+    test('should size measured boxes for the emitted font size', () => {
+      generator.setContainerSize(1920, 1080);
+      // 12px 按页面比例为 6pt，输出时提升到最小字号 8pt
+      const slide = generator.addSlide({
+        elements: [paragraph({
+          position: { x: 0, y: 96, width: 480, height: 20 },
+          styles: { fontSize: '12px' },
+          textMetrics: { lineCount: 1, width: 600, height: 16, insets: { top: 0, right: 0, bottom: 0, left: 0 } }
+        })]
+      });
+      const text = slide._slideObjects.find(obj => obj._type === 'text');
+      // 实测文本宽度按输出字号换算为点
+      const emittedTextWidth = 600 * text.options.fontSize / 12;
+
+      expect(text.options.fontSize).toBe(8);
+      expect(text.options.w * 72).toBeGreaterThanOrEqual(emittedTextWidth - 1e-6);
+    });
+
+    test('should fall back to estimated sizes without measurements', () => {
+      const slide = generator.addSlide({ elements: [paragraph()] });
+      const text = slide._slideObjects.find(obj => obj._type === 'text');
+
+      expect(text.options.fit).toBeUndefined();
+      expect(text.options.wrap).toBe(true);
+    });
+  });
+
+  describe('heading sizes', () => {
+    const heading = {
+      type: 'heading',
+      tagName: 'h1',
+      text: 'Light title',
+      position: { x: 96, y: 96, width: 960, height: 80 },
+      styles: { fontSize: '64px', fontWeight: '300' },
+      children: []
+    };
+
+    test('should scale the computed heading size like positions and keep its weight', () => {
+      generator.setContainerSize(1920, 1080);
+      const slide = generator.addSlide({ elements: [heading] });
+      const text = slide._slideObjects.find(obj => obj._type === 'text');
+
+      expect(text.options.fontSize).toBeCloseTo(64 * 13.333 / 1920 * 72, 1);
+      expect(text.options.bold).toBe(false);
+    });
+
+    test('should scale headings and body text with the same factor', () => {
+      generator.setContainerSize(1920, 1080);
+      const slide = generator.addSlide({
+        elements: [
+          { ...heading, tagName: 'h3', styles: { fontSize: '28px' } },
+          { type: 'paragraph', tagName: 'p', text: 'Body', position: { x: 96, y: 240, width: 960, height: 40 }, styles: { fontSize: '24px' }, children: [] }
+        ]
+      });
+      const [h3, p] = slide._slideObjects.filter(obj => obj._type === 'text');
+
+      expect(h3.options.fontSize).toBeGreaterThan(p.options.fontSize);
+      expect(h3.options.fontSize / p.options.fontSize).toBeCloseTo(28 / 24, 5);
+    });
+
+    test('should normalize headings in theme mode', () => {
+      const themed = new PptGenerator({ headingMode: 'theme' });
+      themed.initPresentation();
+      const slide = themed.addSlide({ elements: [heading] });
+      const text = slide._slideObjects.find(obj => obj._type === 'text');
+
+      expect(text.options.fontSize).toBe(44);
+      expect(text.options.bold).toBe(true);
+    });
+  });
+
+  describe('addTableElement', () => {
+    const cell = (text, extra = {}) => ({
+      text,
+      isHeader: false,
+      colspan: 1,
+      rowspan: 1,
+      styles: { fontSize: '14px', color: '#333333' },
+      background: null,
+      borders: {
+        top: { borderWidth: '0px', borderStyle: 'none', borderColor: null },
+        right: { borderWidth: '0px', borderStyle: 'none', borderColor: null },
+        bottom: { borderWidth: '1px', borderStyle: 'solid', borderColor: '#cccccc' },
+        left: { borderWidth: '0px', borderStyle: 'none', borderColor: null }
+      },
+      padding: { top: 4, right: 8, bottom: 4, left: 8 },
+      ...extra
+    });
+
+    test('should use measured column widths, row heights and cell styles', () => {
+      generator.setContainerSize(1920, 1080);
+      const slide = generator.addSlide({
+        elements: [{
+          type: 'table',
+          position: { x: 0, y: 0, width: 960, height: 80 },
+          styles: {},
+          tableData: {
+            rows: [
+              [cell('Item', { isHeader: true, background: '#003366' }), cell('Qty', { isHeader: true, background: '#003366' })],
+              [cell('A'), cell('1', { background: '#f0f0f0' })]
+            ],
+            rowHeights: [40, 40],
+            rowSections: ['head', 'body'],
+            columnWidths: [720, 240]
+          },
+          children: []
+        }]
+      });
+      const table = slide._slideObjects.find(obj => obj._type === 'table');
+      const [header, body] = table.arrTabRows;
+
+      expect(table.options.colW.map(w => Number(w.toFixed(3)))).toEqual([5, 1.667]);
+      expect(table.options.rowH.map(h => Number(h.toFixed(3)))).toEqual([0.278, 0.278]);
+      expect(header[0].options.fill).toEqual({ color: '003366' });
+      expect(header[0].options.bold).toBe(true);
+      expect(body[0].options.fill).toBeUndefined();
+      expect(body[1].options.fill).toEqual({ color: 'F0F0F0' });
+      expect(body[0].options.border[0]).toMatchObject({ type: 'none' });
+      expect(body[0].options.border[2]).toMatchObject({ type: 'solid', color: 'CCCCCC', pt: 1 });
+      // 字号与行高、列宽使用同一缩放比例，单行文字排得进实测行高
+      const scale = 13.333 / 1920;
+      const [top, , bottom] = body[0].options.margin;
+      expect(body[0].options.fontSize).toBeCloseTo(14 * scale * 72, 2);
+      expect(body[0].options.fontSize / 72 * 1.2 + top + bottom).toBeLessThanOrEqual(table.options.rowH[1]);
+    });
+  });
+
+  describe('addChartElement', () => {
+    test('should add native charts with colors and axis titles', () => {
+      const slide = generator.addSlide({
+        elements: [{
+          type: 'chart',
+          position: { x: 0, y: 0, width: 800, height: 400 },
+          styles: {},
+          chartData: {
+            type: 'bar',
+            barDir: 'bar',
+            title: 'Sales',
+            labels: ['Q1', 'Q2'],
+            series: [{ name: 'North', values: [1, 2], color: 'FF0000' }, { name: 'South', values: [3, 4], color: null }],
+            pointColors: [],
+            xTitle: 'Quarter',
+            yTitle: 'Units',
+            stacked: true,
+            showLegend: true
+          },
+          children: []
+        }]
+      });
+      const chart = slide._slideObjects.find(obj => obj._type === 'chart');
+
+      expect(chart.options).toMatchObject({
+        _type: 'bar',
+        barDir: 'bar',
+        barGrouping: 'stacked',
+        title: 'Sales',
+        catAxisTitle: 'Quarter',
+        valAxisTitle: 'Units',
+        chartColors: ['FF0000', 'FF6384']
+      });
+    });
+
+    test('should add doughnut charts with slice colors', () => {
+      const slide = generator.addSlide({
+        elements: [{
+          type: 'chart',
+          position: { x: 0, y: 0, width: 400, height: 400 },
+          styles: {},
+          chartData: {
+            type: 'doughnut',
+            labels: ['A', 'B'],
+            series: [{ name: 'Share', values: [7, 3], color: null }],
+            pointColors: ['111111', '222222'],
+            showLegend: true
+          },
+          children: []
+        }]
+      });
+      const chart = slide._slideObjects.find(obj => obj._type === 'chart');
+
+      expect(chart.options._type).toBe('doughnut');
+      expect(chart.options.chartColors).toEqual(['111111', '222222']);
+    });
+  });
+
+  describe('addCanvasElement', () => {
+    const canvasElement = extra => ({
+      type: 'canvas',
+      tagName: 'canvas',
+      position: { x: 0, y: 0, width: 300, height: 150 },
+      styles: {},
+      children: [],
+      ...extra
+    });
+
+    test('should place canvas snapshots as images', () => {
+      const slide = generator.addSlide({
+        elements: [canvasElement({ canvasImageData: 'data:image/png;base64,iVBORw0KGgo=', naturalWidth: 300, naturalHeight: 150 })]
+      });
+      const images = slide._slideObjects.filter(obj => obj._type === 'image');
+
+      expect(images).toHaveLength(1);
+      expect(generator.report.hasEntries()).toBe(false);
+    });
+
+    test('should report tainted canvases', () => {
+      const slide = generator.addSlide({
+        elements: [canvasElement({ canvasError: 'tainted' }), canvasElement({ canvasError: 'empty' })]
+      });
+
+      expect(slide._slideObjects.filter(obj => obj._type === 'image')).toHaveLength(0);
+      expect(generator.report.entries.map(entry => entry.code)).toEqual(['CANVAS_TAINTED']);
+    });
+  });
+
+  describe('transforms', () => {
+    test('should rotate and flip the objects of the transformed element only', () => {
+      const slide = generator.addSlide({
+        elements: [{
+          type: 'container',
+          position: { x: 100, y: 100, width: 200, height: 80 },
+          styles: { backgroundColor: '#ff0000' },
+          transform: { rotate: 350, flipH: false, flipV: true },
+          children: [
+            { type: 'paragraph', text: 'Sale', position: { x: 110, y: 110, width: 100, height: 30 }, styles: {}, children: [] }
+          ]
+        }]
+      });
+      const [ribbon, label] = slide._slideObjects;
+
+      expect(ribbon.options).toMatchObject({ rotate: 350, flipH: false, flipV: true });
+      expect(label.options.rotate).toBeFalsy();
+    });
+
+    test('should rotate images', () => {
+      const slide = generator.addSlide({
+        elements: [{
+          type: 'image',
+          src: 'data:image/png;base64,iVBORw0KGgo=',
+          position: { x: 0, y: 0, width: 100, height: 100 },
+          styles: {},
+          transform: { rotate: 12, flipH: true, flipV: false },
+          children: []
+        }]
+      });
+
+      expect(slide._slideObjects[0].options).toMatchObject({ rotate: 12, flipH: true, flipV: false });
+    });
+  });
+
+  describe('opacity', () => {
+    test('should multiply ancestor opacity into fills, text and images', () => {
+      const slide = generator.addSlide({
+        elements: [{
+          type: 'container',
+          position: { x: 0, y: 0, width: 400, height: 200 },
+          styles: { backgroundColor: '#00000099', opacity: '0.5' },
+          children: [
+            {
+              type: 'paragraph',
+              text: 'Overlay',
+              position: { x: 10, y: 10, width: 200, height: 30 },
+              styles: { color: '#ffffff' },
+              children: []
+            },
+            {
+              type: 'image',
+              src: 'data:image/png;base64,iVBORw0KGgo=',
+              position: { x: 10, y: 50, width: 100, height: 100 },
+              styles: { opacity: '0.8' },
+              children: []
+            }
+          ]
+        }]
+      });
+      const [overlay, label, image] = slide._slideObjects;
+
+      expect(overlay.options.fill).toMatchObject({ color: '000000', transparency: 70 });
+      expect(label.options.transparency).toBe(50);
+      expect(image.options.transparency).toBe(60);
+    });
+
+    test('should keep per-run text alpha', () => {
+      const slide = generator.addSlide({
+        elements: [{
+          type: 'paragraph',
+          text: 'Muted bold',
+          position: { x: 0, y: 0, width: 300, height: 30 },
+          styles: { color: 'rgba(0, 0, 0, 0.5)', fontSize: '16px' },
+          runs: [
+            { text: 'Muted ', styles: {} },
+            { text: 'bold', styles: { color: '#ff0000', fontWeight: '700' } }
+          ],
+          children: []
+        }]
+      });
+      const [muted, bold] = slide._slideObjects[0].text;
+
+      expect(muted.options.transparency).toBe(50);
+      expect(bold.options.transparency).toBeUndefined();
+      expect(slide._slideObjects[0].options.transparency).toBeUndefined();
+    });
+  });
+
+  describe('text ownership', () => {
+    test('should not stack a parent text box on top of its nested inline children', () => {
+      const slide = generator.addSlide({
+        elements: [{
+          type: 'paragraph',
+          tagName: 'p',
+          text: '',
+          position: { x: 0, y: 0, width: 400, height: 30 },
+          styles: {},
+          children: [
+            {
+              type: 'text',
+              tagName: 'span',
+              text: 'Hello',
+              textAfter: '',
+              position: { x: 0, y: 0, width: 50, height: 30 },
+              styles: { display: 'inline', backgroundColor: '#ffff00' },
+              children: [
+                { type: 'generic', tagName: 'em', text: 'world', textBefore: 'Hello ', textAfter: 'world', position: { x: 50, y: 0, width: 50, height: 30 }, styles: { display: 'inline' }, children: [] }
+              ]
+            },
+            { type: 'icon', tagName: 'i', text: '', isFontIcon: true, position: { x: 120, y: 0, width: 30, height: 30 }, styles: {}, children: [] }
+          ]
+        }]
+      });
+      const textObjects = slide._slideObjects.filter(obj => obj._type === 'text');
+      const texts = textObjects.flatMap(obj => (obj.text || []).map(run => run.text)).filter(Boolean);
+
+      expect(texts).toEqual(['Hello world']);
+      // 行内子元素的背景仍然绘制
+      expect(textObjects.some(obj => obj.options.fill?.color === 'FFFF00')).toBe(true);
+    });
+  });
+
+  describe('off-canvas elements', () => {
+    const PNG_DATA = 'data:image/png;base64,iVBORw0KGgo=';
+    // 默认 1920×1080 容器对应 13.333×7.5 英寸的幻灯片，1px = 1/144 英寸
+    const px = value => value / 144;
+    const offSlide = [
+      { type: 'image', src: PNG_DATA, position: { x: 1720, y: 100, width: 400, height: 200 }, styles: {}, children: [] },
+      { type: 'paragraph', text: 'Bleeding', position: { x: -100, y: 400, width: 400, height: 40 }, styles: {}, children: [] },
+      { type: 'paragraph', text: 'Pasteboard', position: { x: 2000, y: 400, width: 300, height: 40 }, styles: {}, children: [] }
+    ];
+    const createSlide = offCanvas => {
+      const pptGenerator = new PptGenerator({ offCanvas });
+      pptGenerator.initPresentation();
+      return pptGenerator.addSlide({ elements: offSlide, notes: 'Intro' });
+    };
+    const texts = slide => slide._slideObjects.filter(obj => obj._type === 'text').map(obj => obj.text[0].text);
+
+    test('should crop images without distortion and truncate boxes by default', () => {
+      const slide = generator.addSlide({ elements: offSlide });
+      const image = slide._slideObjects.find(obj => obj._type === 'image');
+      const [bleeding] = slide._slideObjects.filter(obj => obj._type === 'text');
+
+      expect(image.options.x).toBeCloseTo(px(1720));
+      expect(image.options.w).toBeCloseTo(px(400));
+      expect(image.options.sizing.type).toBe('crop');
+      expect(image.options.sizing.x).toBeCloseTo(0);
+      expect(image.options.sizing.w).toBeCloseTo(px(200));
+      expect(image.options.sizing.h).toBeCloseTo(px(200));
+      expect(bleeding.options.x).toBe(0);
+      expect(bleeding.options.w).toBeCloseTo(px(300));
+      expect(texts(slide)).toEqual(['Bleeding']);
+    });
+
+    test('should keep the object-fit: cover crop when clipping images', () => {
+      // 2:1 图片 cover 到 200×200 的框：显示中间一半，左侧 100px 在幻灯片外
+      const slide = generator.addSlide({
+        elements: [{
+          type: 'image',
+          src: PNG_DATA,
+          objectFit: 'cover',
+          naturalWidth: 400,
+          naturalHeight: 200,
+          position: { x: -100, y: 100, width: 200, height: 200 },
+          styles: {},
+          children: []
+        }]
+      });
+      const image = slide._slideObjects.find(obj => obj._type === 'image');
+
+      expect(image.options.x).toBe(0);
+      expect(image.options.w).toBeCloseTo(px(400));
+      expect(image.options.h).toBeCloseTo(px(200));
+      expect(image.options.sizing.type).toBe('crop');
+      // 可见部分为 cover 显示区域的右半边，即图片 x 方向 200~300px
+      expect(image.options.sizing.x).toBeCloseTo(px(200));
+      expect(image.options.sizing.y).toBeCloseTo(0);
+      expect(image.options.sizing.w).toBeCloseTo(px(100));
+      expect(image.options.sizing.h).toBeCloseTo(px(200));
+    });
+
+    test('should apply the drop, keep and notes policies', () => {
+      const dropped = createSlide('drop');
+      const kept = createSlide('keep');
+      const noted = createSlide('notes');
+
+      expect(dropped._slideObjects.filter(obj => obj._type !== 'notes')).toHaveLength(0);
+      expect(texts(kept)).toEqual(['Bleeding', 'Pasteboard']);
+      expect(kept._slideObjects.find(obj => obj._type === 'image').options.sizing).toBeFalsy();
+      expect(texts(noted)).toEqual(['Bleeding']);
+      expect(noted._slideObjects.find(obj => obj._type === 'notes').text[0].text).toBe('Intro\n\nPasteboard');
+    });
+  });
+
+  describe('inlined images', () => {
+    const PNG_DATA = 'data:image/png;base64,iVBORw0KGgo=';
+
+    test('should use inlined slide background and element background images', () => {
+      const slide = generator.addSlide({
+        background: { image: 'url("blob:http://localhost/bg")', imageData: PNG_DATA },
+        elements: [{
+          type: 'generic',
+          tagName: 'section',
+          position: { x: 0, y: 0, width: 400, height: 200 },
+          styles: { backgroundSize: 'cover' },
+          backgroundImageData: PNG_DATA,
+          backgroundImageSize: { width: 800, height: 400 },
+          children: []
+        }]
+      });
+      const images = slide._slideObjects.filter(obj => obj._type === 'image');
+
+      expect(slide.background).toMatchObject({ data: PNG_DATA });
+      expect(images).toHaveLength(1);
+      expect(generator.report.hasEntries()).toBe(false);
+    });
+
+    test('should report images left as external links', () => {
+      generator.addSlide({
+        elements: [{ type: 'image', src: 'https://example.com/a.png', position: { x: 0, y: 0, width: 10, height: 10 }, styles: {}, children: [] }]
+      });
+
+      expect(generator.report.entries[0].code).toBe('IMAGE_NOT_EMBEDDED');
+    });
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * PptxPostProcessor 单元测试
+ */
+
+import { jest } from '@jest/globals';
+import JSZip from 'jszip';
+import { PptxPostProcessor } from '../../src/core/PptxPostProcessor.js';
+import { PptGenerator } from '../../src/core/PptGenerator.js';
+
+const SLIDE_XML = '<p:sld><p:cSld><p:spTree>' +
+  '<p:sp><p:nvSpPr><p:cNvPr id="2" name="html2ppt-anim-1-1"></p:cNvPr></p:nvSpPr><p:txBody></p:txBody></p:sp>' +
+  '<p:pic><p:nvPicPr><p:cNvPr id="3" name="html2ppt-anim-1-2" descr=""/></p:nvPicPr></p:pic>' +
+  '</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>';
+
+describe('PptxPostProcessor', () => {
+  let processor;
+
+  beforeEach(() => {
+    processor = new PptxPostProcessor();
+  });
+
+  describe('addAnimation', () => {
+    test('should track animation tasks per slide', () => {
+      expect(processor.hasTasks()).toBe(false);
+      processor.addAnimation(1, 'shape', { type: 'Fade', category: 'entrance' });
+      expect(processor.hasTasks()).toBe(true);
+      expect(processor.getSlideTasks(1).animations).toHaveLength(1);
+    });
+  });
+
+  describe('findShapes', () => {
+    test('should find shape ids by name', () => {
+      expect(processor.findShapes(SLIDE_XML, 'html2ppt-anim-1-1')).toEqual([{ spid: 2, isShape: true }]);
+      expect(processor.findShapes(SLIDE_XML, 'html2ppt-anim-1-2')).toEqual([{ spid: 3, isShape: false }]);
+      expect(processor.findShapes(SLIDE_XML, 'missing')).toEqual([]);
+    });
+  });
+
+  describe('processSlideXml', () => {
+    test('should insert timing after clrMapOvr', () => {
+      processor.addAnimation(1, 'html2ppt-anim-1-1', { type: 'Fade', category: 'entrance', delay: 0, duration: 0.5 });
+      const result = processor.processSlideXml(SLIDE_XML, processor.getSlideTasks(1));
+
+      expect(result).toContain('</p:clrMapOvr><p:timing>');
+      expect(result.endsWith('</p:timing></p:sld>')).toBe(true);
+      expect(result).toContain('presetID="10" presetClass="entr"');
+      expect(result).toContain('<p:spTgt spid="2"/>');
+      expect(result).toContain('<p:bldP spid="2" grpId="0" animBg="1"/>');
+    });
+
+    test('should order effects by delay and keep duration/easing', () => {
+      const tasks = {
+        animations: [
+          { shapeName: 'html2ppt-anim-1-2', animation: { type: 'Fade', category: 'entrance', delay: 0.4, duration: 0.8, easing: 'easeOut' }, order: 0 },
+          { shapeName: 'html2ppt-anim-1-1', animation: { type: 'Float', direction: 'Up', category: 'entrance', delay: 0.2, duration: 0.6 }, order: 1 }
+        ]
+      };
+      const result = processor.processSlideXml(SLIDE_XML, tasks);
+
+      const first = result.indexOf('<p:spTgt spid="2"/>');
+      const second = result.indexOf('<p:spTgt spid="3"/>');
+      expect(first).toBeGreaterThan(-1);
+      expect(second).toBeGreaterThan(first);
+      expect(result).toContain('<p:cond delay="200"/>');
+      expect(result).toContain('<p:cond delay="400"/>');
+      expect(result).toContain('dur="800"');
+      expect(result).toContain('decel="50000"');
+      expect(result).toContain('presetID="42"');
+      // 图片不需要 bldP
+      expect(result).not.toContain('<p:bldP spid="3"');
+    });
+
+    test('should hide shape at the end of exit animation', () => {
+      const tasks = { animations: [{ shapeName: 'html2ppt-anim-1-1', animation: { type: 'Fade', category: 'exit', duration: 1 }, order: 0 }] };
+      const result = processor.processSlideXml(SLIDE_XML, tasks);
+
+      expect(result).toContain('presetClass="exit"');
+      expect(result).toContain('<p:strVal val="hidden"/>');
+      expect(result).toContain('transition="out"');
+    });
+
+    test('should insert transition before timing', () => {
+      const tasks = {
+        animations: [{ shapeName: 'html2ppt-anim-1-1', animation: { type: 'Fade' }, order: 0 }],
+        transition: { type: 'push', speed: 'fast', direction: 'up' }
+      };
+      const result = processor.processSlideXml(SLIDE_XML, tasks);
+
+      expect(result).toContain('</p:clrMapOvr><p:transition spd="fast"><p:push dir="u"/></p:transition><p:timing>');
+    });
+
+    test('should skip unsupported transitions', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const result = processor.processSlideXml(SLIDE_XML, { animations: [], transition: { type: 'unknown' } });
+      expect(result).toBe(SLIDE_XML);
+      warn.mockRestore();
+    });
+
+    test('should replace shape fill with native gradient', () => {
+      const xml = '<p:sld><p:cSld><p:spTree><p:sp><p:nvSpPr><p:cNvPr id="2" name="grad"></p:cNvPr></p:nvSpPr>' +
+        '<p:spPr><a:xfrm/><a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:solidFill><a:srgbClr val="FF0000"/></a:solidFill>' +
+        '<a:ln><a:solidFill><a:srgbClr val="000000"/></a:solidFill></a:ln></p:spPr></p:sp></p:spTree></p:cSld></p:sld>';
+      const gradient = {
+        type: 'linear',
+        angle: 180,
+        stops: [{ color: 'FF0000', position: 0 }, { color: '0000FF', position: 100, transparency: 50 }]
+      };
+      const result = processor.processSlideXml(xml, { animations: [], gradients: [{ shapeName: 'grad', gradient }] });
+
+      expect(result).toContain('</a:prstGeom><a:gradFill rotWithShape="1"><a:gsLst>' +
+        '<a:gs pos="0"><a:srgbClr val="FF0000"></a:srgbClr></a:gs>' +
+        '<a:gs pos="100000"><a:srgbClr val="0000FF"><a:alpha val="50000"/></a:srgbClr></a:gs>' +
+        '</a:gsLst><a:lin ang="5400000" scaled="0"/></a:gradFill><a:ln>');
+      // 边框颜色保持不变
+      expect(result).toContain('<a:ln><a:solidFill><a:srgbClr val="000000"/></a:solidFill></a:ln>');
+    });
+
+    test('should build radial gradient path', () => {
+      const result = processor.buildGradFillXml({
+        type: 'radial',
+        center: { x: 30, y: 40 },
+        stops: [{ color: 'FFFFFF', position: 0 }, { color: '000000', position: 100 }]
+      });
+      expect(result).toContain('<a:path path="circle"><a:fillToRect l="30000" t="40000" r="70000" b="60000"/></a:path>');
+    });
+
+    test('should replace slide background with gradient', () => {
+      const xml = '<p:sld><p:cSld><p:bg><p:bgPr><a:solidFill><a:srgbClr val="FF0000"/></a:solidFill></p:bgPr></p:bg><p:spTree/></p:cSld></p:sld>';
+      const gradient = { type: 'linear', angle: 90, stops: [{ color: 'FF0000', position: 0 }, { color: '00FF00', position: 100 }] };
+      const result = processor.processSlideXml(xml, { animations: [], background: gradient });
+
+      expect(result).toContain('<p:bg><p:bgPr><a:gradFill rotWithShape="1">');
+      expect(result).toContain('<a:lin ang="0" scaled="0"/>');
+      expect(result).not.toContain('<a:srgbClr val="FF0000"/></a:solidFill>');
+    });
+
+    test('should leave slide untouched when no shape matches', () => {
+      const tasks = { animations: [{ shapeName: 'missing', animation: { type: 'Fade' }, order: 0 }] };
+      expect(processor.processSlideXml(SLIDE_XML, tasks)).toBe(SLIDE_XML);
+    });
+  });
+
+  describe('PptGenerator integration', () => {
+    const slideData = {
+      elements: [
+        {
+          type: 'container',
+          position: { x: 100, y: 100, width: 600, height: 300 },
+          styles: { animation: '0.6s ease-out 0.3s 1 normal both running fadeInUp' },
+          children: [
+            { type: 'heading', tagName: 'h2', text: 'Title', position: { x: 120, y: 120, width: 400, height: 60 }, styles: {}, children: [] }
+          ]
+        },
+        { type: 'paragraph', text: 'Static', position: { x: 100, y: 500, width: 400, height: 40 }, styles: {}, children: [] }
+      ]
+    };
+
+    const readSlide = async (data) => {
+      const zip = await JSZip.loadAsync(data);
+      return zip.file('ppt/slides/slide1.xml').async('string');
+    };
+
+    test('should inject timing for animated elements', async () => {
+      const generator = new PptGenerator();
+      generator.initPresentation();
+      generator.addSlide(slideData);
+
+      const xml = await readSlide(await generator.writeOutput('arraybuffer'));
+      expect(xml).toContain('<p:timing>');
+      expect(xml).toContain('name="html2ppt-1-1"');
+      expect(xml).toContain('<p:cond delay="300"/>');
+      expect(xml).toContain('dur="600"');
+    });
+
+    test('should apply global transition with per-slide override', async () => {
+      const generator = new PptGenerator({ transition: 'fade' });
+      generator.initPresentation();
+      generator.addSlide({ elements: [] });
+      generator.addSlide({ elements: [], transition: { name: 'slide', speed: 'slow' } });
+      generator.addSlide({ elements: [], transition: 'none' });
+
+      const zip = await JSZip.loadAsync(await generator.writeOutput('arraybuffer'));
+      const slides = await Promise.all([1, 2, 3].map(n => zip.file(`ppt/slides/slide${n}.xml`).async('string')));
+      expect(slides[0]).toContain('<p:transition spd="med"><p:fade/></p:transition>');
+      expect(slides[1]).toContain('<p:transition spd="slow"><p:push dir="l"/></p:transition>');
+      expect(slides[2]).not.toContain('<p:transition');
+    });
+
+    test('should write gradient backgrounds and container fills', async () => {
+      const generator = new PptGenerator();
+      generator.initPresentation();
+      generator.addSlide({
+        background: { gradient: { type: 'linear', value: '135deg, #667eea 0%, #764ba2 100%' } },
+        elements: [{
+          type: 'container',
+          position: { x: 100, y: 100, width: 400, height: 200 },
+          styles: { backgroundImage: 'radial-gradient(circle, rgb(255, 255, 255), rgb(0, 0, 0))' },
+          children: []
+        }]
+      });
+
+      const xml = await readSlide(await generator.writeOutput('arraybuffer'));
+      expect(xml).toContain('<p:bg><p:bgPr><a:gradFill rotWithShape="1">');
+      expect(xml).toContain('<a:lin ang="2700000" scaled="0"/>');
+      expect(xml).toContain('<a:path path="circle">');
+    });
+
+    test('should embed font files into the presentation', async () => {
+      const generator = new PptGenerator({
+        fontStrategy: 'embed',
+        embeddedFonts: { fonts: [{ name: 'Inter & Co', faces: { regular: new Uint8Array([0, 1, 0, 0]), bold: new Uint8Array([0, 1, 0, 0]) } }], failures: [] }
+      });
+      generator.initPresentation();
+      generator.addSlide({ elements: [] });
+
+      const zip = await JSZip.loadAsync(await generator.writeOutput('arraybuffer'));
+      const presentation = await zip.file('ppt/presentation.xml').async('string');
+      const rels = await zip.file('ppt/_rels/presentation.xml.rels').async('string');
+      const types = await zip.file('[Content_Types].xml').async('string');
+
+      expect(presentation).toContain('embedTrueTypeFonts="1"');
+      expect(presentation).toMatch(/<p:notesSz [^>]*\/><p:embeddedFontLst><p:embeddedFont><p:font typeface="Inter &amp; Co"\/><p:regular r:id="(rId\d+)"\/><p:bold r:id="rId\d+"\/>/);
+      const rId = presentation.match(/<p:regular r:id="(rId\d+)"/)[1];
+      expect(rels).toContain(`<Relationship Id="${rId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/font" Target="fonts/font1.fntdata"/>`);
+      expect(types).toContain('<Default Extension="fntdata" ContentType="application/x-fontdata"/>');
+      // 与 PowerPoint 保存的格式一致：EOT 头部之后是完整的 TrueType 文件
+      const fntdata = await zip.file('ppt/fonts/font2.fntdata').async('uint8array');
+      const header = new DataView(fntdata.buffer, fntdata.byteOffset, fntdata.byteLength);
+      expect(header.getUint32(0, true)).toBe(fntdata.length);
+      expect(header.getUint32(4, true)).toBe(4);
+      expect(header.getUint16(34, true)).toBe(0x504C);
+      expect(Array.from(fntdata.slice(-4))).toEqual([0, 1, 0, 0]);
+    });
+
+    test('should skip animations when preserveAnimations is false', async () => {
+      const generator = new PptGenerator({ preserveAnimations: false });
+      generator.initPresentation();
+      generator.addSlide(slideData);
+
+      const xml = await readSlide(await generator.writeOutput('arraybuffer'));
+      expect(xml).not.toContain('<p:timing>');
+    });
+  });
+});
@@ -69,6 +69,42 @@ describe('StyleConverter', () => {
       expect(converter.parseFontFamily('')).toBe('Arial');
       expect(converter.parseFontFamily(null)).toBe('Arial');
     });
+
+    test('should keep original names but still map generic families', () => {
+      const keep = new StyleConverter({ fontStrategy: 'keep' });
+      expect(keep.parseFontFamily('Inter, sans-serif')).toBe('Inter');
+      expect(keep.parseFontFamily('sans-serif')).toBe('Arial');
+    });
+
+    test('should prefer the custom font map in every strategy', () => {
+      const custom = new StyleConverter({ fontStrategy: 'keep', fontMap: { Inter: 'Calibri' } });
+      expect(custom.parseFontFamily('"Inter"')).toBe('Calibri');
+      expect(custom.parseFontFamily('Poppins')).toBe('Poppins');
+    });
+
+    test('should keep embedded fonts and substitute the rest', () => {
+      const embed = new StyleConverter({ fontStrategy: 'embed', embeddedFonts: ['Inter'] });
+      expect(embed.parseFontFamily('Inter')).toBe('Inter');
+      expect(embed.parseFontFamily('Poppins')).toBe('Arial');
+    });
+
+    test('should normalize custom font maps', () => {
+      expect(StyleConverter.normalizeFontMap({ ' "Inter" ': ' Calibri ', Lato: '', Roboto: 3 })).toEqual({ Inter: 'Calibri' });
+      expect(StyleConverter.normalizeFontMap(['Inter'])).toEqual({});
+      expect(new StyleConverter({ fontMap: { Inter: 'Calibri' } }).fontMap.Inter).toBe('Arial');
+    });
+
+    test('should record how each font was resolved', () => {
+      converter.parseFontFamily('Poppins, sans-serif');
+      converter.parseFontFamily('Arial');
+      converter.parseFontFamily('serif');
+
+      expect(converter.getFontResolutions()).toEqual([
+        { name: 'Poppins', fontFace: 'Arial', action: 'substituted', generic: false },
+        { name: 'Arial', fontFace: 'Arial', action: 'kept', generic: false },
+        { name: 'serif', fontFace: 'Times New Roman', action: 'substituted', generic: true }
+      ]);
+    });
   });
 
   describe('convertColor', () => {
@@ -98,6 +134,53 @@ describe('StyleConverter', () => {
       expect(converter.convertColor(null)).toBe(null);
       expect(converter.convertColor('')).toBe(null);
     });
+
+    test('should convert modern color syntax', () => {
+      expect(converter.convertColor('oklch(0.623 0.214 259.815)')).toBe('2B7FFF');
+      expect(converter.convertColor('hsl(210 40% 98%)')).toBe('F8FAFC');
+      expect(converter.convertColor('color-mix(in oklab, black 50%, white)')).toMatch(/^[0-9A-F]{6}$/);
+      expect(converter.convertColor('rebeccapurple')).toBe('663399');
+      expect(converter.convertColor('transparent')).toBe(null);
+    });
+
+    test('should drop the alpha channel of 8-digit and 4-digit hex', () => {
+      expect(converter.convertColor('#11223380')).toBe('112233');
+      expect(converter.convertColor('#f008')).toBe('FF0000');
+    });
+  });
+
+  describe('color alpha', () => {
+    test('should read alpha from rgba, slash syntax, hex and transparent', () => {
+      expect(converter.getColorAlpha('rgba(0, 0, 0, 0.25)')).toBe(0.25);
+      expect(converter.getColorAlpha('rgb(0 0 0 / 40%)')).toBe(0.4);
+      expect(converter.getColorAlpha('#00000080')).toBeCloseTo(0.5, 2);
+      expect(converter.getColorAlpha('transparent')).toBe(0);
+      expect(converter.getColorAlpha('rgb(0, 0, 0)')).toBe(1);
+      expect(converter.getColorAlpha('#000000')).toBe(1);
+    });
+
+    test('should carry alpha into fill, line and text transparency', () => {
+      const shape = converter.convertShapeStyles({
+        backgroundColor: 'rgba(0, 0, 0, 0.6)',
+        borderStyle: 'solid',
+        borderWidth: '2px',
+        borderColor: '#ffffff80',
+        opacity: '0.5'
+      });
+      const text = converter.convertTextStyles({ color: 'rgba(255, 255, 255, 0.7)' });
+
+      // 元素 opacity 由 PptGenerator 沿元素树叠加，不在这里重复应用
+      expect(shape.fill).toEqual({ color: '000000', transparency: 40 });
+      expect(shape.line).toMatchObject({ color: 'FFFFFF', transparency: 50 });
+      expect(text).toMatchObject({ color: 'FFFFFF', transparency: 30 });
+      expect(converter.convertTextStyles({ color: '#333333' }).transparency).toBeUndefined();
+    });
+
+    test('should multiply transparency by opacity', () => {
+      expect(converter.combineTransparency(0, 0.5)).toBe(50);
+      expect(converter.combineTransparency(40, 0.5)).toBe(70);
+      expect(converter.combineTransparency(undefined, 1)).toBe(0);
+    });
   });
 
   describe('isBold', () => {
@@ -195,4 +278,57 @@ describe('StyleConverter', () => {
       expect(result.align).toBe('center');
     });
   });
+
+  describe('parseCssGradient', () => {
+    test('should parse linear gradient with angle and stop positions', () => {
+      const result = converter.parseCssGradient('linear-gradient(135deg, rgb(102, 126, 234) 0%, rgb(118, 75, 162) 60%, rgb(240, 147, 251) 100%)');
+      expect(result.type).toBe('linear');
+      expect(result.angle).toBe(135);
+      expect(result.stops).toEqual([
+        { color: '667EEA', transparency: 0, position: 0 },
+        { color: '764BA2', transparency: 0, position: 60 },
+        { color: 'F093FB', transparency: 0, position: 100 }
+      ]);
+    });
+
+    test('should parse direction keywords and default to bottom', () => {
+      expect(converter.parseCssGradient('linear-gradient(to bottom right, red, blue)').angle).toBe(135);
+      expect(converter.parseCssGradient('linear-gradient(to left, red, blue)').angle).toBe(270);
+      expect(converter.parseCssGradient('linear-gradient(red, blue)').angle).toBe(180);
+      expect(converter.parseCssGradient('linear-gradient(0.25turn, red, blue)').angle).toBe(90);
+    });
+
+    test('should interpolate missing positions and keep alpha', () => {
+      const result = converter.parseCssGradient('linear-gradient(rgba(0, 0, 0, 0.5), red, transparent)');
+      expect(result.stops.map(s => s.position)).toEqual([0, 50, 100]);
+      expect(result.stops[0].transparency).toBe(50);
+      expect(result.stops[2]).toEqual({ color: 'FF0000', transparency: 100, position: 100 });
+    });
+
+    test('should parse radial gradient shape and center', () => {
+      const result = converter.parseCssGradient('radial-gradient(circle at 30% 40%, white, black)');
+      expect(result.type).toBe('radial');
+      expect(result.shape).toBe('circle');
+      expect(result.center).toEqual({ x: 30, y: 40 });
+      expect(result.stops).toHaveLength(2);
+    });
+
+    test('should return null for repeating or invalid gradients', () => {
+      expect(converter.parseCssGradient('repeating-linear-gradient(45deg, red 0 10px, blue 10px 20px)')).toBeNull();
+      expect(converter.parseCssGradient('linear-gradient(red)')).toBeNull();
+      expect(converter.parseCssGradient('url(image.png)')).toBeNull();
+    });
+  });
+
+  describe('convertShapeStyles', () => {
+    test('should convert gradient background to gradient fill', () => {
+      const result = converter.convertShapeStyles({
+        backgroundImage: 'linear-gradient(to right, rgb(255, 0, 0), rgb(0, 0, 255))',
+        backgroundColor: 'rgba(0, 0, 0, 0)'
+      });
+      expect(result.fill.type).toBe('linear');
+      expect(result.fill.rotate).toBe(90);
+      expect(result.fill.stops).toHaveLength(2);
+    });
+  });
 });
@@ -0,0 +1,97 @@
+/**
+ * TablePaginator 单元测试
+ */
+
+import { TablePaginator } from '../../src/core/TablePaginator.js';
+
+describe('TablePaginator', () => {
+  const cell = (text, extra = {}) => ({ text, isHeader: false, colspan: 1, rowspan: 1, styles: {}, ...extra });
+
+  const createTable = (bodyRows, extra = {}) => ({
+    type: 'table',
+    position: { x: 100, y: 200, width: 800, height: (bodyRows + 1) * 20 },
+    styles: {},
+    tableData: {
+      rows: [
+        [cell('Name', { isHeader: true }), cell('Value', { isHeader: true })],
+        ...Array.from({ length: bodyRows }, (_, i) => [cell(`Row ${i + 1}`), cell(String(i))])
+      ],
+      rowHeights: Array(bodyRows + 1).fill(20),
+      rowSections: ['head', ...Array(bodyRows).fill('body')],
+      columnWidths: [600, 200]
+    },
+    children: [],
+    ...extra
+  });
+
+  const createSlide = table => ({
+    title: 'Revenue',
+    anchorId: 'revenue',
+    notes: 'Talk about revenue',
+    elements: [
+      { type: 'heading', tagName: 'h1', text: 'Revenue', runs: [{ text: 'Revenue', options: {} }], position: { x: 100, y: 40, width: 800, height: 60 }, styles: {}, children: [] },
+      table
+    ]
+  });
+
+  test('should split long tables with a repeated header and continuation title', () => {
+    const paginator = new TablePaginator({ maxRows: 10 });
+    const slides = paginator.paginate([createSlide(createTable(25)), { title: 'Next', elements: [] }]);
+
+    expect(slides.map(slide => slide.title)).toEqual(['Revenue', 'Revenue (cont.)', 'Revenue (cont.)', 'Next']);
+    expect(slides.map(slide => slide.sourceSlideNumber)).toEqual([1, 1, 1, 2]);
+
+    const firstTable = slides[0].elements[1];
+    expect(firstTable.tableData.rows).toHaveLength(11);
+    expect(firstTable.position.height).toBe(220);
+
+    const [heading, table] = slides[2].elements;
+    expect(heading).toMatchObject({ type: 'heading', text: 'Revenue (cont.)', position: { y: 40 } });
+    expect(heading.runs).toBeUndefined();
+    expect(table.tableData.rows.map(row => row[0].text)).toEqual(['Name', 'Row 21', 'Row 22', 'Row 23', 'Row 24', 'Row 25']);
+    expect(table.tableData.columnWidths).toEqual([600, 200]);
+    expect(slides[1]).toMatchObject({ anchorId: null, notes: null });
+  });
+
+  test('should respect the maximum table height', () => {
+    const paginator = new TablePaginator({ maxRows: 0, maxHeight: 100 });
+    const pages = paginator.splitTable(createTable(8).tableData);
+
+    // 每页 20px 表头 + 4 行
+    expect(pages.map(page => page.rows.length)).toEqual([5, 5]);
+  });
+
+  test('should not break inside row spans', () => {
+    const table = createTable(4);
+    table.tableData.rows[2][0].rowspan = 2;
+    const pages = new TablePaginator({ maxRows: 2 }).splitTable(table.tableData);
+
+    expect(pages.map(page => page.rows.slice(1).map(row => row[0].text))).toEqual([
+      ['Row 1'],
+      ['Row 2', 'Row 3'],
+      ['Row 4']
+    ]);
+  });
+
+  test('should leave short tables and nested tables untouched when within limits', () => {
+    const slide = createSlide(createTable(5));
+    const slides = new TablePaginator({ maxRows: 10 }).paginate([slide]);
+
+    expect(slides).toHaveLength(1);
+    expect(slides[0].elements[1]).toBe(slide.elements[1]);
+  });
+
+  test('should paginate tables nested in containers', () => {
+    const slide = {
+      title: 'Data',
+      elements: [{ type: 'container', position: { x: 0, y: 0, width: 1000, height: 800 }, styles: {}, children: [createTable(12)] }]
+    };
+    const slides = new TablePaginator({ maxRows: 10 }).paginate([slide]);
+
+    expect(slides).toHaveLength(2);
+    expect(slides[0].elements[0].children[0].tableData.rows).toHaveLength(11);
+    // 找不到标题元素时生成新的标题
+    expect(slides[1].elements[0]).toMatchObject({ type: 'heading', text: 'Data (cont.)' });
+    expect(slide.elements[0].children[0].tableData.rows).toHaveLength(13);
+  });
+});
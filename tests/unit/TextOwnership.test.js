@@ -0,0 +1,108 @@
+/**
+ * TextOwnership 单元测试
+ */
+
+import { TextOwnership } from '../../src/core/TextOwnership.js';
+import { HtmlParser } from '../../src/core/HtmlParser.js';
+
+describe('TextOwnership', () => {
+  let ownership;
+
+  const element = (type, tagName, text, children = [], extra = {}) => ({
+    type,
+    tagName,
+    text,
+    position: { x: 0, y: 0, width: 100, height: 20 },
+    styles: {},
+    children,
+    ...extra
+  });
+
+  // 收集元素树中所有会输出的文字
+  const texts = elements => elements.flatMap(e => [e.text, ...texts(e.children || [])]).filter(Boolean);
+
+  beforeEach(() => {
+    ownership = new TextOwnership({ isIconText: text => /[\uE000-\uF8FF]/.test(text) });
+  });
+
+  test('should move nested inline text into the block that lays it out', () => {
+    const link = element('link', 'a', '', [
+      element('text', 'span', 'Read', [
+        element('generic', 'strong', 'the docs', [], { textBefore: 'Read ', textAfter: 'the docs' })
+      ], { textAfter: '' }),
+      element('icon', 'i', '', [], { isFontIcon: true }),
+      element('generic', 'em', '\uF005')
+    ], { href: 'https://example.com' });
+
+    const [result] = ownership.assign([link]);
+
+    expect(result.text).toBe('Read the docs');
+    expect(texts(result.children)).toEqual([]);
+    expect(result.children[0].type).toBe('container');
+    expect(result.children[1]).toBe(link.children[1]);
+    // 原数据不变
+    expect(link.text).toBe('');
+    expect(link.children[0].text).toBe('Read');
+  });
+
+  test('should leave text to block children and draw the parent as a container', () => {
+    const card = element('link', 'a', '', [
+      element('heading', 'h3', 'Title'),
+      element('paragraph', 'p', 'Description', [element('text', 'span', 'more', [], { styles: { display: 'inline' } })])
+    ], { styles: { backgroundColor: '#eeeeee' } });
+
+    const [result] = ownership.assign([card]);
+
+    expect(result.type).toBe('container');
+    expect(texts([result])).toEqual(['Title', 'Description', 'more']);
+  });
+
+  test('should treat inline-block and flex items as their own text boxes', () => {
+    const heading = element('heading', 'h2', '', [
+      element('text', 'span', 'Q3', [], { styles: { display: 'inline-block' } }),
+      element('text', 'span', 'Revenue', [], { styles: { display: 'inline' } })
+    ]);
+
+    const [result] = ownership.assign([heading]);
+
+    expect(result.type).toBe('container');
+    expect(texts([result])).toEqual(['Q3', 'Revenue']);
+  });
+
+  test('should keep elements that already own their text unchanged', () => {
+    const paragraph = element('paragraph', 'p', 'Intro', [element('image', 'img', '')]);
+    const rich = element('paragraph', 'p', 'Hello world', [], { runs: [{ text: 'Hello ' }, { text: 'world' }] });
+    const elements = [paragraph, rich];
+
+    const result = ownership.assign(elements);
+
+    expect(result[0]).toBe(paragraph);
+    expect(result[1]).toBe(rich);
+  });
+
+  test('should let source whitespace decide spacing at inline boundaries', () => {
+    const paragraph = element('paragraph', 'p', '', [
+      element('text', 'span', 'foo', [], { styles: { display: 'inline' }, textAfter: 'foo' }),
+      element('text', 'span', 'bar', [], { styles: { display: 'inline' }, textAfter: 'bar' }),
+      element('text', 'span', 'baz', [], { styles: { display: 'inline' }, textBefore: '\n  ', textAfter: 'baz' })
+    ]);
+
+    const [result] = ownership.assign([paragraph]);
+
+    expect(result.text).toBe('foobar baz');
+  });
+
+  test('should emit parsed nested inline markup exactly once', () => {
+    document.body.innerHTML = `<section>
+      <p><span>Hello <em>nested <strong>world</strong></em></span><img src="data:image/png;base64,AA=="></p>
+      <a href="#next"><span><b>Next</b> slide</span><svg width="10" height="10"></svg></a>
+      <a href="#more"><span><b>foo</b></span><span>bar <i class="fa fa-star"></i></span>
+        <span>baz</span></a>
+    </section>`;
+    const slide = new HtmlParser().parseSlideElement(document.body.firstElementChild, 0);
+
+    const result = ownership.assign(slide.elements);
+
+    expect(texts(result)).toEqual(['Hello nested world', 'Next slide', 'foobar baz']);
+  });
+});
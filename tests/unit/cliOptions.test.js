@@ -0,0 +1,149 @@
+/**
+ * cliOptions 单元测试
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseCliArgs, parseServerArgs, parseFontMap, globToRegExp, expandInputs, getOutputPath, findOutputConflicts } from '../../src/node/cliOptions.js';
+
+describe('cliOptions', () => {
+  describe('parseServerArgs', () => {
+    test('should convert sizes and timeouts to server options', () => {
+      expect(parseServerArgs(['-p', '8080', '--pool', '4', '--max-queue', '20', '--max-size', '0.5', '--timeout', '30'])).toMatchObject({
+        port: 8080,
+        poolSize: 4,
+        maxQueue: 20,
+        maxBodySize: 512 * 1024,
+        timeout: 30000
+      });
+    });
+
+    test('should reject values that are not positive numbers', () => {
+      expect(() => parseServerArgs(['--timeout', 'abc'])).toThrow('--timeout');
+      expect(() => parseServerArgs(['--max-queue', 'abc'])).toThrow('--max-queue');
+      expect(() => parseServerArgs(['--pool', '0'])).toThrow('--pool');
+      expect(() => parseServerArgs(['--port', '70000'])).toThrow('--port');
+      expect(() => parseServerArgs(['--max-size', '-1'])).toThrow('--max-size');
+      expect(() => parseServerArgs(['--browser', 'firefox'])).toThrow('firefox');
+    });
+  });
+
+  describe('parseCliArgs', () => {
+    test('should parse flags and inputs', () => {
+      const args = parseCliArgs(['a.html', 'slides/*.html', '-o', 'dist', '-r', '4:3', '--title', 'Q3', '--no-animations']);
+
+      expect(args).toMatchObject({
+        inputs: ['a.html', 'slides/*.html'],
+        outDir: 'dist',
+        aspectRatio: '4:3',
+        title: 'Q3',
+        preserveAnimations: false,
+        browser: 'playwright'
+      });
+    });
+
+    test('should enable table pagination when a row limit is given', () => {
+      expect(parseCliArgs(['a.html', '--table-max-rows', '12'])).toMatchObject({ paginateTables: true, tableMaxRows: 12 });
+      expect(parseCliArgs(['a.html'])).toMatchObject({ paginateTables: false, tableMaxRows: undefined });
+      expect(() => parseCliArgs(['a.html', '--table-max-rows', 'x'])).toThrow('x');
+    });
+
+    test('should validate the heading mode', () => {
+      expect(parseCliArgs(['a.html']).headingMode).toBe('computed');
+      expect(parseCliArgs(['a.html', '--heading-mode', 'theme']).headingMode).toBe('theme');
+      expect(() => parseCliArgs(['a.html', '--heading-mode', 'big'])).toThrow('big');
+    });
+
+    test('should validate the capture mode', () => {
+      expect(parseCliArgs(['a.html']).captureMode).toBe('final');
+      expect(parseCliArgs(['a.html', '--capture', 'timed']).captureMode).toBe('timed');
+      expect(() => parseCliArgs(['a.html', '--capture', 'late'])).toThrow('late');
+    });
+
+    test('should validate the off-canvas policy', () => {
+      expect(parseCliArgs(['a.html']).offCanvas).toBe('clip');
+      expect(parseCliArgs(['a.html', '--off-canvas', 'notes']).offCanvas).toBe('notes');
+      expect(() => parseCliArgs(['a.html', '--off-canvas', 'move'])).toThrow('move');
+    });
+
+    test('should parse the font strategy and font map', () => {
+      expect(parseCliArgs(['a.html'])).toMatchObject({ fontStrategy: 'substitute', fontMap: undefined });
+      expect(parseCliArgs(['a.html', '--font-strategy', 'embed', '--font-map', 'Inter=Calibri, "Poppins"=Segoe UI']))
+        .toMatchObject({ fontStrategy: 'embed', fontMap: { Inter: 'Calibri', Poppins: 'Segoe UI' } });
+      expect(() => parseCliArgs(['a.html', '--font-strategy', 'subset'])).toThrow('subset');
+      expect(() => parseFontMap('Inter')).toThrow('Inter');
+    });
+
+    test('should read font maps exported as JSON', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'html2ppt-'));
+      const file = path.join(dir, 'font-map.json');
+      fs.writeFileSync(file, JSON.stringify({ Inter: 'Calibri' }));
+      fs.writeFileSync(path.join(dir, 'bad.json'), JSON.stringify({ Inter: 1 }));
+
+      try {
+        expect(parseFontMap(file)).toEqual({ Inter: 'Calibri' });
+        expect(() => parseFontMap(path.join(dir, 'bad.json'))).toThrow('bad.json');
+        expect(() => parseFontMap(path.join(dir, 'missing.json'))).toThrow('missing.json');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should reject unknown aspect ratios', () => {
+      expect(() => parseCliArgs(['a.html', '--aspect-ratio', '5:4'])).toThrow('5:4');
+    });
+  });
+
+  describe('globToRegExp', () => {
+    test('should match single and recursive wildcards', () => {
+      expect(globToRegExp('*.html').test('deck.html')).toBe(true);
+      expect(globToRegExp('*.html').test('sub/deck.html')).toBe(false);
+      expect(globToRegExp('**/*.html').test('deck.html')).toBe(true);
+      expect(globToRegExp('**/*.html').test('a/b/deck.html')).toBe(true);
+      expect(globToRegExp('deck-?.{htm,html}').test('deck-1.htm')).toBe(true);
+    });
+  });
+
+  describe('expandInputs', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'html2ppt-'));
+      fs.mkdirSync(path.join(dir, 'nested'));
+      fs.writeFileSync(path.join(dir, 'a.html'), '');
+      fs.writeFileSync(path.join(dir, 'b.txt'), '');
+      fs.writeFileSync(path.join(dir, 'nested', 'c.html'), '');
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should expand globs and directories', () => {
+      expect(expandInputs(['**/*.html'], dir)).toEqual([
+        path.join(dir, 'a.html'),
+        path.join(dir, 'nested', 'c.html')
+      ]);
+      expect(expandInputs(['nested'], dir)).toEqual([path.join(dir, 'nested', 'c.html')]);
+    });
+  });
+
+  describe('getOutputPath', () => {
+    test('should replace extension and honour output directory', () => {
+      expect(getOutputPath('/decks/q3.html')).toBe(path.join('/decks', 'q3.pptx'));
+      expect(getOutputPath('/decks/q3.html', '/out')).toBe(path.join('/out', 'q3.pptx'));
+    });
+  });
+
+  describe('findOutputConflicts', () => {
+    test('should report inputs that would overwrite each other in the output directory', () => {
+      const inputs = ['/slides/a/intro.html', '/slides/b/intro.html', '/slides/b/outro.html'];
+
+      expect(findOutputConflicts(inputs)).toEqual([]);
+      expect(findOutputConflicts(inputs, '/out')).toEqual([
+        { output: path.join('/out', 'intro.pptx'), inputs: ['/slides/a/intro.html', '/slides/b/intro.html'] }
+      ]);
+    });
+  });
+});